@@ -2,23 +2,41 @@ import resolve from "@rollup/plugin-node-resolve";
 import commonjs from "@rollup/plugin-commonjs";
 import json from "@rollup/plugin-json";
 import typescript from "@rollup/plugin-typescript";
+import { builtinModules } from "module";
 
 const plugins = [
   typescript({ tsconfig: "./tsconfig.json", declaration: true, declarationDir: "./dist" }),
-  resolve({ preferBuiltins: false }),
+  resolve({ preferBuiltins: true }),
   commonjs(),
   json(),
 ];
 
 export default {
-  input: "src/index.ts",
+  input: {
+    index: "src/index.ts",
+    // Common-words dictionary build (english-validator/lite)
+    lite: "src/lite.ts",
+    // Node.js-only APIs (english-validator/node)
+    node: "src/node.ts",
+    // Specialist dictionary packs (english-validator/packs)
+    packs: "src/domain-packs.ts",
+    // Worker thread script loaded by the detection pool
+    "batch-worker": "src/batch-worker.ts",
+    // english-validator executable (package.json "bin")
+    cli: "src/bin.ts",
+  },
   output: [
     {
-      file: "dist/index.cjs",
+      dir: "dist",
       format: "cjs",
       exports: "named",
+      entryFileNames: "[name].cjs",
+      banner: (chunk) => (chunk.name === "cli" ? "#!/usr/bin/env node" : ""),
+      // Code shared between entries lives in common chunks; the full dictionary only
+      // ends up in chunks the lite entry doesn't load
+      chunkFileNames: "[name]-[hash].cjs",
     },
   ],
+  external: [...builtinModules, ...builtinModules.map((m) => `node:${m}`)],
   plugins,
-  // franc is bundled inline (not external) to avoid ESM-from-CJS issues
 };
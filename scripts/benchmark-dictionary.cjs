@@ -0,0 +1,160 @@
+/**
+ * Compares the sorted-string dictionary with the Set it replaced:
+ * heap retained, build time, lookup throughput and lookup results, plus
+ * cold import time and heap of the main and lite entry points.
+ *
+ *   npm run bench:dictionary
+ *
+ * Each measurement runs in a fresh Node.js process started with
+ * --expose-gc so heap numbers are not polluted by earlier runs.
+ */
+const { execFileSync } = require("child_process");
+const fs = require("fs");
+const path = require("path");
+const ts = require("typescript");
+
+const ROOT = path.join(__dirname, "..");
+const LOOKUPS = 1_000_000;
+
+/** WORDS_RAW as stored in src/dictionary.ts. */
+function loadRawWords() {
+  const source = fs.readFileSync(path.join(ROOT, "src/dictionary.ts"), "utf-8");
+  return source.match(/const WORDS_RAW =\s*'([^']*)'/)[1].replace(/\\n/g, "\n");
+}
+
+/** createSortedWordList, transpiled from src/word-list.ts on the fly. */
+function loadSortedWordList() {
+  const source = fs.readFileSync(path.join(ROOT, "src/word-list.ts"), "utf-8");
+  const { outputText } = ts.transpileModule(source, {
+    compilerOptions: { module: ts.ModuleKind.CommonJS, target: ts.ScriptTarget.ES2020 },
+  });
+  const module = { exports: {} };
+  new Function("module", "exports", "require", outputText)(module, module.exports, require);
+  return module.exports.createSortedWordList;
+}
+
+/** JS heap plus ArrayBuffer memory in use after a full collection, in bytes. */
+function settledHeap() {
+  global.gc();
+  global.gc();
+  const { heapUsed, arrayBuffers } = process.memoryUsage();
+  return heapUsed + arrayBuffers;
+}
+
+/** Half dictionary words, half misspellings, in a fixed pseudo-random order. */
+function sampleWords(raw, count) {
+  const words = raw.split("\n");
+  const sample = [];
+  let seed = 42;
+  for (let i = 0; i < count; i++) {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    const word = words[seed % words.length];
+    sample.push(i % 2 === 0 ? word : `${word}q`);
+  }
+  return sample;
+}
+
+/** Runs in a child process: builds one structure and measures it. */
+function measureStructure(kind) {
+  const raw = loadRawWords();
+  const createSortedWordList = loadSortedWordList();
+  const sample = sampleWords(raw, LOOKUPS);
+
+  const heapBefore = settledHeap();
+  const buildStart = process.hrtime.bigint();
+  const lookup = kind === "set" ? new Set(raw.split("\n")) : createSortedWordList(raw);
+  lookup.has("warm-up"); // the sorted list builds its offsets on first use
+  const buildMs = Number(process.hrtime.bigint() - buildStart) / 1e6;
+  const heapBytes = settledHeap() - heapBefore;
+
+  let hits = 0;
+  const lookupStart = process.hrtime.bigint();
+  for (const word of sample) if (lookup.has(word)) hits++;
+  const lookupMs = Number(process.hrtime.bigint() - lookupStart) / 1e6;
+
+  return { heapBytes, buildMs, lookupsPerSecond: (LOOKUPS / lookupMs) * 1000, hits };
+}
+
+/** Runs in a child process: checks both structures agree on every word. */
+function verifyStructures() {
+  const raw = loadRawWords();
+  const set = new Set(raw.split("\n"));
+  const list = loadSortedWordList()(raw);
+  const probes = [...set].flatMap((word) => [word, `${word}q`, word.slice(1), word.toUpperCase()]);
+  const mismatches = probes.filter((word) => set.has(word) !== list.has(word));
+  return { probes: probes.length, mismatches: mismatches.length, size: list.size === set.size };
+}
+
+/** Runs in a child process: cold-imports one built entry point. */
+function measureEntry(entry) {
+  const heapBefore = settledHeap();
+  const start = process.hrtime.bigint();
+  const api = require(path.join(ROOT, "dist", `${entry}.cjs`));
+  api.isEnglish("The quick brown fox jumps over the lazy dog");
+  const firstCallMs = Number(process.hrtime.bigint() - start) / 1e6;
+  return { heapBytes: settledHeap() - heapBefore, firstCallMs };
+}
+
+/** Runs this script again in a fresh process and returns its JSON result. */
+function inChild(...args) {
+  const output = execFileSync(process.execPath, ["--expose-gc", __filename, ...args], {
+    encoding: "utf-8",
+  });
+  return JSON.parse(output);
+}
+
+const megabytes = (bytes) => `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+
+if (process.argv[2] === "--child") {
+  const [, , , task, argument] = process.argv;
+  const result =
+    task === "structure"
+      ? measureStructure(argument)
+      : task === "verify"
+        ? verifyStructures()
+        : measureEntry(argument);
+  process.stdout.write(JSON.stringify(result));
+} else {
+  if (typeof global.gc !== "function") {
+    console.error("Run with node --expose-gc (or npm run bench:dictionary)");
+    process.exit(1);
+  }
+
+  const set = inChild("--child", "structure", "set");
+  const sorted = inChild("--child", "structure", "sorted");
+  const verify = inChild("--child", "verify");
+
+  console.log("Dictionary structure (274k words, string itself excluded)");
+  console.table({
+    "Set (before)": {
+      heap: megabytes(set.heapBytes),
+      "build ms": set.buildMs.toFixed(1),
+      "lookups/s": Math.round(set.lookupsPerSecond).toLocaleString(),
+    },
+    "sorted string (now)": {
+      heap: megabytes(sorted.heapBytes),
+      "build ms": sorted.buildMs.toFixed(1),
+      "lookups/s": Math.round(sorted.lookupsPerSecond).toLocaleString(),
+    },
+  });
+  console.log(
+    `Identical results: ${verify.mismatches === 0 && verify.size ? "yes" : "NO"}`,
+    `(${verify.probes.toLocaleString()} probes, ${verify.mismatches} mismatches)`,
+  );
+
+  if (!fs.existsSync(path.join(ROOT, "dist", "index.cjs"))) {
+    console.error("\nRun npm run build to measure the entry points.");
+    process.exit(1);
+  }
+
+  console.log("\nCold import + first isEnglish() call");
+  const entries = {};
+  for (const entry of ["index", "lite"]) {
+    const result = inChild("--child", "entry", entry);
+    entries[entry === "index" ? "english-validator" : "english-validator/lite"] = {
+      heap: megabytes(result.heapBytes),
+      ms: result.firstCallMs.toFixed(1),
+    };
+  }
+  console.table(entries);
+}
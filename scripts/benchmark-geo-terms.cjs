@@ -0,0 +1,103 @@
+/**
+ * Compares geographical term removal through the term index with the one
+ * regex pass per term it replaced, on English texts of growing length, and
+ * checks both remove exactly the same text.
+ *
+ *   npm run bench:geo-terms
+ */
+const fs = require("fs");
+const path = require("path");
+const ts = require("typescript");
+
+const ROOT = path.join(__dirname, "..");
+const SIZES = [100, 1_000, 10_000, 100_000];
+const MIN_MS = 300;
+
+/** GEO_TERMS as stored in src/geo-terms.ts. */
+function loadTerms() {
+  const source = fs.readFileSync(path.join(ROOT, "src/geo-terms.ts"), "utf-8");
+  return source.match(/const GEO_TERMS_RAW =\s*'([^']*)'/)[1].split("\\n");
+}
+
+/** The index functions, transpiled from src/geo-term-index.ts on the fly. */
+function loadIndex() {
+  const source = fs.readFileSync(path.join(ROOT, "src/geo-term-index.ts"), "utf-8");
+  const { outputText } = ts.transpileModule(source, {
+    compilerOptions: { module: ts.ModuleKind.CommonJS, target: ts.ScriptTarget.ES2020 },
+  });
+  const module = { exports: {} };
+  new Function("module", "exports", "require", outputText)(module, module.exports, require);
+  return module.exports;
+}
+
+/** English fixture sentences (with their place names) repeated to `size` characters. */
+function sampleText(size) {
+  const corpus = fs.readFileSync(path.join(ROOT, "tests/fixtures/corpus.jsonl"), "utf-8");
+  const sentences = corpus
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => JSON.parse(line))
+    .filter((sample) => sample.language === "en")
+    .map((sample) => sample.text);
+  let text = "";
+  for (let i = 0; text.length < size; i++) text += `${sentences[i % sentences.length]} `;
+  return text.slice(0, size);
+}
+
+/** Average milliseconds per call, repeating until MIN_MS have passed. */
+function time(fn) {
+  fn(); // warm-up
+  let calls = 0;
+  const start = process.hrtime.bigint();
+  let elapsed = 0;
+  while (elapsed < MIN_MS) {
+    fn();
+    calls++;
+    elapsed = Number(process.hrtime.bigint() - start) / 1e6;
+  }
+  return elapsed / calls;
+}
+
+const terms = loadTerms();
+const { createGeoTermIndex, findGeoTermRanges } = loadIndex();
+const patterns = terms.map((term) => new RegExp(`\\b${term}\\b|\\b${term}s\\b`, "i"));
+
+const normalize = (text) => text.replace(/\s+/g, " ").trim();
+
+function regexPasses(text) {
+  let result = text;
+  for (const pattern of patterns) result = result.replace(pattern, "");
+  return normalize(result);
+}
+
+function termIndex(text, index) {
+  let result = "";
+  let cursor = 0;
+  for (const [start, end] of findGeoTermRanges(text, [index])) {
+    result += text.slice(cursor, start);
+    cursor = end;
+  }
+  return normalize(result + text.slice(cursor));
+}
+
+const buildStart = process.hrtime.bigint();
+const index = createGeoTermIndex(terms);
+const buildMs = Number(process.hrtime.bigint() - buildStart) / 1e6;
+
+console.log(`Geographical term removal (${terms.length} terms, index built in ${buildMs.toFixed(1)} ms)`);
+const rows = {};
+let identical = true;
+for (const size of SIZES) {
+  const text = sampleText(size);
+  identical &&= regexPasses(text) === termIndex(text, index);
+  const before = time(() => regexPasses(text));
+  const after = time(() => termIndex(text, index));
+  rows[`${size.toLocaleString()} chars`] = {
+    "regex passes ms": before.toFixed(3),
+    "term index ms": after.toFixed(3),
+    speedup: `${(before / after).toFixed(1)}x`,
+  };
+}
+console.table(rows);
+console.log(`Identical output: ${identical ? "yes" : "NO"}`);
+if (!identical) process.exit(1);
@@ -0,0 +1,164 @@
+/**
+ * Builds a dictionary pack — extra words the validator loads with
+ * createValidator({ dictionaries: [pack] }) — from Hunspell dictionaries,
+ * plain word lists and frequency lists:
+ *
+ *   npm run build:pack -- --hunspell dicts/en_GB --out en-gb.json
+ *   npm run build:pack -- --words terms.txt --frequency counts.txt --top 20000 \
+ *     --name support --omit lite --out support.json
+ *   npm run build:pack -- --domains
+ *
+ * --hunspell <path> reads <path>.dic and <path>.aff (in the encoding the
+ * .aff declares with SET) and expands their affix rules. --words reads one
+ * word or phrase per line (`#` starts a comment); --frequency reads
+ * "word count" lines, optionally cut to the --top most frequent words or
+ * those seen at least --min-count times. Every option may be repeated.
+ * --omit full|lite leaves out words the built-in dictionary already has.
+ *
+ * --domains regenerates the domain packs shipped as english-validator/packs
+ * (src/packs/*.ts) from the term lists in packs/*.txt, leaving out words
+ * the lite dictionary already has.
+ */
+const fs = require("fs");
+const path = require("path");
+const { parseArgs } = require("util");
+
+const ROOT = path.join(__dirname, "..");
+
+const DOMAIN_PACKS = [
+  {
+    name: "legal",
+    exportName: "legalPack",
+    description: "Legal English: contracts, litigation, courts, property and legal Latin",
+  },
+  {
+    name: "medical",
+    exportName: "medicalPack",
+    description: "Medical English: anatomy, conditions, procedures and pharmacology",
+  },
+  {
+    name: "software",
+    exportName: "softwarePack",
+    description: "Software engineering English: programming, tooling, infrastructure and APIs",
+  },
+];
+
+/** Hunspell SET names that differ from the WHATWG encoding labels. */
+function decoderLabel(set) {
+  return set.replace(/^ISO8859-/i, "iso-8859-").replace(/^microsoft-cp/i, "windows-");
+}
+
+/** Reads <base>.dic and <base>.aff in the encoding the .aff declares. */
+function readHunspell(base) {
+  const affBytes = fs.readFileSync(`${base}.aff`);
+  const set = affBytes.toString("latin1").match(/^SET\s+(\S+)/m)?.[1] ?? "UTF-8";
+  const decoder = new TextDecoder(decoderLabel(set));
+  return {
+    type: "hunspell",
+    dic: decoder.decode(fs.readFileSync(`${base}.dic`)),
+    aff: decoder.decode(affBytes),
+  };
+}
+
+/** Words of the built-in full or lite dictionary, as a lookup. */
+function builtInDictionary(build) {
+  if (build !== "full" && build !== "lite") throw new Error(`Invalid --omit: ${build}`);
+  const { createValidator } = require(path.join(ROOT, "dist", build === "lite" ? "lite.cjs" : "index.cjs"));
+  const validator = createValidator();
+  return { has: (word) => validator.hasWord(word) };
+}
+
+function count(value, option) {
+  if (value === undefined) return undefined;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) throw new Error(`Invalid --${option}: ${value}`);
+  return number;
+}
+
+function renderModule({ name, exportName }, pack) {
+  // Pack words are letters and inner apostrophes only
+  const words = pack.words.replace(/'/g, "\\'").replace(/\n/g, "\\n");
+  return `// Generated by scripts/build-dictionary-pack.cjs from packs/${name}.txt — do not edit by hand.
+
+import { DictionaryPack } from '../types';
+
+/**
+ * ${pack.description}.
+ * ${pack.wordCount} words the lite dictionary lacks.
+ */
+export const ${exportName}: DictionaryPack = {
+  format: '${pack.format}',
+  version: ${pack.version},
+  name: '${name}',
+  description: '${pack.description}',
+  wordCount: ${pack.wordCount},
+  words:
+    '${words}',
+};
+`;
+}
+
+function buildDomainPacks(buildDictionaryPack) {
+  const omit = builtInDictionary("lite");
+  fs.mkdirSync(path.join(ROOT, "src/packs"), { recursive: true });
+  for (const domain of DOMAIN_PACKS) {
+    const text = fs.readFileSync(path.join(ROOT, "packs", `${domain.name}.txt`), "utf8");
+    const pack = buildDictionaryPack([{ type: "words", text }], {
+      name: domain.name,
+      description: domain.description,
+      omit,
+    });
+    const out = path.join(ROOT, "src/packs", `${domain.name}.ts`);
+    fs.writeFileSync(out, renderModule(domain, pack));
+    console.log(`${domain.name}: ${pack.wordCount} words to ${path.relative(ROOT, out)}`);
+  }
+}
+
+function main() {
+  const { values } = parseArgs({
+    options: {
+      hunspell: { type: "string", multiple: true, default: [] },
+      words: { type: "string", multiple: true, default: [] },
+      frequency: { type: "string", multiple: true, default: [] },
+      top: { type: "string" },
+      "min-count": { type: "string" },
+      omit: { type: "string" },
+      name: { type: "string" },
+      description: { type: "string" },
+      out: { type: "string" },
+      domains: { type: "boolean", default: false },
+    },
+  });
+  const { buildDictionaryPack } = require(path.join(ROOT, "dist/index.cjs"));
+  if (values.domains) return buildDomainPacks(buildDictionaryPack);
+
+  if (!values.out) throw new Error("--out <file.json> is required");
+  const top = count(values.top, "top");
+  const minCount = count(values["min-count"], "min-count");
+  const sources = [
+    ...values.hunspell.map(readHunspell),
+    ...values.words.map((file) => ({ type: "words", text: fs.readFileSync(file, "utf8") })),
+    ...values.frequency.map((file) => ({
+      type: "frequency",
+      text: fs.readFileSync(file, "utf8"),
+      top,
+      minCount,
+    })),
+  ];
+  if (sources.length === 0) throw new Error("Give at least one --hunspell, --words or --frequency source");
+
+  const pack = buildDictionaryPack(sources, {
+    name: values.name,
+    description: values.description,
+    omit: values.omit ? builtInDictionary(values.omit) : undefined,
+  });
+  fs.writeFileSync(values.out, `${JSON.stringify(pack)}\n`);
+  console.log(`Wrote ${pack.wordCount} words to ${values.out}`);
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
@@ -0,0 +1,125 @@
+/**
+ * Builds the trigram profiles of the built-in secondary detector from
+ * plain-text corpora, one file per language (ISO 639-3 code = path):
+ *
+ *   npm run build:profiles
+ *   npm run build:profiles -- eng=corpora/en.txt deu=corpora/de.txt
+ *   npm run build:profiles -- --size 400 --out profiles.json pol=corpora/pl.txt
+ *
+ * A profile lists a language's most frequent trigrams, most frequent
+ * first. Languages of the default set (English and the languages the word
+ * heuristics target) without a corpus are seeded from franc's models,
+ * built from Universal Declaration of Human Rights translations, so the
+ * script runs fully offline; other languages need a corpus.
+ *
+ * The default output is src/trigram-profiles.ts. A `.json` output holds
+ * the same profiles for createTrigramDetector() at runtime.
+ */
+const fs = require("fs");
+const path = require("path");
+const { parseArgs } = require("util");
+
+const ROOT = path.join(__dirname, "..");
+const DEFAULT_OUT = path.join(ROOT, "src/trigram-profiles.ts");
+const DEFAULT_LANGUAGES = ["eng", "deu", "fra", "spa", "ita", "nld", "por", "tur", "dan", "nob", "swe", "pol"];
+const DEFAULT_SIZE = 300;
+
+/**
+ * Trigram counts of a text, cleaned the way src/trigram-detector.ts
+ * cleans its input: lowercased, every run of non-letters a single space,
+ * padded with a space at each end.
+ */
+function countTrigrams(text, counts = new Map()) {
+  for (const line of text.split(/\n+/)) {
+    const cleaned = line.toLowerCase().replace(/[^\p{L}\p{M}]+/gu, " ").trim();
+    if (!cleaned) continue;
+    const padded = ` ${cleaned} `;
+    for (let i = 0; i + 3 <= padded.length; i++) {
+      const trigram = padded.slice(i, i + 3);
+      counts.set(trigram, (counts.get(trigram) ?? 0) + 1);
+    }
+  }
+  return counts;
+}
+
+/** The `size` most frequent trigrams, ties broken alphabetically. */
+function topTrigrams(counts, size) {
+  return [...counts]
+    .sort((a, b) => b[1] - a[1] || (a[0] < b[0] ? -1 : 1))
+    .slice(0, size)
+    .map(([trigram]) => trigram);
+}
+
+/** franc's ranked trigrams for a Latin-script language, or null. */
+async function francProfile(language, size) {
+  const { data } = await import("franc/data.js");
+  const model = data.Latin[language];
+  return model ? model.split("|").slice(0, size) : null;
+}
+
+function renderModule(profiles, size) {
+  const entries = Object.entries(profiles)
+    // Cleaned trigrams hold letters and spaces only, so need no escaping
+    .map(([language, trigrams]) => `  ${language}: '${trigrams.join("|")}',`)
+    .join("\n");
+  return `// Generated by scripts/build-trigram-profiles.cjs — do not edit by hand.
+
+import { TrigramProfiles } from './types';
+
+/**
+ * The ${size} most frequent trigrams of each language the built-in
+ * secondary detector knows, most frequent first, separated by \`|\`.
+ */
+export const TRIGRAM_PROFILES: TrigramProfiles = {
+${entries}
+};
+`;
+}
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      out: { type: "string", default: DEFAULT_OUT },
+      size: { type: "string", default: String(DEFAULT_SIZE) },
+    },
+  });
+  const size = Number(values.size);
+  if (!Number.isInteger(size) || size < 1) throw new Error(`Invalid --size: ${values.size}`);
+
+  const corpora = new Map();
+  for (const argument of positionals) {
+    const match = argument.match(/^([a-z]{3})=(.+)$/);
+    if (!match) throw new Error(`Expected <iso6393>=<path>, got "${argument}"`);
+    corpora.set(match[1], match[2]);
+  }
+
+  const profiles = {};
+  for (const language of new Set([...DEFAULT_LANGUAGES, ...corpora.keys()])) {
+    const corpus = corpora.get(language);
+    if (corpus) {
+      profiles[language] = topTrigrams(countTrigrams(fs.readFileSync(corpus, "utf8")), size);
+      console.log(`${language}: ${profiles[language].length} trigrams from ${corpus}`);
+      continue;
+    }
+    const seeded = await francProfile(language, size);
+    if (!seeded) throw new Error(`No corpus for "${language}" and franc has no model for it`);
+    profiles[language] = seeded;
+    console.log(`${language}: ${seeded.length} trigrams from franc's model`);
+  }
+
+  const output = values.out.endsWith(".json")
+    ? `${JSON.stringify(
+        Object.fromEntries(Object.entries(profiles).map(([lang, list]) => [lang, list.join("|")])),
+        null,
+        2,
+      )}\n`
+    : renderModule(profiles, size);
+  fs.writeFileSync(values.out, output);
+  console.log(`Wrote ${Object.keys(profiles).length} profiles to ${path.relative(ROOT, values.out)}`);
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
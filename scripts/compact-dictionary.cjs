@@ -1,99 +1,83 @@
+/**
+ * Rewrites src/dictionary.ts and src/lite-dictionary.ts with their word
+ * lists lowercased, deduplicated and sorted by UTF-16 code unit — the order
+ * createSortedWordList() binary-searches in. Run after editing either list.
+ *
+ *   node scripts/compact-dictionary.cjs
+ */
 const fs = require("fs");
 const path = require("path");
 
-const filePath = path.join(__dirname, "../src/dictionary.ts");
-const lines = fs.readFileSync(filePath, "utf-8").split("\n");
+const DICTIONARIES = [
+  {
+    file: "../src/dictionary.ts",
+    constant: "WORDS_RAW",
+    exportName: "englishDictionary",
+    header: [
+      "English dictionary — sorted, newline-delimited format.",
+      "",
+      "Words are stored as a single string to minimise bundle size and heap.",
+      "Lookups binary-search the string through an offset table that is only",
+      "built on the first lookup, so importing the module costs no more than",
+      "loading the string itself.",
+    ],
+    doc: "All English words, sorted and newline-delimited.",
+    exportDoc: "Built-in English dictionary (binary search over WORDS_RAW).",
+  },
+  {
+    file: "../src/lite-dictionary.ts",
+    constant: "LITE_WORDS_RAW",
+    exportName: "liteDictionary",
+    header: [
+      "Common-words dictionary for the english-validator/lite entry point.",
+      "",
+      "The hand-picked common words of the full dictionary, a general everyday",
+      "vocabulary, and the regular inflections of both (-s, -ed, -ing, -er, -ly,",
+      "-est, -ness, -ment, ...). Every word is also in the full dictionary, so",
+      "the lite build never accepts a word the full build rejects.",
+    ],
+    doc: "Common English words, sorted and newline-delimited.",
+    exportDoc: "Lite English dictionary (binary search over LITE_WORDS_RAW).",
+  },
+];
 
-const commonWords = [];
-const medicalTerms = [];
-const wordsToRemove = [];
+for (const dictionary of DICTIONARIES) {
+  const filePath = path.join(__dirname, dictionary.file);
+  const source = fs.readFileSync(filePath, "utf-8");
+  const match = source.match(new RegExp(`const ${dictionary.constant} =\\s*'([^']*)'`));
 
-let section = null;
-
-for (const line of lines) {
-  const trimmed = line.trim();
-
-  if (trimmed.startsWith("const commonWords")) {
-    section = "common";
-    continue;
-  }
-  if (trimmed.startsWith("const medicalTerms")) {
-    section = "medical";
-    continue;
-  }
-  if (trimmed.startsWith("export const englishDictionary")) {
-    section = null;
-    continue;
-  }
-  if (trimmed.startsWith("export const wordsToRemove")) {
-    section = "wtr";
-    continue;
+  if (!match) {
+    console.error(`Error: ${dictionary.constant} not found in ${dictionary.file}`);
+    process.exit(1);
   }
 
-  if (section === "common" || section === "medical") {
-    // Match: "word", or "word"
-    const match = trimmed.match(/^"([^"]*)",?$/);
-    if (match) {
-      if (section === "common") commonWords.push(match[1]);
-      else medicalTerms.push(match[1]);
-    }
-  }
+  const words = [...new Set(match[1].split("\\n").map((w) => w.trim().toLowerCase()))]
+    .filter((w) => w.length > 0)
+    .sort();
 
-  if (section === "wtr") {
-    // Match: ["Word", true], or ["Word", false],
-    const match = trimmed.match(/^\["([^"]+)",\s*(true|false)\],?$/);
-    if (match) {
-      wordsToRemove.push(match[1]);
-    }
-  }
-}
-
-console.log("commonWords:", commonWords.length);
-console.log("medicalTerms:", medicalTerms.length);
-console.log("wordsToRemove:", wordsToRemove.length);
-
-const allWords = [...new Set([...commonWords, ...medicalTerms])];
-console.log("Unique dictionary words:", allWords.length);
+  const output = [
+    "/**",
+    ...dictionary.header.map((line) => (line ? ` * ${line}` : " *")),
+    " *",
+    ` * Total unique words: ${words.length}`,
+    " */",
+    "import { createSortedWordList, SortedWordList } from './word-list';",
+    "",
+    `/** ${dictionary.doc} */`,
+    `const ${dictionary.constant} =`,
+    `  '${words.join("\\n")}';`,
+    "",
+    `/** ${dictionary.exportDoc} */`,
+    `export const ${dictionary.exportName}: SortedWordList = createSortedWordList(${dictionary.constant});`,
+    "",
+  ].join("\n");
 
-// Build compact dictionary.ts with newline-delimited strings
-const wordsJoined = allWords.join("\\n");
-const geoJoined = wordsToRemove.join("\\n");
+  fs.writeFileSync(filePath, output);
 
-const output = [
-  '/**',
-  ' * English dictionary — compact newline-delimited format.',
-  ' *',
-  ' * Words are stored as a single string to minimise bundle size.',
-  ' * The Set is constructed once at module load time.',
-  ' *',
-  ` * Total unique words: ${allWords.length}`,
-  ` * Geographical terms: ${wordsToRemove.length}`,
-  ' */',
-  '',
-  '/** All English words as a newline-delimited string. */',
-  'const WORDS_RAW =',
-  `  "${wordsJoined}";`,
-  '',
-  '/** Geographical / proper-noun terms to strip before detection. */',
-  'const GEO_TERMS_RAW =',
-  `  "${geoJoined}";`,
-  '',
-  '/** Set of all known English words (built once at module load). */',
-  'export const englishDictionary: Set<string> = new Set(WORDS_RAW.split("\\n"));',
-  '',
-  '/** Geographical terms as tuples — all flagged true for backward compat. */',
-  'export const wordsToRemove: [string, boolean][] = GEO_TERMS_RAW.split("\\n").map(',
-  '  (w) => [w, true] as [string, boolean]',
-  ');',
-  '',
-].join("\n");
-
-fs.writeFileSync(filePath, output);
-
-const stats = fs.statSync(filePath);
-console.log(
-  "New dictionary.ts size:",
-  (stats.size / 1024).toFixed(0),
-  "KB",
-  "(" + (stats.size / 1024 / 1024).toFixed(2) + " MB)"
-);
+  const stats = fs.statSync(filePath);
+  console.log(
+    `${path.basename(filePath)}: ${words.length} words,`,
+    (stats.size / 1024).toFixed(0),
+    "KB",
+  );
+}
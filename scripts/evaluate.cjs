@@ -0,0 +1,130 @@
+/**
+ * Measures the built detector on a labelled JSONL corpus (one
+ * { "text", "language", "domain"? } object per line) and optionally sweeps
+ * a grid of detection options for the best setting.
+ *
+ *   npm run evaluate
+ *   npm run evaluate -- path/to/corpus.jsonl --options '{"minWordLength":3}'
+ *   npm run evaluate -- --sweep
+ *   npm run evaluate -- --grid '{"englishThreshold":[0.7,0.8],"scoring":["strict","lenient"]}'
+ *
+ * Without a path, the bundled fixture corpus in tests/fixtures is used, so
+ * the script runs fully offline.
+ */
+const fs = require("fs");
+const path = require("path");
+const { parseArgs } = require("util");
+
+const ROOT = path.join(__dirname, "..");
+const DEFAULT_CORPUS = path.join(ROOT, "tests/fixtures/corpus.jsonl");
+
+/** Grid tried by --sweep. */
+const DEFAULT_GRID = {
+  englishThreshold: [0.6, 0.7, 0.8, 0.9],
+  minWordLength: [2, 3, 4],
+  scoring: ["strict", "balanced", "lenient"],
+};
+
+const percent = (value) => `${(value * 100).toFixed(1)}%`;
+
+/** Accuracy and English-class metrics as one console.table row. */
+function metricsRow(metrics) {
+  return {
+    samples: metrics.total,
+    accuracy: percent(metrics.accuracy),
+    precision: percent(metrics.precision),
+    recall: percent(metrics.recall),
+    f1: percent(metrics.f1),
+    "FP / FN": `${metrics.falsePositives} / ${metrics.falseNegatives}`,
+  };
+}
+
+/** Worst errors as console.table rows. */
+function errorRows(errors) {
+  return errors.map(({ text, language, domain, probability, decision }) => ({
+    language,
+    domain: domain ?? "",
+    probability: probability.toFixed(2),
+    decision,
+    text: text.length > 60 ? `${text.slice(0, 57)}...` : text,
+  }));
+}
+
+function printReport(report) {
+  console.log("Overall (English is the positive class)");
+  console.table({ all: metricsRow(report) });
+
+  console.log("\nPer domain");
+  console.table(
+    Object.fromEntries(
+      Object.entries(report.domains).map(([domain, metrics]) => [domain, metricsRow(metrics)]),
+    ),
+  );
+
+  console.log("\nConfusion per labelled language");
+  console.table(
+    Object.fromEntries(
+      Object.entries(report.languages).map(([language, row]) => [
+        language,
+        {
+          samples: row.total,
+          "as English": row.predictedEnglish,
+          "as other": row.predictedNonEnglish,
+        },
+      ]),
+    ),
+  );
+
+  console.log("\nWorst false positives (non-English passed as English)");
+  if (report.worstFalsePositives.length > 0) console.table(errorRows(report.worstFalsePositives));
+  else console.log("  none");
+
+  console.log("\nWorst false negatives (English rejected)");
+  if (report.worstFalseNegatives.length > 0) console.table(errorRows(report.worstFalseNegatives));
+  else console.log("  none");
+}
+
+function printSweep(results, metric) {
+  console.log(`Settings ranked by ${metric} (top 10 of ${results.length})`);
+  console.table(
+    results.slice(0, 10).map(({ options, score, report }) => ({
+      options: JSON.stringify(options),
+      [metric]: percent(score),
+      accuracy: percent(report.accuracy),
+      "FP / FN": `${report.falsePositives} / ${report.falseNegatives}`,
+    })),
+  );
+  const [best] = results;
+  if (best) console.log(`\nBest settings: ${JSON.stringify(best.options)}\n`);
+  if (best) printReport(best.report);
+}
+
+const { values, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    options: { type: "string" },
+    sweep: { type: "boolean" },
+    grid: { type: "string" },
+    metric: { type: "string", default: "f1" },
+    worst: { type: "string", default: "10" },
+  },
+});
+
+const entry = path.join(ROOT, "dist", "index.cjs");
+if (!fs.existsSync(entry)) {
+  console.error("Run npm run build first (or use npm run evaluate).");
+  process.exit(1);
+}
+const { evaluate, parseCorpus, sweepOptions } = require(entry);
+
+const corpusPath = positionals[0] ?? DEFAULT_CORPUS;
+const corpus = parseCorpus(fs.readFileSync(corpusPath, "utf-8"));
+const options = { ...JSON.parse(values.options ?? "{}"), worst: Number(values.worst) };
+console.log(`Corpus: ${path.relative(process.cwd(), corpusPath)} (${corpus.length} samples)\n`);
+
+if (values.sweep || values.grid) {
+  const grid = values.grid ? JSON.parse(values.grid) : DEFAULT_GRID;
+  printSweep(sweepOptions(corpus, grid, { ...options, metric: values.metric }), values.metric);
+} else {
+  printReport(evaluate(corpus, options));
+}
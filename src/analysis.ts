@@ -0,0 +1,300 @@
+import {
+  ABBREVIATION_REGEX,
+  NON_LATIN_SCRIPT_THRESHOLD,
+  ROMANIZED_PACKS,
+  TYPO_MATCH_WEIGHT,
+  UNSEGMENTED_SCRIPT_REGEX,
+  WORD_PUNCTUATION_REGEX,
+} from './constants';
+import { findNameLikeTokens, tolerateCommonWord, tolerateNamedEntity } from './named-entities';
+import { preprocessText } from './preprocessing';
+import {
+  secondaryEnglishSignal,
+  indicatorShare,
+  resolveScoringModel,
+  scoreSignals,
+  shortness,
+} from './scoring';
+import { profileScripts } from './scripts';
+import { secondaryLanguageAnalysis } from './secondary-detection';
+import { tokenize } from './tokenizer';
+import {
+  AnalysisResult,
+  DecisionBranch,
+  DetectionOptions,
+  LanguageResult,
+  ScoreSignals,
+  ScriptProfile,
+  TextToken,
+  ThresholdSource,
+  TokenAnalysis,
+  TokenOptions,
+  ValidatorContext,
+} from './types';
+import { isNonEmptyString } from './utils';
+import { classifyWordCached } from './word-analysis';
+
+// ─── Detection Report ─────────────────────────────────────────────────────────
+
+/**
+ * Runs the full detection pipeline and returns a structured report of how
+ * the verdict was reached: the preprocessed text, every token with its
+ * verdict and reason, the English ratio, the English probability and the
+ * signals behind it, the threshold, the secondary detector's result (when
+ * consulted), the letters per Unicode script and the branch that made the
+ * decision.
+ *
+ * The probability blends the English ratio, indicator hits, the secondary
+ * detector and text length under the `scoring` model. The secondary
+ * detector is only consulted when its score could change the verdict.
+ *
+ * Text whose letters are mostly non-Latin (Cyrillic, CJK, Arabic…) is
+ * rejected on its script profile alone, without consulting the detector.
+ * Chinese, Japanese and Thai runs are counted one token per character.
+ *
+ * This is the single source of truth for detection — `isEnglish` and
+ * `detectNonEnglishText` are thin wrappers over it.
+ *
+ * @param inputText - The text to analyse (null/undefined/empty is English)
+ * @param options   - Detection configuration (thresholds, word length, etc.)
+ * @param context   - Validator whose dictionary and caches to use
+ * @returns The full detection report
+ */
+export function analyzeText(
+  inputText: string | null | undefined,
+  options: DetectionOptions,
+  context: ValidatorContext,
+): AnalysisResult {
+  return runAnalysis(inputText, options, false, context);
+}
+
+/**
+ * English probability of a text under the `scoring` model, with the
+ * secondary detector always consulted (when it has a weight) so the score is the same
+ * whatever threshold the caller applies to it.
+ *
+ * @param inputText - The text to score (null/undefined/empty scores 1)
+ * @param options   - Detection configuration (scoring model, word length, etc.)
+ * @param context   - Validator whose dictionary and caches to use
+ * @returns Probability (0.0–1.0) that the text is English
+ */
+export function englishProbability(
+  inputText: string | null | undefined,
+  options: DetectionOptions,
+  context: ValidatorContext,
+): number {
+  return runAnalysis(inputText, options, true, context).probability;
+}
+
+/**
+ * {@link analyzeText}, optionally consulting the secondary detector even
+ * when it cannot change the verdict.
+ */
+function runAnalysis(
+  inputText: string | null | undefined,
+  options: DetectionOptions,
+  alwaysConsultSecondary: boolean,
+  context: ValidatorContext,
+): AnalysisResult {
+  const tokenOptions = resolveTokenOptions(options);
+  const { model, thresholdSource } = resolveScoringModel(options);
+  const { threshold } = model;
+
+  if (!isNonEmptyString(inputText) || inputText.trim().length === 0) {
+    return buildResult({
+      processedText: '',
+      tokens: [],
+      englishWordCount: 0,
+      probability: 1,
+      signals: { indicatorShare: 0, secondaryEnglish: null, shortness: 1 },
+      threshold,
+      thresholdSource,
+      secondary: null,
+      decision: 'empty-input',
+      scripts: profileScripts(''),
+    });
+  }
+
+  const processedText = preprocessText(inputText, options);
+  const words = tokenize(processedText);
+  const nameLike = tokenOptions.namedEntities ? findNameLikeTokens(processedText, words) : null;
+
+  const tokens: TokenAnalysis[] = [];
+  let englishWordCount = 0;
+
+  words.forEach((word, i) => {
+    let token = analyzeToken(word, tokenOptions, context);
+    if (!token) return;
+    if (nameLike) token = nameLike[i] ? tolerateNamedEntity(token) : tolerateCommonWord(token);
+    if (token.isEnglish) englishWordCount += tokenWeight(token);
+    tokens.push(token);
+  });
+
+  const scripts = profileScripts(processedText);
+  const englishRatio = computeRatio(englishWordCount, tokens);
+  const signals: ScoreSignals = {
+    indicatorShare: indicatorShare(tokens),
+    secondaryEnglish: null,
+    shortness: shortness(words.length, model.fullLengthWords),
+  };
+  const partial = { processedText, tokens, englishWordCount, threshold, thresholdSource, scripts };
+
+  if (scripts.nonLatinRatio > NON_LATIN_SCRIPT_THRESHOLD) {
+    return buildResult({
+      ...partial,
+      probability: 0,
+      signals,
+      secondary: null,
+      decision: 'non-latin-script',
+    });
+  }
+
+  // The verdict without the secondary detector, and whether its full boost could change it
+  const withoutSecondary = scoreSignals(englishRatio, signals, model);
+  const secondaryDecisive =
+    withoutSecondary < threshold &&
+    scoreSignals(englishRatio, { ...signals, secondaryEnglish: 1 }, model) >= threshold;
+
+  if (!secondaryDecisive && !(alwaysConsultSecondary && model.secondaryWeight > 0)) {
+    const decision = withoutSecondary >= threshold ? 'word-ratio' : 'below-threshold';
+    return buildResult({
+      ...partial,
+      probability: withoutSecondary,
+      signals,
+      secondary: null,
+      decision,
+    });
+  }
+
+  const { englishScore, ...secondary } = secondaryLanguageAnalysis(
+    secondaryInput(inputText, processedText, options),
+    context,
+  );
+  const withSecondary = { ...signals, secondaryEnglish: secondaryEnglishSignal(englishScore) };
+  const probability = scoreSignals(englishRatio, withSecondary, model);
+  const decision: DecisionBranch =
+    withoutSecondary >= threshold
+      ? 'word-ratio'
+      : probability >= threshold
+        ? 'secondary-override'
+        : 'below-threshold';
+
+  return buildResult({ ...partial, probability, signals: withSecondary, secondary, decision });
+}
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+/** Applies the word-level defaults to detection options. */
+export function resolveTokenOptions(options: DetectionOptions): TokenOptions {
+  return {
+    minWordLength: options.minWordLength ?? 2,
+    allowNumbers: options.allowNumbers ?? true,
+    allowAbbreviations: options.allowAbbreviations ?? true,
+    morphology: options.morphology ?? true,
+    typoTolerance: options.typoTolerance ?? 0,
+    romanizedPacks: options.romanizedPacks ?? ROMANIZED_PACKS,
+    namedEntities: options.namedEntities ?? false,
+    technical: options.technical ?? false,
+  };
+}
+
+/**
+ * Strips inner punctuation from a word token and classifies it; number,
+ * ordinal, measure and currency tokens are classified as they are.
+ * Shared by every API that reports per-word verdicts so they agree with
+ * {@link analyzeText}.
+ *
+ * @param word    - Token of the preprocessed text (see {@link tokenize})
+ * @param options - Resolved word-level options
+ * @param context - Validator whose dictionary and caches to use
+ * @returns The token verdict, or null if nothing remains after stripping
+ */
+export function analyzeToken(
+  word: TextToken,
+  options: TokenOptions,
+  context: ValidatorContext,
+): TokenAnalysis | null {
+  const { minWordLength, allowAbbreviations } = options;
+  const cleanWord =
+    word.kind === 'word' ? word.text.replace(WORD_PUNCTUATION_REGEX, '') : word.text;
+  if (cleanWord.length === 0) return null;
+
+  // A single Chinese/Japanese/Thai character is a word in its own right
+  if (cleanWord.length < minWordLength && !UNSEGMENTED_SCRIPT_REGEX.test(cleanWord)) {
+    return { token: cleanWord, counted: false, isEnglish: false, reason: 'too-short' };
+  }
+
+  // Check abbreviation on original casing before lowercasing
+  const verdict =
+    allowAbbreviations && ABBREVIATION_REGEX.test(cleanWord)
+      ? { isEnglish: true, reason: 'abbreviation' as const }
+      : classifyWordCached(cleanWord.toLowerCase(), options, context);
+
+  return { token: cleanWord, counted: true, ...verdict };
+}
+
+/**
+ * The text the secondary detector should read: the raw input (more signal
+ * than the cleaned text) unless it is markup or technical text, whose tags,
+ * syntax and code would skew its trigrams.
+ */
+export function secondaryInput(
+  inputText: string,
+  processedText: string,
+  options: DetectionOptions,
+): string {
+  const plain = (options.format ?? 'plain') === 'plain' && !options.technical;
+  return plain ? inputText : processedText;
+}
+
+/** How much an English token adds to englishWordCount: typo matches count less. */
+export function tokenWeight(token: TokenAnalysis): number {
+  return token.reason === 'typo' ? TYPO_MATCH_WEIGHT : 1;
+}
+
+/**
+ * Ratio of English tokens among counted tokens. Texts with nothing
+ * countable are treated as fully English (ratio 1.0).
+ */
+function computeRatio(englishWordCount: number, tokens: TokenAnalysis[]): number {
+  const totalRelevantWords = tokens.filter((t) => t.counted).length;
+  return totalRelevantWords > 0 ? englishWordCount / totalRelevantWords : 1.0;
+}
+
+/** Decision branches that classify the text as English. */
+const ENGLISH_DECISIONS: readonly DecisionBranch[] = [
+  'empty-input',
+  'word-ratio',
+  'secondary-override',
+];
+
+/** Assembles an {@link AnalysisResult}, deriving the verdict from the decision branch. */
+function buildResult(parts: {
+  processedText: string;
+  tokens: TokenAnalysis[];
+  englishWordCount: number;
+  probability: number;
+  signals: ScoreSignals;
+  threshold: number;
+  thresholdSource: ThresholdSource;
+  secondary: LanguageResult | null;
+  decision: DecisionBranch;
+  scripts: ScriptProfile;
+}): AnalysisResult {
+  const totalRelevantWords = parts.tokens.filter((t) => t.counted).length;
+  return {
+    isEnglish: ENGLISH_DECISIONS.includes(parts.decision),
+    processedText: parts.processedText,
+    tokens: parts.tokens,
+    englishWordCount: parts.englishWordCount,
+    totalRelevantWords,
+    englishRatio: computeRatio(parts.englishWordCount, parts.tokens),
+    probability: parts.probability,
+    signals: parts.signals,
+    threshold: parts.threshold,
+    thresholdSource: parts.thresholdSource,
+    secondary: parts.secondary,
+    decision: parts.decision,
+    scripts: parts.scripts,
+  };
+}
@@ -0,0 +1,26 @@
+import { parentPort } from 'worker_threads';
+import { defaultValidator } from './default-validator';
+import { BatchReply, BatchTask } from './types';
+
+// ─── Worker Thread Entry Point ────────────────────────────────────────────────
+
+/**
+ * Handles one task sent by the detection pool. The dictionary and caches
+ * are loaded when this module is first imported, so each worker builds
+ * them once and reuses them for every task it receives.
+ *
+ * @param task - Texts and options to run through `detectBatch`
+ * @returns The verdicts, or the error message if detection threw
+ */
+export function handleBatchTask(task: BatchTask): BatchReply {
+  try {
+    return { id: task.id, results: defaultValidator.detectBatch(task.texts, task.options) };
+  } catch (error) {
+    return { id: task.id, error: error instanceof Error ? error.message : String(error) };
+  }
+}
+
+if (parentPort) {
+  const port = parentPort;
+  port.on('message', (task: BatchTask) => port.postMessage(handleBatchTask(task)));
+}
@@ -0,0 +1,83 @@
+import { analyzeText } from './analysis';
+import { BatchOptions, DetectionOptions, ValidatorContext } from './types';
+import { isNonEmptyString, yieldToEventLoop } from './utils';
+
+// ─── Batch Detection ──────────────────────────────────────────────────────────
+
+/** Default number of texts analysed between event-loop yields. */
+const DEFAULT_CHUNK_SIZE = 500;
+
+/**
+ * Runs `isEnglish` over many texts in one call and returns the verdicts in
+ * input order. Identical inputs are analysed once, and every text shares
+ * the same word and secondary detector caches, so repeated vocabulary
+ * across rows is only looked up once.
+ *
+ * Runs synchronously on the calling thread — use {@link detectBatchAsync}
+ * inside servers, or `detectBatchParallel` from `english-validator/node`
+ * to spread the work across worker threads.
+ *
+ * @param texts   - Texts to check (null/undefined/empty count as English)
+ * @param options - Detection configuration applied to every text
+ * @param context - Validator whose dictionary and caches to use
+ * @returns One boolean per input — true when that text is English
+ */
+export function detectBatch(
+  texts: ReadonlyArray<string | null | undefined>,
+  options: DetectionOptions,
+  context: ValidatorContext,
+): boolean[] {
+  const verdicts = new Map<string, boolean>();
+  return texts.map((text) => verdictFor(text, options, verdicts, context));
+}
+
+/**
+ * Promise-based {@link detectBatch} that yields to the event loop after
+ * every `chunkSize` texts, so large batches don't block HTTP servers or
+ * timers while they run.
+ *
+ * @param texts   - Texts to check (null/undefined/empty count as English)
+ * @param options - Detection configuration plus chunkSize
+ * @param context - Validator whose dictionary and caches to use
+ * @returns Promise of one boolean per input — true when that text is English
+ */
+export async function detectBatchAsync(
+  texts: ReadonlyArray<string | null | undefined>,
+  options: BatchOptions,
+  context: ValidatorContext,
+): Promise<boolean[]> {
+  const { chunkSize = DEFAULT_CHUNK_SIZE, ...detectionOptions } = options;
+  const step = Math.max(1, Math.floor(chunkSize));
+  const verdicts = new Map<string, boolean>();
+  const results: boolean[] = new Array(texts.length);
+
+  for (let start = 0; start < texts.length; start += step) {
+    if (start > 0) await yieldToEventLoop();
+    const end = Math.min(start + step, texts.length);
+    for (let i = start; i < end; i++) {
+      results[i] = verdictFor(texts[i], detectionOptions, verdicts, context);
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Verdict for one text, reusing the batch-local verdict of an identical
+ * earlier input when there is one.
+ */
+function verdictFor(
+  text: string | null | undefined,
+  options: DetectionOptions,
+  verdicts: Map<string, boolean>,
+  context: ValidatorContext,
+): boolean {
+  if (!isNonEmptyString(text)) return true;
+
+  const known = verdicts.get(text);
+  if (known !== undefined) return known;
+
+  const verdict = analyzeText(text, options, context).isEnglish;
+  verdicts.set(text, verdict);
+  return verdict;
+}
@@ -0,0 +1,13 @@
+import * as fs from 'fs';
+import { runCli } from './cli';
+
+// ─── Executable Entry Point (english-validator bin) ──────────────────────────
+
+runCli(process.argv.slice(2), {
+  stdin: process.stdin,
+  stdout: process.stdout,
+  stderr: process.stderr,
+  openFile: (path) => fs.createReadStream(path),
+}).then((code) => {
+  process.exitCode = code;
+});
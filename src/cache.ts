@@ -0,0 +1,118 @@
+import { CacheOptions, CacheStore, LruCache } from './types';
+
+// ─── LRU Cache ────────────────────────────────────────────────────────────────
+
+/** Limits a cache starts with when the caller sets none. */
+export interface CacheLimits {
+  maxEntries: number;
+  maxSize: number;
+}
+
+/**
+ * Creates a least-recently-used cache bounded by entry count and by total
+ * key length; values are not measured. Reads refresh an entry's recency; when either limit is
+ * exceeded the least recently used entries are evicted. Entries whose key
+ * alone is longer than maxSize are never held in memory.
+ *
+ * With a {@link CacheStore}, every write also goes to the store and memory
+ * misses fall back to it, so the store can outlive the process or be shared
+ * between processes. The store's own size is its business.
+ *
+ * @param defaults - Limits used until `options` or a later configure() sets them
+ * @param options  - Initial limits and store
+ * @returns An empty cache
+ * @throws {RangeError} If a limit is negative or not a number
+ */
+export function createLruCache<V>(defaults: CacheLimits, options: CacheOptions = {}): LruCache<V> {
+  const entries = new Map<string, V>();
+  let { maxEntries, maxSize } = defaults;
+  let store: CacheStore<V> | undefined;
+  let size = 0;
+  let hits = 0;
+  let storeHits = 0;
+  let misses = 0;
+  let evictions = 0;
+
+  function remember(key: string, value: V): void {
+    const previous = entries.get(key);
+    if (previous !== undefined) {
+      entries.delete(key);
+      size -= key.length;
+    }
+    if (key.length > maxSize || maxEntries === 0) return;
+    entries.set(key, value);
+    size += key.length;
+    evictOverflow();
+  }
+
+  function evictOverflow(): void {
+    while (entries.size > maxEntries || size > maxSize) {
+      const oldest = entries.keys().next().value as string;
+      entries.delete(oldest);
+      size -= oldest.length;
+      evictions++;
+    }
+  }
+
+  const cache: LruCache<V> = {
+    get(key) {
+      const value = entries.get(key);
+      if (value !== undefined) {
+        entries.delete(key);
+        entries.set(key, value);
+        hits++;
+        return value;
+      }
+      const stored = store?.get(key);
+      if (stored !== undefined) {
+        storeHits++;
+        remember(key, stored);
+        return stored;
+      }
+      misses++;
+      return undefined;
+    },
+    set(key, value) {
+      remember(key, value);
+      store?.set(key, value);
+    },
+    clear() {
+      entries.clear();
+      size = 0;
+    },
+    resetStats() {
+      hits = storeHits = misses = evictions = 0;
+    },
+    configure(update) {
+      maxEntries = checkLimit('maxEntries', update.maxEntries ?? maxEntries);
+      maxSize = checkLimit('maxSize', update.maxSize ?? maxSize);
+      if ('store' in update) store = update.store as CacheStore<V> | undefined;
+      evictOverflow();
+    },
+    stats() {
+      const lookups = hits + storeHits + misses;
+      return {
+        entries: entries.size,
+        size,
+        maxEntries,
+        maxSize,
+        hits,
+        storeHits,
+        misses,
+        evictions,
+        hitRate: lookups === 0 ? 0 : (hits + storeHits) / lookups,
+      };
+    },
+  };
+
+  cache.configure(options);
+  return cache;
+}
+
+/** Validates a cache limit: a non-negative number (Infinity for no limit). */
+function checkLimit(name: string, value: number): number {
+  if (typeof value !== 'number' || Number.isNaN(value) || value < 0) {
+    throw new RangeError(`Cache ${name} must be a non-negative number, got ${value}`);
+  }
+  return value;
+}
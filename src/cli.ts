@@ -0,0 +1,468 @@
+import { parseArgs } from 'util';
+import { IDENTIFIER_PRESETS, ROMANIZED_PACKS } from './constants';
+import { defaultValidator } from './default-validator';
+import { createGeoTermIndex } from './geo-term-index';
+import { DetectionOptions } from './types';
+
+// ─── Command-Line Interface ───────────────────────────────────────────────────
+
+/** Streams and file access used by the CLI — injectable for tests. */
+export interface CliIO {
+  stdin: AsyncIterable<string | Uint8Array>;
+  stdout: { write(chunk: string): unknown };
+  stderr: { write(chunk: string): unknown };
+  /** Opens a file for line-by-line reading. */
+  openFile(path: string): AsyncIterable<string | Uint8Array>;
+}
+
+/** Input record formats the CLI understands. */
+type InputFormat = 'text' | 'json' | 'jsonl' | 'csv';
+
+/** One piece of text to check, with where it came from. */
+interface InputRecord {
+  text: string;
+  source: string;
+  line: number;
+}
+
+/** Raised for bad arguments or unreadable input; exits with code 2. */
+class CliUsageError extends Error {}
+
+/** Exit codes: all English, some non-English, usage or input error. */
+const EXIT_ENGLISH = 0;
+const EXIT_NON_ENGLISH = 1;
+const EXIT_USAGE = 2;
+
+/** Token classes --strip and --keep turn stripping on and off for. */
+const STRIPPABLE = ['code', 'urls', 'emails', 'mentions', 'hashtags', 'emoji'] as const;
+
+const USAGE = `Usage: english-validator [options] [text...]
+
+Checks each text argument, each line of --file inputs, or each line of
+stdin when neither is given. Exits 1 if any input is non-English.
+
+Input:
+  -f, --file <path>          Read inputs from a file ("-" for stdin); repeatable
+      --input-format <fmt>   auto | text | json | jsonl | csv (default: auto)
+      --field <name>         Field to check in JSON/JSONL/CSV records (dot path)
+
+Detection:
+  -t, --threshold <n>        englishThreshold, 0.0-1.0 (default: the preset's)
+      --scoring <preset>     scoring: strict | balanced | lenient (default: balanced)
+      --min-word-length <n>  minWordLength (default: 2)
+      --no-numbers           allowNumbers = false
+      --no-abbreviations     allowAbbreviations = false
+      --no-morphology        morphology = false
+      --typo-tolerance <n>   typoTolerance, 0-2 edits (default: 0)
+      --named-entities       namedEntities = true
+      --technical            technical = true: skip code, logs and stack traces,
+                             split identifiers
+      --romanized <pack>     Only screen hindi | arabic | pinyin | tagalog | malay words
+                             (default: all); repeatable
+      --no-romanized         romanizedPacks = []
+      --identifiers <preset> Strip document | jira | uuid | git-sha | semver | date-time |
+                             file-path | sku | ip | currency (default: document); repeatable
+      --no-identifiers       identifiers = []
+      --geo-term <name>      geoTerms entry, stripped like the built-in place names;
+                             repeatable
+      --no-geo-terms         stripGeoTerms = false
+      --markup <fmt>         format: plain | html | markdown (default: plain)
+      --strip <class>        Strip code | urls | emails | mentions | hashtags | emoji,
+                             also in plain text; repeatable
+      --keep <class>         Don't strip code | urls | emails | mentions | hashtags |
+                             emoji; repeatable
+  -p, --pattern <regex>      customPatterns entry, "/src/flags" or bare source; repeatable
+  -x, --exclude <word>       excludeWords entry; repeatable
+      --exclude-file <path>  excludeWords from a file, one per line; repeatable
+
+Output:
+  -o, --output <fmt>         plain | json | jsonl (default: plain)
+  -q, --quiet                Print nothing; only set the exit code
+  -h, --help                 Show this help
+`;
+
+/**
+ * Runs the `english-validator` command with the given arguments.
+ *
+ * @param argv - Arguments after the executable (process.argv.slice(2))
+ * @param io   - Standard streams and file access
+ * @returns Exit code: 0 all English, 1 any non-English, 2 usage/input error
+ *
+ * @example
+ * // english-validator --file tickets.jsonl --field description -o jsonl
+ * const code = await runCli(process.argv.slice(2), nodeIo);
+ */
+export async function runCli(argv: string[], io: CliIO): Promise<number> {
+  try {
+    const { values, positionals } = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        file: { type: 'string', short: 'f', multiple: true },
+        'input-format': { type: 'string', default: 'auto' },
+        field: { type: 'string' },
+        threshold: { type: 'string', short: 't' },
+        scoring: { type: 'string' },
+        'min-word-length': { type: 'string' },
+        'no-numbers': { type: 'boolean' },
+        'no-abbreviations': { type: 'boolean' },
+        'no-morphology': { type: 'boolean' },
+        'typo-tolerance': { type: 'string' },
+        'named-entities': { type: 'boolean' },
+        technical: { type: 'boolean' },
+        romanized: { type: 'string', multiple: true },
+        'no-romanized': { type: 'boolean' },
+        identifiers: { type: 'string', multiple: true },
+        'no-identifiers': { type: 'boolean' },
+        'geo-term': { type: 'string', multiple: true },
+        'no-geo-terms': { type: 'boolean' },
+        markup: { type: 'string', default: 'plain' },
+        strip: { type: 'string', multiple: true },
+        keep: { type: 'string', multiple: true },
+        pattern: { type: 'string', short: 'p', multiple: true },
+        exclude: { type: 'string', short: 'x', multiple: true },
+        'exclude-file': { type: 'string', multiple: true },
+        output: { type: 'string', short: 'o', default: 'plain' },
+        quiet: { type: 'boolean', short: 'q' },
+        help: { type: 'boolean', short: 'h' },
+      },
+    });
+
+    if (values.help) {
+      io.stdout.write(USAGE);
+      return EXIT_ENGLISH;
+    }
+
+    const output = oneOf(values.output!, ['plain', 'json', 'jsonl'] as const, '--output');
+    const inputFormat = oneOf(
+      values['input-format']!,
+      ['auto', 'text', 'json', 'jsonl', 'csv'] as const,
+      '--input-format',
+    );
+    const scoring =
+      values.scoring === undefined
+        ? undefined
+        : oneOf(values.scoring, ['strict', 'balanced', 'lenient'] as const, '--scoring');
+    const format = oneOf(values.markup!, ['plain', 'html', 'markdown'] as const, '--markup');
+    const stripped = (values.strip ?? []).map((value) => oneOf(value, STRIPPABLE, '--strip'));
+    const keep = (values.keep ?? []).map((value) => oneOf(value, STRIPPABLE, '--keep'));
+    const both = stripped.find((stage) => keep.includes(stage));
+    if (both) throw new CliUsageError(`--strip and --keep both name ${both}`);
+    /** A stripped stage is on, a kept one off; any other follows the format's default. */
+    const strip = (stage: (typeof STRIPPABLE)[number]) =>
+      stripped.includes(stage) ? true : keep.includes(stage) ? false : undefined;
+    const romanized = values.romanized?.map((value) =>
+      oneOf(value, ROMANIZED_PACKS, '--romanized'),
+    );
+    const identifiers = values.identifiers?.map((value) =>
+      oneOf(value, IDENTIFIER_PRESETS, '--identifiers'),
+    );
+
+    const options: DetectionOptions = {
+      englishThreshold: parseNumber(values.threshold, '--threshold', 0, 1),
+      scoring,
+      minWordLength: parseNumber(values['min-word-length'], '--min-word-length', 0),
+      allowNumbers: !values['no-numbers'],
+      allowAbbreviations: !values['no-abbreviations'],
+      morphology: !values['no-morphology'],
+      typoTolerance: parseNumber(values['typo-tolerance'], '--typo-tolerance', 0, 2),
+      namedEntities: values['named-entities'] ?? false,
+      technical: values.technical ?? false,
+      romanizedPacks: values['no-romanized'] ? [] : romanized,
+      identifiers: values['no-identifiers'] ? [] : identifiers,
+      stripGeoTerms: !values['no-geo-terms'],
+      geoTerms: parseGeoTerms(values['geo-term'] ?? []),
+      format,
+      stripCode: strip('code'),
+      stripUrls: strip('urls'),
+      stripEmails: strip('emails'),
+      stripMentions: strip('mentions'),
+      stripHashtags: strip('hashtags'),
+      stripEmoji: strip('emoji'),
+      customPatterns: (values.pattern ?? []).map(parsePattern),
+      excludeWords: [
+        ...(values.exclude ?? []),
+        ...(await readWordFiles(values['exclude-file'] ?? [], io)),
+      ],
+    };
+
+    const records = collectRecords(positionals, values.file ?? [], inputFormat, values.field, io);
+    const collected: object[] = [];
+    let anyNonEnglish = false;
+
+    for await (const record of records) {
+      const report = defaultValidator.analyzeText(record.text, options);
+      if (!report.isEnglish) anyNonEnglish = true;
+      if (values.quiet) continue;
+
+      const result = {
+        source: record.source,
+        line: record.line,
+        text: record.text,
+        isEnglish: report.isEnglish,
+        englishRatio: report.englishRatio,
+      };
+      if (output === 'json') collected.push(result);
+      else if (output === 'jsonl') io.stdout.write(`${JSON.stringify(result)}\n`);
+      else {
+        // One result per line: whitespace inside the text (CSV newlines, tabs) is collapsed
+        const verdict = report.isEnglish ? 'english' : 'non-english';
+        const text = record.text.replace(/\s+/g, ' ');
+        io.stdout.write(`${verdict}\t${record.source}:${record.line}\t${text}\n`);
+      }
+    }
+
+    if (output === 'json' && !values.quiet) {
+      io.stdout.write(`${JSON.stringify(collected, null, 2)}\n`);
+    }
+
+    return anyNonEnglish ? EXIT_NON_ENGLISH : EXIT_ENGLISH;
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    io.stderr.write(`english-validator: ${message}\n`);
+    if (isUsageError(error)) io.stderr.write('Run with --help for usage.\n');
+    return EXIT_USAGE;
+  }
+}
+
+// ─── Argument Parsing ─────────────────────────────────────────────────────────
+
+/** Whether an error came from bad arguments (ours or util.parseArgs'). */
+function isUsageError(error: unknown): boolean {
+  if (error instanceof CliUsageError) return true;
+  const code = (error as { code?: unknown } | null)?.code;
+  return typeof code === 'string' && code.startsWith('ERR_PARSE_ARGS');
+}
+
+/** Validates that a flag value is one of the allowed choices. */
+function oneOf<T extends string>(value: string, choices: readonly T[], flag: string): T {
+  if ((choices as readonly string[]).includes(value)) return value as T;
+  throw new CliUsageError(`${flag} must be one of: ${choices.join(', ')}`);
+}
+
+/** Parses an optional numeric flag, enforcing its range. */
+function parseNumber(
+  value: string | undefined,
+  flag: string,
+  min: number,
+  max = Infinity,
+): number | undefined {
+  if (value === undefined) return undefined;
+  const parsed = Number(value);
+  if (value.trim() === '' || !Number.isFinite(parsed) || parsed < min || parsed > max) {
+    const range = max === Infinity ? `>= ${min}` : `between ${min} and ${max}`;
+    throw new CliUsageError(`${flag} must be a number ${range}, got "${value}"`);
+  }
+  return parsed;
+}
+
+/**
+ * Turns a regex string into a RegExp. Accepts "/source/flags" or a bare
+ * source, which is compiled with the global flag so every match is removed.
+ */
+function parsePattern(value: string): RegExp {
+  const literal = /^\/(.+)\/([a-z]*)$/s.exec(value);
+  try {
+    if (!literal) return new RegExp(value, 'g');
+    const flags = literal[2].includes('g') ? literal[2] : `${literal[2]}g`;
+    return new RegExp(literal[1], flags);
+  } catch (error) {
+    throw new CliUsageError(`invalid --pattern "${value}": ${(error as Error).message}`);
+  }
+}
+
+/** Validates --geo-term values up front, as the preprocessing stage would. */
+function parseGeoTerms(values: string[]): string[] {
+  try {
+    createGeoTermIndex(values);
+  } catch (error) {
+    throw new CliUsageError(`invalid --geo-term: ${(error as Error).message}`);
+  }
+  return values;
+}
+
+/** Reads exclude words from files: one per line, blank lines and # comments ignored. */
+async function readWordFiles(paths: string[], io: CliIO): Promise<string[]> {
+  const words: string[] = [];
+  for (const path of paths) {
+    for await (const line of readLines(io.openFile(path))) {
+      const word = line.trim();
+      if (word && !word.startsWith('#')) words.push(word);
+    }
+  }
+  return words;
+}
+
+// ─── Input Records ────────────────────────────────────────────────────────────
+
+/** Yields every record from the arguments, the files, or stdin. */
+async function* collectRecords(
+  positionals: string[],
+  files: string[],
+  format: InputFormat | 'auto',
+  field: string | undefined,
+  io: CliIO,
+): AsyncGenerator<InputRecord> {
+  for (let i = 0; i < positionals.length; i++) {
+    yield { text: positionals[i], source: 'arg', line: i + 1 };
+  }
+
+  const sources = files.length > 0 || positionals.length > 0 ? files : ['-'];
+  for (const path of sources) {
+    const stream = path === '-' ? io.stdin : io.openFile(path);
+    const name = path === '-' ? 'stdin' : path;
+    const resolved = format === 'auto' ? formatFromPath(path, field) : format;
+    yield* readRecords(readLines(stream), name, resolved, field, io);
+  }
+}
+
+/** Picks an input format from the file extension (stdin: jsonl if --field, else text). */
+function formatFromPath(path: string, field: string | undefined): InputFormat {
+  const extension = /\.([a-z]+)$/i.exec(path)?.[1].toLowerCase();
+  if (extension === 'jsonl' || extension === 'ndjson') return 'jsonl';
+  if (extension === 'json') return 'json';
+  if (extension === 'csv') return 'csv';
+  return path === '-' && field ? 'jsonl' : 'text';
+}
+
+/** Splits decoded input into lines (LF or CRLF), decoding bytes as UTF-8. */
+async function* readLines(source: AsyncIterable<string | Uint8Array>): AsyncGenerator<string> {
+  const decoder = new TextDecoder('utf-8');
+  let pending = '';
+  for await (const piece of source) {
+    pending += typeof piece === 'string' ? piece : decoder.decode(piece, { stream: true });
+    const lines = pending.split('\n');
+    pending = lines.pop()!;
+    for (const line of lines) yield line.replace(/\r$/, '');
+  }
+  pending += decoder.decode();
+  if (pending.length > 0) yield pending.replace(/\r$/, '');
+}
+
+/** Turns the lines of one input into records according to its format. */
+async function* readRecords(
+  lines: AsyncIterable<string>,
+  source: string,
+  format: InputFormat,
+  field: string | undefined,
+  io: CliIO,
+): AsyncGenerator<InputRecord> {
+  if (format === 'csv' && field === undefined) {
+    throw new CliUsageError('--field is required for CSV input');
+  }
+
+  const warn = (line: number, problem: string) =>
+    io.stderr.write(`english-validator: ${source}:${line}: ${problem}, skipped\n`);
+
+  if (format === 'text') {
+    let line = 0;
+    for await (const text of lines) {
+      line++;
+      if (text.trim().length > 0) yield { text, source, line };
+    }
+    return;
+  }
+
+  if (format === 'jsonl') {
+    let line = 0;
+    for await (const text of lines) {
+      line++;
+      if (text.trim().length === 0) continue;
+      const value = selectField(parseJson(text, `${source}:${line}`), field);
+      if (typeof value === 'string') yield { text: value, source, line };
+      else warn(line, `no string ${field === undefined ? 'value' : `field "${field}"`}`);
+    }
+    return;
+  }
+
+  if (format === 'json') {
+    let content = '';
+    for await (const text of lines) content += `${text}\n`;
+    const parsed = parseJson(content, source);
+    const items = Array.isArray(parsed) ? parsed : [parsed];
+    for (let i = 0; i < items.length; i++) {
+      const value = selectField(items[i], field);
+      if (typeof value === 'string') yield { text: value, source, line: i + 1 };
+      else warn(i + 1, `no string ${field === undefined ? 'value' : `field "${field}"`}`);
+    }
+    return;
+  }
+
+  let header: string[] | null = null;
+  let column = -1;
+  for await (const { row, line } of readCsvRows(lines)) {
+    if (!header) {
+      header = row;
+      column = header.indexOf(field!);
+      if (column === -1) throw new CliUsageError(`${source}: no CSV column named "${field}"`);
+      continue;
+    }
+    const value = row[column];
+    if (value !== undefined && value.trim().length > 0) yield { text: value, source, line };
+  }
+}
+
+/** Parses JSON, reporting the location of malformed input. */
+function parseJson(text: string, location: string): unknown {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new CliUsageError(`${location}: invalid JSON (${(error as Error).message})`);
+  }
+}
+
+/** Reads a dot-separated field path from a record; the record itself when no field. */
+function selectField(record: unknown, field: string | undefined): unknown {
+  if (field === undefined) return record;
+  let value: unknown = record;
+  for (const key of field.split('.')) {
+    if (value === null || typeof value !== 'object') return undefined;
+    value = (value as Record<string, unknown>)[key];
+  }
+  return value;
+}
+
+/**
+ * Minimal RFC 4180 CSV reader: comma separated, double-quoted fields with
+ * "" escapes, quoted fields may span lines. Yields each row with the line
+ * number it started on.
+ */
+async function* readCsvRows(
+  lines: AsyncIterable<string>,
+): AsyncGenerator<{ row: string[]; line: number }> {
+  let row: string[] = [];
+  let value = '';
+  let inQuotes = false;
+  let line = 0;
+  let rowLine = 1;
+
+  for await (const text of lines) {
+    line++;
+    if (!inQuotes) rowLine = line;
+    else value += '\n';
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (inQuotes) {
+        if (char === '"' && text[i + 1] === '"') {
+          value += '"';
+          i++;
+        } else if (char === '"') inQuotes = false;
+        else value += char;
+      } else if (char === ',') {
+        row.push(value);
+        value = '';
+      } else if (char === '"' && value.length === 0) inQuotes = true;
+      else value += char;
+    }
+
+    if (inQuotes) continue;
+    row.push(value);
+    if (row.length > 1 || row[0].length > 0) yield { row, line: rowLine };
+    row = [];
+    value = '';
+  }
+
+  if (inQuotes)
+    throw new CliUsageError(`unterminated quoted CSV field starting on line ${rowLine}`);
+}
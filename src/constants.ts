@@ -1,83 +1,682 @@
-import { wordsToRemove } from './dictionary';
+import {
+  IdentifierPreset,
+  LanguageIndicators,
+  RomanizedIndicators,
+  RomanizedPack,
+  ScoringModel,
+  ScoringPreset,
+  ScriptName,
+} from './types';
 
 // ─── Cache Limits ─────────────────────────────────────────────────────────────
 
-export const FRANC_CACHE_LIMIT = 1000;
+/** Default limits of each validator's caches (see `CacheConfig`). */
+export const SECONDARY_CACHE_LIMIT = 1000;
+export const SECONDARY_CACHE_SIZE_LIMIT = 1_000_000;
 export const WORD_CACHE_LIMIT = 5000;
 
-// ─── Document ID Patterns ─────────────────────────────────────────────────────
+// ─── Dictionary Packs ─────────────────────────────────────────────────────────
 
-/** Document ID patterns used for matching (non-global). */
-export const DOCUMENT_PATTERNS_MATCH: readonly RegExp[] = [
+/** Format tag and version written into every dictionary pack. */
+export const DICTIONARY_PACK_FORMAT = 'english-validator/dictionary-pack';
+export const DICTIONARY_PACK_VERSION = 1;
+
+// ─── Scoring Model ────────────────────────────────────────────────────────────
+
+/**
+ * Built-in scoring models. `balanced` stays close to the former fixed
+ * rules: a ratio of 0.8 passes and the secondary detector confidently
+ * reporting English lifts a ratio of 0.7 over the line. The former 0.6
+ * threshold for texts of 4 words or fewer becomes an allowance of up to
+ * 0.2 that fades out by 5 words, so an explicit threshold now applies to
+ * every length.
+ */
+export const SCORING_PRESETS: Readonly<Record<ScoringPreset, Readonly<ScoringModel>>> = {
+  strict: {
+    threshold: 0.85,
+    heuristicWeight: 0.25,
+    secondaryWeight: 0.05,
+    lengthWeight: 0.1,
+    fullLengthWords: 4,
+  },
+  balanced: {
+    threshold: 0.8,
+    heuristicWeight: 0.1,
+    secondaryWeight: 0.1,
+    lengthWeight: 0.2,
+    fullLengthWords: 5,
+  },
+  lenient: {
+    threshold: 0.7,
+    heuristicWeight: 0.05,
+    secondaryWeight: 0.2,
+    lengthWeight: 0.3,
+    fullLengthWords: 8,
+  },
+};
+
+/**
+ * The secondary detector's relative score for English maps linearly onto
+ * the model's secondaryEnglish signal between these bounds: non-English
+ * text rarely scores English above 0.6, English text almost always scores
+ * it 0.9 or more.
+ */
+export const SECONDARY_ENGLISH_FLOOR = 0.6;
+export const SECONDARY_ENGLISH_CEILING = 0.9;
+
+// ─── Language Identification ──────────────────────────────────────────────────
+
+/** Weight of the secondary detector's score in detectLanguage; word heuristics get the rest. */
+export const LANGUAGE_SECONDARY_WEIGHT = 0.5;
+
+/** Candidates detectLanguage returns when topN is not given. */
+export const LANGUAGE_TOP_N_DEFAULT = 3;
+
+// ─── Trigram Detection ────────────────────────────────────────────────────────
+
+/** Shortest cleaned text the built-in trigram detector judges (shorter is `und`). */
+export const TRIGRAM_MIN_LENGTH = 10;
+
+/** Characters of input the built-in trigram detector reads; the rest is ignored. */
+export const TRIGRAM_MAX_LENGTH = 2048;
+
+/** Share of letters that must be Latin for the trigram profiles to apply. */
+export const TRIGRAM_MIN_LATIN_SHARE = 0.5;
+
+/**
+ * Cleaned text shorter than this is short: a few dozen trigrams, most
+ * seen once, rank several profiles almost alike.
+ */
+export const TRIGRAM_SHORT_LENGTH = 40;
+
+/**
+ * Score the best language must lead the runner-up by in short text;
+ * closer calls put `und` first.
+ */
+export const TRIGRAM_MIN_MARGIN = 0.06;
+
+// ─── Typo Tolerance ───────────────────────────────────────────────────────────
+
+/** Weight of a typo match in the English ratio (a dictionary hit counts 1). */
+export const TYPO_MATCH_WEIGHT = 0.5;
+
+/** Words shorter than this are never treated as typos. */
+export const TYPO_MIN_WORD_LENGTH = 3;
+
+/** Words shorter than this are only matched within edit distance 1. */
+export const TYPO_DISTANCE_2_MIN_LENGTH = 6;
+
+/** Leading characters the deletion index covers (SymSpell prefix length). */
+export const TYPO_PREFIX_LENGTH = 6;
+
+// ─── Gibberish Detection ──────────────────────────────────────────────────────
+
+/** Share of counted words that must look like gibberish for classifyText to say so. */
+export const GIBBERISH_THRESHOLD_DEFAULT = 0.5;
+
+/** Letter rows of a QWERTY keyboard, left to right. */
+export const KEYBOARD_ROWS: readonly string[] = ['qwertyuiop', 'asdfghjkl', 'zxcvbnm'];
+
+/** Neighbouring keys of one row typed in one direction ("asdf", "lkjh") that make a mash. */
+export const GIBBERISH_KEYBOARD_RUN = 4;
+
+/** Words this long or longer with no vowel, or nothing but vowels, look like gibberish. */
+export const GIBBERISH_VOWEL_MIN_LENGTH = 4;
+
+/** A one- to three-letter unit typed three or more times in a row ("aaa", "hjkhjkhjk"). */
+export const GIBBERISH_REPEAT_REGEX = /(.{1,3})\1{2,}/u;
+
+/**
+ * A word looks like gibberish when at least this share of its trigrams
+ * (padded with a space at each end) are in no English word nor in the
+ * secondary detector's language profile…
+ */
+export const GIBBERISH_NGRAM_SHARE = 0.5;
+
+/** …and less than this share of its letters are vowels (foreign words have their share). */
+export const GIBBERISH_MAX_VOWEL_SHARE = 0.25;
+
+// ─── Identifier Presets ───────────────────────────────────────────────────────
+
+/** ISO 4217 codes recognised next to amounts by the `currency` preset. */
+const CURRENCY_CODES = 'USD|EUR|GBP|JPY|CNY|INR|CHF|CAD|AUD|NZD|SEK|NOK|DKK|PLN|BRL|MXN|SGD|HKD';
+
+/** A decimal amount with optional thousands separators (1,299.00 or 1.299,00). */
+const AMOUNT = String.raw`\d{1,3}(?:[,.\u00a0]\d{3})*(?:[.,]\d{1,2})?|\d+(?:[.,]\d{1,2})?`;
+
+/**
+ * Patterns of each identifier preset, the single source for removal
+ * (`identifiers` option) and extraction (`extractIdentifiers`). All are
+ * global; a preset's patterns run in order, each over what the previous
+ * ones left.
+ */
+export const IDENTIFIER_PATTERNS: Readonly<Record<IdentifierPreset, readonly RegExp[]>> = {
+  // AEM-style document IDs: AEM01-WI-DSU06-SD01, AURG340-SF06, AEM01
+  document: [
+    /\b[A-Z]{2,6}\d{0,4}(-[A-Z]{2,6}\d{0,4}){1,4}\b/g,
+    /\b[A-Z]{2,6}\d{2,4}-[A-Z]{1,3}\d{1,3}\b/g,
+    /\b[A-Z]{2,6}\d{1,4}\b/g,
+    /\b[A-Z]{2,4}-[A-Z]{2,4}\d{2,4}\b/g,
+  ],
+  // Jira-style issue keys: PROJ-1234, ABC2-7 (but not the start of PN-4471-B)
+  jira: [/\b[A-Z][A-Z0-9]{1,9}-\d+\b(?!-[A-Z0-9])/g],
+  uuid: [/\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi],
+  // Abbreviated or full lowercase hashes with at least one digit and one letter,
+  // so hex-only words (defaced, facade) are left alone
+  'git-sha': [/\b(?=[0-9a-f]*\d)(?=[0-9a-f]*[a-f])[0-9a-f]{7,40}\b/g],
+  semver: [/(?<![\w.])v?\d+\.\d+\.\d+(?:-[0-9A-Za-z.-]+)?(?:\+[0-9A-Za-z.-]+)?(?![\w.]*\w)/g],
+  // ISO 8601 dates and date-times, then clock times (14:30, 09:15:00, 9:30pm)
+  'date-time': [
+    /\b\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?(?![\w:])/g,
+    /\b\d{1,2}:\d{2}(?::\d{2})?(?:\s?[ap]m)?\b/gi,
+  ],
+  // Absolute, home-relative and dot-relative paths; relative paths ending in
+  // a file name with an extension; Windows drive paths
+  'file-path': [
+    /(?<![\w/.~])(?:~|\.{1,2})?\/[\w.-]+(?:\/[\w.-]+)*\/?/g,
+    /\b[\w-]+(?:\/[\w.-]+)*\/[\w-]+\.[A-Za-z0-9]{1,5}\b/g,
+    /\b[A-Za-z]:\\(?:[\w.-]+\\?)*/g,
+  ],
+  // Upper-case part numbers with letters and digits: SKU-12345, PN-4471-B, WX1000BLK
+  sku: [
+    /\b(?=[A-Z0-9-]*\d)(?=[A-Z0-9-]*[A-Z])[A-Z0-9]{2,}(?:-[A-Z0-9]+)+\b/g,
+    /\b(?=[A-Z0-9]*\d)(?=[A-Z0-9]*[A-Z])[A-Z0-9]{5,}\b/g,
+  ],
+  // IPv4 with optional port or CIDR suffix, then IPv6 (full or compressed)
+  ip: [
+    /\b(?:(?:25[0-5]|2[0-4]\d|1?\d?\d)\.){3}(?:25[0-5]|2[0-4]\d|1?\d?\d)(?::\d{1,5}|\/\d{1,2})?\b/g,
+    /(?<![\w:])(?:[0-9a-f]{1,4}:){7}[0-9a-f]{1,4}(?![\w:])/gi,
+    /(?<![\w:])(?:[0-9a-f]{1,4}(?::[0-9a-f]{1,4})*)?::(?:[0-9a-f]{1,4}(?::[0-9a-f]{1,4})*)?(?![\w:])/gi,
+  ],
+  // Amounts with a currency symbol or ISO 4217 code on either side
+  currency: [
+    new RegExp(String.raw`[$€£¥₹]\s?(?:${AMOUNT})(?:\s?(?:k|m|bn)\b)?`, 'gi'),
+    new RegExp(String.raw`\b(?:${AMOUNT})\s?(?:€|(?:${CURRENCY_CODES})\b)`, 'g'),
+    new RegExp(String.raw`\b(?:${CURRENCY_CODES})\s?(?:${AMOUNT})\b`, 'g'),
+  ],
+};
+
+/**
+ * Every identifier preset, in the order they are applied: specific
+ * formats first, so a UUID or a date is not half-eaten by a looser pattern.
+ */
+export const IDENTIFIER_PRESETS: readonly IdentifierPreset[] = [
+  'uuid',
+  'ip',
+  'date-time',
+  'semver',
+  'currency',
+  'file-path',
+  'git-sha',
+  'jira',
+  'document',
+  'sku',
+];
+
+/**
+ * Document IDs that `matchesDocumentPattern` recognises. Every one carries
+ * a digit, unlike the looser `document` removal patterns, which also strip
+ * digit-free codes such as "WI-DSU" (and "WI-FI").
+ */
+export const DOCUMENT_ID_PATTERNS: readonly RegExp[] = [
   /\b[A-Z]{2,6}\d{1,4}(-[A-Z]{1,3}\d{1,4}){1,3}\b/,
   /\b[A-Z]{2,6}\d{2,4}-[A-Z]{1,3}\d{1,3}\b/,
   /\b[A-Z]{2,6}\d{1,4}\b/,
 ];
 
-/** Document ID patterns used for removal (global flag). */
-export const DOCUMENT_PATTERNS_REMOVE: readonly RegExp[] = [
-  /\b[A-Z]{2,6}\d{0,4}(-[A-Z]{2,6}\d{0,4}){1,4}\b/g,
-  /\b[A-Z]{2,6}\d{2,4}-[A-Z]{1,3}\d{1,3}\b/g,
-  /\b[A-Z]{2,6}\d{1,4}\b/g,
-  /\b[A-Z]{2,4}-[A-Z]{2,4}\d{2,4}\b/g,
-];
+/** Presets removed before analysis when the `identifiers` option is not set. */
+export const DEFAULT_IDENTIFIER_PRESETS: readonly IdentifierPreset[] = ['document'];
 
 // ─── Non-English Detection Patterns ──────────────────────────────────────────
 
+/** Danish/Norwegian pronouns and determiners, shared by both languages. */
+const SCANDINAVIAN_VOCABULARY =
+  'jeg mig min mit mine dig din dit dine han ham hans hun hende hendes den det de dem deres denne dette disse';
+
+/**
+ * Per-language heuristics, keyed by ISO 639-3 code: characters, word
+ * endings, common vocabulary and function words (articles/prepositions).
+ * A word may be listed for several languages. The combined patterns below
+ * are derived from this table, and `detectLanguage` uses it to attribute
+ * matches to languages.
+ */
+export const LANGUAGE_INDICATORS: readonly LanguageIndicators[] = [
+  {
+    language: 'deu',
+    characters: 'äöüß',
+    endings: 'keit schaft',
+    vocabulary:
+      'und oder wann aber kann wenn weil dass ob für nicht kein keine nur sehr schon noch jetzt ' +
+      'immer wieder möchte würde hätte könnte sollte müsste dürfte er',
+    functionWords: 'der die das den dem des ein eine einen einem einer eines mit',
+  },
+  {
+    language: 'fra',
+    characters: 'éèêëàâçùûÿæœ',
+    endings: 'eur',
+    vocabulary:
+      'est sont était être avoir faire dire voir pouvoir vouloir devoir falloir savoir quand où ' +
+      'pourquoi qui quel quelle quels quelles ce cette ces cet en je et',
+    functionWords: 'le la les du des dans avec sans sur sous entre',
+  },
+  {
+    language: 'spa',
+    characters: 'ñáíóú¡¿',
+    endings: 'ción mente',
+    vocabulary:
+      'que como porque pero cuando donde quien cual este esta estos estas ese esa esos esas ' +
+      'aquel aquella aquellos aquellas en es',
+    functionWords: 'el la los las del al con sin por',
+  },
+  {
+    language: 'ita',
+    characters: 'àèéìòù',
+    endings: 'zione mente',
+    vocabulary:
+      'sono sei è siamo siete essere avere fare dire andare vedere dare sapere potere volere ' +
+      'come quando dove perché chi quale quali',
+    functionWords: 'il lo gli la',
+  },
+  {
+    language: 'nld',
+    characters: '',
+    endings: 'baar lijk',
+    vocabulary:
+      'en hoe er wanneer je stel kritiek maar want omdat hoewel terwijl tenzij indien toen ' +
+      'totdat voordat nadat zodat mits toch dus immers namelijk',
+    functionWords: 'het een op aan voor met door de',
+  },
+  {
+    language: 'por',
+    characters: 'áâãàçéêíóôõú',
+    endings: 'agem ção mente',
+    vocabulary:
+      'eu tu ele ela nós vós eles elas isto isso aquilo mesmo mesma mesmos mesmas próprio ' +
+      'própria próprios próprias que como',
+    functionWords: 'os dos das nos nas um uma',
+  },
+  {
+    language: 'tur',
+    characters: 'şğıçöü',
+    endings: '',
+    vocabulary:
+      'ben sen biz siz onlar bana sana ona bize size onlara benim senin onun bizim sizin onların',
+    functionWords: '',
+  },
+  {
+    language: 'dan',
+    characters: 'åøæ',
+    endings: '',
+    vocabulary: `${SCANDINAVIAN_VOCABULARY} kritisk`,
+    functionWords: '',
+  },
+  {
+    language: 'nob',
+    characters: 'åøæ',
+    endings: '',
+    vocabulary: `${SCANDINAVIAN_VOCABULARY} kritisk`,
+    functionWords: '',
+  },
+  {
+    language: 'pol',
+    characters: 'ąćęłńśźżó',
+    endings: '',
+    vocabulary: '',
+    functionWords: '',
+  },
+];
+
+/** Word-list alternation for a space-separated list, or null when it is empty. */
+const wordList = (words: string): string | null =>
+  words.trim() ? words.trim().split(/\s+/).join('|') : null;
+
+/** The non-empty lists of one kind across every language. */
+const everyList = (kind: 'endings' | 'vocabulary' | 'functionWords'): string[] =>
+  LANGUAGE_INDICATORS.map((entry) => wordList(entry[kind])).filter(
+    (list): list is string => list !== null,
+  );
+
 /**
  * Single combined regex for non-English European characters.
  * Covers German (äöüß), French (éèêë), Spanish (ñ), Italian (ìò),
- * Scandinavian (åøæ), Polish (łńś), and Turkish (şğı).
+ * Portuguese (ãõ), Scandinavian (åøæ), Polish (łńś), and Turkish (şğı).
  */
-export const NON_ENGLISH_CHARS_REGEX = /[äöüßéèêëàâçùûÿæœáíóúñ¡¿ìòåøąćęłńśźżşğı]/i;
+export const NON_ENGLISH_CHARS_REGEX = new RegExp(
+  `[${[...new Set(LANGUAGE_INDICATORS.flatMap((entry) => [...entry.characters]))].join('')}]`,
+  'i',
+);
 
 /**
  * Single combined regex for word suffixes typical of non-English languages.
  * German (-keit, -schaft), Spanish (-ción), Italian (-zione),
  * Dutch (-baar, -lijk), Portuguese (-agem, -ção), French (-eur).
  */
-export const NON_ENGLISH_ENDINGS_REGEX =
-  /(?:keit|schaft|ción|zione|mente|baar|lijk|eur|agem|ção)$/i;
+export const NON_ENGLISH_ENDINGS_REGEX = new RegExp(`(?:${everyList('endings').join('|')})$`, 'i');
 
 /** Non-English articles and prepositions from multiple European languages. */
-export const NON_ENGLISH_FUNCTION_WORDS_REGEX =
-  /^(le|la|les|du|des|dans|avec|sans|sur|sous|entre|el|los|las|del|al|con|sin|por|der|die|das|den|dem|des|ein|eine|einen|einem|einer|eines|mit|il|lo|gli|het|een|op|aan|voor|met|door|os|dos|das|nos|nas|um|uma)$/i;
-
-/** Non-English vocabulary patterns grouped by language family. */
-export const NON_ENGLISH_WORD_PATTERNS: readonly RegExp[] = [
-  /^(und|oder|Wann|aber|Kann|wenn|weil|dass|ob|für|nicht|kein|keine|nur|sehr|schon|noch|jetzt|immer|wieder|möchte|würde|hätte|könnte|sollte|müsste|dürfte)$/i,
-  /^(que|como|porque|pero|cuando|donde|quien|cual|este|esta|estos|estas|ese|esa|esos|esas|aquel|aquella|aquellos|aquellas)$/i,
-  /^(est|sont|était|être|avoir|faire|dire|voir|pouvoir|vouloir|devoir|falloir|savoir|quand|où|pourquoi|qui|quel|quelle|quels|quelles|ce|cette|ces|cet)$/i,
-  /^(sono|sei|è|siamo|siete|sono|essere|avere|fare|dire|andare|vedere|dare|sapere|potere|volere|come|quando|dove|perché|chi|quale|quali)$/i,
-  /^(en|hoe|es|Er|Wanneer|je|stel|kritiek|et|kritisk|maar|want|omdat|hoewel|terwijl|tenzij|indien|toen|totdat|voordat|nadat|zodat|mits|toch|dus|immers|namelijk)$/i,
-  /^(eu|tu|ele|ela|nós|vós|eles|elas|isto|isso|aquilo|mesmo|mesma|mesmos|mesmas|próprio|própria|próprios|próprias)$/i,
-  /^(ben|sen|biz|siz|onlar|bana|sana|ona|bize|size|onlara|benim|senin|onun|bizim|sizin|onların)$/i,
-  /^(jeg|mig|min|mit|mine|dig|din|dit|dine|han|ham|hans|hun|hende|hendes|den|det|de|dem|deres|denne|dette|disse)$/i,
+export const NON_ENGLISH_FUNCTION_WORDS_REGEX = new RegExp(
+  `^(?:${everyList('functionWords').join('|')})$`,
+  'i',
+);
+
+/** Non-English vocabulary patterns, one per language. */
+export const NON_ENGLISH_WORD_PATTERNS: readonly RegExp[] = everyList('vocabulary').map(
+  (list) => new RegExp(`^(?:${list})$`, 'i'),
+);
+
+// ─── Romanized Indicator Packs ────────────────────────────────────────────────
+
+/**
+ * One Hanyu Pinyin syllable without its tone mark (ü may be written v).
+ * A bare "o" final only follows b, p, m, f, w or y, which keeps "no1"
+ * and "go2" out.
+ */
+const PINYIN_SYLLABLE =
+  '(?:(?:[zcs]h|[bpmfdtnlgkhjqxrzcsyw])?(?:iang|iong|uang|ueng|ang|eng|ong|iao|ian|ing|uai|uan|' +
+  'ai|ei|ao|ou|an|en|er|ia|ie|iu|in|ua|uo|ui|un|ve|ue|a|e|i|u|v)|[bpmfwy]?o)';
+
+/**
+ * Words typical of each romanized indicator pack. The screen runs before
+ * the dictionary, so lists leave out every word the full English
+ * dictionary has ("main", "hum", "yaar", "sama"), as well as geographical
+ * terms, which preprocessing removes anyway.
+ */
+export const ROMANIZED_INDICATORS: readonly RomanizedIndicators[] = [
+  {
+    pack: 'hindi',
+    vocabulary:
+      'kya kyaa haal hai bhaiya nahi nahin nhi acha accha achha thik kaise kaisa kaisi mera ' +
+      'tera teri tere tumhe tumko tumhara humein hamara aap aapka aapko bohot bahot kuch ' +
+      'kuchh kyun kyunki lekin aur abhi mujhe mujhko tujhe karna karenge raha rahi rahe gaya ' +
+      'gayi hoga hogi chalo dekho suno pata pyaar pyar ghar khana paani milte milenge kal ' +
+      'jaldi bilkul shukriya dhanyavad matlab samajh zaroor zaruri sahi galat kahan yahan ' +
+      'wahan kaun kitna kitne apna apni woh wala baat dil hota hoti karta karti sakta sakti ' +
+      'chahiye thoda zyada phir ke ki ko',
+  },
+  {
+    pack: 'arabic',
+    vocabulary:
+      'inshaallah mashaallah alhamdulillah hamdulillah wallahi yalla yallah habibi habibti ' +
+      'khalas shukran afwan ahlan marhaba salam assalamu alaikum alaykum kifak kifik keefak ' +
+      'shou enta enti inta akhi ukhti leh mish mafi tamam kwayes kwayyis ezzay izzay eih ehna ' +
+      'ihna lyoum elyoum alyoum bukra bokra mabrook mabrouk yani daba bzaf wakha mzyan zwin ' +
+      'labas bghit nkhalas',
+    // Arabizi: digits for Arabic letters (3 ع, 7 ح, 5 خ, 2 ء, 9 ق, 6 ط) — "3ala", "ma3a",
+    // "7abibi". A word starts with 3/7 + vowel or has the digit between letters, and has
+    // at least three letters and a vowel, so "5th", "9am" and "b2b" stay out.
+    numeralWord:
+      '(?=[a-z]*\\d)(?=(?:\\d*[a-z]){3})(?=[a-z\\d]*[aeiou])' +
+      '(?:[37](?=[aeiou])|[a-z])(?:[a-z]|[235679](?=[a-z]))*',
+  },
+  {
+    pack: 'pinyin',
+    vocabulary:
+      'nihao xiexie zaijian duibuqi meiyou shenme weishenme zenme zenmeyang xianzai zhidao ' +
+      'keyi jintian mingtian zuotian pengyou laoshi xuesheng zhongguo zhongwen hanyu xiao zhe ' +
+      'zhege nage nali qing qingwen buhao haode bushi jiayou gongxi facai kuaile shengri ' +
+      'huanying renshi gaoxing nimen tamen wode shuo zhen zhende feichang yidian yixia yiqi ' +
+      'yijing haishi danshi suoyi yinwei ruguo keshi jiu zai xiang juede xihuan',
+    // Tone numbers: "ni3", "ni3hao3", "xie4xie" — syllables with at least one tone digit
+    numeralWord: `(?=[a-z\\d]{3})(?=[a-z]*[1-5])(?:${PINYIN_SYLLABLE}[1-5]?)+`,
+  },
+  {
+    pack: 'tagalog',
+    vocabulary:
+      'kumusta kamusta salamat opo ako ikaw siya tayo sila ang ng mga naman lang talaga sige ' +
+      'ano bakit paano saan kailan maganda ganda mahal ka na ito iyan iyon yung yun nga pala ' +
+      'kasi kaya meron mayroon ayaw ingat mabuti magandang umaga gabi hapon kuya lola lolo ' +
+      'tito tita anak sobra grabe dito nasaan puwede pwede alam tulog kumain',
+  },
+  {
+    pack: 'malay',
+    vocabulary:
+      'apa khabar terima kasih banyak saya kamu dia mereka tidak bukan sudah belum sedang ' +
+      'boleh mau ingin sangat lagi dengan untuk ini itu ada macam bagus selamat pagi siang ' +
+      'jalan makan minum aku engkau kau anda kita bisa sini tahu baru kok sih nggak enggak ' +
+      'tapi atau kalau kalo karena kerana supaya hari rumah besar kecil baik cantik jumpa ' +
+      'berapa bila bagaimana kenapa mengapa siapa dimana sekarang nanti besok esok semalam ' +
+      'sayang betul benar salah jangan pergi datang pulang kerja belajar',
+  },
 ];
 
-// ─── Geographical Term Patterns ───────────────────────────────────────────────
+/** Every romanized indicator pack — the default for `romanizedPacks`. */
+export const ROMANIZED_PACKS: readonly RomanizedPack[] = ROMANIZED_INDICATORS.map(
+  (entry) => entry.pack,
+);
 
-/** Precompiled geographical term patterns — built once at module load. */
-export const GEO_TERM_PATTERNS: readonly RegExp[] = wordsToRemove.map(
-  ([word]: [string, boolean]) => new RegExp(`\\b${word}\\b|\\b${word}s\\b`, 'i'),
+/** Whole-word regex for each romanized indicator pack, in pack order. */
+export const ROMANIZED_WORD_PATTERNS: ReadonlyMap<RomanizedPack, RegExp> = new Map(
+  ROMANIZED_INDICATORS.map(({ pack, vocabulary, numeralWord }) => {
+    const alternatives = [wordList(vocabulary), numeralWord].filter(Boolean);
+    return [pack, new RegExp(`^(?:${alternatives.join('|')})$`, 'i')];
+  }),
 );
 
+// ─── Markup Patterns ──────────────────────────────────────────────────────────
+
+/** HTML comments (an unterminated comment runs to the end of the input). */
+export const HTML_COMMENT_REGEX = /<!--[\s\S]*?(?:-->|$)/g;
+
+/** `<script>` and `<style>` elements, content included. */
+export const HTML_RAW_TEXT_REGEX = /<(script|style)\b[^>]*>[\s\S]*?(?:<\/\1\s*>|$)/gi;
+
+/** Code elements (`<code>`, `<pre>`, `<kbd>`, `<samp>`), content included. */
+export const HTML_CODE_REGEX = /<(code|pre|kbd|samp)\b[^>]*>[\s\S]*?(?:<\/\1\s*>|$)/gi;
+
+/** Opening/closing tags with their attributes, plus `<!DOCTYPE …>`-style declarations. */
+export const HTML_TAG_REGEX = /<\/?[a-z][^\s/>]*(?:[^>"']|"[^"]*"|'[^']*')*>|<![^>]*>/gi;
+
+/** Named and numeric character references (`&eacute;`, `&#233;`, `&#xE9;`). */
+export const HTML_ENTITY_REGEX = /&(?:#\d{1,7}|#x[\da-f]{1,6}|[a-z][a-z\d]{1,31});/gi;
+
+/** Fenced code blocks (``` or ~~~); an unclosed fence runs to the end of the input. */
+export const MARKDOWN_FENCE_REGEX =
+  /^ {0,3}(`{3,}|~{3,})[^\n]*(?:\n[\s\S]*?)?(?:\n {0,3}\1[`~]*[ \t]*$|(?![\s\S]))/gm;
+
+/** Inline code spans delimited by equal runs of backticks. */
+export const MARKDOWN_CODE_SPAN_REGEX = /(`+)(?!`)[\s\S]*?[^`]\1(?!`)/g;
+
+/** The `](destination "title")` part of links and images; the link text is kept. */
+export const MARKDOWN_LINK_DESTINATION_REGEX =
+  /\]\((?:<[^>\n]*>|[^()\s]*(?:\([^()\s]*\)[^()\s]*)*)(?:\s+(?:"[^"\n]*"|'[^'\n]*'|\([^)\n]*\)))?\s*\)/g;
+
+/** Link reference definitions (`[id]: https://example.com "Title"`). */
+export const MARKDOWN_REFERENCE_DEFINITION_REGEX = /^ {0,3}\[[^\]\n]+\]:[ \t]*\S+.*$/gm;
+
+/** Absolute URLs with a scheme, and bare `www.` addresses. */
+export const URL_REGEX = /\b(?:[a-z][a-z\d+.-]*:\/\/|www\.)[^\s<>"'`]+/gi;
+
+/** Email addresses, with an optional `mailto:` prefix. */
+export const EMAIL_REGEX = /(?:\bmailto:)?[\w.+-]+@[a-z\d-]+(?:\.[a-z\d-]+)+/gi;
+
+/** @mentions not preceded by a word character (so email addresses are left alone). */
+export const MENTION_REGEX =
+  /(?<![\p{L}\p{N}_@])@[\p{L}\p{N}_](?:[\p{L}\p{N}_.-]*[\p{L}\p{N}_])?/gu;
+
+/** #hashtags starting with a letter (C# and issue numbers like #42 are left alone). */
+export const HASHTAG_REGEX = /(?<![\p{L}\p{N}_#&])#[\p{L}_][\p{L}\p{N}_]*/gu;
+
+/** Emoji shortcodes such as `:smile:` or `:+1:` (not times like 10:30:00). */
+export const EMOJI_SHORTCODE_REGEX = /(?<![\p{L}\p{N}:]):[a-z\d_+-]+:(?![\p{L}\p{N}])/giu;
+
+// ─── Technical Text ───────────────────────────────────────────────────────────
+
+/**
+ * Whole lines of stack traces and logs, removed in technical mode:
+ * JavaScript, Java and .NET frames, Python tracebacks, exception
+ * headlines, Go panics, timestamp- or level-led log lines and shell
+ * prompts. Each pattern matches one line, without its line break.
+ */
+export const TECHNICAL_LINE_PATTERNS: readonly RegExp[] = [
+  // at handler (/app/server.js:42:7), at /app/x.js:3:1, at com.acme.Foo.bar(Foo.java:12),
+  // at Foo.Bar() in C:\src\Foo.cs:line 9 — but not prose such as "at 10:30 we met"
+  /^[ \t]*at (?:[^\n]*\((?:[^()\n]*[A-Za-z][^()\n]*:\d+(?::\d+)?|native|<anonymous>|index \d+|Native Method|Unknown Source)\)|[^\s()]*[A-Za-z][^\s()]*:\d+:\d+|[^\n]* in [^\n]*:line \d+)[ \t]*$/gm,
+  /^[ \t]*Traceback \(most recent call last\):[ \t]*$/gm,
+  /^[ \t]*File "[^"\n]+", line \d+[^\n]*$/gm,
+  // TypeError: …, java.lang.IllegalStateException, Exception in thread "main" …
+  /^[ \t]*(?:[A-Za-z_]\w*\.)*[A-Z]\w*(?:Error|Exception|Warning|Fault)\b(?::[^\n]*)?$/gm,
+  /^[ \t]*(?:Exception in thread|Caused by:) [^\n]*$/gm,
+  /^[ \t]*\.\.\. \d+ (?:more|common frames omitted)[ \t]*$/gm,
+  /^[ \t]*(?:goroutine \d+ \[[^\]\n]*\]:|panic: [^\n]*)$/gm,
+  // 2024-03-01 12:00:03 …, [2024-03-01T12:00:03Z] …, Mar  1 12:00:03 host …
+  /^[ \t]*\[?\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}[^\n]*$/gm,
+  /^[ \t]*(?:Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec) {1,2}\d{1,2} \d{2}:\d{2}:\d{2} [^\n]*$/gm,
+  /^[ \t]*\[?(?:TRACE|DEBUG|INFO|WARN|WARNING|ERROR|FATAL|CRITICAL|SEVERE)\]?(?::|[ \t])[^\n]*$/gm,
+  /^[ \t]*\$ [^\n]*$/gm,
+];
+
+/**
+ * Indented code blocks: lines indented by four spaces or a tab, starting
+ * the input or following a blank line, as Markdown reads them.
+ */
+export const INDENTED_CODE_REGEX = /(?<=^[ \t]*\n?|\n[ \t]*\n)(?:(?: {4}|\t)[^\n]*(?:\n|$))+/g;
+
+/**
+ * Identifiers split into words in technical mode: camelCase, PascalCase
+ * with two humps or more, snake_case, SCREAMING_CASE and dotted member
+ * paths whose parts are two characters or longer (os.path.join, but not
+ * "e.g").
+ */
+export const IDENTIFIER_REGEX =
+  /(?<![\w.])(?=[\w.]*(?:[a-z\d][A-Z]|[A-Z]{2}[a-z]{2}|[A-Za-z\d]_[A-Za-z\d]|\w{2}\.[A-Za-z_]\w))[A-Za-z_]\w*(?:\.[A-Za-z_]\w*)*/g;
+
+/** Words of an identifier: upper-case runs, capitalised or lower-case words, digit runs. */
+export const IDENTIFIER_PART_REGEX = /[A-Z]+(?![a-z])|[A-Z]?[a-z]+|\d+/g;
+
+/**
+ * Programming terms counted as English in technical mode, lowercase:
+ * abbreviations and jargon a dictionary may lack, and the identifier parts
+ * splitting leaves behind ("req", "ctx", "utf8"). Checked before the
+ * non-English screens, which would read "sha1" as pinyin.
+ */
+export const PROGRAMMING_TERMS: ReadonlySet<string> = new Set(
+  [
+    'api apis sdk cli gui ui ux url urls uri http https tcp udp dns ssh ssl tls cors csrf', // protocols
+    'json yaml yml xml csv toml html css sql nosql graphql grpc regex regexp utf8 ascii', // formats
+    'js ts jsx tsx npm npx pnpm repo repos env dev prod qa ci cd wip todo readme changelog', // tooling
+    'async const enum bool boolean str int uint int32 int64 float32 float64 func fn var val', // keywords
+    'args argv param params config configs init impl util utils lib libs src dist tmp dir', // code words
+    'ctx req res err msg obj arr num len idx ptr buf btn cb fd pid uid gid uuid guid', // short names
+    'stdin stdout stderr localhost hostname namespace middleware dotenv linter nullable', // runtime
+    'os auth oauth oauth2 jwt db sha sha1 sha256 md5 base64 ipv4 ipv6 i18n l10n k8s', // security, infra
+  ]
+    .join(' ')
+    .split(' '),
+);
+
+// ─── Script Profiling ─────────────────────────────────────────────────────────
+
+/** Share of non-Latin letters above which text is rejected without word analysis. */
+export const NON_LATIN_SCRIPT_THRESHOLD = 0.5;
+
+/** Scripts the profile reports by name, checked in order; other letters count as `Other`. */
+export const SCRIPT_PATTERNS: readonly [ScriptName, RegExp][] = (
+  [
+    'Latin',
+    'Cyrillic',
+    'Greek',
+    'Armenian',
+    'Georgian',
+    'Hebrew',
+    'Arabic',
+    'Devanagari',
+    'Bengali',
+    'Tamil',
+    'Thai',
+    'Han',
+    'Hiragana',
+    'Katakana',
+    'Hangul',
+  ] as const
+).map((script): [ScriptName, RegExp] => [script, new RegExp(`\\p{Script=${script}}`, 'u')]);
+
+/**
+ * A letter of a script written without spaces between words (Chinese,
+ * Japanese, Thai, Lao, Khmer, Myanmar). Runs of these are counted one
+ * token per character rather than as a single giant word.
+ */
+export const UNSEGMENTED_SCRIPT_REGEX =
+  /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}\p{Script=Lao}\p{Script=Khmer}\p{Script=Myanmar}]/u;
+
 // ─── Text Processing Patterns ─────────────────────────────────────────────────
 
-/** Regex to strip punctuation from individual words. */
-export const WORD_PUNCTUATION_REGEX = /['''\-""`~!@#$%^&*()+={}[\]|\\:";'<>?,./]/g;
+/**
+ * Punctuation inside a word token (the dots of "U.S.A", the colon of
+ * "foo:bar"), stripped before the word is classified. Apostrophes stay for
+ * contraction and possessive handling.
+ */
+export const WORD_PUNCTUATION_REGEX = /[^\p{L}\p{M}\p{N}']/gu;
 
 /** Regex for collapsing whitespace runs. */
 export const WHITESPACE_REGEX = /\s+/g;
 
-/** Regex to strip non-letter/non-whitespace Unicode characters. */
-export const NON_LETTER_REGEX = /[^\p{L}\s.,!?:;'"()-]/gu;
+/**
+ * Regex to strip all but letters, combining marks, digits, currency signs,
+ * whitespace and the punctuation the tokenizer reads (decimal points,
+ * fractions, percentages, apostrophes).
+ */
+export const NON_LETTER_REGEX = /[^\p{L}\p{M}0-9\p{Sc}\s.,!?:;'"()%/-]/gu;
+
+/** Typographic apostrophes, quotes and primes, normalised to their ASCII forms. */
+export const TYPOGRAPHIC_QUOTE_REGEX = /[‘’‚‛ʼ′“-‟″]/g;
+
+/** ASCII form of each character matched by {@link TYPOGRAPHIC_QUOTE_REGEX}. */
+export const TYPOGRAPHIC_QUOTES: Readonly<Record<string, string>> = {
+  '‘': "'",
+  '’': "'",
+  '‚': "'",
+  '‛': "'",
+  ʼ: "'",
+  '′': "'",
+  '“': '"',
+  '”': '"',
+  '„': '"',
+  '‟': '"',
+  '″': '"',
+};
 
 /** Regex that matches only English-compatible characters. */
 export const ENGLISH_CHARS_REGEX = /^[a-zA-Z0-9'-]+$/;
 
-/** Regex for standalone numeric strings. */
-export const NUMBERS_ONLY_REGEX = /^\d+$/;
+/**
+ * Units recognised after a number, lowercase: "10km", "3.5GB", "100 ms",
+ * "9am", "2x". Single letters and "in" only count written straight after
+ * the number ("5m", "12in") — spaced, they are usually ordinary words.
+ */
+export const MEASUREMENT_UNITS: ReadonlySet<string> = new Set(
+  [
+    'nm mm cm m km in ft yd mi sqm sqft ml cl dl l gal', // length, area, volume
+    'mg g kg t lb lbs oz', // mass
+    'ns ms s sec secs min mins h hr hrs d wk wks yr yrs am pm', // time
+    'b kb mb gb tb pb kib mib gib tib bps kbps mbps gbps fps rpm', // data and rates
+    'mph kph kmh hz khz mhz ghz w kw mw kwh v mv kv a ma mah', // speed, frequency, power
+    'px pt em rem dpi ppi c f', // screens, type, temperature
+    'k bn mn x', // magnitudes and multipliers
+  ]
+    .join(' ')
+    .split(' '),
+);
+
+/** Magnitudes after a currency amount: "$5k", "€2.5bn", "£3 million". */
+export const CURRENCY_MAGNITUDES: ReadonlySet<string> = new Set(
+  'k m b bn mn thousand million billion trillion'.split(' '),
+);
+
+/**
+ * Paragraph boundary for streaming detection: a blank line. The capture
+ * group is the separator, which is dropped between chunks.
+ */
+export const PARAGRAPH_BOUNDARY_REGEX = /(\n\s*\n\s*)/;
+
+/**
+ * Sentence boundary for streaming detection: terminal punctuation (plus any
+ * closing quote or bracket) followed by whitespace, or a blank line. The
+ * capture group is the separator; the punctuation stays with the sentence.
+ */
+export const SENTENCE_BOUNDARY_REGEX = /(?:[.!?]+["'\u201D\u2019)\]]*(?=\s)|(?=\n\s*\n))(\s+)/;
+
+/** A lowercase word followed by a number (web3, covid19); the group is the word. */
+export const TRAILING_NUMBER_REGEX = /^([a-z]+)\d+$/;
 
 /** Regex for uppercase abbreviations (2+ uppercase letters, optionally with digits). */
 export const ABBREVIATION_REGEX = /^[A-Z]{2,}[0-9]*$/;
@@ -0,0 +1,94 @@
+import { createLruCache } from './cache';
+import { loadDictionaryPack } from './dictionary-pack';
+import { SECONDARY_CACHE_LIMIT, SECONDARY_CACHE_SIZE_LIMIT, WORD_CACHE_LIMIT } from './constants';
+import { trigramDetector } from './trigram-detector';
+import {
+  DictionaryPack,
+  LayeredDictionary,
+  ValidatorConfig,
+  ValidatorContext,
+  WordLookup,
+} from './types';
+
+// ─── Validator Context ────────────────────────────────────────────────────────
+
+/** Whether a lookup can also list its words (sets, sorted word lists, packs). */
+function isIterable(lookup: WordLookup): lookup is WordLookup & Iterable<string> {
+  return typeof (lookup as Partial<Iterable<string>>)[Symbol.iterator] === 'function';
+}
+
+/**
+ * Layers runtime additions, removals and extra word lists over a base
+ * lookup. Removals win over everything, additions over the extra lists,
+ * and the extra lists over the base. The base is never modified.
+ *
+ * @param base   - Lookup consulted last (the built-in dictionary)
+ * @param config - Initial additions, removals and extra word lists
+ * @returns A mutable layered dictionary
+ */
+export function createLayeredDictionary(
+  base: WordLookup,
+  config: Omit<ValidatorConfig, 'defaults'> = {},
+): LayeredDictionary {
+  const added = new Set<string>();
+  const removed = new Set<string>();
+  const lookups: WordLookup[] = (config.dictionaries ?? []).map((dictionary) => {
+    if (Array.isArray(dictionary)) return new Set(dictionary.map((word) => word.toLowerCase()));
+    const lookup = dictionary as WordLookup | DictionaryPack;
+    return 'has' in lookup ? lookup : loadDictionaryPack(lookup);
+  });
+
+  const dictionary: LayeredDictionary = {
+    has(word) {
+      if (removed.has(word)) return false;
+      if (added.has(word)) return true;
+      return lookups.some((lookup) => lookup.has(word)) || base.has(word);
+    },
+    add(words) {
+      for (const word of words) {
+        const lower = word.toLowerCase();
+        removed.delete(lower);
+        added.add(lower);
+      }
+    },
+    remove(words) {
+      for (const word of words) {
+        const lower = word.toLowerCase();
+        added.delete(lower);
+        removed.add(lower);
+      }
+    },
+    wordLists: () => [added, ...lookups, base].filter(isIterable),
+  };
+
+  dictionary.add(config.addWords ?? []);
+  dictionary.remove(config.removeWords ?? []);
+  return dictionary;
+}
+
+/**
+ * Creates the dictionary and caches one validator threads through the
+ * detection pipeline. The base dictionary is passed in so each entry point
+ * only bundles the dictionary it uses.
+ *
+ * @param base   - The entry point's built-in dictionary
+ * @param config - Dictionary layers over the base and cache options
+ * @returns A fresh context with empty caches
+ */
+export function createValidatorContext(
+  base: WordLookup,
+  config: Omit<ValidatorConfig, 'defaults'> = {},
+): ValidatorContext {
+  return {
+    dictionary: createLayeredDictionary(base, config),
+    wordCache: createLruCache(
+      { maxEntries: WORD_CACHE_LIMIT, maxSize: Infinity },
+      config.caches?.word,
+    ),
+    secondaryCache: createLruCache(
+      { maxEntries: SECONDARY_CACHE_LIMIT, maxSize: SECONDARY_CACHE_SIZE_LIMIT },
+      config.caches?.secondary,
+    ),
+    secondaryDetector: config.secondaryDetector ?? trigramDetector,
+  };
+}
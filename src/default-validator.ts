@@ -0,0 +1,32 @@
+import { createValidatorContext } from './context';
+import { englishDictionary } from './dictionary';
+import { Validator, ValidatorConfig } from './types';
+import { bindValidator } from './validator';
+
+// ─── Default Validator ────────────────────────────────────────────────────────
+
+/** Context behind the top-level API: the built-in dictionary, no layers. */
+export const defaultContext = createValidatorContext(englishDictionary);
+
+/** The validator behind the top-level API of the main and Node.js entry points. */
+export const defaultValidator = bindValidator(defaultContext);
+
+/**
+ * Creates a validator with its own caches and a dictionary layered over
+ * the built-in one, so different parts of an application can use
+ * different vocabularies without polluting each other's results.
+ *
+ * @param config - Dictionary layers and default detection options
+ * @returns An independent validator
+ *
+ * @example
+ * const support = createValidator({
+ *   addWords: ["Kubernetes", "Grafana"],
+ *   defaults: { englishThreshold: 0.7 },
+ * });
+ * support.isEnglish("Restart Kubernetes and check Grafana"); // true
+ * isEnglish("Restart Kubernetes and check Grafana");         // false (default instance)
+ */
+export function createValidator(config: ValidatorConfig = {}): Validator {
+  return bindValidator(createValidatorContext(englishDictionary, config), config.defaults);
+}
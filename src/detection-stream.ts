@@ -0,0 +1,64 @@
+import { Transform } from 'stream';
+import { defaultContext } from './default-validator';
+import { createDocumentClassifier, createTextChunker } from './streaming';
+import { DocumentSummary, StreamOptions, TextChunk } from './types';
+
+// ─── Node.js Transform Stream ─────────────────────────────────────────────────
+
+/** Transform stream returned by {@link createDetectionStream}. */
+export interface DetectionStream extends Transform {
+  /** Document totals over every chunk emitted so far. */
+  readonly summary: DocumentSummary;
+}
+
+/**
+ * Creates a Node.js Transform stream that accepts text or UTF-8 bytes on
+ * its writable side and emits one `StreamChunkResult` object per
+ * paragraph or sentence on its readable side. Each result carries a
+ * running document summary; the final totals are also available on
+ * `stream.summary` once the stream has finished.
+ *
+ * @param options - Detection configuration plus split and maxChunkLength
+ * @returns An object-mode readable / byte-mode writable Transform
+ *
+ * @example
+ * fs.createReadStream("big.txt")
+ *   .pipe(createDetectionStream({ split: "sentence" }))
+ *   .on("data", (chunk) => { if (!chunk.isEnglish) console.log(chunk.text); });
+ */
+export function createDetectionStream(options: StreamOptions = {}): DetectionStream {
+  const chunker = createTextChunker(options);
+  const classifier = createDocumentClassifier(options, defaultContext);
+  const decoder = new TextDecoder('utf-8');
+
+  const stream = new Transform({
+    readableObjectMode: true,
+    transform(piece: Buffer | string, _encoding, callback) {
+      try {
+        const text = typeof piece === 'string' ? piece : decoder.decode(piece, { stream: true });
+        emit(chunker.push(text));
+        callback();
+      } catch (error) {
+        callback(error as Error);
+      }
+    },
+    flush(callback) {
+      try {
+        emit(chunker.push(decoder.decode()));
+        emit(chunker.flush());
+        callback();
+      } catch (error) {
+        callback(error as Error);
+      }
+    },
+  });
+
+  const emit = (chunks: TextChunk[]) => {
+    for (const chunk of chunks) stream.push(classifier.classify(chunk));
+  };
+
+  return Object.defineProperty(stream, 'summary', {
+    get: () => classifier.summary(),
+    enumerable: true,
+  }) as DetectionStream;
+}
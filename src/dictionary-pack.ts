@@ -0,0 +1,345 @@
+import { DICTIONARY_PACK_FORMAT, DICTIONARY_PACK_VERSION } from './constants';
+import { DictionaryPack, DictionaryPackOptions, DictionarySource } from './types';
+import { createSortedWordList, SortedWordList } from './word-list';
+
+// ─── Hunspell Import ──────────────────────────────────────────────────────────
+
+/** One PFX or SFX line: what to strip, what to add and when it applies. */
+interface AffixRule {
+  strip: string;
+  add: string;
+  /** Flags of the affixed form (twofold affixes, NEEDAFFIX). */
+  continuation: string[];
+  /** Test on the word before stripping, or null for `.` (any word). */
+  condition: RegExp | null;
+}
+
+/** All rules of one affix flag. */
+interface AffixClass {
+  prefix: boolean;
+  /** Whether the class combines with affixes of the other kind (`Y`). */
+  crossProduct: boolean;
+  rules: AffixRule[];
+}
+
+/** The parts of an `.aff` file that decide which word forms exist. */
+interface AffixFile {
+  parseFlags: (flags: string) => string[];
+  classes: Map<string, AffixClass>;
+  needAffix: string | null;
+  forbidden: string | null;
+  onlyInCompound: string | null;
+}
+
+/** An entry of a `.dic` file: the word (with `\/` unescaped) and its flags. */
+const DIC_ENTRY_REGEX = /^((?:\\.|[^/\s])+)(?:\/(\S*))?/;
+
+/** Flag parser for a FLAG setting: one character, two characters or comma-separated numbers. */
+function flagParser(mode: string | undefined, aliases: string[]): (flags: string) => string[] {
+  const split = (flags: string): string[] => {
+    if (mode === 'long') return flags.match(/[\s\S]{1,2}/g) ?? [];
+    if (mode === 'num') return flags.split(',').filter(Boolean);
+    return Array.from(flags);
+  };
+  // With AF aliases, flag fields are 1-based indexes into the alias list
+  return (flags) =>
+    aliases.length > 0 && /^\d+$/.test(flags)
+      ? split(aliases[Number(flags) - 1] ?? '')
+      : split(flags);
+}
+
+/**
+ * Compiles a Hunspell affix condition — literal characters, `.` and
+ * bracket expressions such as `[^aeiou]y` — anchored at the word end for
+ * suffixes and at the word start for prefixes.
+ */
+function conditionRegex(condition: string, prefix: boolean): RegExp | null {
+  if (condition === '.') return null;
+  const source = condition.replace(/\[[^\]]*\]|[^.[]/g, (part) =>
+    part.startsWith('[') ? part : part.replace(/[\\^$*+?(){}|\]-]/g, '\\$&'),
+  );
+  return new RegExp(prefix ? `^(?:${source})` : `(?:${source})$`, 'u');
+}
+
+/** Parses the affix classes and special flags of an `.aff` file. */
+function parseAffixFile(aff: string): AffixFile {
+  const lines = aff
+    .split(/\r?\n/)
+    .map((line) => line.trim().split(/\s+/))
+    .filter(([directive]) => directive && !directive.startsWith('#'));
+
+  const setting = (name: string): string | undefined =>
+    lines.find(([directive]) => directive === name)?.[1];
+  // The first AF line gives the alias count, the rest the aliases
+  const aliases = lines.filter(([directive]) => directive === 'AF').map(([, flags]) => flags);
+  const parseFlags = flagParser(setting('FLAG'), aliases.slice(1));
+  // Special flags name one flag as written, never an alias
+  const specialFlag = (name: string): string | null => setting(name) ?? null;
+
+  const classes = new Map<string, AffixClass>();
+  for (const [directive, flag, ...fields] of lines) {
+    if (directive !== 'PFX' && directive !== 'SFX') continue;
+    const affixClass = classes.get(flag);
+    if (!affixClass) {
+      // The first line of a class is its header: cross product and rule count
+      classes.set(flag, {
+        prefix: directive === 'PFX',
+        crossProduct: fields[0] === 'Y',
+        rules: [],
+      });
+      continue;
+    }
+    const [strip, addition = '0', condition = '.'] = fields;
+    const [add, continuation = ''] = addition.split('/');
+    affixClass.rules.push({
+      strip: strip === '0' ? '' : strip,
+      add: add === '0' ? '' : add,
+      continuation: continuation ? parseFlags(continuation) : [],
+      condition: conditionRegex(condition, affixClass.prefix),
+    });
+  }
+
+  return {
+    parseFlags,
+    classes,
+    needAffix: specialFlag('NEEDAFFIX') ?? specialFlag('PSEUDOROOT'),
+    forbidden: specialFlag('FORBIDDENWORD'),
+    onlyInCompound: specialFlag('ONLYINCOMPOUND'),
+  };
+}
+
+/** The word with an affix rule applied, or null when the rule does not apply. */
+function applyAffix(word: string, rule: AffixRule, prefix: boolean): string | null {
+  if (rule.condition && !rule.condition.test(word)) return null;
+  if (prefix) {
+    return word.startsWith(rule.strip) ? rule.add + word.slice(rule.strip.length) : null;
+  }
+  return word.endsWith(rule.strip)
+    ? word.slice(0, word.length - rule.strip.length) + rule.add
+    : null;
+}
+
+/**
+ * Every word form a Hunspell dictionary accepts: each `.dic` entry on its
+ * own and with the prefixes and suffixes its flags allow, including
+ * prefix–suffix combinations (cross product) and suffixes on suffixes
+ * (continuation classes).
+ *
+ * Entries and affixes flagged NEEDAFFIX are only kept with an affix;
+ * entries flagged ONLYINCOMPOUND are skipped and FORBIDDENWORD entries
+ * are removed from the result. Compounding rules are not expanded.
+ *
+ * @param dic - Contents of the `.dic` file (first line: entry count)
+ * @param aff - Contents of the `.aff` file
+ * @returns The word forms, in no particular order and not case-folded
+ *
+ * @example
+ * expandHunspell("1\nwalk/DS", "SFX D Y 1\nSFX D 0 ed .\nSFX S Y 1\nSFX S 0 s .");
+ * // ["walk", "walked", "walks"]
+ */
+export function expandHunspell(dic: string, aff: string): string[] {
+  const { parseFlags, classes, needAffix, forbidden, onlyInCompound } = parseAffixFile(aff);
+  const forms = new Set<string>();
+  const forbiddenWords = new Set<string>();
+
+  const prefixesOf = (flags: readonly string[]): AffixClass[] =>
+    flags
+      .map((flag) => classes.get(flag))
+      .filter((affixClass): affixClass is AffixClass => !!affixClass?.prefix);
+
+  /** Adds the form unless its continuation flags say it needs another affix. */
+  const add = (form: string, continuation: readonly string[]): void => {
+    if (!needAffix || !continuation.includes(needAffix)) forms.add(form);
+  };
+
+  for (const line of dic.split(/\r?\n/).slice(1)) {
+    const match = line.match(DIC_ENTRY_REGEX);
+    if (!match) continue;
+    const word = match[1].replace(/\\(.)/g, '$1');
+    const flags = match[2] ? parseFlags(match[2]) : [];
+
+    if (forbidden && flags.includes(forbidden)) {
+      forbiddenWords.add(word);
+      continue;
+    }
+    if (onlyInCompound && flags.includes(onlyInCompound)) continue;
+    add(word, flags);
+
+    for (const flag of flags) {
+      const affixClass = classes.get(flag);
+      if (!affixClass) continue;
+      for (const rule of affixClass.rules) {
+        const form = applyAffix(word, rule, affixClass.prefix);
+        if (form === null) continue;
+        add(form, rule.continuation);
+        if (affixClass.prefix) continue;
+
+        // Suffixes on this suffix (twofold suffixation)
+        for (const next of rule.continuation) {
+          const nextClass = classes.get(next);
+          if (!nextClass || nextClass.prefix) continue;
+          for (const nextRule of nextClass.rules) {
+            const twofold = applyAffix(form, nextRule, false);
+            if (twofold !== null) add(twofold, nextRule.continuation);
+          }
+        }
+
+        // Prefixes combined with this suffix
+        if (!affixClass.crossProduct) continue;
+        for (const prefixClass of prefixesOf([...flags, ...rule.continuation])) {
+          if (!prefixClass.crossProduct) continue;
+          for (const prefixRule of prefixClass.rules) {
+            const combined = applyAffix(form, prefixRule, true);
+            if (combined !== null) add(combined, prefixRule.continuation);
+          }
+        }
+      }
+    }
+  }
+
+  forbiddenWords.forEach((word) => forms.delete(word));
+  return [...forms];
+}
+
+// ─── Dictionary Packs ─────────────────────────────────────────────────────────
+
+/** A word as the validator looks it up: letters, marks and inner apostrophes. */
+const PACK_WORD_REGEX = /^[\p{L}\p{M}]+(?:'[\p{L}\p{M}]+)*$/u;
+
+/** Separators inside list entries that the tokenizer splits words on. */
+const ENTRY_SEPARATOR_REGEX = /[\s/\u2010-\u2015-]+/;
+
+/** Entries of a frequency list, most frequent first. */
+function frequencyEntries(text: string, top = Infinity, minCount = 1): string[] {
+  const counted: { word: string; count: number }[] = [];
+  for (const line of text.split(/\r?\n/)) {
+    const fields = line.trim().split(/\s+/);
+    if (fields.length !== 2) continue;
+    const countIndex = fields.findIndex((field) => /^\d+$/.test(field));
+    if (countIndex === -1) continue;
+    const count = Number(fields[countIndex]);
+    if (count >= minCount) counted.push({ word: fields[1 - countIndex], count });
+  }
+  return counted
+    .sort((a, b) => b.count - a.count)
+    .slice(0, top)
+    .map((entry) => entry.word);
+}
+
+/** The raw entries of one source. */
+function sourceEntries(source: DictionarySource): string[] {
+  switch (source.type) {
+    case 'hunspell':
+      return expandHunspell(source.dic, source.aff);
+    case 'words': {
+      const lines = typeof source.text === 'string' ? source.text.split(/\r?\n/) : source.text;
+      return lines.map((line) => line.replace(/#.*/, ''));
+    }
+    case 'frequency':
+      return frequencyEntries(source.text, source.top, source.minCount);
+    default:
+      throw new RangeError(
+        `Unknown dictionary source type: "${(source as { type: unknown }).type}"`,
+      );
+  }
+}
+
+/**
+ * Lowercase words of an entry as the tokenizer would see them: split on
+ * whitespace, hyphens and slashes, typographic apostrophes straightened.
+ * Parts with digits or other symbols, and possessives ('s, which the
+ * validator resolves itself), are dropped.
+ */
+function entryWords(entry: string): string[] {
+  return entry
+    .toLowerCase()
+    .replace(/[‘’ʼ]/g, "'")
+    .split(ENTRY_SEPARATOR_REGEX)
+    .filter((word) => PACK_WORD_REGEX.test(word) && !word.endsWith("'s"));
+}
+
+/**
+ * Builds a dictionary pack — a compact, JSON-serialisable word list — from
+ * Hunspell dictionaries, plain word lists and frequency lists, for
+ * vocabulary the built-in dictionary lacks (product names, jargon,
+ * regional spellings).
+ *
+ * Entries are lowercased and split the way the tokenizer splits text, so
+ * "state-of-the-art" adds its four parts. The result can be written out
+ * with `JSON.stringify` and passed to `createValidator({ dictionaries })`
+ * or {@link loadDictionaryPack}.
+ *
+ * @param sources - Where to take words from
+ * @param options - Name, description and words to leave out
+ * @returns The pack
+ * @throws {RangeError} If a source has an unknown type
+ *
+ * @example
+ * const pack = buildDictionaryPack(
+ *   [
+ *     { type: "hunspell", dic: readFileSync("en_GB.dic", "utf8"), aff: readFileSync("en_GB.aff", "utf8") },
+ *     { type: "words", text: "kubectl\nhelmfile" },
+ *   ],
+ *   { name: "platform-team" },
+ * );
+ * writeFileSync("platform-team.json", JSON.stringify(pack));
+ */
+export function buildDictionaryPack(
+  sources: readonly DictionarySource[],
+  options: DictionaryPackOptions = {},
+): DictionaryPack {
+  const { name = 'custom', description, excludeWords = [], omit } = options;
+  const excluded = new Set(excludeWords.map((word) => word.toLowerCase()));
+  const words = new Set<string>();
+
+  for (const source of sources) {
+    for (const entry of sourceEntries(source)) {
+      for (const word of entryWords(entry)) {
+        if (!excluded.has(word) && !omit?.has(word)) words.add(word);
+      }
+    }
+  }
+
+  const sorted = [...words].sort();
+  return {
+    format: DICTIONARY_PACK_FORMAT,
+    version: DICTIONARY_PACK_VERSION,
+    name,
+    ...(description === undefined ? {} : { description }),
+    wordCount: sorted.length,
+    words: sorted.join('\n'),
+  };
+}
+
+/**
+ * Loads a dictionary pack as a word lookup for
+ * `createValidator({ dictionaries })` (which also accepts packs as they
+ * are). Lookups are a binary search over the pack's word string.
+ *
+ * @param pack - A pack object, or its JSON
+ * @returns A lookup over the pack's words
+ * @throws {RangeError} If the value is not a version 1 pack or its words are not sorted
+ *
+ * @example
+ * const legal = loadDictionaryPack(readFileSync("legal.json", "utf8"));
+ * legal.has("estoppel"); // true
+ */
+export function loadDictionaryPack(pack: DictionaryPack | string): SortedWordList {
+  const parsed: Partial<DictionaryPack> = typeof pack === 'string' ? JSON.parse(pack) : pack;
+  if (
+    parsed?.format !== DICTIONARY_PACK_FORMAT ||
+    parsed.version !== DICTIONARY_PACK_VERSION ||
+    typeof parsed.words !== 'string'
+  ) {
+    throw new RangeError(
+      `Not an ${DICTIONARY_PACK_FORMAT} version ${DICTIONARY_PACK_VERSION} object`,
+    );
+  }
+
+  // Binary search silently misses words in an unsorted list
+  const words = parsed.words.split('\n');
+  if (words.some((word, i) => i > 0 && word <= words[i - 1])) {
+    throw new RangeError(`Dictionary pack "${parsed.name}" is not sorted and de-duplicated`);
+  }
+  return createSortedWordList(parsed.words);
+}
@@ -0,0 +1,10 @@
+// ─── Domain Packs Entry Point (english-validator/packs) ──────────────────────
+//
+// Dictionary packs of specialist vocabulary, generated from packs/*.txt by
+// scripts/build-dictionary-pack.cjs. A separate entry so only the packs an app
+// imports end up in its bundle.
+
+export { legalPack } from './packs/legal';
+export { medicalPack } from './packs/medical';
+export { softwarePack } from './packs/software';
+export type { DictionaryPack } from './types';
@@ -0,0 +1,204 @@
+import { analyzeText } from './analysis';
+import {
+  ClassificationMetrics,
+  DetectionOptions,
+  EvaluationOptions,
+  EvaluationReport,
+  LabelledSample,
+  LanguageConfusion,
+  Misclassification,
+  OptionGrid,
+  SweepMetric,
+  SweepOptions,
+  SweepResult,
+  ValidatorContext,
+} from './types';
+
+// ─── Evaluation ───────────────────────────────────────────────────────────────
+
+/** Default number of worst false positives and negatives reported. */
+const DEFAULT_WORST = 10;
+
+const SWEEP_METRICS: readonly SweepMetric[] = ['accuracy', 'f1', 'precision', 'recall'];
+
+/** The four confusion counts behind {@link ClassificationMetrics}. */
+type ConfusionCounts = Pick<
+  ClassificationMetrics,
+  'truePositives' | 'falsePositives' | 'trueNegatives' | 'falseNegatives'
+>;
+
+/**
+ * Parses a labelled JSONL corpus: one `{ "text", "language", "domain"? }`
+ * object per line. Blank lines are skipped; other fields are ignored.
+ *
+ * @param jsonl - Corpus file content
+ * @returns The samples, in file order
+ * @throws {SyntaxError} If a line is not valid JSON
+ * @throws {TypeError} If a line has no string `text` or `language`
+ */
+export function parseCorpus(jsonl: string): LabelledSample[] {
+  const samples: LabelledSample[] = [];
+  jsonl.split(/\r?\n/).forEach((line, index) => {
+    if (line.trim().length === 0) return;
+    let record: unknown;
+    try {
+      record = JSON.parse(line);
+    } catch (error) {
+      throw new SyntaxError(`Corpus line ${index + 1}: invalid JSON (${(error as Error).message})`);
+    }
+    const { text, language, domain } = (record ?? {}) as Record<string, unknown>;
+    if (typeof text !== 'string' || typeof language !== 'string') {
+      throw new TypeError(`Corpus line ${index + 1}: "text" and "language" must be strings`);
+    }
+    samples.push(typeof domain === 'string' ? { text, language, domain } : { text, language });
+  });
+  return samples;
+}
+
+/**
+ * Runs the detector over a labelled corpus and measures it with English as
+ * the positive class: accuracy, precision, recall and F1 overall and per
+ * domain, a confusion row per labelled language, and the samples it got
+ * most confidently wrong.
+ *
+ * @param corpus  - Labelled samples (`en`/`eng` is English, any other code is not)
+ * @param options - Detection options plus worst
+ * @param context - Validator whose dictionary and caches to use
+ * @returns The evaluation report
+ */
+export function evaluate(
+  corpus: readonly LabelledSample[],
+  options: EvaluationOptions,
+  context: ValidatorContext,
+): EvaluationReport {
+  const { worst = DEFAULT_WORST, ...detectionOptions } = options;
+  const counts = emptyCounts();
+  const domainCounts = new Map<string, ConfusionCounts>();
+  const languages: Record<string, LanguageConfusion> = {};
+  const falsePositives: Misclassification[] = [];
+  const falseNegatives: Misclassification[] = [];
+
+  for (const sample of corpus) {
+    const report = analyzeText(sample.text, detectionOptions, context);
+    const expected = isEnglishLabel(sample.language);
+    tally(counts, expected, report.isEnglish);
+
+    if (sample.domain !== undefined) {
+      const domain = domainCounts.get(sample.domain) ?? emptyCounts();
+      domainCounts.set(sample.domain, domain);
+      tally(domain, expected, report.isEnglish);
+    }
+
+    const language = sample.language.trim().toLowerCase();
+    const row = (languages[language] ??= { total: 0, predictedEnglish: 0, predictedNonEnglish: 0 });
+    row.total++;
+    if (report.isEnglish) row.predictedEnglish++;
+    else row.predictedNonEnglish++;
+
+    if (expected !== report.isEnglish) {
+      (expected ? falseNegatives : falsePositives).push({
+        ...sample,
+        probability: report.probability,
+        englishRatio: report.englishRatio,
+        decision: report.decision,
+      });
+    }
+  }
+
+  const limit = Math.max(0, Math.floor(worst));
+  return {
+    ...toMetrics(counts),
+    languages,
+    domains: Object.fromEntries(
+      [...domainCounts].map(([domain, domainTally]) => [domain, toMetrics(domainTally)]),
+    ),
+    worstFalsePositives: falsePositives
+      .sort((a, b) => b.probability - a.probability)
+      .slice(0, limit),
+    worstFalseNegatives: falseNegatives
+      .sort((a, b) => a.probability - b.probability)
+      .slice(0, limit),
+  };
+}
+
+/**
+ * Evaluates the corpus under every combination of the grid's values and
+ * ranks the settings by a metric, best first (ties keep grid order). Grid
+ * values are merged over `options`.
+ *
+ * @param corpus  - Labelled samples
+ * @param grid    - Candidate values per detection option
+ * @param options - Shared evaluation options plus metric
+ * @param context - Validator whose dictionary and caches to use
+ * @returns One result per combination, best first
+ * @throws {RangeError} If the metric is unknown or a grid option has no values
+ */
+export function sweepOptions(
+  corpus: readonly LabelledSample[],
+  grid: OptionGrid,
+  options: SweepOptions,
+  context: ValidatorContext,
+): SweepResult[] {
+  const { metric = 'f1', ...evaluationOptions } = options;
+  if (!SWEEP_METRICS.includes(metric)) {
+    throw new RangeError(`Unknown sweep metric: "${metric}"`);
+  }
+
+  return gridSettings(grid)
+    .map((setting) => {
+      const report = evaluate(corpus, { ...evaluationOptions, ...setting }, context);
+      return { options: setting, score: report[metric], report };
+    })
+    .sort((a, b) => b.score - a.score);
+}
+
+/** Every combination of the grid's values (a single empty setting for an empty grid). */
+function gridSettings(grid: OptionGrid): DetectionOptions[] {
+  let settings: DetectionOptions[] = [{}];
+  for (const [key, values] of Object.entries(grid)) {
+    if (!values || values.length === 0) {
+      throw new RangeError(`Option grid "${key}" has no values`);
+    }
+    settings = settings.flatMap((setting) =>
+      values.map((value: unknown) => ({ ...setting, [key]: value })),
+    );
+  }
+  return settings;
+}
+
+/** Whether a corpus label is the English class. */
+function isEnglishLabel(language: string): boolean {
+  const code = language.trim().toLowerCase();
+  return code === 'en' || code === 'eng';
+}
+
+function emptyCounts(): ConfusionCounts {
+  return { truePositives: 0, falsePositives: 0, trueNegatives: 0, falseNegatives: 0 };
+}
+
+/** Adds one verdict to the counts. */
+function tally(counts: ConfusionCounts, expected: boolean, predicted: boolean): void {
+  if (expected) counts[predicted ? 'truePositives' : 'falseNegatives']++;
+  else counts[predicted ? 'falsePositives' : 'trueNegatives']++;
+}
+
+/** Metrics for a set of counts. */
+function toMetrics(counts: ConfusionCounts): ClassificationMetrics {
+  const { truePositives, falsePositives, trueNegatives, falseNegatives } = counts;
+  const total = truePositives + falsePositives + trueNegatives + falseNegatives;
+  const precision = ratio(truePositives, truePositives + falsePositives);
+  const recall = ratio(truePositives, truePositives + falseNegatives);
+  return {
+    total,
+    accuracy: ratio(truePositives + trueNegatives, total),
+    ...counts,
+    precision,
+    recall,
+    f1: ratio(2 * precision * recall, precision + recall),
+  };
+}
+
+/** a / b, or 0 when b is 0. */
+function ratio(a: number, b: number): number {
+  return b === 0 ? 0 : a / b;
+}
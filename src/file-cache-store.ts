@@ -0,0 +1,52 @@
+import { createHash } from 'crypto';
+import * as fs from 'fs';
+import * as path from 'path';
+import { CacheStore } from './types';
+
+// ─── File-Backed Cache Store (Node.js only) ───────────────────────────────────
+
+/** Suffix counter keeping temporary file names unique within the process. */
+let writeCounter = 0;
+
+/**
+ * Creates a {@link CacheStore} that keeps one JSON file per key in a
+ * directory, so several processes (or successive runs) share cached results.
+ * Files are written to a temporary name and renamed into place, so readers
+ * never see a half-written entry.
+ *
+ * The store is best-effort: unreadable entries count as misses and failed
+ * writes are ignored, so a full disk never breaks detection. It does not
+ * evict — remove old files with your usual temp-directory housekeeping.
+ *
+ * @param directory - Directory for the entries (created when missing)
+ * @returns A synchronous store for `configureCaches()`
+ *
+ * @example
+ * configureCaches({ secondary: { store: createFileCacheStore("/var/cache/english-validator") } });
+ */
+export function createFileCacheStore<V = unknown>(directory: string): CacheStore<V> {
+  fs.mkdirSync(directory, { recursive: true });
+  const fileFor = (key: string) =>
+    path.join(directory, `${createHash('sha256').update(key).digest('hex')}.json`);
+
+  return {
+    get(key) {
+      try {
+        const entry = JSON.parse(fs.readFileSync(fileFor(key), 'utf-8'));
+        return entry.key === key ? (entry.value as V) : undefined;
+      } catch {
+        return undefined;
+      }
+    },
+    set(key, value) {
+      const file = fileFor(key);
+      const temporary = `${file}.${process.pid}.${writeCounter++}.tmp`;
+      try {
+        fs.writeFileSync(temporary, JSON.stringify({ key, value }));
+        fs.renameSync(temporary, file);
+      } catch {
+        fs.rmSync(temporary, { force: true });
+      }
+    },
+  };
+}
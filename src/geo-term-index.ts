@@ -0,0 +1,160 @@
+// ─── Geographical Term Index ──────────────────────────────────────────────────
+
+/** Runs of ASCII word characters — the characters `\b` treats as a word. */
+const WORD_RUN_REGEX = /[A-Za-z0-9_]+/g;
+
+/** A term separator made only of whitespace, which matches any whitespace run. */
+const WHITESPACE_SEPARATOR_REGEX = /^\s+$/;
+
+/** One searchable spelling of a term: the term itself or its plural. */
+interface GeoTermForm {
+  /** Lowercase word runs of the spelling, first run included. */
+  words: string[];
+  /** Lowercase text between consecutive runs; null matches any whitespace run. */
+  separators: (string | null)[];
+  /** Entries (list positions) this spelling belongs to. */
+  entries: number[];
+}
+
+/** Term spellings keyed by their first word run, built by {@link createGeoTermIndex}. */
+export interface GeoTermIndex {
+  /** Number of list entries, duplicates included. */
+  entryCount: number;
+  /** Whether each entry removes every occurrence rather than the leftmost one. */
+  everyOccurrence: boolean;
+  forms: Map<string, GeoTermForm[]>;
+}
+
+/** A run of tokens matching one spelling. */
+interface Occurrence {
+  first: number;
+  last: number;
+}
+
+/**
+ * Indexes a term list for {@link findGeoTermRanges}. Each term is matched
+ * case-insensitively as whole words, as is its plural (term + "s"). Terms
+ * may span several words: "New Zealand" matches across any whitespace run,
+ * "Guinea-Bissau" only with its hyphen.
+ *
+ * @param terms           - Terms in list order
+ * @param everyOccurrence - Remove every occurrence of each term instead of
+ *                          one occurrence per list entry
+ * @returns Index keyed by the first word of every spelling
+ * @throws {RangeError} If a term does not start and end with an ASCII letter, digit or underscore
+ */
+export function createGeoTermIndex(
+  terms: readonly string[],
+  everyOccurrence = false,
+): GeoTermIndex {
+  const forms = new Map<string, GeoTermForm[]>();
+  const byKey = new Map<string, GeoTermForm>();
+
+  terms.forEach((term, entry) => {
+    // ['', word, separator, word, …, word, '']
+    const parts = term.toLowerCase().split(/([a-z0-9_]+)/);
+    if (parts.length < 3 || parts[0] !== '' || parts[parts.length - 1] !== '') {
+      throw new RangeError(
+        `Geographical term must start and end with a letter or digit (A-Z, 0-9): "${term}"`,
+      );
+    }
+    const words = parts.filter((_, i) => i % 2 === 1);
+    const separators = parts
+      .slice(2, -2)
+      .filter((_, i) => i % 2 === 0)
+      .map((separator) => (WHITESPACE_SEPARATOR_REGEX.test(separator) ? null : separator));
+    const plural = [...words.slice(0, -1), `${words[words.length - 1]}s`];
+
+    for (const spelling of [words, plural]) {
+      const key = JSON.stringify([spelling, separators]);
+      let form = byKey.get(key);
+      if (!form) {
+        form = { words: spelling, separators, entries: [] };
+        byKey.set(key, form);
+        const sameStart = forms.get(spelling[0]);
+        if (sameStart) sameStart.push(form);
+        else forms.set(spelling[0], [form]);
+      }
+      form.entries.push(entry);
+    }
+  });
+
+  return { entryCount: terms.length, everyOccurrence, forms };
+}
+
+/**
+ * Finds the character ranges to remove for the indexed term lists, in one
+ * scan of the text's word runs. The result is the same as running one
+ * non-global, case-insensitive `\bterm\b|\btermS\b` replacement per list
+ * entry, in list order: each entry removes the leftmost occurrence of its
+ * spellings that earlier entries left intact. Entries of an index built
+ * with `everyOccurrence` remove all such occurrences instead.
+ *
+ * @param text    - Text to search
+ * @param indexes - Term lists, in the order their entries apply
+ * @returns Sorted, non-overlapping [start, end) ranges
+ */
+export function findGeoTermRanges(
+  text: string,
+  indexes: readonly GeoTermIndex[],
+): [number, number][] {
+  const starts: number[] = [];
+  const ends: number[] = [];
+  const words: string[] = [];
+  for (const match of text.matchAll(WORD_RUN_REGEX)) {
+    starts.push(match.index!);
+    ends.push(match.index! + match[0].length);
+    words.push(match[0].toLowerCase());
+  }
+
+  const matchesAt = (form: GeoTermForm, first: number): boolean => {
+    if (first + form.words.length > words.length) return false;
+    for (let k = 1; k < form.words.length; k++) {
+      if (words[first + k] !== form.words[k]) return false;
+      const separator = text.slice(ends[first + k - 1], starts[first + k]);
+      const expected = form.separators[k - 1];
+      const matched =
+        expected === null
+          ? WHITESPACE_SEPARATOR_REGEX.test(separator)
+          : separator.toLowerCase() === expected;
+      if (!matched) return false;
+    }
+    return true;
+  };
+
+  // Occurrences per entry, in text order
+  const occurrences = new Map<number, Occurrence[]>();
+  const removesAll = new Set<number>();
+  for (let first = 0; first < words.length; first++) {
+    let offset = 0;
+    for (const index of indexes) {
+      for (const form of index.forms.get(words[first]) ?? []) {
+        if (!matchesAt(form, first)) continue;
+        const occurrence = { first, last: first + form.words.length - 1 };
+        for (const entry of form.entries) {
+          if (index.everyOccurrence) removesAll.add(offset + entry);
+          const list = occurrences.get(offset + entry);
+          if (list) list.push(occurrence);
+          else occurrences.set(offset + entry, [occurrence]);
+        }
+      }
+      offset += index.entryCount;
+    }
+  }
+
+  const removed = new Uint8Array(words.length);
+  const ranges: [number, number][] = [];
+  const intact = ({ first, last }: Occurrence) => {
+    for (let i = first; i <= last; i++) if (removed[i]) return false;
+    return true;
+  };
+  for (const entry of [...occurrences.keys()].sort((a, b) => a - b)) {
+    for (const hit of occurrences.get(entry)!) {
+      if (!intact(hit)) continue;
+      removed.fill(1, hit.first, hit.last + 1);
+      ranges.push([starts[hit.first], ends[hit.last]]);
+      if (!removesAll.has(entry)) break;
+    }
+  }
+  return ranges.sort((a, b) => a[0] - b[0]);
+}
@@ -0,0 +1,14 @@
+/**
+ * Geographical, regulatory and proper-noun terms stripped before detection
+ * (see removeGeographicalTerms in preprocessing.ts). Order and duplicates
+ * matter: each entry removes one occurrence of the term or its plural.
+ *
+ * Total terms: 867
+ */
+
+/** Geographical / proper-noun terms as a newline-delimited string. */
+const GEO_TERMS_RAW =
+  'UK\nUSA\nUS\nEU\nUN\nWHO\nNATO\nEMA\nFDA\nCDC\nNHS\nMHRA\nNIH\nHA\nAE\nADR\nSOP\nSAE\nSUSAR\nICH\nFDA\nMHRA\nCIOMS\nGVP\nPSUR\nDSUR\nCSR\nIB\nPI\nIRB\nEC\nCRF\nMedDRA\nWHO\nInvima\nPV\nRMP\nCAPA\nQA\nQC\nDSMB\nae\naes\nsae\nGFA\nsaes\nadr\nadrs\nade\nades\naesi\naefi\nicsr\nicsrs\nsusar\nsusars\npsur\npbrer\nrmp\ndsmb\nqppv\npader\nccds\nrsi\nrsip\ndsur\ndev\npsmf\nqrd\nsmpc\npil\nar\nasmf\nmeddra\nwhodd\nctcae\ncapa\noos\nqc\nqa\nqms\nqau\nsop\nsops\nwi\nwis\ngcp\nglp\ngmp\nfda\nema\npmda\ntga\nhc\nmhra\nansm\naifa\nbfarm\nswissmedic\ncro\ncros\nsmo\ncra\ncras\ncrf\ncrfs\nedc\nctms\ntmf\netmf\nsiv\nciv\neos\neot\nlplv\nfpfv\nlps\nfps\nixrs\nivrs\niwrs\nert\npro\nepro\ncoa\nesource\nsdv\nsdm\ndm\ndmp\ndms\necg\nekg\nmri\nct\nxray\nlab\nlabs\ncbc\nalt\nast\nbun\ncreatinine\nbp\nhr\nrr\ntemp\nwt\nht\nbmi\nbsa\ngfr\nlvef\necho\nicu\nccu\ned\nor\npacu\nnicu\npicu\nward\nclinic\nmd\ndo\nrn\nlpn\npa\nnp\npharmd\nrph\nphd\ndds\ndvm\ncpr\nacls\nbls\npals\nnrp\nfirst\naid\ncode\nblue\nred\nrct\ndb\nsb\nol\npc\nac\nmc\nsc\npo\npk\npd\npkpd\nitt\npp\nas\ntreated\nlocf\nbocf\nwocf\nmmrm\nmi\nmice\nci\npi\nsi\ncpi\npv\nmonitor\nsponsor\ninvestigator\ncoordinator\nirb\niec\nec\nhrec\ncpmp\nchmp\npdco\ncomp\ncat\nprac\netc\nvs\nie\neg\nam\npm\nad\nbc\nusa\nuk\neu\nwho\napi\nurl\nwww\nhttp\nhttps\nemail\nfax\ntel\nphone\nmobile\nceo\ncfo\ncto\ncmo\ncoo\nvp\nsvp\nevp\ndir\nmgr\ncoord\nhr\nit\npr\nrd\nra\nma\nba\nbs\nms\nmba\nphd\nmd\ninc\ncorp\nltd\nllc\nllp\nplc\nsa\nag\ngmbh\nbv\nnv\ndept\ndiv\norg\nassoc\ninst\nuniv\nhosp\nmed\nctr\nclin\nmin\nmax\navg\nstd\nref\nnormal\nabn\npos\nneg\nunk\ntbd\nasap\nfyi\nbtw\nfaq\npdf\ndoc\nxls\nppt\nzip\nexe\ntxt\nPQC\nPCE\nInvima\nGENAES\nNPSIS\nOST\nEDP\nEDB\nPRD\nGFA\nOST\nLOE\nICSR\nCOI\nMAH\nCelltrion\nDSUR\nDSU\nAck\nALeRTS\nAI\nAURG\nATfSR\nAxMP\nB.1.8f.2\nCAPA\nCDD\nCMCD\nCOI\nCP\nCRC\nCSP\nCTA\nCTSUR\nDCA\nDAC\nDCHU\nDSU\nDSUR\nDSS\nE2B\nEDB\nEDP\nEOS\nEQMS\nER\nEVWEB\nFRIDA\nFU\nGFA\nGENAES\nGRACE\nHA\nHCP\nHUB\nIB\nICSR\nIMP\nINVIMA\nISR\nIUGR\nJT-App\nLOE\nLP\nLT\nMAH\nMDE\nMedDRA\nMI\nNALP\nNCS\nNCSP\nNDA\nNIS\nNPSIS\nNSFU\nOMN\nOST\nOTDE\nPI\nPKS\nPRD\nPRGs\nPSIS\nPSUR\nPQC\nPSSR\nPVA\nQAEF\nQC\nQMS\nRA\nRMP\nRSV\nSAE\nSEDA\nSMQ\nSML\nSMRs\nSRD\nSRSD\nSUSAR\nTMF\nUDI\nUK\nUS\nUTI\nVAERS\nWHO\nWI\nX-PMDA\naRMM\nnIMP\nART\nHumira\nRemicade\nLipitor\nCrestor\nProzac\nZoloft\nPaxil\nAdvil\nTylenol\nNexium\nPrilosec\nZantac\nPrevacid\nVentolin\nSingulair\nLantus\nJanuvia\nLyrica\nEliquis\nXarelto\nPradaxa\nRituxan\nHerceptin\nAvastin\nKeytruda\nOpdivo\nRevlimid\nImbruvica\nGleevec\nGilenya\nTecfidera\nCopaxone\nAvonex\nRebif\nBotox\nOzempic\nTrulicity\nJardiance\nCosentyx\nStelara\nOtezla\nDupixent\nAdalimumab\nInfliximab\nRituximab\nTrastuzumab\nBevacizumab\nPembrolizumab\nNivolumab\nApixaban\nRivaroxaban\nDabigatran\nAtorvastatin\nRosuvastatin\nFluoxetine\nSertraline\nParoxetine\nIbuprofen\nAcetaminophen\nParacetamol\nEsomeprazole\nOmeprazole\nRanitidine\nLansoprazole\nPfizer\nNovartis\nRoche\nMerck\nSanofi\nGSK\nAZ\nAbbVie\nJNJ\nLilly\nAmgen\nGilead\nBMS\nBayer\nBiogen\nTakeda\nTeva\nBoehringer\nSandoz\nMylan\nGenentech\nJanssen\nInflectra\nRenflexis\nAvsola\nAmjevita\nCyltezo\nHulio\nHyrimoz\nErelzi\nEticovo\nKanjinti\nOgivri\nHerzuma\nTruxima\nRuxience\nMvasi\nZirabev\nGenotropin\nMotrin\nRemsima\nCelltrion\nEtanercept\nEnbrel\nCOVID\nEQMS\nSRD\nDSS\nFU\nMalignant\nBenign\nDCA\nGFA\nSUSARs\nCTSUR\nEDP\ngelfoam\nDCHU\nHCP\nPVA\nCrizotinib\nXalkori\nPVAI\nArgus\nPCE\nSAE\nIMP\nNPSIS\nWI\nIB\nCDD\nWHO-DD\nQMS\nAE\nADR\nICSR\nPBRER\nPSMF\nDSUR\nRMP\nCIOMS\nMedDRA\nPSUR\nSmPC\nPIL\nQPPV\nAESI\nNDA\nBLA\nMHRA\nEMA\nFDA\nCAPA\nSOC\nPT\nLLT\nCTCAE\nCTMS\nCRF\neCRF\nCRO\nIRB\nEC\nGCP\nGVP\nDILI\nDIBD\nDLP\nAR\nSOP\nPV\nDSMB\nDMC\nSUSAR\nCTA\nIND\nMA\nPAES\nPASS\nPRAC\nCSR\nPI\nICF\nICH\nTGA\nPMDA\nANVISA\nCOFEPRIS\nCDSCO\nNMPA\nSFDA\nLTF\nPADER\nCCDS\nCCSI\nSDEA\nEVDAS\nVAERS\nAEFI\nFAERS\nUMC\nMAH\nDHPC\nRMM\nRSI\nVigiBase\nATC\nE2B\nNCA\nPRR\nSMQ\nSNOMED\nPFE\nPrevnar\nComirnaty\nBNT162b2\nXeljanz\nLipitor\nViagra\nIbrance\nEliquis\nLyrica\nXtandi\nVyndaqel\nInlyta\nXalkori\nCelebrex\nZoloft\nSutent\nChantix\nNurtec\nZithromax\nVfend\nPVRM\nPGRD\nPfizerCARES\nPCOA\nAlbania\nAlgeria\nAndorra\nAngola\nArgentina\nArmenia\nAustralia\nAustria\nAzerbaijan\nBahamas\nBahrain\nBangladesh\nBarbados\nBelarus\nBelgium\nBelize\nBenin\nBhutan\nBolivia\nBosnia\nBotswana\nBrazil\nBrunei\nBulgaria\nBurkina\nBurundi\nCambodia\nCameroon\nCanada\nChad\nChile\nChina\nColombia\nCongo\nCosta Rica\nCroatia\nCuba\nCyprus\nCzechia\nDenmark\nDjibouti\nDominica\nEcuador\nEgypt\nEritrea\nEstonia\nEswatini\nEthiopia\nFiji\nFinland\nFrance\nGabon\nGambia\nGeorgia\nGermany\nGhana\nGreece\nGrenada\nGuatemala\nGuinea\nGuyana\nHaiti\nHonduras\nHungary\nIceland\nIndia\nIndonesia\nIran\nIraq\nIreland\nIsrael\nItaly\nJamaica\nJapan\nJordan\nKazakhstan\nKenya\nKiribati\nKorea\nKuwait\nKyrgyzstan\nLaos\nLatvia\nLebanon\nLesotho\nLiberia\nLibya\nLiechtenstein\nLithuania\nLuxembourg\nMadagascar\nMalawi\nMalaysia\nMaldives\nMali\nMalta\nMauritania\nMauritius\nMexico\nMicronesia\nMoldova\nMonaco\nMongolia\nMontenegro\nMorocco\nMozambique\nMyanmar\nNamibia\nNauru\nNepal\nNetherlands\nNew Zealand\nZealand\nNicaragua\nNiger\nNigeria\nNorway\nOman\nPakistan\nPalau\nPalestine\nPanama\nParaguay\nPeru\nPhilippines\nPoland\nPortugal\nQatar\nRomania\nRussia\nRwanda\nSamoa\nMarino\nArabia\nSenegal\nSerbia\nSeychelles\nSierra\nLeone\nSingapore\nSlovakia\nSlovenia\nSomalia\nSpain\nLanka\nSudan\nSuriname\nSweden\nSwitzerland\nSyria\nTaiwan\nTajikistan\nTanzania\nThailand\nTogo\nTonga\nTrinidad\nTobago\nTunisia\nTurkey\nTurkmenistan\nTuvalu\nUganda\nUkraine\nEmirates\nEngland\nBritain\nScotland\nWales\nUruguay\nUzbekistan\nVanuatu\nVatican\nVenezuela\nVietnam\nYemen\nZambia\nZimbabwe\nAlaska\nHawaii\nCalifornia\nTexas\nFlorida\nAfrica\nAsia\nEurope\nAmerica\nAmericas\nOceania\nAntarctic\nCaribbean\nBalkans\nScandinavia\nMediterranean\nSahara\nAlps\nAndes\nHimalayas\nCaucasus';
+
+/** Geographical / proper-noun terms, in list order. */
+export const GEO_TERMS: readonly string[] = GEO_TERMS_RAW.split('\n');
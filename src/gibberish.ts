@@ -0,0 +1,175 @@
+import { analyzeText, secondaryInput } from './analysis';
+import {
+  GIBBERISH_KEYBOARD_RUN,
+  GIBBERISH_MAX_VOWEL_SHARE,
+  GIBBERISH_NGRAM_SHARE,
+  GIBBERISH_REPEAT_REGEX,
+  GIBBERISH_THRESHOLD_DEFAULT,
+  GIBBERISH_VOWEL_MIN_LENGTH,
+  KEYBOARD_ROWS,
+} from './constants';
+import { liteDictionary } from './lite-dictionary';
+import { secondaryLanguageAnalysis } from './secondary-detection';
+import { TRIGRAM_PROFILES } from './trigram-profiles';
+import {
+  AnalysisResult,
+  ClassificationOptions,
+  TextClass,
+  TokenReason,
+  ValidatorContext,
+} from './types';
+
+// ─── Character-Level Signals ──────────────────────────────────────────────────
+
+/** Row and column of every letter key on a QWERTY keyboard. */
+const KEY_POSITIONS: ReadonlyMap<string, { row: number; column: number }> = new Map(
+  KEYBOARD_ROWS.flatMap((keys, row) =>
+    Array.from(keys, (key, column) => [key, { row, column }] as const),
+  ),
+);
+
+/** Vowels once accents are stripped; `y` counts, as in "rhythm". */
+const VOWEL_REGEX = /[aeiouyæøœåı]/gu;
+
+/** `r` and `l` between consonants, where they carry the syllable (Czech "prst", Croatian "vrt"). */
+const SYLLABIC_CONSONANT_REGEX = /(?<=[^aeiouyæøœåı])[lr](?=[^aeiouyæøœåı])/gu;
+
+/** Combining marks, stripped after NFD decomposition to remove accents. */
+const MARK_REGEX = /\p{M}/gu;
+
+/** Anything but letters and combining marks, which trigram profiles leave out. */
+const NON_LETTERS_REGEX = /[^\p{L}\p{M}]+/gu;
+
+/** Reasons of tokens that are numbers rather than words. */
+const NUMERIC_REASONS: readonly TokenReason[] = ['number', 'ordinal', 'measure', 'currency'];
+
+/**
+ * Longest run of keys typed one after the other along a keyboard row in
+ * one direction — "asdf" and "lkjh" are runs of 4, "were" of 3.
+ */
+function longestKeyboardRun(word: string): number {
+  let longest = 1;
+  let run = 1;
+  let direction = 0;
+  for (let i = 1; i < word.length; i++) {
+    const previous = KEY_POSITIONS.get(word[i - 1]);
+    const current = KEY_POSITIONS.get(word[i]);
+    const step =
+      previous && current && previous.row === current.row ? current.column - previous.column : 0;
+    if (Math.abs(step) !== 1) run = 1;
+    else run = step === direction ? run + 1 : 2;
+    direction = step;
+    longest = Math.max(longest, run);
+  }
+  return longest;
+}
+
+/** Padded trigrams of every common English word, built on first use and shared by every validator. */
+let englishTrigrams: ReadonlySet<string> | null = null;
+
+/** Trigrams of a word padded with a space at each end, as the trigram profiles count them. */
+function wordTrigrams(word: string): string[] {
+  const padded = ` ${word} `;
+  const trigrams: string[] = [];
+  for (let i = 0; i + 3 <= padded.length; i++) trigrams.push(padded.slice(i, i + 3));
+  return trigrams;
+}
+
+/**
+ * Share of a word's trigrams that no common English word has and that are
+ * not in `profile` (the trigrams of the language the secondary detector
+ * named, so foreign words are judged by their own language too).
+ */
+function improbableTrigramShare(word: string, profile: ReadonlySet<string> | null): number {
+  englishTrigrams ??= new Set([...liteDictionary].flatMap(wordTrigrams));
+  const trigrams = wordTrigrams(word);
+  const improbable = trigrams.filter(
+    (trigram) => !englishTrigrams!.has(trigram) && !profile?.has(trigram),
+  );
+  return improbable.length / trigrams.length;
+}
+
+/**
+ * Whether an unrecognised word looks like no language at all: a keyboard
+ * run, a unit typed three times or more, no vowels or nothing but vowels,
+ * or mostly trigrams that neither English nor the text's language uses
+ * with too few vowels to be pronounceable.
+ *
+ * @param word    - Lowercase word
+ * @param profile - Trigrams of the language the secondary detector named, if known
+ */
+export function looksLikeGibberish(word: string, profile: ReadonlySet<string> | null): boolean {
+  const letters = word.replace(NON_LETTERS_REGEX, '');
+  const bare = letters.normalize('NFD').replace(MARK_REGEX, '');
+  if (bare.length === 0) return false;
+  if (GIBBERISH_REPEAT_REGEX.test(bare)) return true;
+  if (longestKeyboardRun(bare) >= GIBBERISH_KEYBOARD_RUN) return true;
+
+  const vowels =
+    (bare.match(VOWEL_REGEX)?.length ?? 0) + (bare.match(SYLLABIC_CONSONANT_REGEX)?.length ?? 0);
+  if (bare.length >= GIBBERISH_VOWEL_MIN_LENGTH && (vowels === 0 || vowels === bare.length)) {
+    return true;
+  }
+  return (
+    vowels / bare.length < GIBBERISH_MAX_VOWEL_SHARE &&
+    improbableTrigramShare(letters, profile) >= GIBBERISH_NGRAM_SHARE
+  );
+}
+
+// ─── Text Classification ──────────────────────────────────────────────────────
+
+/**
+ * Trigrams of the built-in profile for the language the secondary
+ * detector ranks first, or null when it names none the profiles know.
+ */
+function detectedLanguageProfile(
+  inputText: string,
+  report: AnalysisResult,
+  options: ClassificationOptions,
+  context: ValidatorContext,
+): ReadonlySet<string> | null {
+  const { language } =
+    report.secondary ??
+    secondaryLanguageAnalysis(secondaryInput(inputText, report.processedText, options), context);
+  const profile = TRIGRAM_PROFILES[language];
+  return profile ? new Set(profile.split('|')) : null;
+}
+
+/**
+ * Classes a text as English, another language, gibberish or empty.
+ *
+ * The English verdict is {@link analyzeText}'s. Text that is not English
+ * is gibberish when at least `gibberishThreshold` of its counted words
+ * look like no language: words the dictionary or the non-English
+ * indicators recognise never do, and an unrecognised word's trigrams are
+ * checked against English and against the language the secondary
+ * detector names, so foreign text is not mistaken for gibberish. Text
+ * mostly in a non-Latin script is always `non-english`.
+ *
+ * @param inputText - The text to classify
+ * @param options   - Detection configuration and the gibberish threshold
+ * @param context   - Validator whose dictionary and caches to use
+ * @returns The text's class
+ */
+export function classifyText(
+  inputText: string | null | undefined,
+  options: ClassificationOptions,
+  context: ValidatorContext,
+): TextClass {
+  const report = analyzeText(inputText, options, context);
+  const words = report.tokens.filter(
+    (token) => token.counted && !NUMERIC_REASONS.includes(token.reason),
+  );
+  if (!inputText || words.length === 0) return 'empty';
+  if (report.isEnglish) return 'english';
+  if (report.decision === 'non-latin-script') return 'non-english';
+
+  const unknown = words.filter((token) => token.reason === 'unknown');
+  const profile =
+    unknown.length > 0 ? detectedLanguageProfile(inputText, report, options, context) : null;
+  const gibberish = unknown.filter((token) =>
+    looksLikeGibberish(token.token.toLowerCase(), profile),
+  ).length;
+  const threshold = options.gibberishThreshold ?? GIBBERISH_THRESHOLD_DEFAULT;
+  return gibberish / words.length >= threshold ? 'gibberish' : 'non-english';
+}
@@ -0,0 +1,76 @@
+import { IDENTIFIER_PATTERNS, IDENTIFIER_PRESETS } from './constants';
+import { stripMarkup } from './markup';
+import { normalizeTrackedWhitespace, replaceTracked, trackText } from './tracked-text';
+import { DetectionOptions, IdentifierMatch, IdentifierPreset, TrackedText } from './types';
+import { isNonEmptyString } from './utils';
+
+// ─── Identifier Presets ───────────────────────────────────────────────────────
+
+/**
+ * The requested presets in application order (see {@link IDENTIFIER_PRESETS}).
+ *
+ * @throws {RangeError} If a preset name is not a known preset
+ */
+function orderedPresets(presets: readonly IdentifierPreset[]): IdentifierPreset[] {
+  for (const preset of presets) {
+    if (!Object.prototype.hasOwnProperty.call(IDENTIFIER_PATTERNS, preset)) {
+      throw new RangeError(`Unknown identifier preset: "${preset}"`);
+    }
+  }
+  return IDENTIFIER_PRESETS.filter((preset) => presets.includes(preset));
+}
+
+/**
+ * Strips the identifiers of the given presets so they don't interfere with
+ * language detection. Each match is replaced by a space, so neighbouring
+ * words never merge.
+ *
+ * @param text    - Tracked text after markup stripping
+ * @param presets - Presets to strip
+ * @returns Text with identifiers removed and whitespace normalised
+ */
+export function removeIdentifiers(
+  text: TrackedText,
+  presets: readonly IdentifierPreset[],
+): TrackedText {
+  let cleaned = text;
+  for (const preset of orderedPresets(presets)) {
+    for (const pattern of IDENTIFIER_PATTERNS[preset]) {
+      cleaned = replaceTracked(cleaned, pattern, ' ');
+    }
+  }
+  return normalizeTrackedWhitespace(cleaned);
+}
+
+/**
+ * Finds the identifiers preprocessing would strip, with the preset that
+ * matched each and its offsets into the original input. Presets apply in
+ * the same order as during detection, so a match is never part of an
+ * earlier preset's match.
+ *
+ * @param inputText - Text to search
+ * @param options   - `identifiers` (default: every preset) and markup options
+ * @returns Matches in input order (empty for empty input)
+ * @throws {RangeError} If a preset name is not a known preset
+ */
+export function extractIdentifiers(
+  inputText: string | null | undefined,
+  options: DetectionOptions = {},
+): IdentifierMatch[] {
+  if (!isNonEmptyString(inputText)) return [];
+
+  let tracked = stripMarkup(trackText(inputText), options);
+  const matches: IdentifierMatch[] = [];
+  for (const preset of orderedPresets(options.identifiers ?? IDENTIFIER_PRESETS)) {
+    for (const pattern of IDENTIFIER_PATTERNS[preset]) {
+      for (const match of tracked.text.matchAll(pattern)) {
+        const index = match.index!;
+        const start = tracked.starts[index];
+        const end = tracked.ends[index + match[0].length - 1];
+        matches.push({ preset, text: inputText.slice(start, end), start, end });
+      }
+      tracked = replaceTracked(tracked, pattern, ' ');
+    }
+  }
+  return matches.sort((a, b) => a.start - b.start);
+}
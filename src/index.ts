@@ -1,16 +1,106 @@
-import { ABBREVIATION_REGEX, WORD_PUNCTUATION_REGEX } from './constants';
-import { francLanguageAnalysis, francCache } from './franc-analysis';
-import { preprocessText } from './preprocessing';
-import { DetectionOptions } from './types';
-import { isNonEmptyString } from './utils';
-import { isEnglishWordCached, wordCache } from './word-analysis';
+import { defaultValidator } from './default-validator';
+import {
+  AnalysisResult,
+  BatchOptions,
+  CacheConfig,
+  CacheStatsReport,
+  ClassificationOptions,
+  DetectionOptions,
+  DocumentSummary,
+  EnglishMiddleware,
+  EvaluationOptions,
+  EvaluationReport,
+  FieldFailure,
+  LabelledSample,
+  LanguageCandidate,
+  LanguageDetectionOptions,
+  MiddlewareConfig,
+  NonEnglishSpan,
+  ObjectValidationConfig,
+  OptionGrid,
+  SpanOptions,
+  StreamChunkResult,
+  StreamOptions,
+  SweepOptions,
+  SweepResult,
+  TextClass,
+} from './types';
 
 // ─── Re-exports ───────────────────────────────────────────────────────────────
 
+export { createValidator } from './default-validator';
+export { buildDictionaryPack, expandHunspell, loadDictionaryPack } from './dictionary-pack';
+export { parseCorpus } from './evaluation';
+export { extractIdentifiers } from './identifiers';
 export { matchesDocumentPattern } from './preprocessing';
-export type { DetectionOptions } from './types';
+export { numericTokenKind, tokenize } from './tokenizer';
+export { createTrigramDetector, trigramDetector } from './trigram-detector';
+export type {
+  AnalysisResult,
+  BatchOptions,
+  CacheConfig,
+  CacheOptions,
+  CacheStats,
+  CacheStatsReport,
+  CacheStore,
+  ClassificationMetrics,
+  ClassificationOptions,
+  DecisionBranch,
+  DetectionOptions,
+  DictionaryPack,
+  DictionaryPackOptions,
+  DictionarySource,
+  DocumentSummary,
+  EnglishMiddleware,
+  EvaluationOptions,
+  EvaluationReport,
+  FieldFailure,
+  IdentifierMatch,
+  IdentifierPreset,
+  LabelledSample,
+  LanguageCandidate,
+  LanguageConfusion,
+  LanguageDetectionOptions,
+  LanguageResult,
+  MiddlewareConfig,
+  MiddlewareRequest,
+  MiddlewareResponse,
+  Misclassification,
+  NonEnglishSpan,
+  NumericTokenKind,
+  ObjectValidationConfig,
+  OptionGrid,
+  RomanizedPack,
+  ScoreSignals,
+  ScoringModel,
+  ScoringOptions,
+  ScoringPreset,
+  ScriptName,
+  ScriptProfile,
+  SecondaryDetector,
+  SpanOptions,
+  StreamChunkResult,
+  StreamOptions,
+  SweepMetric,
+  SweepOptions,
+  SweepResult,
+  TextClass,
+  TextFormat,
+  TextToken,
+  ThresholdSource,
+  TokenAnalysis,
+  TokenKind,
+  TokenReason,
+  TrigramProfiles,
+  Validator,
+  ValidatorConfig,
+  WordLookup,
+} from './types';
 
 // ─── Public API ───────────────────────────────────────────────────────────────
+//
+// The top-level functions are the default validator; use createValidator()
+// for instances with their own dictionary layers and caches.
 
 /**
  * Detects whether the given text is **non-English**.
@@ -20,11 +110,16 @@ export type { DetectionOptions } from './types';
  *    special characters to reduce noise
  * 2. **Word-level analysis** — checks each word against a 270k+ English
  *    dictionary with heuristic non-English screening
- * 3. **Trigram analysis** — falls back to franc language detection for
- *    ambiguous cases where word ratio alone is insufficient
+ * 3. **Trigram analysis** — falls back to the secondary detector (a
+ *    built-in trigram scorer unless configured) for ambiguous cases where
+ *    word ratio alone is insufficient
  *
- * Short texts (4 words or fewer) use a relaxed threshold (0.6) to avoid
- * false positives on English abbreviations and fragments.
+ * The signals are blended into an English probability by a scoring model
+ * (`scoring` option: `strict`, `balanced` or `lenient`, or custom
+ * weights); short texts get an allowance that fades out with length, to
+ * avoid false positives on English abbreviations and fragments.
+ *
+ * Use {@link analyzeText} for the full report behind the verdict.
  *
  * @param inputText - The text to analyse (null/undefined/empty returns false)
  * @param options   - Detection configuration (thresholds, word length, etc.)
@@ -40,82 +135,359 @@ export const detectNonEnglishText = (
   inputText: string | null | undefined,
   options: DetectionOptions = {},
 ): boolean => {
-  const {
-    minWordLength = 2,
-    allowNumbers = true,
-    allowAbbreviations = true,
-    customPatterns,
-    excludeWords,
-  } = options;
-  let { englishThreshold = 0.8 } = options;
+  return defaultValidator.detectNonEnglishText(inputText, options);
+};
 
-  if (!isNonEmptyString(inputText) || inputText.trim().length === 0) {
-    return false;
-  }
+/**
+ * Convenience inverse of {@link detectNonEnglishText}.
+ * Returns true when the text IS English.
+ *
+ * @param inputText - The text to analyse
+ * @param options   - Same configuration as detectNonEnglishText
+ * @returns true if English, false if non-English
+ *
+ * @example
+ * isEnglish("The sky is blue");   // true
+ * isEnglish("Le ciel est bleu");  // false
+ */
+export const isEnglish = (
+  inputText: string | null | undefined,
+  options: DetectionOptions = {},
+): boolean => {
+  return defaultValidator.isEnglish(inputText, options);
+};
 
-  const francInputText = inputText;
-  const processedText = preprocessText(inputText, customPatterns, excludeWords);
-  const words = processedText.split(' ');
+/**
+ * Runs the full detection pipeline and returns a structured report of how
+ * the verdict was reached: the preprocessed text, every token with its
+ * verdict and reason, the English ratio, the English probability and the
+ * signals behind it, the effective threshold, the secondary detector's
+ * result (when consulted), the letters per Unicode script and the branch
+ * that made the decision.
+ *
+ * This is the single source of truth for detection — `isEnglish` and
+ * `detectNonEnglishText` are thin wrappers over it.
+ *
+ * @param inputText - The text to analyse (null/undefined/empty is English)
+ * @param options   - Detection configuration (thresholds, word length, etc.)
+ * @returns The full detection report
+ *
+ * @example
+ * const report = analyzeText("Ceci est une phrase en français");
+ * report.isEnglish;     // false
+ * report.tokens[1];     // { token: "est", reason: "non-english-vocabulary", ... }
+ * report.decision;      // "below-threshold"
+ */
+export const analyzeText = (
+  inputText: string | null | undefined,
+  options: DetectionOptions = {},
+): AnalysisResult => {
+  return defaultValidator.analyzeText(inputText, options);
+};
 
-  if (words.length === 0) return false;
-  if (words.length <= 4) englishThreshold = 0.6;
+/**
+ * Probability (0.0–1.0) that the text is English, for callers that apply
+ * their own cut-off. Blends the English ratio, non-English indicator hits,
+ * the secondary detector's verdict and text length under the `scoring`
+ * model; unlike {@link analyzeText}, the detector is always consulted, so
+ * the score does not depend on any threshold.
+ *
+ * @param inputText - The text to score (null/undefined/empty scores 1)
+ * @param options   - Detection configuration (scoring model, word length, etc.)
+ * @returns The English probability
+ *
+ * @example
+ * englishProbability("The quick brown fox jumps over the lazy dog"); // 1
+ * englishProbability("Das ist ein deutscher Satz");                  // 0
+ * englishProbability(comment, { scoring: "strict" }) >= 0.95;        // custom cut-off
+ */
+export const englishProbability = (
+  inputText: string | null | undefined,
+  options: DetectionOptions = {},
+): number => {
+  return defaultValidator.englishProbability(inputText, options);
+};
 
-  let englishWordCount = 0;
-  let totalRelevantWords = 0;
+/**
+ * Tells English from other languages and from text that is no language at
+ * all — keyboard mashes ("asdfghjkl"), repeated characters ("aaaaaaa") and
+ * random letter strings — for spam and abuse filtering.
+ *
+ * The English verdict is {@link isEnglish}'s. Non-English text is
+ * `gibberish` when at least `gibberishThreshold` (default 0.5) of its
+ * words look like no language: keyboard-row runs, a unit typed three
+ * times or more, no vowels, or mostly letter combinations found neither
+ * in English words nor in the language the secondary detector names.
+ * Words the dictionary or the non-English indicators recognise never
+ * count, so foreign text stays `non-english`.
+ *
+ * @param inputText - The text to classify
+ * @param options   - Detection configuration and `gibberishThreshold`
+ * @returns `english`, `non-english`, `gibberish`, or `empty` when there are no words to judge
+ *
+ * @example
+ * classifyText("Please review the attached document"); // "english"
+ * classifyText("Das ist ein deutscher Satz");          // "non-english"
+ * classifyText("asdfghjkl qwerty zxcvb");              // "gibberish"
+ * classifyText("!!! 12345");                           // "empty"
+ */
+export const classifyText = (
+  inputText: string | null | undefined,
+  options: ClassificationOptions = {},
+): TextClass => {
+  return defaultValidator.classifyText(inputText, options);
+};
 
-  for (const word of words) {
-    const cleanWord = word.replace(WORD_PUNCTUATION_REGEX, '').trim();
-    if (cleanWord.length < minWordLength) continue;
+/**
+ * Finds contiguous runs of non-English words inside mixed-language text,
+ * e.g. a French error message pasted into an English paragraph.
+ *
+ * Words are judged exactly as {@link analyzeText} judges them (same
+ * preprocessing, same word-level checks). English words end a run;
+ * words shorter than minWordLength and text removed by preprocessing
+ * (document IDs, geographical terms, customPatterns, excludeWords) are
+ * neutral and do not. Offsets point into the original input, not the
+ * preprocessed text.
+ *
+ * @param inputText - The text to scan
+ * @param options   - Detection configuration plus minSpanWords
+ * @returns Non-English runs in input order (empty for English/empty input)
+ *
+ * @example
+ * const text = "The export failed with le fichier est introuvable again";
+ * findNonEnglishSpans(text);
+ * // => [{ start: 23, end: 49, text: "le fichier est introuvable", words: [...], language: {...} }]
+ */
+export const findNonEnglishSpans = (
+  inputText: string | null | undefined,
+  options: SpanOptions = {},
+): NonEnglishSpan[] => {
+  return defaultValidator.findNonEnglishSpans(inputText, options);
+};
 
-    totalRelevantWords++;
+/**
+ * Identifies the language of a text and returns the most likely ISO 639
+ * codes, best first — for routing content to the right translator or
+ * locale rather than just accepting or rejecting it.
+ *
+ * Each candidate's score blends the secondary detector's score with the
+ * word-level heuristics: the English ratio for English, and for other
+ * languages the share of words with that language's characters, endings,
+ * vocabulary or function words. `candidates` narrows the search to an allowlist of
+ * ISO 639-1 or 639-3 codes.
+ *
+ * @param inputText - The text to identify
+ * @param options   - Detection configuration plus candidates and topN (default 3)
+ * @returns Ranked candidates with their scores (empty for empty input)
+ * @throws {RangeError} If a two-letter candidate is not an ISO 639-1 code
+ *
+ * @example
+ * detectLanguage("Das ist ein deutscher Satz und er ist lang genug");
+ * // => [{ language: "deu", iso6391: "de", score: 0.83, secondary: 1, heuristic: 0.67 }, ...]
+ *
+ * detectLanguage("Hola, ¿cómo estás?", { candidates: ["es", "pt", "it"], topN: 1 });
+ * // => [{ language: "spa", iso6391: "es", ... }]
+ */
+export const detectLanguage = (
+  inputText: string | null | undefined,
+  options: LanguageDetectionOptions = {},
+): LanguageCandidate[] => {
+  return defaultValidator.detectLanguage(inputText, options);
+};
 
-    // Check abbreviation on original casing before lowercasing
-    if (allowAbbreviations && ABBREVIATION_REGEX.test(cleanWord)) {
-      englishWordCount++;
-    } else if (
-      isEnglishWordCached(cleanWord.toLowerCase(), {
-        allowNumbers,
-        allowAbbreviations,
-      })
-    ) {
-      englishWordCount++;
-    }
-  }
+/**
+ * Runs `isEnglish` over many texts in one call and returns the verdicts in
+ * input order. Identical inputs are analysed once, and every text shares
+ * the same word and secondary detector caches, so repeated vocabulary
+ * across rows is only looked up once.
+ *
+ * Runs synchronously on the calling thread — use {@link detectBatchAsync}
+ * inside servers, or `detectBatchParallel` from `english-validator/node`
+ * to spread the work across worker threads.
+ *
+ * @param texts   - Texts to check (null/undefined/empty count as English)
+ * @param options - Detection configuration applied to every text
+ * @returns One boolean per input — true when that text is English
+ *
+ * @example
+ * detectBatch(["Hello world", "Bonjour le monde entier", "Hello world"]);
+ * // => [true, false, true]   ("Hello world" analysed once)
+ */
+export const detectBatch = (
+  texts: ReadonlyArray<string | null | undefined>,
+  options: DetectionOptions = {},
+): boolean[] => {
+  return defaultValidator.detectBatch(texts, options);
+};
 
-  const englishRatio = totalRelevantWords > 0 ? englishWordCount / totalRelevantWords : 1.0;
+/**
+ * Promise-based {@link detectBatch} that yields to the event loop after
+ * every `chunkSize` texts, so large batches don't block HTTP servers or
+ * timers while they run.
+ *
+ * @param texts   - Texts to check (null/undefined/empty count as English)
+ * @param options - Detection configuration plus chunkSize
+ * @returns Promise of one boolean per input — true when that text is English
+ *
+ * @example
+ * const verdicts = await detectBatchAsync(rows, { chunkSize: 1000 });
+ */
+export const detectBatchAsync = (
+  texts: ReadonlyArray<string | null | undefined>,
+  options: BatchOptions = {},
+): Promise<boolean[]> => {
+  return defaultValidator.detectBatchAsync(texts, options);
+};
 
-  if (englishRatio >= englishThreshold) return false;
+/**
+ * Classifies a large document without holding it in memory. Accepts any
+ * (async) iterable of strings or bytes — including Node.js readable
+ * streams — splits it into paragraphs or sentences, and yields one result
+ * per chunk with a running document summary.
+ *
+ * Bytes are decoded as UTF-8 in streaming mode, so multi-byte characters
+ * split across pieces are reassembled correctly.
+ *
+ * @param source  - Document pieces (strings or UTF-8 bytes)
+ * @param options - Detection configuration plus split and maxChunkLength
+ * @returns Async iterator of per-chunk results
+ *
+ * @example
+ * for await (const chunk of detectStream(fs.createReadStream("big.txt"))) {
+ *   if (!chunk.isEnglish) console.log(chunk.start, chunk.text);
+ * }
+ */
+export const detectStream = (
+  source: AsyncIterable<string | Uint8Array> | Iterable<string | Uint8Array>,
+  options: StreamOptions = {},
+): AsyncGenerator<StreamChunkResult, DocumentSummary> => {
+  return defaultValidator.detectStream(source, options);
+};
 
-  const { language, confidence } = francLanguageAnalysis(francInputText);
+/**
+ * Measures the detector on a labelled corpus, with English as the positive
+ * class: accuracy, precision, recall and F1 overall and per domain, a
+ * confusion row per labelled language, and the worst false positives
+ * (non-English text it was surest was English) and false negatives.
+ *
+ * @param corpus  - Labelled samples, e.g. from {@link parseCorpus}
+ * @param options - Detection configuration plus worst (errors listed, default 10)
+ * @returns The evaluation report
+ *
+ * @example
+ * const corpus = parseCorpus(fs.readFileSync("corpus.jsonl", "utf-8"));
+ * const report = evaluate(corpus);
+ * report.f1;                     // 0.96…
+ * report.languages.de;           // { total: 6, predictedEnglish: 1, predictedNonEnglish: 5 }
+ * report.worstFalsePositives[0]; // { text, language, probability, englishRatio, decision }
+ */
+export const evaluate = (
+  corpus: readonly LabelledSample[],
+  options: EvaluationOptions = {},
+): EvaluationReport => {
+  return defaultValidator.evaluate(corpus, options);
+};
+
+/**
+ * Evaluates a labelled corpus under every combination of an option grid
+ * and ranks the settings by `metric` (default `f1`), best first.
+ *
+ * @param corpus  - Labelled samples
+ * @param grid    - Candidate values per detection option
+ * @param options - Options shared by every setting, plus metric and worst
+ * @returns One result per combination, best first
+ *
+ * @example
+ * const [best] = sweepOptions(corpus, {
+ *   englishThreshold: [0.6, 0.7, 0.8],
+ *   minWordLength: [2, 3],
+ * });
+ * best.options; // { englishThreshold: 0.7, minWordLength: 2 }
+ * best.score;   // F1 of that setting
+ */
+export const sweepOptions = (
+  corpus: readonly LabelledSample[],
+  grid: OptionGrid,
+  options: SweepOptions = {},
+): SweepResult[] => {
+  return defaultValidator.sweepOptions(corpus, grid, options);
+};
 
-  if (language === 'eng' && confidence >= 0.9 && englishRatio >= 0.7) {
-    return false;
-  }
+/**
+ * Checks the string fields of a nested value — a parsed request body, a
+ * form, a CMS document — and lists the ones that are not English, with
+ * their paths. Identical strings are analysed once.
+ *
+ * `fields` selects string fields by glob-style path: dotted keys, `[n]` or
+ * `[*]` for array items, `*` for any key or item and `**` for any number
+ * of levels. Without it every string field is checked.
+ *
+ * @param value  - Object, array or string to check
+ * @param config - Field paths and detection options
+ * @returns Non-English fields in walk order (empty when all are English)
+ * @throws {RangeError} If a field path is malformed
+ *
+ * @example
+ * validateObject(
+ *   { title: "Release notes", items: [{ title: "Neue Funktionen und Fehlerbehebungen" }] },
+ *   { fields: ["title", "items[*].title"] },
+ * );
+ * // => [{ path: "items[0].title", value: "Neue Funktionen und Fehlerbehebungen", isEnglish: false }]
+ */
+export const validateObject = (
+  value: unknown,
+  config: ObjectValidationConfig = {},
+): FieldFailure[] => {
+  return defaultValidator.validateObject(value, config);
+};
 
-  return true;
+/**
+ * Creates a Connect/Express-compatible middleware that validates the
+ * request body (or `query`, `params`, or any part picked by a function)
+ * with {@link validateObject}. Requests with non-English fields are
+ * rejected with a JSON error listing their paths; others continue.
+ *
+ * @param config - Request part, field paths, detection options, 4xx status and message
+ * @returns The middleware
+ * @throws {RangeError} If `status` is not a 4xx status code or a field path is malformed
+ *
+ * @example
+ * app.post(
+ *   "/api/orders",
+ *   express.json(),
+ *   createEnglishMiddleware({ fields: ["note", "items[*].title"], status: 422 }),
+ *   handler,
+ * );
+ * // 422 { "error": "Only English text is accepted", "paths": ["items[1].title"] }
+ */
+export const createEnglishMiddleware = (config: MiddlewareConfig = {}): EnglishMiddleware => {
+  return defaultValidator.createEnglishMiddleware(config);
 };
 
 /**
- * Convenience inverse of {@link detectNonEnglishText}.
- * Returns true when the text IS English.
+ * Creates a predicate for custom validators in schema libraries: English
+ * strings pass, and so does any non-string value, so type checks stay
+ * with the schema.
  *
- * @param inputText - The text to analyse
- * @param options   - Same configuration as detectNonEnglishText
- * @returns true if English, false if non-English
+ * @param options - Detection options applied to every value
+ * @returns true when the value is not a string or is English text
  *
  * @example
- * isEnglish("The sky is blue");   // true
- * isEnglish("Le ciel est bleu");  // false
+ * const english = createEnglishRefinement();
+ * z.string().refine(english, { message: "Must be English" });           // zod
+ * yup.string().test("english", "Must be English", english);             // yup
  */
-export const isEnglish = (
-  inputText: string | null | undefined,
+export const createEnglishRefinement = (
   options: DetectionOptions = {},
-): boolean => {
-  return !detectNonEnglishText(inputText, options);
+): ((value: unknown) => boolean) => {
+  return defaultValidator.createEnglishRefinement(options);
 };
 
 /**
- * Clears both the franc language-analysis cache and the word-lookup cache.
+ * Clears both the secondary detector cache and the word-lookup cache
+ * of the default validator, and resets their statistics. Stores set with
+ * {@link configureCaches} are left alone. Instances from createValidator()
+ * keep their own caches — use their clearCaches() method.
  * Call this in long-running applications to free memory or to reset state
  * between independent detection sessions.
  *
@@ -123,6 +495,43 @@ export const isEnglish = (
  * clearLanguageDetectorCaches(); // frees all cached results
  */
 export const clearLanguageDetectorCaches = (): void => {
-  francCache.clear();
-  wordCache.clear();
+  defaultValidator.clearCaches();
+};
+
+/**
+ * Changes the default validator's cache limits or stores at runtime.
+ * Limits are per cache: `maxEntries` bounds the entry count and `maxSize`
+ * the total key length in characters — secondary cache keys are whole input texts,
+ * so `maxSize` is what keeps large inputs from pinning memory. Shrinking a
+ * limit evicts the least recently used entries at once.
+ *
+ * A `store` adds a second, synchronous tier (see {@link CacheStore}) that
+ * is written through and consulted on memory misses — e.g.
+ * `createFileCacheStore()` from `english-validator/node` to share
+ * secondary detector results between processes.
+ *
+ * @param config - Options for the `word` and/or `secondary` cache
+ * @throws {RangeError} If a limit is negative or not a number
+ *
+ * @example
+ * configureCaches({ secondary: { maxEntries: 10_000, maxSize: 5_000_000 } });
+ * configureCaches({ word: { maxEntries: 0 } }); // no in-memory word cache
+ */
+export const configureCaches = (config: CacheConfig): void => {
+  defaultValidator.configureCaches(config);
+};
+
+/**
+ * Hit, miss and eviction counts plus current sizes and limits of the
+ * default validator's caches, since start-up or the last
+ * {@link clearLanguageDetectorCaches}.
+ *
+ * @returns Statistics per cache
+ *
+ * @example
+ * const { secondary } = getCacheStats();
+ * metrics.gauge("secondary_cache_hit_rate", secondary.hitRate);
+ */
+export const getCacheStats = (): CacheStatsReport => {
+  return defaultValidator.getCacheStats();
 };
@@ -0,0 +1,64 @@
+// ─── ISO 639 Language Codes ───────────────────────────────────────────────────
+
+/**
+ * ISO 639-1 codes for the ISO 639-3 codes language detectors report.
+ * Individual languages of a macrolanguage map to the macrolanguage's code
+ * (arb → ar, cmn → zh, pes/prs → fa). Languages without a two-letter code are absent.
+ * Pairs are written `iso6393:iso6391`.
+ */
+const ISO_639_1 = new Map(
+  (
+    'afr:af als:sq amh:am arb:ar ayr:ay azj:az bam:bm bel:be ben:bn bod:bo bos:bs bul:bg ' +
+    'cat:ca ces:cs ckb:ku cmn:zh dan:da deu:de ekk:et ell:el eng:en epo:eo ewe:ee fin:fi ' +
+    'fra:fr fuf:ff fuv:ff glg:gl guj:gu hat:ht hau:ha heb:he hin:hi hrv:hr hun:hu hye:hy ' +
+    'ibo:ig iii:ii ind:id ita:it jav:jv jpn:ja kan:kn kat:ka kaz:kk khk:mn khm:km kin:rw ' +
+    'kir:ky kng:kg kor:ko lao:lo lin:ln lit:lt lug:lg lvs:lv mal:ml mar:mr mkd:mk mya:my ' +
+    'ndo:ng nld:nl nno:nn nob:nb npi:ne nya:ny pan:pa pbu:ps pes:fa plt:mg pol:pl por:pt ' +
+    'prs:fa qug:qu quy:qu quz:qu ron:ro run:rn rus:ru sag:sg sin:si slk:sk slv:sl sna:sn ' +
+    'som:so sot:st spa:es srp:sr ssw:ss sun:su swe:sv swh:sw tam:ta tat:tt tel:te tgk:tg ' +
+    'tgl:tl tha:th tir:ti tsn:tn tso:ts tuk:tk tur:tr uig:ug ukr:uk urd:ur uzn:uz ven:ve ' +
+    'vie:vi wol:wo xho:xh ydd:yi yor:yo zlm:ms zul:zu'
+  )
+    .split(' ')
+    .map((pair) => pair.split(':') as [string, string]),
+);
+
+/** ISO 639-3 codes per ISO 639-1 code (several for macrolanguages such as fa or qu). */
+const ISO_639_3 = new Map<string, string[]>();
+for (const [iso6393, iso6391] of ISO_639_1) {
+  ISO_639_3.set(iso6391, [...(ISO_639_3.get(iso6391) ?? []), iso6393]);
+}
+
+/**
+ * Two-letter ISO 639-1 code for an ISO 639-3 code.
+ *
+ * @param iso6393 - Three-letter code as reported by a language detector
+ * @returns The two-letter code, or null when the language has none
+ */
+export function toIso6391(iso6393: string): string | null {
+  return ISO_639_1.get(iso6393) ?? null;
+}
+
+/**
+ * Normalises a list of ISO 639-1 or 639-3 codes (any case) to the
+ * ISO 639-3 codes language detectors use. Two-letter codes expand to every matching
+ * three-letter code; unknown three-letter codes pass through unchanged.
+ *
+ * @param codes - Language codes to normalise
+ * @returns De-duplicated ISO 639-3 codes
+ * @throws {RangeError} If a two-letter code is not a known ISO 639-1 code
+ */
+export function toIso6393Codes(codes: readonly string[]): string[] {
+  const result = new Set<string>();
+  for (const code of codes) {
+    const normalized = code.trim().toLowerCase();
+    if (normalized.length !== 2) {
+      result.add(normalized);
+      continue;
+    }
+    const expanded = ISO_639_3.get(normalized);
+    if (!expanded) throw new RangeError(`Unknown ISO 639-1 language code: "${code}"`);
+    expanded.forEach((iso6393) => result.add(iso6393));
+  }
+  return [...result];
+}
@@ -0,0 +1,119 @@
+import { analyzeText, secondaryInput } from './analysis';
+import {
+  LANGUAGE_SECONDARY_WEIGHT,
+  LANGUAGE_INDICATORS,
+  LANGUAGE_TOP_N_DEFAULT,
+} from './constants';
+import { toIso6391, toIso6393Codes } from './language-codes';
+import {
+  LanguageCandidate,
+  LanguageDetectionOptions,
+  LanguageIndicators,
+  TokenAnalysis,
+  ValidatorContext,
+} from './types';
+import { isNonEmptyString } from './utils';
+
+// ─── Language Identification ──────────────────────────────────────────────────
+
+/** Compiled matchers for one language of {@link LANGUAGE_INDICATORS}. */
+interface LanguageMatcher {
+  language: string;
+  matches: (word: string) => boolean;
+}
+
+/** Regex for one space-separated list, or null when the list is empty. */
+function listRegex(list: string, template: (alternation: string) => string): RegExp | null {
+  const words = list.trim().split(/\s+/).filter(Boolean);
+  return words.length > 0 ? new RegExp(template(words.join('|')), 'i') : null;
+}
+
+const LANGUAGE_MATCHERS: readonly LanguageMatcher[] = LANGUAGE_INDICATORS.map(
+  ({ language, characters, endings, vocabulary, functionWords }: LanguageIndicators) => {
+    const patterns = [
+      characters ? new RegExp(`[${characters}]`, 'i') : null,
+      listRegex(endings, (alternation) => `(?:${alternation})$`),
+      listRegex(`${vocabulary} ${functionWords}`, (alternation) => `^(?:${alternation})$`),
+    ].filter((pattern): pattern is RegExp => pattern !== null);
+    return { language, matches: (word) => patterns.some((pattern) => pattern.test(word)) };
+  },
+);
+
+/**
+ * Share of counted tokens showing each language's indicators. A token
+ * counts once per language, however many of its heuristics match.
+ */
+function heuristicScores(
+  tokens: TokenAnalysis[],
+  allowed: Set<string> | null,
+): Map<string, number> {
+  const counted = tokens.filter((token) => token.counted).map((token) => token.token);
+  const scores = new Map<string, number>();
+  if (counted.length === 0) return scores;
+
+  for (const { language, matches } of LANGUAGE_MATCHERS) {
+    if (allowed && !allowed.has(language)) continue;
+    const hits = counted.filter(matches).length;
+    if (hits > 0) scores.set(language, hits / counted.length);
+  }
+  return scores;
+}
+
+/**
+ * Identifies the language of a text and returns the most likely ISO 639
+ * codes, best first.
+ *
+ * Each candidate's score blends two signals:
+ *
+ * - **secondary** — the score from the validator's secondary detector, 1.0 for
+ *   its best match (ignored for text it cannot judge)
+ * - **word heuristics** — for English, the English ratio from
+ *   {@link analyzeText}; for other languages, the share of words showing
+ *   that language's characters, endings, vocabulary or function words
+ *
+ * `candidates` (ISO 639-1 or 639-3 codes) narrows both signals to an
+ * allowlist.
+ *
+ * @param inputText - Text to identify
+ * @param options   - Detection options plus candidates and topN
+ * @param context   - Validator whose dictionary and caches to use
+ * @returns Up to topN candidates with a score above zero (empty for empty input)
+ */
+export function detectLanguage(
+  inputText: string | null | undefined,
+  options: LanguageDetectionOptions,
+  context: ValidatorContext,
+): LanguageCandidate[] {
+  if (!isNonEmptyString(inputText) || inputText.trim().length === 0) return [];
+
+  const { candidates, topN = LANGUAGE_TOP_N_DEFAULT } = options;
+  const allowed = candidates ? new Set(toIso6393Codes(candidates)) : null;
+  const report = analyzeText(inputText, options, context);
+
+  const secondaryText = secondaryInput(inputText, report.processedText, options);
+  const secondaryScores = new Map(
+    context
+      .secondaryDetector(secondaryText, allowed ? { only: [...allowed] } : {})
+      .filter(([language]) => language !== 'und' && (!allowed || allowed.has(language))),
+  );
+  const secondaryWeight = secondaryScores.size > 0 ? LANGUAGE_SECONDARY_WEIGHT : 0;
+
+  const heuristics = heuristicScores(report.tokens, allowed);
+  if (report.totalRelevantWords > 0 && (!allowed || allowed.has('eng'))) {
+    heuristics.set('eng', report.englishRatio);
+  }
+
+  const ranked: LanguageCandidate[] = [];
+  for (const language of new Set([...secondaryScores.keys(), ...heuristics.keys()])) {
+    const secondary = secondaryScores.get(language) ?? 0;
+    const heuristic = heuristics.get(language) ?? 0;
+    const score = secondaryWeight * secondary + (1 - secondaryWeight) * heuristic;
+    if (score > 0) {
+      const iso6391 = toIso6391(language);
+      ranked.push({ language, iso6391, score, secondary, heuristic });
+    }
+  }
+
+  ranked.sort((a, b) => b.score - a.score || a.language.localeCompare(b.language));
+  return ranked.slice(0, topN);
+}
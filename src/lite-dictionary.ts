@@ -0,0 +1,18 @@
+/**
+ * Common-words dictionary for the english-validator/lite entry point.
+ *
+ * The hand-picked common words of the full dictionary, a general everyday
+ * vocabulary, and the regular inflections of both (-s, -ed, -ing, -er, -ly,
+ * -est, -ness, -ment, ...). Every word is also in the full dictionary, so
+ * the lite build never accepts a word the full build rejects.
+ *
+ * Total unique words: 14367
+ */
+import { createSortedWordList, SortedWordList } from './word-list';
+
+/** Common English words, sorted and newline-delimited. */
+const LITE_WORDS_RAW =
+  'a\naah\naahed\naahing\naahs\nabilities\nability\nable\nabled\nables\nabling\nabout\nabouts\nabove\naboves\nabroad\nabroads\nabsence\nabsences\nabsent\nabsented\nabsenter\nabsenters\nabsenting\nabsently\nabsents\nabsolute\nabsolutely\nabsoluteness\nabsolutes\nabsolution\nabsolutions\nabsorb\nabsorbed\nabsorber\nabsorbers\nabsorbing\nabsorbs\nabstract\nabstracted\nabstracter\nabstracters\nabstractest\nabstracting\nabstractly\nabstractness\nabstracts\nabuse\nabused\nabuses\nabusing\nabusion\nabusions\nacademic\nacademics\naccent\naccented\naccenting\naccentless\naccents\naccept\nacceptable\nacceptableness\naccepted\naccepter\naccepters\naccepting\naccepts\naccess\naccessed\naccesses\naccessible\naccessing\naccident\naccidented\naccidently\naccidents\naccompanied\naccompanier\naccompanies\naccompany\naccompanying\naccomplish\naccomplished\naccomplisher\naccomplishers\naccomplishes\naccomplishing\naccomplishment\naccomplishments\naccording\naccordingly\naccount\naccounted\naccounting\naccounts\naccurate\naccurately\naccurateness\naccuse\naccused\naccusement\naccusements\naccuses\naccusing\nache\nached\naches\nachieve\nachieved\nachievement\nachievements\nachieves\nachieving\naching\nacid\nacider\nacidest\nacidly\nacidness\nacids\nacknowledge\nacknowledged\nacknowledgement\nacknowledgements\nacknowledges\nacknowledging\nacquire\nacquired\nacquirees\nacquirement\nacquirements\nacquires\nacquiring\nacross\nact\nacted\nacting\naction\nactioned\nactioner\nactioners\nactioning\nactionless\nactions\nactive\nactively\nactiveness\nactives\nactivities\nactivity\nactor\nactorly\nactors\nactress\nactresses\nacts\nactual\nactually\nactuals\nadapt\nadapted\nadapter\nadapters\nadapting\nadapts\nadd\nadded\nadder\nadders\nadding\naddition\nadditional\nadditionally\nadditions\naddress\naddressed\naddresser\naddressers\naddresses\naddressing\nadds\nadequate\nadequately\nadequateness\nadjust\nadjusted\nadjuster\nadjusters\nadjusting\nadjustment\nadjustments\nadjusts\nadmin\nadministration\nadministrations\nadministrator\nadministrators\nadmins\nadmire\nadmired\nadmires\nadmiring\nadmit\nadmits\nadmitted\nadmitter\nadmitters\nadmitting\nadolescent\nadolescently\nadolescents\nadopt\nadopted\nadopter\nadopters\nadopting\nadopts\nadult\nadulthood\nadulthoods\nadultly\nadultness\nadults\nadvance\nadvanced\nadvancement\nadvancements\nadvances\nadvancing\nadvantage\nadvantaged\nadvantages\nadvantaging\nadventure\nadventured\nadventureful\nadventures\nadventuring\nadvertise\nadvertised\nadvertisement\nadvertisements\nadvertises\nadvertising\nadvice\nadviceful\nadvices\nadvise\nadvised\nadvisees\nadvisement\nadvisements\nadvises\nadvising\naffair\naffaires\naffairs\naffect\naffected\naffecter\naffecters\naffecting\naffectless\naffects\naffluent\naffluently\naffluents\nafford\nafforded\naffording\naffords\nafraid\nafter\nafternoon\nafternoons\nafters\nafterwards\nagain\nagainst\nage\naged\nagedly\nageing\nageless\nagencies\nagency\nagenda\nagendaless\nagendas\nagent\nagented\nagenting\nagents\nages\naggressive\naggressively\naggressiveness\naging\nago\nagoing\nagree\nagreed\nagreeing\nagreement\nagreements\nagrees\nahead\naid\naided\naider\naiders\naides\naidful\naiding\naidless\naids\naim\naimed\naimer\naimers\naimful\naiming\naimless\naims\nair\naircraft\naired\nairer\nairers\nairest\nairing\nairless\nairline\nairlines\nairplane\nairplanes\nairport\nairports\nairs\nalarm\nalarmed\nalarming\nalarms\nalbum\nalbums\nalcohol\nalcohols\nalgorithm\nalgorithms\nalike\nalive\naliveness\nall\nallness\nallow\nallowance\nallowanced\nallowances\nallowancing\nallowed\nallowing\nallows\nalls\nalmost\nalone\nalonely\naloneness\nalong\nalongside\nalready\nalright\nalso\nalter\naltered\nalterer\nalterers\naltering\nalternative\nalternatively\nalternativeness\nalternatives\nalters\nalthough\naltogether\naltogethers\nalways\nam\namazed\namazedly\namazing\namazingly\nambition\nambitioned\nambitioning\nambitionless\nambitions\nambulance\nambulances\nament\naments\names\namid\namides\namids\namong\namount\namounted\namounting\namounts\namuse\namused\namusement\namusements\namuses\namusing\nan\nanalyse\nanalysed\nanalyses\nanalysing\nanalysis\nanalytics\nanalyze\nanalyzed\nanalyzes\nanalyzing\nancient\nancienter\nancientest\nanciently\nancientness\nancients\nand\nands\nanes\nanger\nangered\nangering\nangerless\nangerly\nangers\nangle\nangled\nangles\nangling\nangrier\nangries\nangriest\nangrily\nangriness\nangry\nanimal\nanimally\nanimals\nankle\nankled\nankles\nankling\nanniversaries\nanniversary\nannounce\nannounced\nannouncement\nannouncements\nannounces\nannouncing\nannoy\nannoyed\nannoyer\nannoyers\nannoying\nannoys\nannual\nannually\nannuals\nanother\nans\nanswer\nanswered\nanswerer\nanswerers\nanswering\nanswerless\nanswers\nant\nantes\nants\nanxieties\nanxiety\nanxious\nanxiously\nanxiousness\nany\nanybodies\nanybody\nanyhow\nanyone\nanyones\nanything\nanythings\nanyway\nanyways\nanywhere\nanywheres\napart\napartment\napartments\napartness\napologies\napologize\napologized\napologizes\napologizing\napology\napp\napparent\napparently\napparentness\napparents\nappeal\nappealed\nappealer\nappealers\nappealing\nappeals\nappear\nappearance\nappearances\nappeared\nappearer\nappearers\nappearing\nappears\napple\napples\napplication\napplications\napplied\napplier\napplies\napply\napplying\nappoint\nappointed\nappointer\nappointers\nappointing\nappointment\nappointments\nappoints\nappreciate\nappreciated\nappreciates\nappreciating\nappreciation\nappreciations\napproach\napproached\napproaches\napproaching\nappropriate\nappropriated\nappropriately\nappropriateness\nappropriates\nappropriating\nappropriation\nappropriations\napproval\napprovals\napprove\napproved\napproves\napproving\napproximately\napps\narchive\narchived\narchives\narchiving\nare\narea\naread\nareas\nared\narenes\nares\nargue\nargued\nargues\narguing\nargument\narguments\narise\narises\narising\narm\narmed\narmer\narmers\narmful\narmies\narming\narmless\narms\narmy\naround\narrange\narranged\narrangement\narrangements\narranges\narranging\narrest\narrested\narrester\narresters\narresting\narrestment\narrestments\narrests\narrival\narrivals\narrive\narrived\narrives\narriving\narrow\narrowed\narrowing\narrowless\narrows\nart\nartful\narticle\narticled\narticles\narticling\nartificial\nartificially\nartificialness\nartist\nartistes\nartistic\nartists\nartless\narts\nas\nash\nashamed\nashamedly\nashamedness\nashed\nashes\nashing\nashless\naside\nasides\nask\nasked\nasker\naskers\nasking\naskings\nasks\nasleep\naspect\naspected\naspecting\naspects\nass\nassess\nassessed\nassesses\nassessing\nassessment\nassessments\nassignment\nassignments\nassist\nassistance\nassistances\nassistant\nassistants\nassisted\nassister\nassisters\nassisting\nassists\nassociate\nassociated\nassociates\nassociating\nassociation\nassociations\nassume\nassumed\nassumes\nassuming\nassumption\nassumptions\nassure\nassured\nassures\nassuring\nastonished\nat\nate\nates\natmosphere\natmosphered\natmospheres\nats\nattach\nattached\nattacher\nattachers\nattaches\nattaching\nattachment\nattachments\nattack\nattacked\nattacker\nattackers\nattacking\nattacks\nattempt\nattempted\nattempter\nattempters\nattempting\nattempts\nattend\nattended\nattender\nattenders\nattending\nattendment\nattendments\nattends\nattention\nattentions\nattitude\nattitudes\nattorney\nattorneyed\nattorneying\nattorneys\nattract\nattracted\nattracter\nattracters\nattracting\nattraction\nattractions\nattractive\nattractively\nattractiveness\nattracts\naudience\naudiences\naugust\nauguster\naugustes\naugustest\naugustly\naugustness\naugusts\naunt\naunter\naunters\nauntly\naunts\nauthentic\nauthor\nauthored\nauthoring\nauthorities\nauthority\nauthorized\nauthorless\nauthors\nautomatic\nautomatics\nautumn\nautumns\navailable\navailableness\naverage\naveraged\naveragely\naverageness\naverages\naveraging\navoid\navoided\navoider\navoiders\navoiding\navoids\nawake\nawaked\nawakes\nawaking\naward\nawarded\nawarder\nawarders\nawarding\nawards\naware\nawareness\naway\nawayes\nawayness\naways\nawful\nawfully\nawfulness\nawkward\nawkwarder\nawkwardest\nawkwardly\nawkwardness\nbabied\nbabier\nbabies\nbabiest\nbaby\nbabying\nback\nbacked\nbacker\nbackers\nbackground\nbackgrounded\nbackgrounder\nbackgrounders\nbackgrounding\nbackgrounds\nbacking\nbackless\nbacks\nbackup\nbackups\nbackward\nbackwardly\nbackwardness\nbackwards\nbacon\nbaconer\nbaconers\nbacons\nbad\nbadder\nbaddest\nbadly\nbadness\nbads\nbag\nbagful\nbagged\nbagger\nbaggers\nbagging\nbagless\nbags\nbake\nbaked\nbakes\nbaking\nbalance\nbalanced\nbalances\nbalancing\nball\nballed\nballer\nballers\nballing\nballs\nban\nband\nbanded\nbander\nbanders\nbanding\nbands\nbandwidth\nbandwidths\nbaned\nbanes\nbaning\nbank\nbanked\nbanker\nbankers\nbanking\nbanks\nbanned\nbanner\nbannered\nbannering\nbanners\nbanning\nbans\nbar\nbard\nbare\nbared\nbarely\nbareness\nbarer\nbares\nbarest\nbarful\nbargain\nbargained\nbargainer\nbargainers\nbargaining\nbargains\nbaring\nbarless\nbarred\nbarrier\nbarriered\nbarriering\nbarriers\nbarring\nbars\nbase\nbaseball\nbaseballer\nbaseballers\nbaseballs\nbased\nbaseless\nbasely\nbasement\nbasements\nbaseness\nbases\nbasic\nbasically\nbasics\nbasing\nbasion\nbasions\nbasis\nbasket\nbasketball\nbasketballs\nbasketful\nbaskets\nbat\nbated\nbates\nbath\nbathed\nbather\nbathers\nbathes\nbathing\nbathless\nbathroom\nbathrooms\nbaths\nbating\nbats\nbatted\nbatter\nbatteries\nbatters\nbattery\nbatting\nbattle\nbattled\nbattlement\nbattlements\nbattles\nbattling\nbay\nbayed\nbayes\nbaying\nbays\nbe\nbeach\nbeached\nbeaches\nbeaching\nbean\nbeaned\nbeaning\nbeans\nbear\nbeard\nbearded\nbearding\nbeardless\nbeards\nbeared\nbearer\nbearers\nbeares\nbearing\nbears\nbeat\nbeater\nbeaters\nbeating\nbeatings\nbeatless\nbeats\nbeautied\nbeauties\nbeautiful\nbeautifuler\nbeautifulest\nbeautifully\nbeautifulness\nbeauty\nbeautying\nbecame\nbecause\nbecome\nbecomes\nbecoming\nbecomingly\nbecomings\nbed\nbedded\nbedder\nbedders\nbedding\nbedes\nbedless\nbedroom\nbedroomed\nbedrooms\nbeds\nbee\nbeef\nbeefed\nbeefing\nbeefless\nbeefs\nbeen\nbeer\nbeers\nbees\nbefore\nbegan\nbegin\nbeginner\nbeginners\nbeginning\nbeginningless\nbeginnings\nbegins\nbegun\nbehave\nbehaved\nbehaves\nbehaving\nbehavior\nbehaviors\nbehaviour\nbehaviours\nbehind\nbehinds\nbeing\nbeingless\nbeingness\nbeings\nbelief\nbeliefless\nbeliefs\nbelieve\nbelieved\nbelieves\nbelieving\nbelievingly\nbelievings\nbell\nbelled\nbelles\nbellied\nbellies\nbelling\nbells\nbelly\nbellying\nbelong\nbelonged\nbelonger\nbelongers\nbelonging\nbelongs\nbelow\nbelows\nbelt\nbelted\nbelter\nbelters\nbelting\nbeltless\nbelts\nbench\nbenched\nbencher\nbenchers\nbenches\nbenching\nbenchless\nbenchmark\nbenchmarked\nbenchmarking\nbenchmarks\nbend\nbended\nbender\nbenders\nbending\nbends\nbeneath\nbenefit\nbenefited\nbenefiter\nbenefiters\nbenefiting\nbenefits\nbenefitted\nbenefitting\nbes\nbeside\nbesides\nbest\nbested\nbesting\nbests\nbet\nbeted\nbetes\nbeting\nbets\nbetted\nbetter\nbettered\nbettering\nbetterment\nbetterments\nbetterness\nbetters\nbetting\nbetween\nbetweenness\nbetweens\nbewildered\nbewilderedly\nbeyond\nbeyonds\nbicycle\nbicycled\nbicycles\nbicycling\nbid\nbidder\nbidders\nbidding\nbided\nbider\nbiders\nbides\nbiding\nbids\nbier\nbig\nbigged\nbigger\nbiggest\nbigging\nbigly\nbigness\nbigs\nbike\nbiked\nbikes\nbiking\nbill\nbilled\nbiller\nbillers\nbilling\nbillion\nbillions\nbills\nbin\nbinaries\nbinary\nbind\nbiner\nbiners\nbines\nbing\nbinned\nbinning\nbins\nbiologies\nbiology\nbird\nbirded\nbirder\nbirders\nbirding\nbirds\nbirth\nbirthday\nbirthdays\nbirthed\nbirthing\nbirths\nbiscuit\nbiscuits\nbit\nbite\nbiter\nbiters\nbites\nbiting\nbitless\nbits\nbitted\nbitten\nbitter\nbittered\nbitterer\nbitterest\nbittering\nbitterly\nbitterness\nbitters\nbitting\nblack\nblacked\nblacker\nblackest\nblacking\nblackly\nblackness\nblacks\nblade\nbladed\nbladeless\nblades\nblading\nblame\nblamed\nblameful\nblameless\nblames\nblaming\nblank\nblanked\nblanker\nblankest\nblanket\nblanketed\nblanketing\nblankets\nblanking\nblankly\nblankness\nblanks\nbled\nblew\nblind\nblinded\nblinder\nblinders\nblindest\nblinding\nblindless\nblindly\nblindness\nblinds\nblock\nblocked\nblocker\nblockers\nblocking\nblocks\nblog\nblogged\nblogger\nbloggers\nblogging\nblogs\nblood\nblooded\nblooding\nbloodless\nbloods\nblow\nblowed\nblower\nblowers\nblowing\nblown\nblows\nblue\nblued\nblueing\nbluely\nblueness\nblues\nbluing\nboard\nboarded\nboarder\nboarders\nboarding\nboards\nboat\nboated\nboater\nboaters\nboatful\nboating\nboats\nbodied\nbodies\nbodily\nbody\nbodying\nboil\nboiled\nboiler\nboilers\nboiling\nboils\nbold\nbolder\nboldest\nboldly\nbolds\nbomb\nbombed\nbomber\nbombers\nbombes\nbombing\nbombs\nbond\nbonded\nbonder\nbonders\nbonding\nbondless\nbonds\nbone\nboned\nboneless\nbones\nboning\nbonus\nbonuses\nbook\nbooked\nbooker\nbookers\nbookful\nbooking\nbookless\nbookmark\nbookmarked\nbookmarker\nbookmarkers\nbookmarking\nbookmarks\nbooks\nboom\nboomed\nboomer\nboomers\nbooming\nbooms\nboot\nbooted\nbooting\nbootless\nboots\nborder\nbordered\nborderer\nborderers\nbordering\nborderless\nborders\nbored\nboring\nboringly\nboringness\nborings\nborn\nborrow\nborrowed\nborrower\nborrowers\nborrowing\nborrows\nboss\nbossed\nbosser\nbosses\nbossest\nbossing\nboth\nbother\nbothered\nbothering\nbothers\nbottle\nbottled\nbottleful\nbottles\nbottling\nbottom\nbottomed\nbottomer\nbottomers\nbottoming\nbottomless\nbottomness\nbottoms\nbought\nboughts\nbounce\nbounced\nbounces\nbouncing\nbound\nboundaries\nboundary\nbounded\nbounder\nbounders\nbounding\nboundless\nboundness\nbounds\nbowl\nbowled\nbowler\nbowlers\nbowlful\nbowling\nbowls\nbox\nboxed\nboxer\nboxers\nboxes\nboxful\nboxing\nboy\nboyed\nboyfriend\nboyfriends\nboying\nboys\nbrain\nbrained\nbraining\nbrainless\nbrains\nbranch\nbranched\nbrancher\nbranchers\nbranches\nbranching\nbranchless\nbrand\nbranded\nbrander\nbranders\nbranding\nbrandless\nbrands\nbrave\nbraved\nbravely\nbraveness\nbraves\nbraving\nbread\nbreaded\nbreading\nbreadless\nbreads\nbreak\nbreaker\nbreakers\nbreakfast\nbreakfasted\nbreakfaster\nbreakfasters\nbreakfasting\nbreakfasts\nbreaking\nbreakings\nbreaks\nbreast\nbreasted\nbreasting\nbreasts\nbreath\nbreathe\nbreathed\nbreather\nbreathers\nbreathes\nbreathful\nbreathing\nbreathless\nbreaths\nbred\nbreded\nbredes\nbreding\nbreds\nbreed\nbreeder\nbreeders\nbreeding\nbreeds\nbrick\nbricked\nbricking\nbricks\nbride\nbrided\nbrides\nbridge\nbridged\nbridgeless\nbridges\nbridging\nbriding\nbrief\nbriefed\nbriefer\nbriefers\nbriefest\nbriefing\nbriefless\nbriefly\nbriefness\nbriefs\nbright\nbrighter\nbrightest\nbrightly\nbrightness\nbrights\nbrilliant\nbrillianted\nbrillianting\nbrilliantly\nbrilliantness\nbrilliants\nbring\nbringer\nbringers\nbringing\nbringings\nbrings\nbroad\nbroadcast\nbroadcasted\nbroadcaster\nbroadcasters\nbroadcasting\nbroadcasts\nbroader\nbroadest\nbroadly\nbroadness\nbroads\nbroke\nbroked\nbroken\nbrokenly\nbrokenness\nbrokes\nbroking\nbrother\nbrothered\nbrothering\nbrotherly\nbrothers\nbrought\nbrown\nbrowned\nbrowner\nbrownest\nbrowning\nbrownness\nbrowns\nbrowser\nbrowsers\nbrush\nbrushed\nbrusher\nbrushers\nbrushes\nbrushing\nbrushless\nbubble\nbubbled\nbubbles\nbubbling\nbucket\nbucketed\nbucketful\nbucketing\nbuckets\nbuddied\nbuddies\nbuddy\nbuddying\nbudget\nbudgeted\nbudgeter\nbudgeters\nbudgeting\nbudgets\nbuffer\nbuffered\nbuffering\nbuffers\nbug\nbugged\nbugger\nbuggers\nbugging\nbugs\nbuild\nbuilded\nbuilder\nbuilders\nbuilding\nbuildings\nbuilds\nbuilt\nbullet\nbulleted\nbulleting\nbullets\nbunch\nbunched\nbunches\nbunching\nburden\nburdened\nburdener\nburdeners\nburdening\nburdens\nbureau\nbureaus\nburied\nburier\nburies\nburn\nburned\nburner\nburners\nburning\nburns\nburnt\nburst\nbursted\nburster\nbursters\nbursting\nbursts\nbury\nburying\nbus\nbused\nbuses\nbush\nbushed\nbusher\nbushers\nbushes\nbushing\nbushless\nbusied\nbusier\nbusies\nbusiest\nbusily\nbusiness\nbusinesses\nbusing\nbuss\nbusy\nbusying\nbusyness\nbut\nbutes\nbutment\nbutments\nbuts\nbutted\nbutter\nbuttered\nbutterfly\nbuttering\nbutterless\nbutters\nbutting\nbutton\nbuttoned\nbuttoner\nbuttoners\nbuttoning\nbuttonless\nbuttons\nbuy\nbuyer\nbuyers\nbuying\nbuyings\nbuys\nby\nbye\nbyes\nbys\ncabin\ncabined\ncabinet\ncabinets\ncabining\ncabins\ncable\ncabled\ncables\ncabling\ncache\ncached\ncaches\ncaching\ncafe\ncafes\ncake\ncaked\ncakes\ncaking\ncalculate\ncalculated\ncalculates\ncalculating\ncalculation\ncalculations\ncalendar\ncalendared\ncalendarer\ncalendarers\ncalendaring\ncalendars\ncall\ncallback\ncallbacks\ncalled\ncaller\ncallers\ncalling\ncallings\ncalls\ncalm\ncalmed\ncalmer\ncalmest\ncalming\ncalmly\ncalmness\ncalms\ncame\ncamera\ncameras\ncames\ncamion\ncamions\ncamp\ncampaign\ncampaigned\ncampaigner\ncampaigners\ncampaigning\ncampaigns\ncamped\ncamper\ncampers\ncampest\ncamping\ncamply\ncampness\ncamps\ncan\ncanal\ncanaled\ncanaling\ncanals\ncancel\ncanceled\ncanceler\ncancelers\ncanceling\ncancellation\ncancellations\ncancels\ncancer\ncancered\ncancers\ncandidate\ncandidates\ncandle\ncandled\ncandles\ncandling\ncaned\ncaner\ncaners\ncanes\ncanful\ncaning\ncanned\ncanner\ncanners\ncanning\ncans\ncap\ncapable\ncapableness\ncapacities\ncapacity\ncaped\ncaper\ncapers\ncapes\ncapful\ncaping\ncapital\ncapitally\ncapitals\ncapless\ncapped\ncapper\ncappers\ncapping\ncaps\ncaptain\ncaptained\ncaptaining\ncaptains\ncapture\ncaptured\ncaptures\ncapturing\ncar\ncarbon\ncarbonless\ncarbons\ncard\ncarded\ncarder\ncarders\ncarding\ncards\ncare\ncared\ncareer\ncareered\ncareerer\ncareerers\ncareering\ncareers\ncareful\ncarefully\ncarefulness\ncareless\ncarelessly\ncarelessness\ncarer\ncarers\ncares\ncarful\ncaring\ncarless\ncarpet\ncarpeted\ncarpeting\ncarpets\ncarried\ncarrier\ncarries\ncarry\ncarrying\ncars\ncarses\ncase\ncased\ncasement\ncasements\ncases\ncash\ncashed\ncashes\ncashing\ncashless\ncasing\ncast\ncasted\ncaster\ncasters\ncastes\ncasting\ncastle\ncastled\ncastles\ncastling\ncasts\ncat\ncatch\ncatched\ncatcher\ncatchers\ncatches\ncatching\ncatchings\ncatchment\ncatchments\ncategories\ncategorize\ncategorized\ncategorizes\ncategorizing\ncategory\ncater\ncaters\ncates\ncathedral\ncathedrals\ncats\ncatted\ncatting\ncattle\ncaught\ncause\ncaused\ncauseless\ncauses\ncausing\nceiling\nceilinged\nceilings\ncelebrate\ncelebrated\ncelebrates\ncelebrating\ncelebration\ncelebrations\ncell\ncelled\ncelling\ncells\ncent\ncenter\ncentered\ncentering\ncenterless\ncenters\ncentral\ncentraler\ncentralest\ncentrally\ncentrals\ncentre\ncentred\ncentreing\ncentres\ncentring\ncents\ncenturies\ncentury\nceremonies\nceremony\ncertain\ncertainer\ncertainest\ncertainly\nchain\nchained\nchaines\nchaining\nchainless\nchains\nchair\nchaired\nchairing\nchairman\nchairmaned\nchairmaning\nchairmanned\nchairmanning\nchairmans\nchairs\nchallenge\nchallenged\nchallenges\nchallenging\nchallengingly\nchamber\nchambered\nchamberer\nchamberers\nchambering\nchambers\nchampion\nchampioned\nchampioning\nchampions\nchance\nchanced\nchanceful\nchanceless\nchances\nchancing\nchange\nchanged\nchangeful\nchangeless\nchanges\nchanging\nchannel\nchanneled\nchanneler\nchannelers\nchanneling\nchannels\nchapter\nchaptered\nchaptering\nchapters\ncharacter\ncharactered\ncharacterful\ncharactering\ncharacteristic\ncharacteristics\ncharacterless\ncharacters\ncharge\ncharged\nchargeful\nchargeless\ncharges\ncharging\ncharities\ncharity\nchart\ncharted\ncharter\ncharters\ncharting\nchartless\ncharts\nchase\nchased\nchases\nchasing\nchat\nchats\nchatted\nchatter\nchatters\nchatting\ncheap\ncheaped\ncheaper\ncheapest\ncheaping\ncheaply\ncheapness\ncheaps\ncheat\ncheated\ncheater\ncheaters\ncheating\ncheats\ncheck\ncheckbox\nchecked\nchecker\ncheckers\nchecking\ncheckless\ncheckout\ncheckouts\nchecks\ncheek\ncheeked\ncheekful\ncheeking\ncheekless\ncheeks\ncheerful\ncheerfully\ncheerfulness\ncheese\ncheesed\ncheeses\ncheesing\nchef\nchefed\nchefing\nchefs\nchemical\nchemically\nchemicals\nchemistries\nchemistry\nchest\nchested\nchestful\nchesting\nchests\nchicken\nchickened\nchickening\nchickens\nchief\nchiefer\nchiefest\nchiefless\nchiefly\nchiefs\nchild\nchilded\nchilder\nchildes\nchildhood\nchildhoods\nchilding\nchildless\nchildly\nchildness\nchildren\nchilds\nchin\nchined\nchines\nchining\nchinless\nchinned\nchinning\nchins\nchip\nchipped\nchipper\nchippers\nchipping\nchips\nchocolate\nchocolates\nchoice\nchoiceful\nchoicely\nchoiceness\nchoices\nchoose\nchooses\nchoosing\nchop\nchopped\nchopper\nchoppers\nchopping\nchops\nchose\nchosen\nchoses\nchurch\nchurched\nchurches\nchurching\nchurchless\nchurchly\ncigarette\ncigarettes\ncinema\ncinemas\ncircle\ncircled\ncircles\ncircling\ncircumstance\ncircumstanced\ncircumstances\ncircumstancing\ncitied\ncities\ncitizen\ncitizenly\ncitizens\ncity\ncivil\ncivilly\ncivilness\ncivils\nclaim\nclaimed\nclaimer\nclaimers\nclaiming\nclaims\nclass\nclassed\nclasser\nclassers\nclasses\nclassic\nclassics\nclassified\nclassifies\nclassify\nclassifying\nclassing\nclassless\nclassroom\nclassrooms\nclean\ncleaned\ncleaner\ncleaners\ncleanest\ncleaning\ncleanly\ncleanness\ncleans\nclear\ncleared\nclearer\nclearers\nclearest\nclearing\nclearly\nclearness\nclears\nclerk\nclerked\nclerking\nclerkly\nclerks\nclever\ncleverer\ncleverest\ncleverly\ncleverness\nclick\nclicked\nclicker\nclickers\nclicking\nclickless\nclicks\nclient\nclientless\nclients\nclimate\nclimated\nclimates\nclimating\nclimb\nclimbed\nclimber\nclimbers\nclimbing\nclimbs\nclinic\nclinics\nclock\nclocked\nclocker\nclockers\nclocking\nclocks\nclose\nclosed\nclosely\ncloseness\ncloses\nclosing\nclosings\ncloth\nclothed\nclothes\nclothing\nclothings\ncloths\ncloud\nclouded\nclouding\ncloudless\nclouds\nclub\nclubbed\nclubber\nclubbers\nclubbing\nclubs\nclue\nclued\nclueing\nclueless\nclues\ncluing\ncluster\nclustered\nclustering\nclusters\ncoach\ncoached\ncoacher\ncoachers\ncoaches\ncoaching\ncoal\ncoaled\ncoaler\ncoalers\ncoaling\ncoalless\ncoals\ncoarse\ncoarsely\ncoast\ncoasted\ncoaster\ncoasters\ncoasting\ncoasts\ncoat\ncoated\ncoater\ncoaters\ncoates\ncoating\ncoatless\ncoats\ncode\ncoded\ncodeless\ncodes\ncoding\ncodings\ncoffee\ncoffees\ncoin\ncoined\ncoiner\ncoiners\ncoining\ncoins\ncold\ncolder\ncoldest\ncoldly\ncoldness\ncolds\ncollapse\ncollapsed\ncollapses\ncollapsing\ncolleague\ncolleagued\ncolleagues\ncolleaguing\ncollect\ncollected\ncollecting\ncollection\ncollections\ncollects\ncollege\ncolleges\ncolor\ncolored\ncolorer\ncolorers\ncolorful\ncoloring\ncolorless\ncolors\ncolour\ncoloured\ncolourer\ncolourers\ncolourful\ncolouring\ncolourless\ncolours\ncolumn\ncolumned\ncolumns\ncombination\ncombinations\ncombine\ncombined\ncombines\ncombining\ncome\ncomedies\ncomedy\ncomely\ncomes\ncomfort\ncomfortable\ncomfortableness\ncomforted\ncomforter\ncomforters\ncomforting\ncomfortless\ncomforts\ncoming\ncomings\ncommand\ncommanded\ncommander\ncommanders\ncommanding\ncommandment\ncommandments\ncommands\ncomment\ncommented\ncommenter\ncommenters\ncommenting\ncomments\ncommerce\ncommerced\ncommerces\ncommercial\ncommercially\ncommercials\ncommercing\ncommission\ncommissioned\ncommissioner\ncommissioners\ncommissioning\ncommissions\ncommit\ncommitment\ncommitments\ncommits\ncommitted\ncommittee\ncommittees\ncommitter\ncommitters\ncommitting\ncommodities\ncommodity\ncommon\ncommoned\ncommoner\ncommoners\ncommonest\ncommoning\ncommonly\ncommonness\ncommons\ncommunal\ncommunally\ncommunicate\ncommunicated\ncommunicatees\ncommunicates\ncommunicating\ncommunication\ncommunications\ncommunities\ncommunity\ncompact\ncompacted\ncompacter\ncompacters\ncompactest\ncompacting\ncompactly\ncompacts\ncompanied\ncompanies\ncompanion\ncompanioned\ncompanioning\ncompanions\ncompany\ncompanying\ncompare\ncompared\ncompares\ncomparing\ncomparison\ncomparisons\ncompete\ncompeted\ncompetes\ncompeting\ncompetition\ncompetitions\ncompetitive\ncompetitively\ncompetitiveness\ncompile\ncompiled\ncompilement\ncompilements\ncompiler\ncompilers\ncompiles\ncompiling\ncomplain\ncomplained\ncomplainer\ncomplainers\ncomplaining\ncomplains\ncomplaint\ncomplaints\ncomplete\ncompleted\ncompletely\ncompleteness\ncompletes\ncompleting\ncompletion\ncompletions\ncomplex\ncomplexed\ncomplexer\ncomplexes\ncomplexest\ncomplexing\ncomplexly\ncomplexness\ncomplicated\ncomplicatedly\ncomplicatedness\ncomponent\ncomponents\ncomputer\ncomputerless\ncomputers\nconcentrate\nconcentrated\nconcentrates\nconcentrating\nconcentration\nconcentrations\nconcept\nconcepts\nconcern\nconcerned\nconcernedly\nconcernedness\nconcerning\nconcernment\nconcernments\nconcerns\nconcert\nconcerted\nconcerting\nconcerts\nconclude\nconcluded\nconcludes\nconcluding\nconclusion\nconclusions\ncondition\nconditioned\nconditioner\nconditioners\nconditioning\nconditions\nconduct\nconducted\nconducting\nconducts\nconference\nconferences\nconferencing\nconfidence\nconfidences\nconfident\nconfidential\nconfidentially\nconfidently\nconfidents\nconfiguration\nconfigurations\nconfigure\nconfigured\nconfigures\nconfiguring\nconfirm\nconfirmation\nconfirmations\nconfirmed\nconfirmer\nconfirmers\nconfirming\nconfirms\nconflict\nconflicted\nconflictful\nconflicting\nconflicts\nconfuse\nconfused\nconfusedly\nconfusedness\nconfuses\nconfusing\nconfusingly\nconfusion\nconfusions\ncongratulations\nconnect\nconnected\nconnecter\nconnecters\nconnecting\nconnection\nconnections\nconnects\nconscious\nconsciouses\nconsciously\nconsciousness\nconsequence\nconsequenced\nconsequences\nconsequencing\nconservative\nconservatively\nconservativeness\nconservatives\nconsider\nconsiderable\nconsiderables\nconsidered\nconsiderer\nconsiderers\nconsidering\nconsiders\nconsist\nconsisted\nconsisting\nconsists\nconsole\nconsoled\nconsolement\nconsolements\nconsoles\nconsoling\nconstant\nconstantly\nconstants\nconstruct\nconstructed\nconstructer\nconstructers\nconstructing\nconstruction\nconstructions\nconstructs\nconsult\nconsulted\nconsulter\nconsulters\nconsulting\nconsults\nconsumer\nconsumers\ncontact\ncontacted\ncontacting\ncontactless\ncontacts\ncontain\ncontained\ncontainer\ncontainerless\ncontainers\ncontaining\ncontainment\ncontainments\ncontains\ncontaminated\ncontemporaries\ncontemporarily\ncontemporary\ncontent\ncontented\ncontenting\ncontentless\ncontently\ncontentment\ncontentments\ncontents\ncontest\ncontested\ncontester\ncontesters\ncontesting\ncontests\ncontext\ncontextless\ncontexts\ncontinent\ncontinently\ncontinents\ncontinue\ncontinued\ncontinuedly\ncontinues\ncontinuing\ncontinuingly\ncontract\ncontracted\ncontracting\ncontracts\ncontrast\ncontrasted\ncontrasting\ncontrasts\ncontribute\ncontributed\ncontributes\ncontributing\ncontribution\ncontributions\ncontrol\ncontrolment\ncontrolments\ncontrols\nconvenient\nconveniently\nconversation\nconversations\nconvert\nconverted\nconverter\nconverters\nconverting\nconverts\nconvince\nconvinced\nconvincement\nconvincements\nconvinces\nconvincing\ncook\ncooked\ncooker\ncookers\ncookie\ncookies\ncooking\ncookless\ncooks\ncool\ncooled\ncooler\ncoolers\ncoolest\ncooling\ncoolly\ncoolness\ncools\ncoordinator\ncoordinators\ncope\ncoped\ncopes\ncopied\ncopier\ncopies\ncoping\ncopy\ncopying\ncopyright\ncopyrighted\ncopyrighter\ncopyrighters\ncopyrighting\ncopyrights\ncore\ncored\ncoreless\ncores\ncoring\ncorn\ncorned\ncorner\ncornered\ncornering\ncorners\ncorning\ncorns\ncorporation\ncorporations\ncorrect\ncorrected\ncorrecter\ncorrectest\ncorrecting\ncorrectly\ncorrectness\ncorrects\ncorridor\ncorridors\ncost\ncosted\ncoster\ncosters\ncostes\ncosting\ncostings\ncostless\ncostly\ncosts\ncottage\ncottaged\ncottages\ncottaging\ncotton\ncottoned\ncottoning\ncottons\ncough\ncoughed\ncougher\ncoughers\ncoughing\ncoughs\ncould\ncouldest\ncouncil\ncouncils\ncount\ncounted\ncounter\ncountered\ncountering\ncounters\ncounties\ncounting\ncountless\ncountries\ncountry\ncountryside\ncountrysides\ncounts\ncounty\ncouple\ncoupled\ncouplement\ncouplements\ncouples\ncoupling\ncoupon\ncouponing\ncoupons\ncourage\ncourageful\ncourageous\ncourageously\ncourages\ncourse\ncoursed\ncourses\ncoursing\ncourt\ncourted\ncourter\ncourters\ncourting\ncourtly\ncourts\ncousin\ncousinly\ncousins\ncover\ncovered\ncoverer\ncoverers\ncovering\ncoverless\ncovers\ncow\ncowed\ncower\ncowers\ncowing\ncows\ncrack\ncracked\ncracker\ncrackers\ncracking\ncrackly\ncracks\ncraft\ncrafted\ncrafter\ncrafters\ncrafting\ncraftless\ncrafts\ncrash\ncrashed\ncrasher\ncrashers\ncrashes\ncrashing\ncrazier\ncrazies\ncraziest\ncrazily\ncraziness\ncrazy\ncream\ncreamed\ncreamer\ncreamers\ncreaming\ncreams\ncreate\ncreated\ncreates\ncreating\ncreation\ncreations\ncreative\ncreatively\ncreativeness\ncreatives\ncreature\ncreaturely\ncreatures\ncredit\ncredited\ncrediting\ncreditless\ncredits\ncrew\ncrewed\ncrewes\ncrewing\ncrewless\ncrews\ncried\ncrier\ncries\ncrime\ncrimed\ncrimeful\ncrimeless\ncrimes\ncriminal\ncriminally\ncriminals\ncriming\ncrisis\ncriteria\ncritic\ncritical\ncritically\ncriticalness\ncriticism\ncriticisms\ncriticize\ncriticized\ncriticizes\ncriticizing\ncritics\ncrop\ncropful\ncropless\ncropped\ncropper\ncroppers\ncropping\ncrops\ncross\ncrossed\ncrosser\ncrossers\ncrosses\ncrossest\ncrossing\ncrossly\ncrossness\ncrowd\ncrowded\ncrowder\ncrowders\ncrowding\ncrowds\ncrown\ncrowned\ncrowner\ncrowners\ncrowning\ncrownless\ncrowns\ncrucial\ncrucially\ncruel\ncrueler\ncruelest\ncruelly\ncruelness\ncruels\ncry\ncrying\ncultural\nculturally\nculture\ncultured\ncultureless\ncultures\nculturing\ncup\ncupboard\ncupboarded\ncupboarding\ncupboards\ncupful\ncupped\ncupper\ncuppers\ncupping\ncups\ncure\ncured\ncureless\ncures\ncuring\ncurious\ncuriouser\ncuriousest\ncuriously\ncuriousness\ncurrencies\ncurrency\ncurrent\ncurrently\ncurrentness\ncurrents\ncursor\ncursores\ncursors\ncurtain\ncurtained\ncurtaining\ncurtainless\ncurtains\ncurve\ncurved\ncurves\ncurving\ncustom\ncustomed\ncustomer\ncustomers\ncustoms\ncut\ncute\ncutely\ncuteness\ncuter\ncutes\ncutest\ncuts\ncutter\ncutters\ncutting\ncuttingly\ncuttings\ncycle\ncycled\ncycles\ncycling\ndad\ndadded\ndadding\ndads\ndailies\ndailiness\ndaily\ndailyness\ndamage\ndamaged\ndamages\ndamaging\ndance\ndanced\ndances\ndancing\ndanger\ndangered\ndangering\ndangerless\ndangerous\ndangerously\ndangerousness\ndangers\ndare\ndared\ndareful\ndares\ndaring\ndark\ndarked\ndarker\ndarkest\ndarking\ndarkly\ndarkness\ndarknesses\ndarks\ndashboard\ndashboards\ndata\ndatabase\ndatabased\ndatabases\ndatabasing\ndate\ndated\ndateless\ndates\ndating\ndaughter\ndaughterless\ndaughterly\ndaughters\nday\ndays\ndead\ndeaded\ndeader\ndeaders\ndeadest\ndeading\ndeadline\ndeadlined\ndeadlines\ndeadlining\ndeadly\ndeadness\ndeads\ndeal\ndealer\ndealers\ndealing\ndeals\ndealt\ndear\ndeared\ndearer\ndeares\ndearest\ndearing\ndearly\ndearness\ndears\ndeath\ndeathful\ndeathless\ndeathly\ndeaths\ndebate\ndebated\ndebateful\ndebatement\ndebatements\ndebates\ndebating\ndebt\ndebted\ndebtless\ndebts\ndebug\ndebugged\ndebugger\ndebuggers\ndebugging\ndebugs\ndecade\ndecades\ndecent\ndecenter\ndecenters\ndecentest\ndecently\ndecentness\ndecide\ndecided\ndecidedly\ndecides\ndeciding\ndecision\ndecisioned\ndecisioning\ndecisions\ndeck\ndecked\ndecker\ndeckers\ndecking\ndecks\ndeclare\ndeclared\ndeclares\ndeclaring\ndecline\ndeclined\ndeclines\ndeclining\ndecorate\ndecorated\ndecorates\ndecorating\ndecoration\ndecorations\ndecrease\ndecreased\ndecreases\ndecreasing\ndeep\ndeeper\ndeepest\ndeeply\ndeepness\ndeeps\ndeer\ndeers\ndefault\ndefaulted\ndefaulter\ndefaulters\ndefaulting\ndefaults\ndefeat\ndefeated\ndefeater\ndefeaters\ndefeating\ndefeats\ndefence\ndefenced\ndefenceless\ndefences\ndefencing\ndefend\ndefended\ndefender\ndefenders\ndefending\ndefends\ndefense\ndefensed\ndefenseless\ndefenses\ndefensing\ndefine\ndefined\ndefinement\ndefinements\ndefines\ndefining\ndefinite\ndefinitely\ndefinition\ndefinitions\ndegree\ndegreed\ndegreeless\ndegrees\ndelay\ndelayed\ndelayer\ndelayers\ndelaying\ndelays\ndelete\ndeleted\ndeletes\ndeleting\ndeletion\ndeletions\ndeliberately\ndelicate\ndelicately\ndelicates\ndelicious\ndeliciously\ndeliciousness\ndelighted\ndelightedly\ndeliver\ndelivered\ndeliverer\ndeliverers\ndeliveries\ndelivering\ndeliverly\ndelivers\ndelivery\ndemand\ndemanded\ndemander\ndemanders\ndemanding\ndemands\ndemocracies\ndemocracy\ndemonstrate\ndemonstrated\ndemonstrates\ndemonstrating\ndemonstration\ndemonstrations\ndenied\ndenier\ndenies\ndentist\ndentists\ndeny\ndenying\ndepart\ndeparted\ndeparter\ndeparters\ndeparting\ndepartment\ndepartments\ndeparts\ndeparture\ndepartures\ndepend\ndepended\ndepending\ndepends\ndeploy\ndeployed\ndeployer\ndeployers\ndeploying\ndeployment\ndeployments\ndeploys\ndeposit\ndeposited\ndepositing\ndeposits\ndepressed\ndepth\ndepthless\ndepths\ndescribe\ndescribed\ndescribes\ndescribing\ndescription\ndescriptions\ndesert\ndeserted\ndeserter\ndeserters\ndeserting\ndesertless\ndeserts\ndeserve\ndeserved\ndeserves\ndeserving\ndesign\ndesigned\ndesigner\ndesigners\ndesignful\ndesigning\ndesignless\ndesignment\ndesignments\ndesigns\ndesire\ndesired\ndesireless\ndesires\ndesiring\ndesk\ndesking\ndesks\ndesktop\ndesktops\ndesperate\ndesperately\ndesperateness\ndesperation\ndesperations\ndespite\ndespited\ndespiteful\ndespites\ndespiting\ndestitute\ndestituted\ndestitutes\ndestituting\ndestroy\ndestroyed\ndestroyer\ndestroyers\ndestroying\ndestroys\ndestruction\ndestructions\ndetail\ndetailed\ndetailedly\ndetailedness\ndetailer\ndetailers\ndetailing\ndetails\ndetect\ndetected\ndetecter\ndetecters\ndetecting\ndetective\ndetectives\ndetects\ndetermine\ndetermined\ndeterminedly\ndetermines\ndetermining\ndevelop\ndeveloped\ndeveloper\ndevelopers\ndevelopes\ndeveloping\ndevelopment\ndevelopments\ndevelops\ndevice\ndeviceful\ndevices\ndevote\ndevoted\ndevotees\ndevotement\ndevotements\ndevotes\ndevoting\ndevotion\ndevotions\ndiagram\ndiagramed\ndiagraming\ndiagrammed\ndiagramming\ndiagrams\ndialog\ndialoged\ndialoger\ndialogers\ndialoging\ndialogs\ndialogue\ndialogued\ndialogues\ndialoguing\ndiamond\ndiamonded\ndiamonding\ndiamonds\ndiaries\ndiary\ndictionaries\ndictionary\ndid\ndidder\ndidders\ndie\ndied\ndieing\ndies\ndieses\ndiet\ndieted\ndieter\ndieters\ndieting\ndiets\ndifference\ndifferenced\ndifferences\ndifferencing\ndifferent\ndifferently\ndifferentness\ndifficult\ndifficulties\ndifficultly\ndifficulty\ndig\ndigest\ndigged\ndigger\ndiggers\ndigging\ndigital\ndigitally\ndigitals\ndigs\ndim\ndimer\ndimers\ndimes\ndimly\ndims\ndinner\ndinnered\ndinnering\ndinnerless\ndinners\ndirect\ndirected\ndirecter\ndirectest\ndirecting\ndirection\ndirectionless\ndirections\ndirectly\ndirectness\ndirector\ndirectories\ndirectors\ndirectory\ndirects\ndirt\ndirted\ndirtied\ndirtier\ndirties\ndirtiest\ndirtily\ndirtiness\ndirting\ndirts\ndirty\ndirtying\ndisabled\ndisadvantage\ndisadvantaged\ndisadvantages\ndisadvantaging\ndisagree\ndisagreed\ndisagreeing\ndisagreement\ndisagreements\ndisagrees\ndisappear\ndisappeared\ndisappearing\ndisappears\ndisappoint\ndisappointed\ndisappointedly\ndisappointing\ndisappointment\ndisappointments\ndisappoints\ndisaster\ndisasters\ndiscipline\ndisciplined\ndisciplines\ndisciplining\ndiscount\ndiscounted\ndiscounter\ndiscounters\ndiscounting\ndiscounts\ndiscover\ndiscovered\ndiscoverer\ndiscoverers\ndiscoveries\ndiscovering\ndiscovers\ndiscovery\ndiscuss\ndiscussed\ndiscusser\ndiscussers\ndiscusses\ndiscussing\ndiscussion\ndiscussions\ndisease\ndiseased\ndiseaseful\ndiseases\ndiseasing\ndish\ndished\ndishes\ndishful\ndishing\ndisk\ndisked\ndisking\ndiskless\ndisks\ndismiss\ndismissed\ndismisses\ndismissing\ndisorder\ndisordered\ndisordering\ndisorderly\ndisorders\ndisplay\ndisplayed\ndisplayer\ndisplayers\ndisplaying\ndisplays\ndistance\ndistanced\ndistanceless\ndistances\ndistancing\ndistant\ndistantly\ndistantness\ndistinct\ndistincter\ndistinctest\ndistinctly\ndistinctness\ndistinguish\ndistinguished\ndistinguisher\ndistinguishers\ndistinguishes\ndistinguishing\ndistinguishment\ndistribute\ndistributed\ndistributees\ndistributes\ndistributing\ndistribution\ndistributions\ndistrict\ndistricted\ndistricting\ndistricts\ndisturb\ndisturbed\ndisturber\ndisturbers\ndisturbing\ndisturbs\ndiverse\ndiversed\ndiversely\ndiverses\ndiversing\ndivide\ndivided\ndivides\ndividing\ndivision\ndivisions\ndivorce\ndivorced\ndivorcees\ndivorcement\ndivorcements\ndivorces\ndivorcing\ndo\ndoctor\ndoctored\ndoctoring\ndoctorless\ndoctorly\ndoctors\ndocument\ndocumented\ndocumenter\ndocumenters\ndocumenting\ndocuments\ndod\ndoer\ndoers\ndoes\ndoest\ndog\ndoges\ndogged\ndogger\ndoggers\ndogging\ndogs\ndoing\ndoings\ndollar\ndollared\ndollarless\ndollars\ndomain\ndomaines\ndomains\ndomestic\ndomestics\ndominate\ndominated\ndominates\ndominating\ndomination\ndominations\ndon\ndone\ndonees\ndoneness\ndoner\ndoning\ndonned\ndonning\ndons\ndoor\ndoorless\ndoors\ndot\ndoted\ndoter\ndoters\ndotes\ndoting\ndots\ndouble\ndoubled\ndoubleness\ndoubles\ndoubling\ndoubt\ndoubted\ndoubter\ndoubters\ndoubtful\ndoubtfully\ndoubtfuls\ndoubting\ndoubtless\ndoubts\ndown\ndowned\ndowner\ndowners\ndowning\ndownless\ndownload\ndownloaded\ndownloading\ndownloads\ndowns\ndownstairs\ndownstairses\ndowntown\ndowntowner\ndowntowners\ndowntowns\ndozen\ndozened\ndozening\ndozens\ndraft\ndrafted\ndrafter\ndrafters\ndrafting\ndrafts\ndrag\ndragged\ndragger\ndraggers\ndragging\ndrags\ndrama\ndramas\ndramatic\ndramatics\ndrank\ndraw\ndrawer\ndrawerful\ndrawers\ndrawing\ndrawings\ndrawly\ndrawn\ndraws\ndream\ndreamed\ndreamer\ndreamers\ndreamful\ndreaming\ndreamless\ndreams\ndreamt\ndress\ndressed\ndresser\ndressers\ndresses\ndressing\ndrew\ndried\ndrier\ndries\ndriest\ndrily\ndrink\ndrinker\ndrinkers\ndrinking\ndrinks\ndrive\ndriven\ndrivenness\ndriver\ndriverless\ndrivers\ndrives\ndriving\ndrop\ndropped\ndropper\ndroppers\ndropping\ndrops\ndrove\ndroved\ndroves\ndroving\ndrug\ndrugged\ndrugger\ndruggers\ndrugging\ndrugs\ndrum\ndrumly\ndrummed\ndrummer\ndrummers\ndrumming\ndrums\ndrunk\ndrunker\ndrunkest\ndrunks\ndry\ndryer\ndryers\ndryest\ndrying\ndryly\ndryness\ndrys\nduck\nducked\nducker\nduckers\nducking\nducks\ndue\ndued\ndueful\ndueness\ndues\ndug\ndugs\nduing\ndull\ndulled\nduller\ndullest\ndulling\ndullness\ndulls\nduplicate\nduplicated\nduplicately\nduplicates\nduplicating\nduplication\nduplications\nduration\ndurations\nduring\ndust\ndusted\nduster\ndusters\ndusting\ndustless\ndusts\ndutied\nduties\nduty\ndwelling\ndwellings\ndying\ndyingly\ndyings\neach\neager\neagerer\neagerest\neagerly\neagerness\neagers\near\neard\neared\nearful\nearing\nearless\nearlier\nearlies\nearliest\nearliness\nearly\nearn\nearned\nearner\nearners\nearnest\nearning\nearns\nears\nearth\nearthed\nearthing\nearthly\nearths\nease\neased\neaseful\neaseless\neasement\neasements\neases\neasied\neasier\neasies\neasiest\neasily\neasiness\neasing\neast\neasted\neaster\neastern\neasterner\neasterners\neasters\neasting\neasts\neasy\neasying\neat\neaten\neater\neaters\neating\neats\necologies\necology\neconomic\neconomics\neconomies\neconomy\nedge\nedged\nedgeless\nedges\nedging\nedit\nedited\nediting\nedition\neditioned\neditioning\neditions\neditor\neditors\nedits\neducate\neducated\neducates\neducating\neducation\neducational\neducationally\neducations\neducator\neducators\neffect\neffected\neffecter\neffecters\neffecting\neffective\neffectively\neffectiveness\neffectives\neffectless\neffects\nefficient\nefficiently\nefficients\neffort\neffortful\neffortless\nefforts\negg\negged\negger\neggers\negging\neggless\neggs\neight\neighteen\neighteens\neighties\neights\neighty\neither\nelbow\nelbowed\nelbowing\nelbows\nelderlies\nelderliness\nelderly\nelect\nelected\nelecting\nelection\nelections\nelectric\nelectrical\nelectrically\nelectricals\nelectricities\nelectricity\nelectrics\nelectronic\nelectronics\nelects\nelegant\nelegantly\nelement\nelements\nelephant\nelephants\neleven\nelevens\nelse\nelsewhere\nemail\nemailed\nemailer\nemailers\nemailing\nemails\nembarrass\nembarrassed\nembarrassedly\nembarrasses\nembarrassing\nembarrassment\nembarrassments\nemerge\nemerged\nemergencies\nemergency\nemerges\nemerging\nemotion\nemotional\nemotionally\nemotionless\nemotions\nemphasis\nemphasised\nemphasises\nemphasising\nemphasize\nemphasized\nemphasizes\nemphasizing\nempire\nempires\nemploy\nemployed\nemployee\nemployees\nemployer\nemployers\nemployes\nemploying\nemployment\nemployments\nemploys\nemptied\nemptier\nemptiers\nempties\nemptiest\nemptily\nemptiness\nempty\nemptying\nenable\nenabled\nenablement\nenablements\nenables\nenabling\nenclosed\nencounter\nencountered\nencounterer\nencounterers\nencountering\nencounters\nencourage\nencouraged\nencouragement\nencouragements\nencourages\nencouraging\nencrypt\nencrypted\nencrypting\nencryption\nencryptions\nencrypts\nend\nended\nender\nenders\nending\nendings\nendless\nendpoint\nendpoints\nends\nenemies\nenemy\nenergies\nenergy\nengage\nengaged\nengagedly\nengagement\nengagements\nengages\nengaging\nengine\nengined\nengineer\nengineered\nengineering\nengineerings\nengineers\nengines\nengining\nenjoy\nenjoyed\nenjoyer\nenjoyers\nenjoying\nenjoyment\nenjoyments\nenjoys\nenormous\nenormously\nenormousness\nenough\nenoughs\nensure\nensured\nensures\nensuring\nenter\nentered\nenterer\nenterers\nentering\nenterprise\nenterprised\nenterprises\nenterprising\nenters\nentertain\nentertained\nentertainer\nentertainers\nentertaining\nentertainment\nentertainments\nentertains\nenthusiasm\nenthusiasms\nenthusiastic\nentire\nentirely\nentireness\nentires\nentrance\nentranced\nentrancement\nentrancements\nentrances\nentrancing\nentries\nentry\nenvelope\nenveloped\nenvelopes\nenveloping\nenvironment\nenvironmental\nenvironmentally\nenvironments\nepisode\nepisodes\nequal\nequaled\nequaling\nequalities\nequality\nequally\nequalness\nequals\nequipment\nequipments\nequivalent\nequivalently\nequivalents\nerror\nerrorless\nerrors\nescape\nescaped\nescapees\nescapeless\nescapement\nescapements\nescapes\nescaping\nespecially\nessay\nessayed\nessayer\nessayers\nessaying\nessays\nessential\nessentially\nessentialness\nessentials\nestablish\nestablished\nestablisher\nestablishers\nestablishes\nestablishing\nestablishment\nestablishments\nestate\nestated\nestates\nestating\nestimate\nestimated\nestimates\nestimating\nestimation\nestimations\nevaluate\nevaluated\nevaluates\nevaluating\neven\nevened\nevener\neveners\nevenest\nevening\nevenings\nevenly\nevenness\nevens\nevent\nevented\neventer\neventers\neventful\neventing\neventless\nevents\neventually\never\nevery\neverybody\neveryday\neverydayness\neverydays\neveryone\neverything\neverywhere\nevidence\nevidenced\nevidences\nevidencing\nevident\nevidently\nevidents\nevil\neviler\nevilest\nevilly\nevilness\nevils\nexact\nexacted\nexacter\nexacters\nexactest\nexacting\nexactly\nexactment\nexactments\nexactness\nexacts\nexam\nexamination\nexaminations\nexamine\nexamined\nexaminees\nexamines\nexamining\nexample\nexampled\nexamples\nexampling\nexams\nexcellent\nexcellently\nexcept\nexcepted\nexcepting\nexception\nexceptional\nexceptionally\nexceptionals\nexceptions\nexceptless\nexcepts\nexchange\nexchanged\nexchanges\nexchanging\nexcite\nexcited\nexcitedly\nexcitedness\nexcitement\nexcitements\nexcites\nexciting\nexcitingly\nexcuse\nexcused\nexcuses\nexcusing\nexecutive\nexecutively\nexecutives\nexercise\nexercised\nexercises\nexercising\nexhibition\nexhibitioner\nexhibitioners\nexhibitions\nexist\nexisted\nexistence\nexistences\nexisting\nexists\nexit\nexited\nexiting\nexitless\nexits\nexpand\nexpanded\nexpander\nexpanders\nexpanding\nexpands\nexpect\nexpectation\nexpectations\nexpected\nexpectedly\nexpecter\nexpecters\nexpecting\nexpectingly\nexpectings\nexpects\nexpense\nexpensed\nexpenses\nexpensing\nexpensive\nexpensively\nexpensiveness\nexperience\nexperienced\nexperienceless\nexperiences\nexperiencing\nexperiment\nexperimented\nexperimenter\nexperimenters\nexperimenting\nexperiments\nexpert\nexperted\nexperting\nexpertly\nexpertness\nexperts\nexplain\nexplained\nexplainer\nexplainers\nexplaining\nexplains\nexplanation\nexplanations\nexplode\nexploded\nexplodes\nexploding\nexplore\nexplored\nexplores\nexploring\nexplosion\nexplosions\nexport\nexported\nexporter\nexporters\nexporting\nexports\nexpose\nexposed\nexposes\nexposing\nexpress\nexpressed\nexpresser\nexpressers\nexpresses\nexpressing\nexpression\nexpressionless\nexpressions\nexpressly\nexpressness\nextend\nextended\nextender\nextenders\nextending\nextends\nextension\nextensions\nextensive\nextensively\nextensiveness\nextent\nextents\nexternal\nexternally\nexternals\nextra\nextraordinaries\nextraordinarily\nextraordinariness\nextraordinary\nextras\nextreme\nextremely\nextremeness\nextremes\neye\neyed\neyeful\neyeing\neyeless\neyes\neying\nface\nfaced\nfaceless\nfaces\nfacilities\nfacility\nfacing\nfact\nfactful\nfactor\nfactored\nfactories\nfactoring\nfactors\nfactory\nfacts\nfail\nfailed\nfailing\nfails\nfailure\nfailures\nfaint\nfainted\nfainter\nfainters\nfaintest\nfainting\nfaintly\nfaintness\nfaints\nfair\nfaired\nfairer\nfairest\nfairing\nfairly\nfairness\nfairs\nfaith\nfaithed\nfaither\nfaithers\nfaithful\nfaithing\nfaithless\nfaiths\nfake\nfaked\nfakeer\nfakeers\nfakes\nfaking\nfall\nfallen\nfaller\nfallers\nfalling\nfallings\nfalls\nfalse\nfalsed\nfalsely\nfalseness\nfalses\nfalsing\nfamiliar\nfamiliarly\nfamiliarness\nfamiliars\nfamilies\nfamily\nfamous\nfamoused\nfamouses\nfamousing\nfamously\nfamousness\nfan\nfancied\nfancier\nfancies\nfanciest\nfancily\nfanciness\nfancy\nfancying\nfand\nfanes\nfanned\nfanner\nfanners\nfanning\nfans\nfantastic\nfantastics\nfar\nfard\nfared\nfarer\nfarers\nfares\nfaring\nfarm\nfarmed\nfarmer\nfarmers\nfarming\nfarms\nfarness\nfarred\nfarring\nfars\nfarther\nfashion\nfashioned\nfashioner\nfashioners\nfashioning\nfashions\nfast\nfasted\nfasten\nfastened\nfastener\nfasteners\nfastening\nfastens\nfaster\nfasters\nfastest\nfasting\nfastly\nfastness\nfasts\nfat\nfated\nfates\nfather\nfathered\nfathering\nfatherless\nfatherly\nfathers\nfating\nfatless\nfatly\nfatness\nfats\nfatted\nfatter\nfattest\nfatting\nfault\nfaulted\nfaultful\nfaulting\nfaultless\nfaults\nfavor\nfavored\nfavorer\nfavorers\nfavoring\nfavorite\nfavorites\nfavorless\nfavors\nfavour\nfavoured\nfavourer\nfavourers\nfavouring\nfavourite\nfavourites\nfavourless\nfavours\nfear\nfeared\nfearer\nfearers\nfeares\nfearful\nfearfully\nfearing\nfearless\nfearlessly\nfears\nfeasible\nfeature\nfeatured\nfeatureless\nfeaturely\nfeatures\nfeaturing\nfed\nfeds\nfee\nfeeble\nfeebled\nfeebles\nfeebling\nfeed\nfeedback\nfeedbacks\nfeeder\nfeeders\nfeeding\nfeeds\nfeeing\nfeel\nfeeler\nfeelers\nfeeless\nfeeling\nfeelingless\nfeelingly\nfeelingness\nfeelings\nfeels\nfees\nfeesed\nfeeses\nfeesing\nfeet\nfeetless\nfell\nfelled\nfeller\nfellers\nfellest\nfelling\nfellness\nfellow\nfellowed\nfellowing\nfellowly\nfellows\nfells\nfelt\nfelted\nfelter\nfelters\nfelting\nfelts\nfemale\nfemaleness\nfemales\nfence\nfenced\nfenceless\nfences\nfencing\nfestival\nfestivals\nfew\nfewer\nfewest\nfewness\nfews\nfictional\nfictionally\nfield\nfielded\nfielder\nfielders\nfielding\nfields\nfifteen\nfifteener\nfifteeners\nfifteens\nfifth\nfifthly\nfifths\nfifties\nfifty\nfight\nfighter\nfighters\nfighting\nfights\nfigure\nfigured\nfigureless\nfigures\nfiguring\nfile\nfiled\nfiles\nfiling\nfill\nfilled\nfiller\nfillers\nfilles\nfilling\nfills\nfilm\nfilmed\nfilmer\nfilmers\nfilming\nfilmless\nfilms\nfilter\nfiltered\nfilterer\nfilterers\nfiltering\nfilters\nfilthy\nfinal\nfinales\nfinally\nfinals\nfinance\nfinanced\nfinances\nfinancial\nfinancially\nfinancing\nfind\nfinder\nfinders\nfinding\nfindings\nfinds\nfine\nfined\nfineer\nfineers\nfineless\nfinely\nfineness\nfines\nfinger\nfingered\nfingerer\nfingerers\nfingering\nfingerless\nfingers\nfining\nfinish\nfinished\nfinisher\nfinishers\nfinishes\nfinishing\nfinishings\nfire\nfired\nfireless\nfires\nfirewall\nfirewalled\nfirewalling\nfirewalls\nfiring\nfirm\nfirmed\nfirmer\nfirmers\nfirmest\nfirming\nfirmless\nfirmly\nfirmness\nfirms\nfirst\nfirstly\nfirstness\nfirsts\nfish\nfished\nfisher\nfishers\nfishes\nfishful\nfishing\nfishless\nfit\nfitful\nfitly\nfitment\nfitments\nfitness\nfits\nfitted\nfitter\nfitters\nfittest\nfitting\nfive\nfives\nfix\nfixed\nfixer\nfixers\nfixes\nfixing\nflag\nflagged\nflagger\nflaggers\nflagging\nflagless\nflags\nflame\nflamed\nflameless\nflames\nflaming\nflash\nflashed\nflasher\nflashers\nflashes\nflashest\nflashing\nflat\nflatly\nflatness\nflats\nflatted\nflatter\nflatters\nflattest\nflatting\nflavor\nflavored\nflavorer\nflavorers\nflavorful\nflavoring\nflavorless\nflavors\nflavour\nflavoured\nflavourer\nflavourers\nflavourful\nflavouring\nflavourless\nflavours\nfled\nflesh\nfleshed\nflesher\nfleshers\nfleshes\nfleshing\nfleshless\nfleshly\nfleshment\nfleshments\nflew\nflewed\nflews\nflied\nflier\nflies\nfliest\nflight\nflighted\nflighting\nflightless\nflights\nfloat\nfloated\nfloater\nfloaters\nfloating\nfloats\nflood\nflooded\nflooder\nflooders\nflooding\nfloodless\nfloods\nfloor\nfloored\nfloorer\nfloorers\nflooring\nfloorless\nfloors\nflour\nfloured\nflouring\nflourless\nflours\nflow\nflowed\nflower\nflowered\nflowerer\nflowerers\nflowerful\nflowering\nflowerless\nflowers\nflowing\nflown\nflows\nflu\nflued\nflues\nflus\nfly\nflyer\nflyers\nflyest\nflying\nflyless\nfocus\nfocused\nfocuser\nfocusers\nfocuses\nfocusing\nfocusless\nfold\nfolded\nfolder\nfolders\nfolding\nfolds\nfolk\nfolks\nfollow\nfollowed\nfollower\nfollowers\nfollowing\nfollowings\nfollows\nfont\nfonts\nfood\nfoodful\nfoodless\nfoods\nfool\nfooled\nfooling\nfools\nfoot\nfootball\nfootballer\nfootballers\nfootballing\nfootballs\nfooted\nfooter\nfootered\nfootering\nfooters\nfooting\nfootless\nfoots\nfor\nforbade\nforbidden\nforbiddenly\nforce\nforced\nforceful\nforceless\nforces\nforcing\nford\nforecast\nforecasted\nforecaster\nforecasters\nforecasting\nforecasts\nforehead\nforeheads\nforeign\nforeigner\nforeigners\nforeignly\nforeignness\nfores\nforest\nforested\nforester\nforesters\nforesting\nforestless\nforests\nforever\nforeverness\nforevers\nforgave\nforget\nforgetful\nforgets\nforgetter\nforgetters\nforgetting\nforgettingly\nforgettings\nforgive\nforgiven\nforgiveness\nforgives\nforgiving\nforgot\nforgotten\nforgottenness\nfork\nforked\nforker\nforkers\nforkful\nforking\nforkless\nforks\nform\nformal\nformally\nformalness\nformals\nformat\nformated\nformates\nformating\nformats\nformatted\nformatter\nformatters\nformatting\nformed\nformer\nformerly\nformers\nformes\nformful\nforming\nformless\nforms\nforties\nfortune\nfortuned\nfortuneless\nfortunes\nfortuning\nforty\nforum\nforums\nforward\nforwarded\nforwarder\nforwarders\nforwardest\nforwarding\nforwardly\nforwardness\nforwards\nfought\nfound\nfoundation\nfoundationer\nfoundationers\nfoundationless\nfoundations\nfounded\nfounder\nfounders\nfounding\nfounds\nfour\nfours\nfourteen\nfourteener\nfourteeners\nfourteens\nfourth\nfourthly\nfourths\nfox\nfoxes\nfragile\nfragilely\nframe\nframed\nframeless\nframes\nframework\nframeworks\nframing\nfree\nfreed\nfreedom\nfreedoms\nfreeing\nfreely\nfreeness\nfrees\nfreeze\nfreezes\nfreezing\nfreezingly\nfreezings\nfrequent\nfrequented\nfrequenter\nfrequenters\nfrequentest\nfrequenting\nfrequently\nfrequentness\nfrequents\nfresh\nfreshed\nfresher\nfreshers\nfreshes\nfreshest\nfreshing\nfreshly\nfreshness\nfridge\nfridged\nfridges\nfridging\nfried\nfriend\nfriended\nfriending\nfriendless\nfriendlier\nfriendlies\nfriendliest\nfriendlily\nfriendliness\nfriendly\nfriends\nfriendship\nfriendships\nfrier\nfries\nfrighten\nfrightened\nfrightener\nfrighteners\nfrightening\nfrightens\nfrog\nfrogged\nfrogging\nfrogs\nfrom\nfront\nfronted\nfronter\nfrontes\nfronting\nfrontless\nfronts\nfroze\nfrozen\nfrozenly\nfrozenness\nfruit\nfruited\nfruiter\nfruiters\nfruitful\nfruiting\nfruitless\nfruits\nfry\nfryer\nfryers\nfrying\nfuel\nfueled\nfueler\nfuelers\nfueling\nfuels\nfull\nfulled\nfuller\nfullered\nfullering\nfullers\nfullest\nfulling\nfullness\nfulls\nfully\nfun\nfunction\nfunctioned\nfunctioning\nfunctionless\nfunctions\nfund\nfundamental\nfundamentally\nfundamentalness\nfundamentals\nfunded\nfunder\nfunders\nfunding\nfundless\nfunds\nfuneral\nfunerals\nfunest\nfunned\nfunner\nfunnest\nfunnier\nfunnies\nfunniest\nfunnily\nfunniness\nfunning\nfunny\nfuns\nfur\nfurious\nfuriously\nfurless\nfurniture\nfurnitures\nfurred\nfurring\nfurs\nfurther\nfurthered\nfurtherer\nfurtherers\nfurthering\nfurthers\nfuture\nfutureless\nfutures\ngain\ngained\ngainer\ngainers\ngainest\ngainful\ngaining\ngainless\ngainly\ngains\ngalleried\ngalleries\ngallery\ngallerying\ngame\ngamed\ngamely\ngameness\ngames\ngaming\ngap\ngaped\ngaper\ngapers\ngapes\ngaping\ngapless\ngapped\ngapper\ngappers\ngapping\ngaps\ngarage\ngaraged\ngarages\ngaraging\ngarden\ngardened\ngardener\ngardeners\ngardenful\ngardening\ngardenless\ngardens\ngas\ngases\ngasless\ngate\ngated\ngateless\ngates\ngateway\ngateways\ngather\ngathered\ngatherer\ngatherers\ngathering\ngathers\ngating\ngave\ngeese\ngeneral\ngenerally\ngeneralness\ngenerals\ngenerate\ngenerated\ngenerates\ngenerating\ngeneration\ngenerations\ngenerous\ngenerously\ngenerousness\ngentle\ngentled\ngentleman\ngentlemanly\ngentleness\ngentles\ngentling\ngenuine\ngenuinely\ngenuineness\nget\ngets\ngetter\ngetters\ngetting\ngettings\ngiant\ngiantly\ngiants\ngift\ngifted\ngifting\ngiftless\ngifts\ngirl\ngirlfriend\ngirlfriends\ngirls\ngive\ngived\ngiven\ngivenness\ngivens\ngives\ngiving\ngivings\nglad\ngladded\ngladder\ngladdest\ngladding\nglades\ngladful\ngladly\ngladness\nglads\nglass\nglassed\nglasses\nglassful\nglassing\nglassless\nglobal\nglobally\nglobe\nglobed\nglobes\nglobing\nglossies\nglossy\nglove\ngloved\ngloveless\ngloves\ngloving\ngo\ngoal\ngoaled\ngoaling\ngoalless\ngoals\ngoat\ngoats\ngod\ngodded\ngodding\ngodless\ngodly\ngods\ngoer\ngoers\ngoes\ngoest\ngoing\ngoings\ngold\ngolden\ngoldened\ngoldener\ngoldenest\ngoldening\ngoldenly\ngoldenness\ngoldens\ngolder\ngoldest\ngoldless\ngolds\ngolf\ngolfed\ngolfer\ngolfers\ngolfing\ngolfs\ngone\ngoneness\ngonion\ngood\ngoodbye\ngoodbyes\ngoodly\ngoodness\ngoods\ngos\ngot\ngotten\ngovern\ngoverned\ngoverning\ngovernment\ngovernments\ngoverns\ngrab\ngrabbed\ngrabber\ngrabbers\ngrabbing\ngrabs\ngrade\ngraded\ngradeless\ngradely\ngrades\ngrading\ngradual\ngradually\ngraduals\ngraduate\ngraduated\ngraduates\ngraduating\ngraduation\ngraduations\ngrain\ngrained\ngrainer\ngrainers\ngraines\ngraining\ngrainless\ngrains\ngrand\ngrandchild\ngrandchildren\ngranddaughter\ngranddaughters\ngrander\ngrandest\ngrandfather\ngrandfathered\ngrandfathering\ngrandfatherly\ngrandfathers\ngrandly\ngrandmother\ngrandmotherly\ngrandmothers\ngrandness\ngrandparent\ngrandparents\ngrands\ngrandson\ngrandsons\ngrant\ngranted\ngranter\ngranters\ngranting\ngrants\ngraph\ngraphed\ngraphics\ngraphing\ngraphs\ngrass\ngrassed\ngrasser\ngrassers\ngrasses\ngrassing\ngrassless\ngrateful\ngratefully\ngratefulness\ngrave\ngraved\ngravely\ngraves\ngraving\ngray\ngrayed\ngrayer\ngrayest\ngraying\ngrayly\ngrayness\ngrays\ngreat\ngreater\ngreatest\ngreatests\ngreatly\ngreatness\ngreats\ngreen\ngreened\ngreener\ngreeners\ngreenest\ngreening\ngreenly\ngreenness\ngreens\ngreet\ngreeted\ngreeter\ngreeters\ngreetes\ngreeting\ngreets\ngrew\ngrewed\ngrewing\ngrews\ngrey\ngreyed\ngreyer\ngreyest\ngreying\ngreyly\ngreyness\ngreys\ngroceries\ngrocery\nground\ngrounded\ngrounder\ngrounders\ngrounding\ngroundless\ngrounds\ngroup\ngrouped\ngrouper\ngroupers\ngrouping\ngroups\ngrow\ngrower\ngrowers\ngrowing\ngrowly\ngrown\ngrows\ngrowth\ngrowths\nguarantee\nguaranteed\nguaranteeing\nguarantees\nguard\nguarded\nguarder\nguarders\nguarding\nguardless\nguards\nguess\nguessed\nguesser\nguessers\nguesses\nguessing\nguest\nguested\nguesting\nguests\nguide\nguided\nguideless\nguideline\nguidelines\nguides\nguiding\nguiltier\nguiltiest\nguiltily\nguiltiness\nguilty\nguitar\nguitars\ngun\ngunless\ngunned\ngunner\ngunners\ngunning\nguns\nguy\nguyed\nguying\nguys\nhabit\nhabited\nhabiting\nhabits\nhad\nhaddest\nhadding\nhaded\nhades\nhading\nhads\nhair\nhaired\nhairing\nhairless\nhairs\nhalf\nhalfness\nhalfs\nhall\nhalling\nhalls\nhalves\nhand\nhanded\nhander\nhanders\nhandful\nhanding\nhandle\nhandled\nhandleless\nhandles\nhandless\nhandling\nhands\nhang\nhanged\nhanger\nhangers\nhanging\nhangs\nhappen\nhappened\nhappening\nhappenings\nhappens\nhappied\nhappier\nhappies\nhappiest\nhappily\nhappiness\nhappinesses\nhappy\nhappying\nhard\nharder\nhardest\nhardly\nhardness\nhards\nhardware\nhardwares\nharm\nharmed\nharmer\nharmers\nharmful\nharmfully\nharming\nharmless\nharms\nharsh\nharshed\nharsher\nharshes\nharshest\nharshing\nharshly\nhas\nhass\nhat\nhate\nhated\nhateful\nhateless\nhater\nhaters\nhates\nhatful\nhating\nhatless\nhats\nhatted\nhatter\nhatters\nhatting\nhave\nhaven\nhavened\nhavening\nhavenless\nhavens\nhaves\nhaving\nhavings\nhazardous\nhazardously\nhe\nhead\nheadache\nheadaches\nheaded\nheader\nheaders\nheadful\nheading\nheadless\nheadline\nheadlined\nheadlines\nheadlining\nheads\nhealing\nhealingly\nhealings\nhealth\nhealthful\nhealthier\nhealthiest\nhealthily\nhealthiness\nhealthless\nhealths\nhealthy\nhear\nheard\nheards\nhearer\nhearers\nheares\nhearing\nhears\nheart\nhearted\nhearting\nheartless\nheartly\nhearts\nheat\nheated\nheater\nheaters\nheating\nheatings\nheatless\nheats\nheaven\nheavenly\nheavens\nheavier\nheavies\nheaviest\nheavily\nheaviness\nheavy\nheed\nheight\nheights\nheld\nhello\nhelloed\nhelloes\nhelloing\nhellos\nhelp\nhelped\nhelper\nhelpers\nhelpful\nhelpfully\nhelpfulness\nhelping\nhelpings\nhelpless\nhelps\nhence\nher\nherd\nhere\nhereness\nheres\nhero\nheroes\nheros\nherring\nhers\nhersed\nherself\nherses\nhes\nhesitate\nhesitated\nhesitates\nhesitating\nhesitation\nhesitations\nhey\nheyed\nheying\nheys\nhi\nhid\nhidden\nhiddenly\nhiddenness\nhidder\nhidders\nhide\nhided\nhideless\nhider\nhiders\nhides\nhiding\nhied\nhies\nhigh\nhighed\nhigher\nhighered\nhighering\nhighers\nhighest\nhighing\nhighlight\nhighlighted\nhighlighter\nhighlighters\nhighlighting\nhighlights\nhighly\nhighness\nhighs\nhighway\nhighways\nhill\nhilled\nhiller\nhillers\nhilling\nhills\nhim\nhims\nhimself\nhing\nhip\nhiply\nhips\nhire\nhired\nhirees\nhires\nhiring\nhis\nhiss\nhistoric\nhistorical\nhistorically\nhistoricalness\nhistoried\nhistories\nhistory\nhistorying\nhit\nhitless\nhits\nhitter\nhitters\nhitting\nhobbies\nhobby\nhobbyless\nhold\nholder\nholders\nholding\nholdings\nholds\nhole\nholed\nholeless\nholes\nholiday\nholidayed\nholidayer\nholidayers\nholidaying\nholidays\nholier\nholies\nholiest\nholily\nholiness\nholing\nhollow\nhollowed\nhollower\nhollowest\nhollowing\nhollowly\nhollowness\nhollows\nholy\nhome\nhomed\nhomeless\nhomely\nhomepage\nhomepages\nhomes\nhomework\nhomeworker\nhomeworkers\nhomeworking\nhomeworks\nhoming\nhonest\nhonester\nhonestest\nhonestly\nhonestness\nhoney\nhoneyed\nhoneyful\nhoneying\nhoneyless\nhoneys\nhonor\nhonored\nhonorer\nhonorers\nhonoring\nhonorless\nhonors\nhonour\nhonoured\nhonourer\nhonourers\nhonouring\nhonourless\nhonours\nhook\nhooked\nhooker\nhookers\nhooking\nhookless\nhooks\nhope\nhoped\nhopeful\nhopeless\nhopes\nhoping\nhopingly\nhorrible\nhorribleness\nhorribles\nhorror\nhorrors\nhorse\nhorsed\nhorseless\nhorses\nhorsing\nhospital\nhospitaler\nhospitalers\nhospitales\nhospitals\nhost\nhosted\nhosting\nhostings\nhostly\nhosts\nhot\nhotel\nhoteling\nhotels\nhotly\nhotness\nhots\nhotted\nhotter\nhottered\nhottering\nhotters\nhottest\nhotting\nhour\nhourless\nhourly\nhours\nhouse\nhoused\nhouseful\nhousehold\nhouseholder\nhouseholders\nhouseholds\nhouseless\nhouses\nhousing\nhousings\nhow\nhowes\nhowever\nhows\nhuge\nhugely\nhugeness\nhuman\nhumaner\nhumanest\nhumanly\nhumanness\nhumans\nhumor\nhumored\nhumorful\nhumoring\nhumorless\nhumors\nhumour\nhumoured\nhumourful\nhumouring\nhumourless\nhumours\nhundred\nhundreder\nhundreders\nhundreds\nhung\nhunger\nhungers\nhungrier\nhungriest\nhungrily\nhungriness\nhungry\nhunt\nhunted\nhunter\nhunters\nhunting\nhunts\nhurried\nhurrier\nhurries\nhurry\nhurrying\nhurt\nhurter\nhurters\nhurtful\nhurting\nhurtless\nhurts\nhusband\nhusbanded\nhusbander\nhusbanders\nhusbanding\nhusbandless\nhusbandly\nhusbands\ni\nice\niced\niceless\nices\nicing\nicon\nicones\nicons\nid\nidea\nideaed\nideal\nidealess\nidealless\nideally\nidealness\nideals\nideas\nidentical\nidentically\nidentified\nidentifier\nidentifies\nidentify\nidentifying\nidentities\nidentity\nidle\nidled\nidles\nidling\nif\nifs\nignore\nignored\nignores\nignoring\nill\nillegal\nillegally\nillegals\niller\nillest\nillness\nillnesses\nills\nillustrate\nillustrated\nillustrates\nillustrating\nillustration\nillustrations\nimage\nimaged\nimageless\nimages\nimaginaries\nimaginary\nimagination\nimaginations\nimagine\nimagined\nimagineer\nimagineers\nimagines\nimaging\nimagining\nimmediate\nimmediately\nimmediateness\nimmense\nimmensely\nimmigrant\nimmigrants\nimpact\nimpacted\nimpacter\nimpacters\nimpactful\nimpacting\nimpacts\nimplement\nimplemented\nimplementer\nimplementers\nimplementing\nimplements\nimplied\nimplies\nimply\nimplying\nimport\nimportance\nimportances\nimportant\nimportantly\nimported\nimporter\nimporters\nimporting\nimports\nimpose\nimposed\nimposes\nimposing\nimpossible\nimpossibleness\nimpossibles\nimpress\nimpressed\nimpresser\nimpressers\nimpresses\nimpressing\nimpression\nimpressions\nimpressive\nimpressively\nimpressiveness\nimpressment\nimpressments\nimprobable\nimprove\nimproved\nimprovement\nimprovements\nimproves\nimproving\nin\ninaccessible\ninaccurate\ninaccurately\ninbox\ninboxes\ninch\ninched\nincher\ninchers\ninches\ninching\nincident\nincidents\ninclude\nincluded\nincludes\nincluding\nincome\nincomes\nincoming\nincorrect\nincorrectly\nincrease\nincreased\nincreaseful\nincreases\nincreasing\nincreasingly\nincredible\nincredibleness\nindeed\nindependent\nindependently\nindependents\nindex\nindexed\nindexer\nindexers\nindexes\nindexing\nindexless\nindicate\nindicated\nindicates\nindicating\nindication\nindications\nindividual\nindividually\nindividuals\nindoor\nindoors\nindustrial\nindustrially\nindustrials\nindustries\nindustry\ninevitable\ninevitableness\ninevitables\ninfant\ninfantes\ninfants\ninfection\ninfections\ninfluence\ninfluenced\ninfluences\ninfluencing\ninform\ninformation\ninformations\ninformed\ninformer\ninformers\ninforming\ninforms\ninitial\ninitialed\ninitialer\ninitialers\ninitialing\ninitially\ninitialness\ninitials\ninjure\ninjured\ninjures\ninjuries\ninjuring\ninjury\nink\ninked\ninker\ninkers\ninking\ninkless\ninks\ninly\ninner\ninnerly\ninnerness\ninners\ninnocent\ninnocenter\ninnocentest\ninnocently\ninnocents\ninput\ninputs\ninputted\ninputter\ninputters\ninputting\nins\ninsect\ninsects\ninside\ninsides\ninsignificant\ninsignificantly\ninsist\ninsisted\ninsister\ninsisters\ninsisting\ninsists\ninspect\ninspected\ninspecting\ninspects\ninspire\ninspired\ninspires\ninspiring\ninstall\ninstallation\ninstallations\ninstalled\ninstaller\ninstallers\ninstalling\ninstallment\ninstallments\ninstalls\ninstance\ninstanced\ninstances\ninstancing\ninstant\ninstanter\ninstantly\ninstants\ninstead\ninstitute\ninstituted\ninstitutes\ninstituting\ninstitution\ninstitutions\ninstruction\ninstructions\ninstructor\ninstructors\ninstrument\ninstrumented\ninstrumenting\ninstruments\ninsurance\ninsurances\nintegration\nintegrations\nintelligence\nintelligences\nintelligent\nintelligently\nintend\nintended\nintender\nintenders\nintending\nintendment\nintendments\nintends\nintense\nintensely\nintenseness\nintension\nintensions\nintention\nintentioned\nintentions\ninterest\ninterested\ninterestedly\ninterestedness\ninteresting\ninterestingly\ninterestingness\ninterests\ninterface\ninterfaced\ninterfaces\ninterfacing\ninternal\ninternally\ninternalness\ninternals\ninternational\ninternationally\ninternationals\ninternet\ninternets\ninterpret\ninterpreted\ninterpreter\ninterpreters\ninterpreting\ninterprets\ninterrupt\ninterrupted\ninterrupter\ninterrupters\ninterrupting\ninterrupts\ninterval\nintervales\nintervals\ninterview\ninterviewed\ninterviewer\ninterviewers\ninterviewing\ninterviews\ninto\nintoed\nintroduce\nintroduced\nintroduces\nintroducing\nintroduction\nintroductions\ninvent\ninvented\ninventer\ninventers\ninventing\ninvention\ninventionless\ninventions\ninvents\ninvest\ninvested\ninvestigate\ninvestigated\ninvestigates\ninvestigating\ninvestigation\ninvestigations\ninvesting\ninvestment\ninvestments\ninvests\ninvitation\ninvitations\ninvite\ninvited\ninvitees\ninvitement\ninvitements\ninvites\ninviting\ninvoice\ninvoiced\ninvoices\ninvoicing\ninvolve\ninvolved\ninvolvedly\ninvolvement\ninvolvements\ninvolves\ninvolving\niron\nironed\nironer\nironers\nirones\nironing\nironless\nironness\nirons\nirritated\nirritatedly\nis\nisland\nislanded\nislander\nislanders\nislanding\nislands\nissue\nissued\nissueless\nissues\nissuing\nit\nitem\nitemed\niteming\nitems\nits\nitself\njacket\njacketed\njacketing\njacketless\njackets\njam\njames\njammed\njammer\njammers\njamming\njams\njava\njavas\njeans\njewelleries\njewellery\njewelries\njewelry\njob\njobbed\njobber\njobbers\njobbing\njobed\njobes\njobing\njobless\njobs\njoin\njoined\njoiner\njoiners\njoining\njoins\njoint\njointed\njointer\njointers\njointing\njointless\njointly\njointness\njoints\njoke\njoked\njokes\njoking\njournal\njournaled\njournaling\njournalist\njournalists\njournals\njourney\njourneyed\njourneyer\njourneyers\njourneying\njourneys\njoy\njoyed\njoyful\njoyfully\njoying\njoyless\njoys\njudge\njudged\njudgeless\njudgement\njudgements\njudges\njudging\njudgment\njudgments\njuice\njuiced\njuiceless\njuices\njuicing\njump\njumped\njumper\njumpers\njumping\njumps\njunior\njuniors\njuried\njuries\njury\njurying\njuryless\njust\njusted\njuster\njusters\njustest\njustice\njustices\njustified\njustifier\njustifies\njustify\njustifying\njusting\njustly\njustness\njusts\njuvenile\njuvenilely\njuveniles\nkeen\nkeened\nkeener\nkeeners\nkeenest\nkeening\nkeenly\nkeenness\nkeens\nkeep\nkeeper\nkeepers\nkeeping\nkeepings\nkeeps\nkept\nkernel\nkerneled\nkerneling\nkernelly\nkernels\nkey\nkeyboard\nkeyboarded\nkeyboarder\nkeyboarders\nkeyboarding\nkeyboards\nkeyed\nkeying\nkeyless\nkeys\nkeyword\nkeywords\nkick\nkicked\nkicker\nkickers\nkicking\nkicks\nkid\nkidded\nkidder\nkidders\nkidding\nkidney\nkidneys\nkids\nkill\nkilled\nkiller\nkillers\nkilling\nkillingly\nkillings\nkills\nkind\nkinded\nkinder\nkinders\nkindest\nkinding\nkindless\nkindlier\nkindliest\nkindlily\nkindliness\nkindly\nkindness\nkinds\nking\nkingdom\nkingdomed\nkingdomless\nkingdoms\nkinged\nkinging\nkingless\nkingly\nkings\nkiss\nkissed\nkisser\nkissers\nkisses\nkissing\nkitchen\nkitchened\nkitchener\nkitcheners\nkitchening\nkitchens\nkitten\nkittens\nknee\nkneed\nkneeing\nknees\nknew\nknife\nknifed\nknifeless\nknifes\nknifing\nknives\nknock\nknocked\nknocker\nknockers\nknocking\nknockless\nknocks\nknow\nknower\nknowers\nknowes\nknowing\nknowinger\nknowingest\nknowingly\nknowings\nknowledge\nknowledged\nknowledges\nknowledging\nknown\nknowns\nknows\nlab\nlabel\nlabeled\nlabeler\nlabelers\nlabeling\nlabels\nlabor\nlaboratories\nlaboratory\nlabored\nlaborer\nlaborers\nlaboring\nlabors\nlabour\nlaboured\nlabourer\nlabourers\nlabouring\nlabours\nlabs\nlack\nlacked\nlacker\nlackers\nlacking\nlacks\nladder\nladdered\nladdering\nladders\nladies\nlady\nlaid\nlaided\nlaiding\nlaidly\nlaids\nlain\nlake\nlaked\nlakes\nlaking\nlamp\nlamped\nlamper\nlampers\nlamping\nlamps\nland\nlanded\nlander\nlanders\nlandes\nlanding\nlandless\nlands\nlandscape\nlandscaped\nlandscapes\nlandscaping\nlane\nlanely\nlanes\nlanguage\nlanguaged\nlanguageless\nlanguages\nlanguaging\nlaptop\nlaptops\nlarge\nlargely\nlargeness\nlarger\nlarges\nlargest\nlast\nlasted\nlaster\nlasters\nlasting\nlastly\nlasts\nlate\nlated\nlately\nlateness\nlater\nlatest\nlatests\nlaugh\nlaughed\nlaugher\nlaughers\nlaughful\nlaughing\nlaughs\nlaunch\nlaunched\nlauncher\nlaunchers\nlaunches\nlaunching\nlaw\nlawed\nlawer\nlawest\nlawful\nlawfully\nlawing\nlawless\nlaws\nlawyer\nlawyered\nlawyering\nlawyerly\nlawyers\nlay\nlayed\nlayer\nlayered\nlayering\nlayers\nlaying\nlayout\nlayouts\nlays\nlazied\nlazier\nlazies\nlaziest\nlazily\nlaziness\nlazy\nlazying\nlead\nleaded\nleader\nleaderless\nleaders\nleadership\nleaderships\nleading\nleadless\nleads\nleaf\nleafed\nleafing\nleafless\nleafs\nleague\nleagued\nleagues\nleaguing\nlean\nleaned\nleaner\nleaners\nleanest\nleaning\nleanly\nleanness\nleans\nleapt\nlearn\nlearned\nlearnedly\nlearner\nlearners\nlearning\nlearnings\nlearns\nlearnt\nleast\nleasts\nleather\nleathered\nleathering\nleathers\nleave\nleaved\nleaves\nleaving\nleavings\nlecture\nlectured\nlectures\nlecturing\nled\nleft\nlefter\nleftest\nlefts\nleg\nlegal\nlegally\nlegals\nleger\nlegers\nleges\nlegged\nlegger\nleggers\nlegging\nlegitimate\nlegitimated\nlegitimately\nlegitimates\nlegitimating\nlegless\nlegs\nlemon\nlemoned\nlemoning\nlemons\nlend\nlender\nlenders\nlending\nlends\nlength\nlengthful\nlengths\nlent\nless\nlesser\nlesses\nlesson\nlessoned\nlessoning\nlessons\nlet\nlets\nletted\nletter\nlettered\nletterer\nletterers\nlettering\nletterless\nletters\nletting\nlettings\nlevel\nleveled\nleveler\nlevelers\nleveling\nlevelly\nlevelness\nlevels\nliberties\nliberty\nlibraries\nlibrary\nlicence\nlicenced\nlicencees\nlicences\nlicencing\nlicense\nlicensed\nlicensees\nlicenses\nlicensing\nlid\nlidded\nlidding\nlidless\nlids\nlie\nlied\nlies\nlife\nlifeful\nlifeless\nlifes\nlift\nlifted\nlifter\nlifters\nlifting\nlifts\nlight\nlighted\nlighter\nlightered\nlightering\nlighters\nlightest\nlightful\nlighting\nlightless\nlightly\nlightness\nlights\nlike\nliked\nlikelier\nlikeliest\nlikeliness\nlikely\nlikeness\nlikes\nliking\nlikings\nlimit\nlimited\nlimitedly\nlimitedness\nlimiteds\nlimiter\nlimiters\nlimites\nlimiting\nlimitless\nlimits\nline\nlined\nlineless\nlines\nlining\nlink\nlinked\nlinker\nlinkers\nlinking\nlinks\nlinux\nlinuxes\nlion\nlions\nlip\nlipless\nlipped\nlipper\nlippers\nlipping\nlips\nliquid\nliquidly\nliquidness\nliquids\nlist\nlisted\nlistedness\nlisten\nlistened\nlistener\nlisteners\nlistening\nlistenings\nlistens\nlister\nlisters\nlistful\nlisting\nlistless\nlists\nliterally\nliterature\nliteratured\nliteratures\nlittle\nlittleness\nlittles\nlittling\nlive\nlived\nlivelier\nliveliest\nlivelily\nliveliness\nlively\nliveness\nliver\nlivered\nlivering\nlivers\nlives\nliving\nlivingly\nlivingness\nlivings\nload\nloaded\nloader\nloaders\nloading\nloads\nloan\nloaned\nloaner\nloaners\nloaning\nloans\nlocal\nlocales\nlocally\nlocalness\nlocals\nlocate\nlocated\nlocates\nlocating\nlocation\nlocations\nlock\nlocked\nlocker\nlockers\nlockful\nlocking\nlockless\nlocks\nlog\nloges\nlogged\nlogger\nloggers\nlogging\nlogical\nlogically\nlogicalness\nlogin\nlogins\nlogout\nlogouts\nlogs\nlonelier\nloneliest\nlonelily\nloneliness\nlonely\nlong\nlonged\nlonger\nlongers\nlonges\nlongest\nlonging\nlongly\nlongness\nlongs\nlook\nlooked\nlooker\nlookers\nlooking\nlooks\nloose\nloosed\nloosely\nlooseness\nlooses\nloosing\nlord\nlorded\nlording\nlordless\nlordly\nlords\nlose\nlosed\nloses\nlosing\nlosingly\nlosings\nloss\nlosses\nlossless\nlost\nlostness\nlot\nlotes\nlots\nlotted\nlotter\nlotters\nlotting\nloud\nlouder\nloudest\nloudly\nloudness\nlove\nloved\nloveless\nlovelier\nlovelies\nloveliest\nlovelily\nloveliness\nlovely\nlover\nlovered\nloverless\nloverly\nlovers\nloves\nloving\nlovingly\nlovings\nlow\nlowed\nlower\nlowered\nlowering\nlowers\nlowes\nlowest\nlowing\nlowly\nlowness\nlows\nluck\nlucked\nluckier\nluckies\nluckiest\nluckily\nluckiness\nlucking\nluckless\nlucks\nlucky\nlunch\nlunched\nluncher\nlunchers\nlunches\nlunching\nlung\nlunged\nlunger\nlungers\nlunges\nlungful\nlunging\nlungless\nlungs\nlying\nlyingly\nlyings\nmachine\nmachined\nmachineless\nmachines\nmachining\nmad\nmadded\nmadder\nmadders\nmaddest\nmadding\nmade\nmadly\nmadness\nmads\nmagazine\nmagazines\nmagic\nmagics\nmail\nmailbox\nmailboxes\nmailed\nmailer\nmailers\nmailes\nmailing\nmailless\nmails\nmain\nmained\nmainer\nmainest\nmaining\nmainly\nmains\nmaintain\nmaintained\nmaintainer\nmaintainers\nmaintaining\nmaintains\nmajor\nmajored\nmajoring\nmajorities\nmajority\nmajorly\nmajors\nmake\nmakeless\nmakes\nmaking\nmakings\nmale\nmaleness\nmales\nmall\nmalled\nmalling\nmalls\nmama\nmamas\nman\nmanage\nmanaged\nmanagement\nmanagements\nmanager\nmanagers\nmanages\nmanaging\nmand\nmaned\nmanes\nmanful\nmanies\nmanless\nmanly\nmanned\nmanner\nmannered\nmannerless\nmannerly\nmanners\nmanning\nmans\nmanufacture\nmanufactured\nmanufactures\nmanufacturing\nmany\nmap\nmapless\nmapped\nmapper\nmappers\nmapping\nmaps\nmarch\nmarched\nmarcher\nmarchers\nmarches\nmarching\nmark\nmarked\nmarker\nmarkers\nmarket\nmarketed\nmarketer\nmarketers\nmarketing\nmarketings\nmarkets\nmarking\nmarks\nmarriage\nmarriages\nmarried\nmarrieds\nmarrier\nmarries\nmarry\nmarrying\nmass\nmassed\nmasses\nmassing\nmassive\nmassively\nmassiveness\nmassives\nmassless\nmaster\nmastered\nmasterful\nmastering\nmasterless\nmasterly\nmasters\nmatch\nmatched\nmatcher\nmatchers\nmatches\nmatching\nmatchless\nmate\nmated\nmateless\nmaterial\nmaterially\nmaterialness\nmaterials\nmates\nmath\nmathematics\nmaths\nmating\nmatter\nmattered\nmatterful\nmattering\nmatterless\nmatters\nmaximum\nmaximumly\nmaximums\nmay\nmaybe\nmaybes\nmayed\nmayest\nmaying\nmayor\nmayors\nmays\nme\nmeal\nmealed\nmealer\nmealers\nmealing\nmealless\nmeals\nmean\nmeaned\nmeaner\nmeaners\nmeanes\nmeanest\nmeaning\nmeaningful\nmeaningless\nmeaningly\nmeanings\nmeanly\nmeanness\nmeans\nmeant\nmeanwhile\nmeanwhiles\nmeasure\nmeasured\nmeasureless\nmeasurement\nmeasurements\nmeasures\nmeasuring\nmeat\nmeated\nmeatless\nmeats\nmechanic\nmechanics\nmechanism\nmechanisms\nmed\nmedia\nmediad\nmedias\nmedical\nmedically\nmedicals\nmedication\nmedications\nmedicine\nmedicined\nmedicines\nmedicining\nmedium\nmediums\nmeed\nmeer\nmeers\nmees\nmeet\nmeeter\nmeeters\nmeetest\nmeeting\nmeetings\nmeetly\nmeetness\nmeets\nmember\nmembered\nmemberless\nmembers\nmembership\nmemberships\nmemo\nmemories\nmemory\nmemos\nmen\nmend\nmened\nmenes\nmening\nmental\nmentally\nmention\nmentioned\nmentioner\nmentioners\nmentioning\nmentions\nmenu\nmenus\nmerchandise\nmerchandised\nmerchandises\nmerchandising\nmere\nmered\nmerely\nmeres\nmerge\nmerged\nmergees\nmerges\nmerging\nmering\nmes\nmess\nmessage\nmessaged\nmessages\nmessaging\nmessed\nmesses\nmessing\nmessy\nmet\nmetadata\nmetal\nmetaled\nmetaling\nmetally\nmetals\nmeted\nmeter\nmeters\nmetes\nmethod\nmethods\nmeting\nmetropolis\nmetropolises\nmets\nmice\nmicrophone\nmicrophones\nmiddle\nmiddled\nmiddles\nmiddling\nmidnight\nmidnightly\nmidnights\nmight\nmightest\nmightful\nmights\nmighty\nmild\nmilded\nmilder\nmildest\nmilding\nmildly\nmildness\nmilds\nmile\nmiles\nmilestone\nmilestones\nmilitaries\nmilitarily\nmilitary\nmilk\nmilked\nmilker\nmilkers\nmilking\nmilkless\nmilks\nmillion\nmillions\nmind\nminded\nminder\nminders\nmindful\nminding\nmindless\nminds\nmine\nmined\nmines\nming\nminiature\nminiatured\nminiatures\nminiaturing\nminimum\nminimums\nmining\nminion\nminions\nminister\nministered\nministering\nministers\nministries\nministry\nminor\nminored\nminoring\nminorities\nminority\nminors\nminute\nminuted\nminutely\nminuteness\nminutes\nminuting\nmirror\nmirrored\nmirroring\nmirrors\nmiserable\nmiserables\nmiss\nmissed\nmisses\nmissing\nmissingly\nmission\nmissioned\nmissioner\nmissioners\nmissioning\nmissions\nmistake\nmistaken\nmistakenly\nmistakes\nmistaking\nmistook\nmix\nmixed\nmixer\nmixers\nmixes\nmixing\nmixture\nmixtures\nmobile\nmobiles\nmodel\nmodeled\nmodeler\nmodelers\nmodeling\nmodels\nmodern\nmoderner\nmodernes\nmodernest\nmodernly\nmodernness\nmoderns\nmodule\nmodules\nmom\nmoment\nmomently\nmoments\nmomes\nmoms\nmoney\nmoneyed\nmoneyer\nmoneyers\nmoneyless\nmoneys\nmonitor\nmonitored\nmonitoring\nmonitorings\nmonitors\nmonkey\nmonkeys\nmonth\nmonthly\nmonths\nmood\nmoods\nmoon\nmooned\nmooner\nmooners\nmooning\nmoonless\nmoons\nmoral\nmorales\nmorally\nmorals\nmore\nmoreness\nmoreover\nmores\nmorion\nmorions\nmorning\nmornings\nmosque\nmosques\nmost\nmostest\nmostly\nmosts\nmotel\nmotels\nmother\nmothered\nmothering\nmotherless\nmotherly\nmothers\nmotion\nmotioned\nmotioner\nmotioners\nmotioning\nmotionless\nmotions\nmotor\nmotorcycle\nmotorcycled\nmotorcycles\nmotorcycling\nmotored\nmotoring\nmotorless\nmotors\nmount\nmountain\nmountained\nmountains\nmounted\nmounter\nmounters\nmounting\nmounts\nmouse\nmoused\nmouses\nmousing\nmouth\nmouthed\nmouther\nmouthers\nmouthful\nmouthing\nmouthless\nmouths\nmove\nmoved\nmoveless\nmovement\nmovements\nmoves\nmovie\nmovies\nmoving\nmovingly\nmuch\nmuches\nmuchly\nmuchness\nmud\nmudded\nmudder\nmudders\nmudding\nmuds\nmultiple\nmultiples\nmum\nmummed\nmummer\nmummers\nmumming\nmums\nmurder\nmurdered\nmurderer\nmurderers\nmurdering\nmurders\nmuscle\nmuscled\nmuscles\nmuscling\nmuseum\nmuseums\nmusic\nmusical\nmusicales\nmusically\nmusicalness\nmusicals\nmusician\nmusicianer\nmusicianers\nmusicianly\nmusicians\nmusicless\nmusics\nmust\nmusted\nmuster\nmusters\nmusting\nmusts\nmy\nmyself\nmysteries\nmystery\nnail\nnailed\nnailer\nnailers\nnailing\nnailless\nnails\nnaked\nnakeder\nnakedest\nnakedly\nnakedness\nname\nnamed\nnameless\nnamely\nnames\nnaming\nnarrow\nnarrowed\nnarrower\nnarrowest\nnarrowing\nnarrowly\nnarrowness\nnarrows\nnation\nnational\nnationally\nnationals\nnationless\nnations\nnative\nnatively\nnativeness\nnatives\nnatural\nnaturally\nnaturalness\nnaturals\nnature\nnatured\nnatures\nnaturing\nnear\nnearby\nneared\nnearer\nnearest\nnearing\nnearlier\nnearliest\nnearly\nnearness\nnears\nneat\nneater\nneatest\nneatly\nneatness\nneats\nnecessaries\nnecessarily\nnecessariness\nnecessary\nneck\nnecked\nnecker\nneckers\nnecking\nneckless\nnecks\nneed\nneeded\nneeder\nneeders\nneedful\nneeding\nneedle\nneedled\nneedleful\nneedles\nneedless\nneedling\nneedly\nneedment\nneedments\nneeds\nneedy\nnegative\nnegatived\nnegatively\nnegativeness\nnegatives\nnegativing\nneighbor\nneighbored\nneighborhood\nneighborhoods\nneighboring\nneighborless\nneighborly\nneighbors\nneighbour\nneighboured\nneighbourhood\nneighbourhoods\nneighbouring\nneighbourless\nneighbourly\nneighbours\nneither\nnephew\nnephews\nnerve\nnerved\nnerveless\nnerves\nnerving\nnervous\nnervously\nnervousness\nnet\nnetes\nnetful\nnetless\nnets\nnetted\nnetter\nnetters\nnetting\nnetwork\nnetworked\nnetworker\nnetworkers\nnetworking\nnetworks\nnever\nnevertheless\nnew\nnewed\nnewer\nnewest\nnewing\nnewly\nnewness\nnews\nnewsed\nnewses\nnewsing\nnewsless\nnewsletter\nnewsletters\nnewspaper\nnewspapered\nnewspapering\nnewspapers\nnext\nnextly\nnextness\nnexts\nnice\nnicely\nniceness\nniece\nnieces\nnight\nnighted\nnightless\nnightly\nnights\nnine\nnines\nnineteen\nnineteens\nnineties\nninety\nno\nnobodies\nnobody\nnod\nnode\nnodes\nnoes\nnoise\nnoised\nnoiseful\nnoiseless\nnoises\nnoisier\nnoisiest\nnoisily\nnoisiness\nnoising\nnoisy\nnone\nnones\nnonsense\nnonsenses\nnoon\nnooned\nnooner\nnooners\nnooning\nnoons\nnor\nnormal\nnormally\nnormals\nnorth\nnorthed\nnorther\nnorthern\nnortherner\nnortherners\nnortherns\nnorthers\nnorthing\nnorths\nnose\nnosed\nnoseless\nnoses\nnosing\nnot\nnotable\nnotables\nnote\nnoted\nnoteless\nnoter\nnoters\nnotes\nnothing\nnothingness\nnothings\nnotice\nnoticed\nnotices\nnoticing\nnotification\nnotifications\nnoting\nnotion\nnotions\nnovel\nnovelly\nnovels\nnovember\nnow\nnowed\nnowhere\nnowheres\nnowness\nnows\nnuclear\nnumber\nnumbered\nnumberer\nnumberers\nnumbering\nnumberless\nnumbers\nnurse\nnursed\nnurses\nnursing\nnut\nnuts\nnutted\nnutter\nnutters\nnutting\nobey\nobeyed\nobeyer\nobeyers\nobeying\nobeys\nobject\nobjected\nobjecting\nobjective\nobjectively\nobjectiveness\nobjectives\nobjectless\nobjects\nobligation\nobligations\nobservation\nobservations\nobserve\nobserved\nobserves\nobserving\nobservingly\nobtain\nobtainable\nobtained\nobtainer\nobtainers\nobtaining\nobtainment\nobtainments\nobtains\nobvious\nobviously\nobviousness\noccasion\noccasionally\noccasioned\noccasioner\noccasioners\noccasioning\noccasions\noccupation\noccupations\noccupied\noccupier\noccupies\noccupy\noccupying\noccur\noccurred\noccurring\noccurs\nocean\noceans\nodd\nodder\noddest\noddly\noddment\noddments\noddness\nodds\nof\noff\noffed\noffence\noffenceful\noffenceless\noffences\noffend\noffended\noffender\noffenders\noffending\noffends\noffense\noffenseless\noffenses\noffer\noffered\nofferer\nofferers\noffering\nofferings\noffers\noffice\nofficer\nofficered\nofficering\nofficers\noffices\nofficial\nofficially\nofficials\noffing\noffline\noffs\noften\noftener\noftenest\noftenness\noil\noiled\noiler\noilers\noiling\noils\nokay\nokayed\nokaying\nokays\nokes\nold\nolder\noldest\noldness\nolds\non\nonce\nonces\none\nonely\noneness\noner\noners\nones\nonion\nonions\nonliest\nonline\nonly\nons\nonto\nopen\nopened\nopener\nopeners\nopenest\nopening\nopenings\nopenly\nopenness\nopens\noperate\noperated\noperates\noperating\noperation\noperations\noperator\noperatorless\noperators\nopinion\nopinioned\nopinions\nopponent\nopponents\nopportunities\nopportunity\noppose\nopposed\nopposeless\nopposes\nopposing\nopposite\noppositely\noppositeness\nopposites\nopposition\noppositions\noption\noptioned\noptioning\noptions\nor\norange\noranges\nord\norder\nordered\norderer\norderers\nordering\norderless\norderly\norders\nordinarier\nordinaries\nordinariest\nordinarily\nordinariness\nordinary\nores\norgan\norganic\norganics\norganisation\norganisations\norganise\norganised\norganises\norganising\norganization\norganizations\norganize\norganized\norganizes\norganizing\norgans\norigin\noriginal\noriginally\noriginals\norigins\nors\nother\notherness\nothers\notherwise\nought\noughted\noughting\noughtness\noughts\nour\nours\nourselves\nout\noutcome\noutcomes\noutdoor\noutdoors\nouted\nouter\nouters\nouting\noutline\noutlined\noutlines\noutlining\noutness\noutput\noutputs\noutputted\noutputting\nouts\noutside\noutsides\noutstanding\noutstandingly\noven\novened\novening\novens\nover\noverall\noveralled\noveralls\novercame\novercome\novercomes\novercoming\noverdue\novered\novering\noverly\noverred\novers\noverview\noverviews\nowe\nowed\nowes\nowing\nown\nowned\nowner\nownerless\nowners\nowning\nowns\npace\npaced\npaces\npacing\npack\npackage\npackaged\npackages\npackaging\npacked\npacker\npackers\npacket\npacketed\npacketing\npackets\npacking\npackly\npackness\npacks\npage\npaged\npageful\npages\npaging\npaid\npain\npained\npainful\npainfully\npainfulness\npaining\npainless\npains\npaint\npainted\npainter\npainterly\npainters\npainting\npaintings\npaints\npair\npaired\npairer\npaires\npairest\npairing\npairs\npal\npalace\npalaced\npalaces\npale\npaled\npalely\npaleness\npaler\npales\npalest\npaling\npally\npals\npan\npand\npaned\npanel\npaneled\npaneling\npanels\npanes\npanful\npanic\npanics\npaning\npanned\npanner\npanners\npanning\npans\npants\npapa\npapas\npaper\npapered\npaperer\npaperers\npapering\npaperless\npapers\nparade\nparaded\nparades\nparading\nparagraph\nparagraphed\nparagrapher\nparagraphers\nparagraphing\nparagraphs\nparameter\nparameters\nparent\nparented\nparenting\nparentless\nparents\npark\nparked\nparker\nparkers\nparking\nparkings\nparkly\nparks\npart\nparted\nparter\nparters\nparticipant\nparticipantly\nparticipants\nparticipate\nparticipated\nparticipates\nparticipating\nparticipation\nparticipations\nparticular\nparticularly\nparticularness\nparticulars\npartied\npartier\nparties\nparting\npartly\npartner\npartnered\npartnering\npartnerless\npartners\nparts\nparty\npartyer\npartyers\npartying\npass\npassage\npassaged\npassages\npassaging\npassed\npassenger\npassengers\npasser\npassers\npasses\npassing\npassion\npassioned\npassioning\npassionless\npassions\npassless\npassment\npassments\npassport\npassports\npassword\npasswords\npast\npasta\npastas\npaste\npasted\npaster\npasters\npastes\npasting\npastless\npastness\npasts\npatch\npatched\npatcher\npatchers\npatches\npatching\npath\npathed\npathing\npathless\npaths\npatience\npatiences\npatient\npatiented\npatienter\npatientest\npatienting\npatiently\npatients\npattern\npatterned\npatterning\npatternless\npatterns\npause\npaused\npauseful\npauseless\npauses\npausing\npay\npayed\npayer\npayers\npaying\npayings\npayload\npayloads\npayment\npayments\npays\npaysd\npeace\npeaced\npeaceful\npeacefully\npeacefulness\npeaceless\npeaces\npeacing\npeak\npeaked\npeaking\npeakless\npeaks\npen\npenalties\npenalty\npencil\npenciled\npenciler\npencilers\npenciling\npencils\npend\npened\npenes\npenful\npening\npenned\npenner\npenners\npenning\npens\npeople\npeopled\npeopleless\npeoples\npeopling\npepper\npeppered\npepperer\npepperers\npeppering\npeppers\nper\npercent\npercentage\npercentages\npercents\nperes\nperfect\nperfected\nperfecter\nperfecters\nperfectest\nperfecting\nperfectly\nperfectness\nperfects\nperform\nperformance\nperformances\nperformed\nperformer\nperformers\nperforming\nperforms\nperhaps\nperhapses\nperiod\nperioded\nperioding\nperiods\npermanent\npermanently\npermanentness\npermanents\npermission\npermissions\npermit\npermits\npermitted\npermitter\npermitters\npermitting\nperson\npersonal\npersonalities\npersonality\npersonally\npersonals\npersonned\npersonnel\npersonnels\npersons\nperspective\nperspectively\nperspectives\npersuade\npersuaded\npersuades\npersuading\npet\npeter\npeters\npetite\npetites\npetrol\npetrols\npets\npetted\npetter\npetters\npetting\npharmacies\npharmacy\nphase\nphased\nphaseless\nphases\nphasing\nphenomenon\nphenomenons\nphilosophies\nphilosophy\nphone\nphoned\nphones\nphoning\nphoto\nphotoed\nphotograph\nphotographed\nphotographer\nphotographers\nphotographing\nphotographs\nphotoing\nphotos\nphrase\nphrased\nphraseless\nphrases\nphrasing\nphysical\nphysically\nphysicalness\nphysicals\nphysician\nphysicianer\nphysicianers\nphysicians\nphysics\npiano\npianos\npick\npicked\npicker\npickers\npicking\npickings\npicks\npicture\npictured\npictures\npicturing\npie\npiece\npieced\npieceless\npieces\npiecing\npied\npieing\npies\npig\npigged\npigging\npigment\npigments\npigs\npiing\npile\npiled\npileless\npiles\npiling\npill\npilled\npilling\npills\npilot\npiloted\npiloting\npilotless\npilots\npin\npined\npines\npining\npink\npinked\npinker\npinkers\npinkest\npinking\npinkly\npinkness\npinks\npinned\npinner\npinners\npinning\npins\npipe\npiped\npipeful\npipeless\npipes\npiping\npitch\npitched\npitcher\npitchers\npitches\npitching\npitied\npitier\npities\npity\npitying\npixel\npixels\nplace\nplaced\nplaceless\nplacement\nplacements\nplaces\nplacing\nplain\nplained\nplainer\nplainest\nplainful\nplaining\nplainly\nplainness\nplains\nplan\nplane\nplaned\nplaneness\nplaner\nplaners\nplanes\nplanet\nplanets\nplaning\nplanless\nplanned\nplanner\nplanners\nplanning\nplannings\nplans\nplant\nplanted\nplanter\nplanters\nplanting\nplantless\nplants\nplastic\nplasticly\nplastics\nplate\nplated\nplateful\nplates\nplatform\nplatformed\nplatforming\nplatforms\nplating\nplay\nplayed\nplayer\nplayers\nplayful\nplaying\nplayless\nplays\npleasant\npleasanter\npleasantest\npleasantly\npleasantness\nplease\npleased\npleasedly\npleases\npleasing\npleasure\npleasured\npleasureful\npleasureless\npleasures\npleasuring\nplenties\nplenty\nplot\nplotful\nplotless\nplots\nplotted\nplotter\nplotters\nplotting\nplus\nplused\npluses\nplusing\npocket\npocketed\npocketer\npocketers\npocketful\npocketing\npocketless\npockets\npodcast\npodcasted\npodcaster\npodcasters\npodcasting\npodcasts\npoem\npoems\npoet\npoetless\npoetries\npoetry\npoets\npoint\npointed\npointer\npointers\npointes\npointing\npointless\npoints\npoisonous\npoisonously\npole\npoled\npoleless\npoles\npolice\npoliced\npolices\npolicies\npolicing\npolicy\npoling\npolite\npolitely\npoliteness\npolitical\npolitically\npolitician\npoliticians\npolitics\npoll\npolled\npoller\npollers\npolling\npolls\npolluted\npollutedly\npollution\npollutions\npool\npooled\npooler\npoolers\npooling\npools\npoor\npoorer\npoorest\npoorly\npoorness\npop\npopes\npopped\npopper\npoppers\npopping\npops\npopular\npopularly\npopulars\npopulation\npopulations\npork\nporked\nporker\nporkers\nporking\nporks\nport\nportal\nportaled\nportals\nported\nporter\nporters\nporting\nportion\nportioned\nportioner\nportioners\nportioning\nportions\nportless\nportly\nportrait\nportraited\nportraiting\nportraits\nports\npose\nposed\nposes\nposing\nposition\npositioned\npositioning\npositions\npositive\npositively\npositiveness\npositives\npossess\npossessed\npossesses\npossessing\npossession\npossessioned\npossessionless\npossessions\npossibilities\npossibility\npossible\npossibles\npossibly\npost\nposted\nposter\npostered\npostering\nposters\nposting\nposts\npot\npotato\npotatoes\npoted\npotential\npotentially\npotentials\npotes\npotful\npoting\npots\npotted\npotter\npotters\npotting\npound\npounded\npounder\npounders\npounding\npounds\npoured\npourer\npourers\npouring\npours\npoverties\npoverty\npowder\npowdered\npowderer\npowderers\npowdering\npowderless\npowders\npower\npowered\npowerful\npowerfully\npowerfulness\npowering\npowerless\npowers\npractical\npractically\npracticalness\npracticals\npractice\npracticed\npractices\npracticing\npractise\npractised\npractises\npractising\npraise\npraised\npraiseful\npraiseless\npraises\npraising\npray\nprayed\nprayer\nprayerful\nprayerless\nprayers\npraying\nprays\nprecise\nprecised\nprecisely\npreciseness\nprecises\nprecising\nprecision\nprecisions\npredict\npredicted\npredicter\npredicters\npredicting\npredicts\nprefer\npreference\npreferences\npreferment\npreferments\npreferred\npreferrer\npreferrers\npreferring\nprefers\npregnant\npregnantly\npremium\npremiums\npreparation\npreparations\nprepare\nprepared\npreparedly\nprepares\npreparing\npresent\npresentation\npresentations\npresented\npresenter\npresenters\npresenting\npresently\npresentment\npresentments\npresentness\npresents\npreserve\npreserved\npreserves\npreserving\npresident\npresidents\npress\npressed\npresser\npressers\npresses\npressful\npressing\npressure\npressured\npressureless\npressures\npressuring\npretend\npretended\npretender\npretenders\npretending\npretends\nprettied\nprettier\npretties\nprettiest\nprettily\nprettiness\npretty\nprettying\nprevent\nprevented\npreventer\npreventers\npreventing\nprevents\npreview\npreviewed\npreviewer\npreviewers\npreviewing\npreviews\nprevious\npreviously\npreviousness\nprice\npriced\npriceless\nprices\npricing\npride\nprided\nprideful\nprideless\nprides\npriding\npriest\npriested\npriesting\npriestly\npriests\nprimaries\nprimarily\nprimariness\nprimary\nprime\nprimed\nprimely\nprimeness\nprimes\npriming\nprince\nprinced\nprincely\nprinces\nprincess\nprincesses\nprincessly\nprincing\nprincipal\nprincipally\nprincipalness\nprincipals\nprinciple\nprincipled\nprinciples\nprincipling\nprint\nprinted\nprinter\nprinters\nprinting\nprintless\nprints\nprior\npriorities\npriority\npriorly\npriors\nprison\nprisoned\nprisoner\nprisoners\nprisoning\nprisonment\nprisonments\nprisons\nprivacies\nprivacy\nprivate\nprivateer\nprivateers\nprivately\nprivateness\nprivates\nprivation\nprivations\nprize\nprized\nprizes\nprizing\nprobable\nprobables\nprobably\nproblem\nproblems\nprocedure\nprocedures\nproceed\nproceeded\nproceeder\nproceeders\nproceeding\nproceeds\nprocess\nprocessed\nprocesser\nprocessers\nprocesses\nprocessing\nprocessor\nprocessors\nproduce\nproduced\nproducement\nproducements\nproducer\nproducers\nproduces\nproducing\nproduct\nproduction\nproductions\nproducts\nprofession\nprofessional\nprofessionally\nprofessionals\nprofessions\nprofessor\nprofessors\nprofile\nprofiled\nprofiles\nprofiling\nprofit\nprofited\nprofiter\nprofiters\nprofiting\nprofitless\nprofits\nprogram\nprogramed\nprogramer\nprogramers\nprograming\nprogramme\nprogrammed\nprogrammer\nprogrammers\nprogrammes\nprogramming\nprograms\nprogress\nprogressed\nprogresses\nprogressing\nproject\nprojected\nprojecting\nprojectment\nprojectments\nprojects\npromise\npromised\npromisees\npromiseful\npromiseless\npromises\npromising\npromote\npromoted\npromotes\npromoting\npromotion\npromotions\nprompt\nprompted\nprompter\nprompters\npromptest\nprompting\npromptly\npromptness\nprompts\nproof\nproofed\nproofer\nproofers\nproofing\nproofless\nproofs\nproper\nproperer\nproperest\nproperly\nproperness\npropers\npropertied\nproperties\nproperty\npropertying\npropertyless\nproportion\nproportioned\nproportioning\nproportionless\nproportionment\nproportionments\nproportions\nproposal\nproposals\npropose\nproposed\nproposes\nproposing\nprospect\nprospected\nprospecting\nprospectless\nprospects\nprosperous\nprosperously\nprotect\nprotected\nprotecter\nprotecters\nprotecting\nprotection\nprotections\nprotects\nprotest\nprotested\nprotester\nprotesters\nprotesting\nprotests\nprotocol\nprotocoled\nprotocoling\nprotocols\nproud\nprouder\nproudest\nproudful\nproudly\nproudness\nprove\nproved\nproves\nprovide\nprovided\nprovides\nproviding\nprovince\nprovinces\nproving\nproxied\nproxies\nproxy\npub\npubbed\npubbing\npubes\npublic\npublication\npublications\npublicly\npublicness\npublics\npublish\npublished\npublisher\npublishers\npublishes\npublishing\npublishment\npublishments\npubs\npull\npulled\npuller\npullers\npulling\npulls\npump\npumped\npumper\npumpers\npumping\npumpless\npumps\npunch\npunched\npuncher\npunchers\npunches\npunching\npunchless\npunish\npunished\npunisher\npunishers\npunishes\npunishing\npunishment\npunishments\npupil\npupils\npuppy\npurchase\npurchased\npurchases\npurchasing\npure\npured\npureed\npurees\npurely\npureness\npures\npuring\npurple\npurpled\npurpleness\npurples\npurpling\npurpose\npurposed\npurposeful\npurposeless\npurposely\npurposes\npurposing\npush\npushed\npusher\npushers\npushes\npushful\npushing\nput\nputs\nputted\nputter\nputters\nputting\nputtings\npuzzle\npuzzled\npuzzledly\npuzzlement\npuzzlements\npuzzles\npuzzling\nqualification\nqualifications\nqualified\nqualifier\nqualifies\nqualify\nqualifying\nqualitied\nqualities\nquality\nquantities\nquantity\nquarter\nquartered\nquarterer\nquarterers\nquartering\nquarterly\nquarters\nqueen\nqueened\nqueening\nqueenless\nqueenly\nqueens\nqueried\nquerier\nqueries\nquery\nquerying\nquestion\nquestionable\nquestioned\nquestioner\nquestioners\nquestioning\nquestionless\nquestions\nqueue\nqueued\nqueueing\nqueues\nqueuing\nquick\nquicker\nquickest\nquickly\nquickness\nquicks\nquiet\nquieted\nquieter\nquieters\nquietest\nquieting\nquietly\nquietness\nquiets\nquit\nquite\nquited\nquites\nquiting\nquits\nquote\nquoted\nquotes\nquoting\nrabbit\nrabbits\nrace\nraced\nraces\nracing\nracings\nradio\nradioed\nradioing\nradios\nrail\nrailed\nrailer\nrailers\nrailes\nrailing\nrailless\nrailly\nrails\nrailway\nrailways\nrain\nrained\nraines\nraining\nrainless\nrains\nraise\nraised\nraises\nraising\nran\nrand\nrang\nrange\nranged\nranger\nrangers\nranges\nranging\nrank\nranked\nranker\nrankers\nrankes\nrankest\nranking\nrankless\nrankly\nrankness\nranks\nrapid\nrapider\nrapidest\nrapidly\nrapidness\nrapids\nrare\nrared\nrarely\nrareness\nrares\nraring\nrat\nrate\nrated\nrates\nrather\nratherest\nrating\nration\nrations\nrats\nraw\nrawer\nrawest\nrawing\nrawly\nrawness\nraws\nreach\nreached\nreacher\nreachers\nreaches\nreaching\nreachless\nreact\nreacted\nreacting\nreaction\nreactions\nreacts\nread\nreadd\nreader\nreaderly\nreaders\nreadied\nreadier\nreadies\nreadiest\nreadily\nreadiness\nreading\nreadings\nreads\nready\nreadying\nreal\nrealer\nreales\nrealest\nrealise\nrealised\nrealises\nrealising\nrealistic\nrealities\nreality\nrealize\nrealized\nrealizes\nrealizing\nreallied\nreallies\nreally\nreallying\nrealness\nreals\nreason\nreasonable\nreasonableness\nreasoned\nreasoner\nreasoners\nreasoning\nreasonless\nreasons\nreboot\nrebooted\nrebooting\nreboots\nrecall\nrecalled\nrecaller\nrecallers\nrecalling\nrecallment\nrecallments\nrecalls\nreceipt\nreceipted\nreceipting\nreceipts\nreceive\nreceived\nreceives\nreceiving\nreceivings\nrecent\nrecenter\nrecentest\nrecently\nrecentness\nreception\nreceptions\nrecipe\nrecipes\nrecognise\nrecognised\nrecognisees\nrecognises\nrecognising\nrecognize\nrecognized\nrecognizees\nrecognizes\nrecognizing\nrecommend\nrecommended\nrecommender\nrecommenders\nrecommending\nrecommends\nrecord\nrecorded\nrecorder\nrecorders\nrecording\nrecordings\nrecords\nrecover\nrecovered\nrecoverer\nrecoverers\nrecoveries\nrecovering\nrecovers\nrecovery\nred\nredd\nredded\nredder\nredders\nreddest\nredding\nreded\nredes\nreding\nredly\nredness\nreds\nreduce\nreduced\nreduces\nreducing\nreduction\nreductions\nrefer\nreference\nreferenced\nreferences\nreferencing\nreferred\nreferrer\nreferrers\nreferring\nrefers\nreflect\nreflected\nreflecter\nreflecters\nreflecting\nreflects\nreform\nreformed\nreformer\nreformers\nreforming\nreforms\nrefresh\nrefreshed\nrefresher\nrefreshers\nrefreshes\nrefreshful\nrefreshing\nrefreshment\nrefreshments\nrefrigerator\nrefrigerators\nrefund\nrefunded\nrefunder\nrefunders\nrefunding\nrefundment\nrefundments\nrefunds\nrefuse\nrefused\nrefuses\nrefusing\nrefusion\nrefusions\nregard\nregarded\nregarder\nregarders\nregardful\nregarding\nregardless\nregards\nregion\nregional\nregionally\nregionals\nregions\nregister\nregistered\nregisterer\nregisterers\nregistering\nregisters\nregret\nregretful\nregrets\nregretted\nregretter\nregretters\nregretting\nregular\nregularly\nregulars\nregulation\nregulations\nrehabilitation\nrehabilitations\nreject\nrejected\nrejecter\nrejecters\nrejecting\nrejects\nrelate\nrelated\nrelatedly\nrelatedness\nrelates\nrelating\nrelation\nrelationless\nrelations\nrelationship\nrelationships\nrelative\nrelatively\nrelativeness\nrelatives\nrelax\nrelaxed\nrelaxer\nrelaxers\nrelaxes\nrelaxing\nrelease\nreleased\nreleasees\nreleasement\nreleasements\nreleases\nreleasing\nrelevant\nrelevantly\nreliable\nreliableness\nreliables\nrelied\nrelief\nreliefless\nreliefs\nrelier\nrelies\nreligion\nreligioner\nreligioners\nreligionless\nreligions\nreligious\nreligiouses\nreligiously\nreligiousness\nrely\nrelying\nremain\nremained\nremaining\nremains\nremark\nremarkable\nremarkableness\nremarkables\nremarked\nremarker\nremarkers\nremarking\nremarks\nremedied\nremedies\nremedy\nremedying\nremember\nremembered\nrememberer\nrememberers\nremembering\nremembers\nremind\nreminded\nreminder\nreminders\nremindful\nreminding\nreminds\nremote\nremotely\nremoteness\nremotes\nremotion\nremotions\nremove\nremoved\nremoves\nremoving\nrender\nrendered\nrenderer\nrenderers\nrendering\nrenders\nrent\nrented\nrenter\nrenters\nrentes\nrenting\nrents\nrepair\nrepaired\nrepairer\nrepairers\nrepairing\nrepairs\nrepeat\nrepeated\nrepeater\nrepeaters\nrepeating\nrepeats\nreplace\nreplaced\nreplacement\nreplacements\nreplaces\nreplacing\nreplied\nreplier\nreplies\nreply\nreplying\nreport\nreported\nreportedly\nreporter\nreporters\nreporting\nreportingly\nreportings\nreports\nrepositories\nrepository\nrepresent\nrepresentative\nrepresentatively\nrepresentativeness\nrepresentatives\nrepresented\nrepresenter\nrepresenters\nrepresenting\nrepresentment\nrepresentments\nrepresents\nreputation\nreputationless\nreputations\nrequest\nrequested\nrequester\nrequesters\nrequesting\nrequests\nrequire\nrequired\nrequirement\nrequirements\nrequires\nrequiring\nrescue\nrescued\nrescues\nrescuing\nresearch\nresearched\nresearcher\nresearchers\nresearches\nresearchful\nresearching\nreservation\nreservations\nreserve\nreserved\nreserves\nreserving\nreset\nresets\nresetted\nresetter\nresetters\nresetting\nresidence\nresidences\nresident\nresidenter\nresidenters\nresidents\nresign\nresigned\nresigner\nresigners\nresigning\nresignment\nresignments\nresigns\nresist\nresisted\nresister\nresisters\nresisting\nresistless\nresists\nresolution\nresolutioner\nresolutioners\nresolutions\nresolve\nresolved\nresolves\nresolving\nresort\nresorted\nresorter\nresorters\nresorting\nresorts\nresource\nresourced\nresourceful\nresourceless\nresources\nresourcing\nrespect\nrespected\nrespecter\nrespecters\nrespectful\nrespecting\nrespectless\nrespects\nrespond\nresponded\nresponder\nresponders\nresponding\nresponds\nresponse\nresponseless\nresponses\nresponsibilities\nresponsibility\nresponsible\nresponsibleness\nresponsions\nrest\nrestart\nrestarted\nrestarter\nrestarters\nrestarting\nrestarts\nrestaurant\nrestaurants\nrested\nrester\nresters\nrestful\nresting\nrestless\nrestore\nrestored\nrestores\nrestoring\nrests\nresult\nresulted\nresultful\nresulting\nresultless\nresults\nretain\nretained\nretainer\nretainers\nretaining\nretainment\nretainments\nretains\nretire\nretired\nretirees\nretirement\nretirements\nretires\nretiring\nreturn\nreturned\nreturner\nreturners\nreturning\nreturnless\nreturns\nreveal\nrevealed\nrevealer\nrevealers\nrevealing\nrevealment\nrevealments\nreveals\nrevenue\nrevenued\nrevenues\nreverse\nreversed\nreverseless\nreversely\nreverses\nreversing\nreversion\nreversions\nreview\nreviewed\nreviewer\nreviewers\nreviewing\nreviews\nrevolution\nrevolutioner\nrevolutioners\nrevolutions\nreward\nrewarded\nrewarder\nrewarders\nrewardful\nrewarding\nrewardless\nrewards\nrhythm\nrhythmed\nrhythmless\nrhythms\nrice\nriced\nrices\nrich\nriched\nricher\nriches\nrichest\nriching\nrichly\nrichness\nricing\nrid\nridded\nridden\nridder\nridders\nridding\nride\nrider\nriders\nrides\nriding\nrids\nright\nrighted\nrighter\nrighters\nrightest\nrightful\nrighting\nrightless\nrightly\nrightness\nrights\nring\nringed\nringer\nringers\nringing\nringless\nrings\nrise\nrisen\nrises\nrising\nrisings\nrisk\nrisked\nrisker\nriskers\nriskful\nrisking\nriskless\nrisks\nrisky\nriver\nrivered\nriverless\nrivers\nroad\nroading\nroadless\nroads\nrob\nrobbed\nrobber\nrobbers\nrobbing\nrobed\nrobes\nrobing\nrobs\nrobust\nrobuster\nrobustest\nrobustly\nrock\nrocked\nrocker\nrockers\nrocking\nrockless\nrocks\nrode\nroded\nrodes\nroding\nrole\nroles\nroll\nrolled\nroller\nrollers\nrolling\nrolls\nromantic\nromantics\nroof\nroofed\nroofer\nroofers\nroofing\nroofless\nroofs\nroom\nroomed\nroomer\nroomers\nroomful\nrooming\nrooms\nroot\nrooted\nrooter\nrooters\nrooting\nrootless\nroots\nrope\nroped\nropes\nroping\nrose\nrosed\nroseless\nroses\nrosing\nrough\nroughed\nrougher\nroughers\nroughest\nroughing\nroughly\nroughness\nroughs\nround\nrounded\nrounder\nrounders\nroundest\nrounding\nroundly\nroundness\nrounds\nroute\nrouted\nrouteing\nrouter\nrouters\nroutes\nroutine\nroutineer\nroutineers\nroutinely\nroutines\nrouting\nrow\nrowed\nrower\nrowers\nrowing\nrows\nroyal\nroyally\nroyals\nrub\nrubbed\nrubber\nrubbered\nrubbering\nrubbers\nrubbing\nrubbish\nrubbished\nrubbishes\nrubbishing\nrubbishly\nrubes\nrubs\nrude\nrudely\nrudeness\nrudes\nruin\nruined\nruiner\nruiners\nruining\nruins\nrule\nruled\nruleless\nrules\nruling\nrun\nrund\nruned\nrunes\nrung\nrungless\nrungs\nrunless\nrunner\nrunners\nrunning\nrunningly\nrunnings\nruns\nrural\nrurally\nruralness\nrurals\nrush\nrushed\nrusher\nrushers\nrushes\nrushing\nsad\nsadded\nsadder\nsaddest\nsadding\nsades\nsadly\nsadness\nsadnesses\nsads\nsafe\nsafed\nsafely\nsafeness\nsafer\nsafes\nsafest\nsafetied\nsafeties\nsafety\nsafetying\nsafing\nsaid\nsaidest\nsaids\nsail\nsailed\nsailer\nsailers\nsailing\nsailless\nsails\nsalad\nsalades\nsalading\nsalads\nsalaried\nsalaries\nsalary\nsalarying\nsale\nsales\nsalt\nsalted\nsalter\nsalters\nsaltest\nsalting\nsaltless\nsaltly\nsaltness\nsalts\nsame\nsamely\nsameness\nsames\nsample\nsampled\nsamples\nsampling\nsand\nsanded\nsander\nsanders\nsanding\nsandless\nsands\nsandwich\nsandwiched\nsandwiches\nsandwiching\nsang\nsanger\nsangers\nsangs\nsank\nsat\nsated\nsates\nsating\nsatisfaction\nsatisfactions\nsatisfied\nsatisfier\nsatisfies\nsatisfy\nsatisfying\nsauce\nsauced\nsauceless\nsauces\nsaucing\nsave\nsaved\nsaves\nsaving\nsavingly\nsavingness\nsavings\nsaw\nsawed\nsawer\nsawers\nsawing\nsaws\nsay\nsayed\nsayer\nsayers\nsayest\nsaying\nsayings\nsays\nscale\nscaled\nscaleless\nscales\nscaling\nscan\nscand\nscandal\nscandaled\nscandaling\nscandals\nscanned\nscanner\nscanners\nscanning\nscans\nscare\nscared\nscareder\nscaredest\nscares\nscaring\nscene\nscened\nscenes\nscening\nschedule\nscheduled\nschedules\nscheduling\nscheme\nschemed\nschemes\nscheming\nscholar\nscholarly\nscholars\nschool\nschooled\nschooles\nschooling\nschools\nscience\nscienced\nsciences\nscientific\nscientist\nscientists\nscore\nscored\nscoreless\nscores\nscoring\nscream\nscreamed\nscreamer\nscreamers\nscreaming\nscreams\nscreen\nscreened\nscreener\nscreeners\nscreenful\nscreening\nscreens\nscreenshot\nscreenshots\nscript\nscripted\nscripter\nscripters\nscripting\nscripts\nscroll\nscrolled\nscroller\nscrollers\nscrolling\nscrolls\nsculpture\nsculptured\nsculptures\nsculpturing\nsea\nsealed\nsearch\nsearched\nsearcher\nsearchers\nsearches\nsearching\nsearchless\nseas\nseased\nseases\nseasing\nseason\nseasoned\nseasoner\nseasoners\nseasoning\nseasonless\nseasons\nseat\nseated\nseater\nseaters\nseating\nseatless\nseats\nsecond\nsecondaries\nsecondarily\nsecondariness\nsecondary\nseconded\nseconder\nseconders\nsecondes\nseconding\nsecondly\nsecondment\nsecondments\nseconds\nsecret\nsecretaries\nsecretary\nsecreted\nsecreter\nsecretes\nsecretest\nsecreting\nsecretly\nsecretness\nsecrets\nsection\nsectioned\nsectioning\nsections\nsector\nsectored\nsectoring\nsectors\nsecure\nsecured\nsecurely\nsecurement\nsecurements\nsecureness\nsecures\nsecuring\nsecurities\nsecurity\nsee\nseed\nseeded\nseeder\nseeders\nseeding\nseedless\nseedness\nseeds\nseeing\nseeings\nseek\nseeker\nseekers\nseeking\nseeks\nseely\nseem\nseemed\nseemer\nseemers\nseeming\nseemingly\nseemings\nseemless\nseemly\nseems\nseen\nsees\nsegment\nsegmented\nsegmenting\nsegments\nselect\nselected\nselecting\nselection\nselections\nselectly\nselectness\nselects\nself\nselfed\nselfing\nselfless\nselfness\nselfs\nsell\nseller\nsellers\nselles\nselling\nsellings\nsells\nselves\nsend\nsended\nsender\nsenders\nsending\nsendings\nsends\nsenior\nseniors\nsense\nsensed\nsenseful\nsenseless\nsenses\nsensible\nsensibleness\nsensibles\nsensing\nsensitive\nsensitively\nsensitiveness\nsensitives\nsent\nsented\nsentence\nsentenced\nsentences\nsentencing\nsenting\nsents\nseparate\nseparated\nseparately\nseparateness\nseparates\nseparating\nseparation\nseparations\nsequence\nsequenced\nsequences\nsequencing\nserene\nserened\nserenely\nserenes\nserening\nseries\nserious\nseriously\nseriousness\nservant\nservanted\nservanting\nservantless\nservants\nserve\nserved\nserver\nservers\nserves\nservice\nserviced\nserviceless\nservices\nservicing\nserving\nsession\nsessions\nset\nsetness\nsets\nsetter\nsetters\nsetting\nsettings\nsettle\nsettled\nsettlement\nsettlements\nsettles\nsettling\nsetup\nsetups\nseven\nsevens\nseventeen\nseventeens\nseventies\nseventy\nseveral\nseverally\nseverals\nsevere\nsevered\nseverely\nsevereness\nsevering\nsew\nsewed\nsewer\nsewers\nsewing\nsews\nsex\nsexed\nsexer\nsexers\nsexes\nsexing\nsexless\nsexual\nsexually\nshade\nshaded\nshadeless\nshades\nshading\nshadow\nshadowed\nshadower\nshadowers\nshadowing\nshadowless\nshadows\nshake\nshaked\nshaken\nshakes\nshaking\nshall\nshallow\nshallowed\nshallower\nshallowest\nshallowing\nshallowly\nshallowness\nshallows\nshame\nshamed\nshameful\nshameless\nshames\nshaming\nshape\nshaped\nshapeless\nshapely\nshapes\nshaping\nshare\nshared\nshares\nsharing\nshark\nsharks\nsharp\nsharped\nsharper\nsharpers\nsharpest\nsharping\nsharply\nsharpness\nsharps\nshave\nshaved\nshaves\nshaving\nshe\nshed\nshedded\nshedder\nshedders\nshedding\nshedful\nsheds\nsheep\nsheer\nsheers\nsheet\nsheeted\nsheeter\nsheeters\nsheeting\nsheetless\nsheets\nshelf\nshelfed\nshelfful\nshelfing\nshelfs\nshell\nshelled\nsheller\nshellers\nshellful\nshelling\nshells\nshelter\nsheltered\nshelterer\nshelterers\nsheltering\nshelterless\nshelters\nshelves\nshes\nshied\nshier\nshies\nshiest\nshift\nshifted\nshifter\nshifters\nshifting\nshiftless\nshifts\nshily\nshine\nshined\nshineless\nshines\nshiness\nshinies\nshining\nshiny\nship\nshipful\nshipless\nshipment\nshipments\nshipped\nshipper\nshippers\nshipping\nshippings\nships\nshirt\nshirted\nshirting\nshirtless\nshirts\nshock\nshocked\nshocker\nshockers\nshocking\nshocks\nshoe\nshoed\nshoeing\nshoeless\nshoes\nshone\nshook\nshooks\nshoot\nshooter\nshooters\nshooting\nshoots\nshop\nshopful\nshopped\nshopper\nshoppers\nshopping\nshoppings\nshops\nshore\nshored\nshoreless\nshores\nshoring\nshort\nshorted\nshorter\nshortest\nshorting\nshortly\nshortness\nshorts\nshot\nshotes\nshots\nshotted\nshotting\nshould\nshoulder\nshouldered\nshouldering\nshoulders\nshouldest\nshout\nshouted\nshouter\nshouters\nshouting\nshouts\nshow\nshowd\nshowed\nshower\nshowered\nshowerer\nshowerers\nshowerful\nshowering\nshowerless\nshowers\nshowing\nshowings\nshown\nshows\nshrank\nshut\nshuted\nshutes\nshuting\nshuts\nshutter\nshutters\nshutting\nshy\nshyer\nshyers\nshyest\nshying\nshyly\nshyness\nsibling\nsiblings\nsick\nsicked\nsicker\nsickerly\nsickest\nsicking\nsickly\nsickness\nsicknesses\nsicks\nside\nsidebar\nsidebars\nsided\nsides\nsiding\nsight\nsighted\nsighter\nsighters\nsighting\nsightless\nsightly\nsights\nsign\nsignal\nsignaled\nsignaler\nsignalers\nsignaling\nsignally\nsignalment\nsignalments\nsignals\nsignature\nsignatures\nsigned\nsigner\nsigners\nsignificance\nsignificances\nsignificant\nsignificantly\nsignificants\nsigning\nsignless\nsigns\nsilence\nsilenced\nsilences\nsilencing\nsilent\nsilenter\nsilentest\nsilently\nsilentness\nsilents\nsilk\nsilked\nsilking\nsilks\nsillier\nsillies\nsilliest\nsillily\nsilliness\nsilly\nsilver\nsilvered\nsilverer\nsilverers\nsilvering\nsilverly\nsilvers\nsimilar\nsimilarly\nsimple\nsimpled\nsimpleness\nsimpler\nsimplers\nsimples\nsimplest\nsimpling\nsimply\nsince\nsincerely\nsing\nsinged\nsinger\nsingers\nsinges\nsinging\nsingle\nsingled\nsingleness\nsingles\nsingling\nsingly\nsings\nsink\nsinker\nsinkers\nsinking\nsinks\nsir\nsired\nsires\nsiring\nsirred\nsirring\nsirs\nsister\nsistered\nsistering\nsisterless\nsisterly\nsisters\nsit\nsite\nsited\nsites\nsiting\nsits\nsitter\nsitters\nsitting\nsittings\nsituation\nsituations\nsix\nsixer\nsixers\nsixes\nsixteen\nsixteener\nsixteeners\nsixteens\nsixties\nsixty\nsize\nsized\nsizes\nsizing\nskied\nskier\nskies\nskill\nskilled\nskillful\nskilling\nskills\nskin\nskinful\nskinless\nskinned\nskinner\nskinners\nskinning\nskins\nskirt\nskirted\nskirter\nskirters\nskirting\nskirtless\nskirts\nsky\nskyed\nskyer\nskyers\nskying\nskyless\nsleep\nsleeper\nsleepers\nsleeping\nsleepless\nsleeps\nslept\nslice\nsliced\nslices\nslicing\nslid\nslidder\nslidders\nslide\nslided\nslider\nsliders\nslides\nsliding\nslight\nslighted\nslighter\nslighters\nslightest\nslighting\nslightly\nslightness\nslights\nslip\nsliped\nslipes\nsliping\nslipless\nslipped\nslipper\nslippers\nslipping\nslips\nslow\nslowed\nslower\nslowest\nslowing\nslowly\nslowness\nslows\nsmall\nsmalled\nsmaller\nsmallest\nsmalling\nsmallness\nsmalls\nsmart\nsmarted\nsmarter\nsmartest\nsmarting\nsmartly\nsmartness\nsmartphone\nsmartphones\nsmarts\nsmell\nsmelled\nsmeller\nsmellers\nsmelling\nsmells\nsmile\nsmiled\nsmileful\nsmileless\nsmiles\nsmiling\nsmoke\nsmoked\nsmokeless\nsmokes\nsmoking\nsmooth\nsmoothed\nsmoother\nsmoothers\nsmoothes\nsmoothest\nsmoothing\nsmoothly\nsmoothness\nsmooths\nsnack\nsnacked\nsnacker\nsnackers\nsnacking\nsnacks\nsnake\nsnaked\nsnakes\nsnaking\nsnapshot\nsnapshots\nsnapshotted\nsnapshotting\nsnow\nsnowed\nsnowing\nsnowless\nsnows\nso\nsoap\nsoaped\nsoaper\nsoapers\nsoaping\nsoapless\nsoaps\nsocial\nsocially\nsocialness\nsocials\nsocieties\nsociety\nsock\nsocked\nsocking\nsockless\nsocks\nsod\nsoft\nsofted\nsofter\nsoftest\nsofting\nsoftly\nsoftness\nsofts\nsoftware\nsoftwares\nsoil\nsoiled\nsoiling\nsoilless\nsoils\nsold\nsolder\nsolders\nsoldes\nsoldier\nsoldiered\nsoldiering\nsoldierly\nsoldiers\nsolds\nsolid\nsolider\nsolidest\nsolidly\nsolidness\nsolids\nsolution\nsolutioned\nsolutioning\nsolutions\nsolve\nsolved\nsolves\nsolving\nsome\nsomebodies\nsomebody\nsomehow\nsomeone\nsomeones\nsomething\nsomethings\nsometimes\nsomewhat\nsomewhats\nsomewhere\nsomewheres\nson\nsones\nsong\nsongful\nsongless\nsongs\nsonless\nsonly\nsons\nsonses\nsoon\nsooner\nsooners\nsoonest\nsore\nsored\nsorees\nsorely\nsoreness\nsores\nsoring\nsorrier\nsorriest\nsorrily\nsorriness\nsorry\nsort\nsorted\nsorter\nsorters\nsortes\nsorting\nsortment\nsortments\nsorts\nsos\nsought\nsoul\nsouled\nsoulful\nsoulless\nsouls\nsound\nsounded\nsounder\nsounders\nsoundest\nsounding\nsoundless\nsoundly\nsoundness\nsounds\nsoup\nsouped\nsouper\nsoupers\nsouping\nsoupless\nsoups\nsource\nsourced\nsourceful\nsourceless\nsources\nsourcing\nsouth\nsouthed\nsouther\nsouthern\nsoutherner\nsoutherners\nsouthernly\nsouthernness\nsoutherns\nsouthers\nsouthing\nsouths\nspace\nspaced\nspaceless\nspaces\nspacing\nspam\nspammed\nspammer\nspammers\nspamming\nspams\nspare\nspared\nspareless\nsparely\nspareness\nspares\nsparing\nspat\nspates\nspats\nspatted\nspatter\nspatters\nspatting\nspeak\nspeaker\nspeakers\nspeaking\nspeaks\nspecial\nspecialer\nspecialest\nspecialist\nspecialists\nspecially\nspecialness\nspecials\nspecies\nspecific\nspecifically\nspecification\nspecifications\nspecifics\nspeech\nspeeched\nspeeches\nspeechful\nspeeching\nspeechless\nspeed\nspeeded\nspeeder\nspeeders\nspeedful\nspeeding\nspeedless\nspeeds\nspeedy\nspell\nspelled\nspeller\nspellers\nspellful\nspelling\nspells\nspend\nspender\nspenders\nspending\nspends\nspent\nspider\nspiders\nspirit\nspirited\nspiritful\nspiriting\nspiritless\nspirits\nspite\nspited\nspiteful\nspites\nspiting\nsplit\nsplits\nsplitted\nsplitter\nsplitters\nsplitting\nspoil\nspoiled\nspoiler\nspoilers\nspoilful\nspoiling\nspoils\nspoke\nspoked\nspoken\nspokes\nspoking\nsport\nsported\nsporter\nsporters\nsportful\nsporting\nsportless\nsports\nspot\nspotless\nspotlessly\nspots\nspotted\nspotter\nspotters\nspotting\nsprang\nsprangs\nspread\nspreader\nspreaders\nspreading\nspreads\nspreadsheet\nspreadsheets\nspring\nspringed\nspringer\nspringers\nspringes\nspringing\nspringless\nsprings\nspun\nsquare\nsquared\nsquarely\nsquareness\nsquares\nsquaring\nstable\nstabled\nstableness\nstables\nstabling\nstaff\nstaffed\nstaffer\nstaffers\nstaffing\nstaffs\nstage\nstaged\nstageful\nstages\nstaging\nstair\nstaired\nstairless\nstairs\nstamp\nstamped\nstamper\nstampers\nstamping\nstampless\nstamps\nstand\nstandard\nstandardless\nstandardly\nstandards\nstander\nstanders\nstanding\nstandings\nstands\nstank\nstanked\nstanking\nstanks\nstar\nstare\nstared\nstarer\nstarers\nstares\nstaring\nstarless\nstarred\nstarring\nstars\nstart\nstarted\nstarter\nstarters\nstartful\nstarting\nstartingly\nstartings\nstartly\nstarts\nstate\nstated\nstateless\nstately\nstatement\nstatemented\nstatementing\nstatements\nstates\nstating\nstation\nstationed\nstationer\nstationers\nstationing\nstations\nstatistic\nstatistics\nstatus\nstatuses\nstay\nstayed\nstayer\nstayers\nstaying\nstayless\nstays\nsteadied\nsteadier\nsteadies\nsteadiest\nsteadily\nsteadiness\nsteady\nsteadying\nsteal\nstealed\nstealer\nstealers\nsteales\nstealing\nsteals\nsteam\nsteamed\nsteamer\nsteamers\nsteaming\nsteams\nsteel\nsteeld\nsteeled\nsteeling\nsteels\nstep\nstepped\nstepper\nsteppers\nstepping\nsteps\nstick\nsticked\nsticker\nstickers\nstickful\nsticking\nsticks\nstill\nstilled\nstiller\nstillers\nstillest\nstilling\nstillness\nstills\nstock\nstocked\nstocker\nstockers\nstocking\nstockless\nstocks\nstole\nstoled\nstolen\nstoles\nstomach\nstomached\nstomacher\nstomachers\nstomachful\nstomaching\nstomachless\nstomachs\nstone\nstoned\nstoneless\nstones\nstoning\nstood\nstop\nstoped\nstoper\nstopers\nstopes\nstoping\nstopless\nstopped\nstopper\nstoppers\nstopping\nstoppings\nstops\nstorage\nstorages\nstore\nstored\nstores\nstoried\nstories\nstoring\nstorm\nstormed\nstormer\nstormers\nstormful\nstorming\nstormless\nstorms\nstory\nstorying\nstraight\nstraighted\nstraighter\nstraightest\nstraighting\nstraightly\nstraightness\nstraights\nstrange\nstrangely\nstrangeness\nstranger\nstrangered\nstrangering\nstrangers\nstranges\nstrategies\nstrategy\nstream\nstreamed\nstreamer\nstreamers\nstreaming\nstreamless\nstreams\nstreet\nstreeted\nstreetful\nstreeting\nstreets\nstrength\nstrengthful\nstrengthless\nstrengths\nstress\nstressed\nstresses\nstressful\nstressing\nstressless\nstretch\nstretched\nstretcher\nstretchers\nstretches\nstretching\nstretchless\nstrict\nstricter\nstrictest\nstrictly\nstrictness\nstrike\nstrikeless\nstrikes\nstriking\nstring\nstringed\nstringer\nstringers\nstringing\nstringless\nstrings\nstrip\nstriped\nstriper\nstripers\nstripes\nstriping\nstripped\nstripper\nstrippers\nstripping\nstrips\nstroke\nstroked\nstrokes\nstroking\nstrong\nstronger\nstrongest\nstrongly\nstrongness\nstrove\nstruck\nstructure\nstructured\nstructureless\nstructures\nstructuring\nstruggle\nstruggled\nstruggles\nstruggling\nstuck\nstucks\nstudent\nstudents\nstudied\nstudiedly\nstudier\nstudies\nstudio\nstudios\nstudy\nstudying\nstuff\nstuffed\nstuffer\nstuffers\nstuffing\nstuffless\nstuffs\nstung\nstunned\nstupid\nstupider\nstupidest\nstupidly\nstupidness\nstupids\nsturdied\nsturdies\nsturdy\nstyle\nstyled\nstylees\nstyleless\nstyles\nstyling\nsubject\nsubjected\nsubjecting\nsubjectless\nsubjects\nsubmit\nsubmits\nsubmitted\nsubmitter\nsubmitters\nsubmitting\nsubscribe\nsubscribed\nsubscribes\nsubscribing\nsubscription\nsubscriptions\nsubstance\nsubstanceless\nsubstances\nsucceed\nsucceeded\nsucceeder\nsucceeders\nsucceeding\nsucceeds\nsuccess\nsuccesses\nsuccessful\nsuccessfully\nsuccessfulness\nsuccessless\nsuch\nsuchness\nsuddenly\nsuffer\nsuffered\nsufferer\nsufferers\nsuffering\nsuffers\nsugar\nsugared\nsugarer\nsugarers\nsugaring\nsugarless\nsugars\nsuggest\nsuggested\nsuggester\nsuggesters\nsuggesting\nsuggestion\nsuggestions\nsuggests\nsuit\nsuitable\nsuitableness\nsuited\nsuiter\nsuiters\nsuites\nsuiting\nsuits\nsum\nsummaries\nsummarily\nsummariness\nsummary\nsummer\nsummered\nsummering\nsummerless\nsummerly\nsummers\nsums\nsun\nsung\nsunk\nsunks\nsunless\nsunned\nsunnier\nsunnies\nsunniest\nsunnily\nsunniness\nsunning\nsunny\nsuns\nsuper\nsupered\nsupering\nsupermarket\nsupermarkets\nsupers\nsupervisor\nsupervisors\nsupper\nsuppered\nsuppering\nsupperless\nsuppers\nsupplied\nsupplier\nsupplies\nsupply\nsupplying\nsupplyment\nsupplyments\nsupport\nsupported\nsupporter\nsupporters\nsupporting\nsupportless\nsupportment\nsupportments\nsupports\nsuppose\nsupposed\nsupposes\nsupposing\nsure\nsured\nsurely\nsureness\nsures\nsurface\nsurfaced\nsurfaceless\nsurfaces\nsurfacing\nsurgeon\nsurgeons\nsurgeries\nsurgery\nsuring\nsurprise\nsurprised\nsurprisedly\nsurprises\nsurprising\nsurprisingly\nsurprisingness\nsurprisings\nsurround\nsurrounded\nsurrounding\nsurroundings\nsurrounds\nsurvey\nsurveyed\nsurveying\nsurveys\nsurvive\nsurvived\nsurvives\nsurviving\nsuspect\nsuspected\nsuspecter\nsuspecters\nsuspectful\nsuspecting\nsuspectless\nsuspects\nswam\nswear\nsweard\nswearer\nswearers\nswearing\nswears\nsweat\nsweated\nsweater\nsweaters\nsweating\nsweatless\nsweats\nsweet\nsweeted\nsweeter\nsweetest\nsweeting\nsweetly\nsweetness\nsweets\nswept\nswift\nswifted\nswifter\nswifters\nswiftest\nswifting\nswiftly\nswifts\nswim\nswimmer\nswimmers\nswimming\nswimmingly\nswimmingness\nswimmings\nswims\nswing\nswinged\nswinger\nswingers\nswinges\nswinging\nswings\nswitch\nswitched\nswitcher\nswitchers\nswitches\nswitching\nswollen\nswollenly\nswollenness\nswore\nsworn\nswum\nswung\nsymbol\nsymboled\nsymboles\nsymboling\nsymbols\nsympathies\nsympathy\nsymptom\nsymptoms\nsynagogue\nsynagogues\nsync\nsynced\nsyncing\nsyncs\nsyndrome\nsyndromes\nsyntax\nsyntaxes\nsynthetic\nsynthetics\nsystem\nsystemed\nsystemless\nsystems\ntab\ntabbed\ntabbing\ntaber\ntabers\ntabes\ntable\ntabled\ntableful\ntableless\ntables\ntablet\ntableted\ntableting\ntablets\ntabletted\ntabletting\ntabling\ntabs\ntail\ntailed\ntailer\ntailers\ntailing\ntailless\ntails\ntake\ntaken\ntakes\ntaking\ntakingly\ntakings\ntale\ntaleful\ntalent\ntalented\ntalentless\ntalents\ntales\ntalion\ntalions\ntalk\ntalked\ntalker\ntalkers\ntalking\ntalkings\ntalks\ntall\ntaller\ntallest\ntallness\ntalls\ntank\ntanked\ntanker\ntankers\ntankful\ntanking\ntankless\ntanks\ntap\ntaped\ntaper\ntapers\ntapes\ntaping\ntapped\ntapper\ntappers\ntapping\ntaps\ntarget\ntargeted\ntargeting\ntargetless\ntargets\ntask\ntasked\ntasker\ntaskers\ntasking\ntaskless\ntasks\ntaste\ntasted\ntasteful\ntasteless\ntastes\ntasting\ntaught\ntax\ntaxed\ntaxer\ntaxers\ntaxes\ntaxi\ntaxied\ntaxies\ntaxiing\ntaxing\ntaxis\ntaxless\ntea\nteach\nteacher\nteacherless\nteacherly\nteachers\nteaches\nteaching\nteachings\nteachless\ntead\nteaed\nteaing\nteam\nteamed\nteamer\nteamers\nteaming\nteams\ntear\nteared\ntearer\ntearers\ntearful\ntearing\ntearless\ntears\nteas\ntechnical\ntechnically\ntechnicalness\ntechnicals\ntechnician\ntechnicians\ntechnique\ntechniques\ntechnologies\ntechnology\nteenage\nteenaged\nteenager\nteenagers\nteenages\nteeth\nteethed\nteether\nteethers\nteethes\nteething\nteethless\ntelephone\ntelephoned\ntelephones\ntelephoning\ntelevision\ntelevisions\ntell\nteller\ntellers\ntelling\ntellingly\ntellings\ntells\ntemperature\ntemperatures\ntemplate\ntemplates\ntemple\ntempled\ntemples\ntemporaries\ntemporarily\ntemporariness\ntemporary\nten\ntend\ntended\ntendencies\ntendency\ntender\ntenders\ntending\ntends\ntenes\ntenner\ntenners\ntennis\ntennises\ntens\ntension\ntensioned\ntensioner\ntensioners\ntensioning\ntensionless\ntensions\ntent\ntented\ntenter\ntenters\ntentful\ntenting\ntentless\ntents\nterm\ntermed\ntermer\ntermers\nterminal\nterminally\nterminals\nterming\ntermless\ntermly\nterms\nterrible\nterribleness\nterribles\nterribly\nterrific\nterrified\nterritoried\nterritories\nterritory\ntest\ntested\ntester\ntesters\ntestes\ntesting\ntests\ntext\ntexted\ntexter\ntexters\ntexting\ntextless\ntexts\nthan\nthanes\nthank\nthanked\nthanker\nthankers\nthankful\nthanking\nthankless\nthanks\nthans\nthat\nthatness\nthe\ntheater\ntheaters\ntheatre\ntheatres\ntheed\nthees\ntheir\ntheirs\nthem\ntheme\nthemed\nthemeless\nthemes\ntheming\nthemselves\nthen\nthens\ntheories\ntheory\ntherapies\ntherapy\nthere\ntherefore\nthereness\ntheres\nthese\ntheses\nthey\nthick\nthicked\nthicker\nthickest\nthicking\nthickly\nthickness\nthicks\nthief\nthieves\nthin\nthing\nthingness\nthings\nthink\nthinker\nthinkers\nthinking\nthinkingly\nthinkings\nthinks\nthinly\nthinned\nthinner\nthinners\nthinness\nthinnest\nthinning\nthins\nthird\nthirded\nthirding\nthirdly\nthirds\nthirstier\nthirstiest\nthirstily\nthirstiness\nthirsty\nthirteen\nthirteens\nthirties\nthirty\nthis\nthisness\nthorough\nthorougher\nthoroughest\nthoroughly\nthoroughness\nthoroughs\nthose\nthough\nthought\nthoughted\nthoughtful\nthoughtless\nthoughts\nthousand\nthousands\nthread\nthreaded\nthreader\nthreaders\nthreading\nthreadless\nthreads\nthreat\nthreated\nthreaten\nthreatened\nthreatener\nthreateners\nthreatening\nthreatens\nthreatful\nthreating\nthreats\nthree\nthreeness\nthrees\nthrew\nthroat\nthroated\nthroating\nthroats\nthrough\nthroughly\nthroughout\nthrow\nthrower\nthrowers\nthrowes\nthrowing\nthrowings\nthrown\nthrows\nthumb\nthumbed\nthumbing\nthumbless\nthumbnail\nthumbnails\nthumbs\nthus\nthuses\nthusly\nthusness\nticket\nticketed\nticketing\nticketless\ntickets\ntidied\ntidier\ntidies\ntidiest\ntidily\ntidiness\ntidy\ntidying\ntie\ntied\ntieing\ntieless\nties\ntiger\ntigers\ntight\ntighter\ntightest\ntightly\ntightness\ntights\ntill\ntilled\ntiller\ntillers\ntilling\ntills\ntime\ntimed\ntimeless\ntimeline\ntimelines\ntimely\ntimes\ntimestamp\ntimestamped\ntimestamping\ntimestamps\ntiming\ntinier\ntinies\ntiniest\ntinily\ntininess\ntiny\ntip\ntipless\ntipped\ntipper\ntippers\ntipping\ntips\ntire\ntired\ntireder\ntiredest\ntiredly\ntiredness\ntireless\ntires\ntiring\ntitle\ntitled\ntitleless\ntitles\ntitling\nto\ntoast\ntoasted\ntoaster\ntoasters\ntoasting\ntoasts\ntod\ntoday\ntodays\ntoddler\ntoddlers\ntoe\ntoed\ntoeing\ntoeless\ntoes\ntogether\ntogetherness\ntoggle\ntoggled\ntoggles\ntoggling\ntoilet\ntoileted\ntoileting\ntoilets\ntoing\ntoken\ntokened\ntokening\ntokens\ntold\ntomato\ntomatoes\ntomorrow\ntomorrows\ntone\ntoned\ntoneless\ntones\ntongue\ntongued\ntongueless\ntongues\ntonguing\ntonight\ntonights\ntoning\ntoo\ntook\ntool\ntoolbar\ntoolbars\ntooled\ntooler\ntoolers\ntooling\ntoolless\ntools\ntooth\ntoothed\ntoothful\ntoothing\ntoothless\ntooths\ntop\ntoped\ntoper\ntopers\ntopes\ntopful\ntopic\ntopics\ntoping\ntopless\ntopped\ntopper\ntoppers\ntopping\ntops\ntore\ntores\ntorn\ntotal\ntotaled\ntotaling\ntotally\ntotals\ntouch\ntouched\ntoucher\ntouchers\ntouches\ntouching\ntouchless\ntough\ntoughed\ntougher\ntoughest\ntoughing\ntoughly\ntoughness\ntoughs\ntour\ntoured\ntourer\ntourers\ntouring\ntourist\ntouristed\ntourists\ntours\ntoward\ntowardly\ntowardness\ntowards\ntowel\ntoweled\ntoweling\ntowels\ntower\ntowered\ntowering\ntowerless\ntowers\ntown\ntownless\ntownly\ntowns\ntoxic\ntoxics\ntoy\ntoyed\ntoyer\ntoyers\ntoying\ntoyless\ntoys\ntrace\ntraced\ntraceless\ntraces\ntracing\ntrack\ntracked\ntracker\ntrackers\ntracking\ntrackings\ntrackless\ntracks\ntrade\ntraded\ntradeful\ntradeless\ntrades\ntrading\ntradition\ntraditional\ntraditionally\ntraditioner\ntraditioners\ntraditionless\ntraditions\ntraffic\ntrafficless\ntraffics\ntrain\ntrained\ntrainer\ntrainers\ntrainful\ntraining\ntrainings\ntrainless\ntrains\ntranquil\ntranquiler\ntranquilest\ntranquilly\ntransfer\ntransferred\ntransferrer\ntransferrers\ntransferring\ntransfers\ntransform\ntransformed\ntransformer\ntransformers\ntransforming\ntransforms\ntransport\ntransported\ntransporter\ntransporters\ntransporting\ntransports\ntrap\ntraped\ntrapes\ntraping\ntrapped\ntrapper\ntrappers\ntrapping\ntraps\ntravel\ntraveled\ntraveler\ntravelers\ntraveling\ntravels\ntreat\ntreated\ntreater\ntreaters\ntreating\ntreatment\ntreatments\ntreats\ntree\ntreed\ntreeing\ntreeless\ntrees\ntrend\ntrended\ntrending\ntrends\ntrial\ntrials\ntriangle\ntriangled\ntriangles\ntrick\ntricked\ntricker\ntrickers\ntricking\ntrickless\ntrickly\ntricks\ntried\ntrier\ntries\ntrip\ntripes\ntriply\ntripped\ntripper\ntrippers\ntripping\ntrips\ntripses\ntrivial\ntrivially\ntroop\ntrooped\ntrooper\ntroopers\ntrooping\ntroops\ntrouble\ntroubled\ntroubles\ntroubling\ntrousers\ntruck\ntrucked\ntrucker\ntruckers\ntruckful\ntrucking\ntrucks\ntrue\ntrued\ntrueing\ntrueness\ntrues\ntruing\ntruly\ntrust\ntrusted\ntruster\ntrusters\ntrustful\ntrusting\ntrustless\ntrusts\ntruth\ntruthful\ntruthless\ntruths\ntry\ntryer\ntryers\ntrying\ntryingly\ntryings\ntube\ntubed\ntubeful\ntubeless\ntubes\ntubing\ntune\ntuned\ntuneful\ntuneless\ntunes\ntuning\ntunnel\ntunneled\ntunneler\ntunnelers\ntunneling\ntunnels\nturn\nturned\nturner\nturners\nturning\nturnings\nturns\ntutorial\ntutorially\ntutorials\ntv\ntwelve\ntwelves\ntwenties\ntwenty\ntwice\ntwin\ntwined\ntwiner\ntwiners\ntwines\ntwining\ntwinned\ntwinning\ntwins\ntwist\ntwisted\ntwister\ntwisters\ntwisting\ntwists\ntwo\ntwoer\ntwoers\ntwoness\ntwos\ntype\ntyped\ntypes\ntypical\ntypically\ntypicalness\ntyping\ntyre\ntyred\ntyreless\ntyres\ntyring\nuglied\nuglier\nuglies\nugliest\nuglily\nugliness\nugly\nuglying\nultimate\nultimated\nultimately\nultimateness\nultimates\nultimating\numbrella\numbrellaed\numbrellaing\numbrellas\nunable\nunauthorized\nunavailable\nuncertain\nuncertainly\nuncle\nuncled\nuncles\nuncling\nunder\nunderneath\nunderneaths\nunderstand\nunderstanded\nunderstander\nunderstanders\nunderstanding\nunderstandingly\nunderstandings\nunderstands\nunderstood\nundertook\nunemployed\nunemployeds\nunemployment\nunemployments\nunexpected\nunexpectedly\nunexpectedness\nunfair\nunfaired\nunfairer\nunfairest\nunfairing\nunfairly\nunfairness\nunfairs\nunfortunately\nunhappied\nunhappies\nunhappy\nunhappying\nuniform\nuniformed\nuniformer\nuniformest\nuniforming\nuniformly\nuniformness\nuniforms\nunion\nunions\nunique\nuniquely\nuniqueness\nuniques\nunit\nunite\nunited\nunitedly\nunitedness\nuniter\nuniters\nunites\nuniting\nunition\nunitions\nunits\nuniversal\nuniversally\nuniversals\nuniverse\nuniverses\nuniversities\nuniversity\nunknown\nunknownness\nunknowns\nunlawful\nunlawfully\nunless\nunlike\nunliked\nunlikelier\nunlikeliest\nunlikeliness\nunlikely\nunlikeness\nunlikes\nunofficial\nunofficially\nunprepared\nunpreparedly\nunready\nunsafe\nunsafely\nunsure\nunsured\nunsurely\nuntil\nuntiled\nuntiles\nuntiling\nunusual\nunusually\nunusualness\nunwell\nup\nupdate\nupdated\nupdates\nupdating\nupgrade\nupgraded\nupgrades\nupgrading\nupload\nuploaded\nuploading\nuploads\nupon\nupper\nuppers\nups\nupset\nupsets\nupsetter\nupsetters\nupsetting\nupstairs\nurban\nurbaner\nurbanest\nurge\nurged\nurgent\nurgently\nurges\nurging\nus\nuse\nused\nuseful\nusefully\nusefulness\nusefuls\nuseless\nuser\nusername\nusernames\nusers\nuses\nusing\nusual\nusually\nusualness\nusuals\nvacant\nvacantly\nvacation\nvacationed\nvacationer\nvacationers\nvacationing\nvacationless\nvacations\nvalidate\nvalidated\nvalidates\nvalidating\nvalidation\nvalidations\nvalley\nvalleyed\nvalleys\nvaluable\nvaluableness\nvaluables\nvalue\nvalued\nvalueless\nvalues\nvaluing\nvaned\nvanes\nvanned\nvanner\nvanners\nvanning\nvans\nvariable\nvariableness\nvariables\nvaried\nvarier\nvaries\nvarieties\nvariety\nvarious\nvariously\nvariousness\nvary\nvarying\nvast\nvaster\nvastest\nvastly\nvastness\nvasts\nvegetable\nvegetables\nvehicle\nvehicles\nvendor\nvendors\nverier\nveriest\nverily\nversion\nversioned\nversioner\nversioners\nversioning\nversions\nvery\nvia\nvias\nvice\nviced\nvices\nvicing\nvictim\nvictimless\nvictims\nvictories\nvictory\nvictoryless\nvideo\nvideoed\nvideoing\nvideos\nview\nviewed\nviewer\nviewers\nviewing\nviewless\nviewly\nviews\nvillage\nvillages\nviolence\nviolences\nviolent\nviolented\nviolenting\nviolently\nviolents\nvirtual\nvirtually\nvirus\nviruses\nvisible\nvisibleness\nvisibles\nvision\nvisioned\nvisioner\nvisioners\nvisioning\nvisionless\nvisions\nvisit\nvisited\nvisiter\nvisiters\nvisites\nvisiting\nvisitor\nvisitors\nvisits\nvisual\nvisually\nvisuals\nvital\nvitally\nvitalness\nvitals\nvoice\nvoiced\nvoiceful\nvoiceless\nvoices\nvoicing\nvolume\nvolumed\nvolumes\nvoluming\nvolunteer\nvolunteered\nvolunteering\nvolunteers\nvote\nvoted\nvoteless\nvotes\nvoting\nwage\nwaged\nwageless\nwages\nwaging\nwaist\nwaisted\nwaister\nwaisters\nwaisting\nwaists\nwait\nwaited\nwaiter\nwaitered\nwaitering\nwaiters\nwaites\nwaiting\nwaits\nwake\nwaked\nwakeful\nwakeless\nwakes\nwaking\nwalk\nwalked\nwalker\nwalkers\nwalking\nwalkings\nwalks\nwall\nwalled\nwaller\nwallers\nwallet\nwallets\nwalling\nwalls\nwander\nwandered\nwanderer\nwanderers\nwandering\nwanders\nwant\nwanted\nwanter\nwanters\nwanting\nwants\nwar\nward\nwared\nwares\nwaring\nwarless\nwarm\nwarmed\nwarmer\nwarmers\nwarmest\nwarming\nwarmly\nwarmness\nwarms\nwarmth\nwarmths\nwarn\nwarned\nwarner\nwarners\nwarning\nwarningly\nwarnings\nwarns\nwarrantied\nwarranties\nwarranty\nwarrantying\nwarred\nwarring\nwars\nwas\nwases\nwash\nwashed\nwasher\nwashers\nwashes\nwashing\nwaste\nwasted\nwasteful\nwasteness\nwastes\nwasting\nwatch\nwatched\nwatcher\nwatchers\nwatches\nwatchful\nwatching\nwater\nwatered\nwaterer\nwaterers\nwatering\nwaterless\nwaters\nwave\nwaved\nwaveless\nwaves\nwaving\nway\nwayed\nwaying\nwayless\nwayment\nwayments\nways\nwe\nweak\nweaker\nweakest\nweakly\nweakness\nweaknesses\nwealth\nwealthless\nwealths\nwealthy\nweapon\nweaponed\nweaponing\nweaponless\nweapons\nwear\nweared\nwearer\nwearers\nwearing\nwearingly\nwearings\nwears\nweather\nweathered\nweatherer\nweatherers\nweathering\nweatherly\nweathers\nweb\nwebbed\nwebbing\nweber\nwebers\nwebinar\nwebinars\nwebless\nwebpage\nwebpages\nwebs\nwebsite\nwebsites\nwed\nwedding\nweddings\nweed\nweek\nweekend\nweekended\nweekender\nweekenders\nweekending\nweekends\nweekes\nweeklies\nweekly\nweeks\nweer\nwees\nweest\nweigh\nweighed\nweigher\nweighers\nweighing\nweighs\nweight\nweighted\nweighter\nweighters\nweighting\nweightless\nweightlessly\nweights\nwelcome\nwelcomed\nwelcomely\nwelcomeness\nwelcomes\nwelcoming\nwell\nwelled\nwelling\nwellness\nwells\nwent\nwents\nwept\nwere\nwest\nwested\nwester\nwestern\nwesterner\nwesterners\nwesterns\nwesters\nwesting\nwests\nwet\nwetly\nwetness\nwets\nwetted\nwetter\nwetters\nwettest\nwetting\nwhale\nwhales\nwhat\nwhatever\nwhatness\nwhats\nwheel\nwheeled\nwheeler\nwheelers\nwheeling\nwheelless\nwheels\nwhen\nwhenever\nwhens\nwhere\nwhereas\nwhereases\nwhereness\nwheres\nwherever\nwhether\nwhich\nwhichever\nwhile\nwhiled\nwhiles\nwhiling\nwhisper\nwhispered\nwhisperer\nwhisperers\nwhispering\nwhispers\nwhite\nwhited\nwhitely\nwhiteness\nwhites\nwhiting\nwho\nwhoever\nwhole\nwholeness\nwholes\nwhom\nwhose\nwhy\nwhys\nwide\nwidely\nwideness\nwider\nwides\nwidest\nwidget\nwidgets\nwidth\nwidths\nwife\nwifed\nwifeless\nwifely\nwifes\nwifies\nwifing\nwild\nwilded\nwilder\nwilders\nwildest\nwilding\nwildlife\nwildlifes\nwildly\nwildness\nwilds\nwill\nwilled\nwiller\nwillers\nwillest\nwillful\nwilling\nwillinger\nwillingest\nwillingly\nwillingness\nwills\nwin\nwind\nwinded\nwinder\nwinders\nwinding\nwindless\nwindow\nwindowed\nwindowing\nwindowless\nwindows\nwinds\nwine\nwined\nwineless\nwines\nwing\nwinged\nwinger\nwingers\nwinges\nwinging\nwingless\nwings\nwining\nwinless\nwinned\nwinner\nwinners\nwinning\nwinningly\nwinnings\nwins\nwinter\nwintered\nwinterer\nwinterers\nwintering\nwinterless\nwinterly\nwinters\nwire\nwired\nwireless\nwirelessed\nwirelesses\nwirelessing\nwires\nwiring\nwise\nwised\nwisely\nwiseness\nwises\nwish\nwished\nwisher\nwishers\nwishes\nwishful\nwishing\nwishings\nwishless\nwising\nwith\nwithdrew\nwithed\nwither\nwithers\nwithes\nwithin\nwithing\nwithins\nwithout\nwithouts\nwiths\nwitness\nwitnessed\nwitnesser\nwitnessers\nwitnesses\nwitnessing\nwives\nwoke\nwoken\nwolf\nwolfs\nwolves\nwoman\nwomaned\nwomaning\nwomanless\nwomanly\nwomanness\nwomans\nwomen\nwon\nwonder\nwondered\nwonderer\nwonderers\nwonderful\nwonderfully\nwonderfulness\nwondering\nwonderless\nwonderment\nwonderments\nwonders\nwoning\nwonned\nwonner\nwonners\nwonning\nwons\nwood\nwooded\nwooden\nwoodened\nwoodener\nwoodenest\nwoodening\nwoodenly\nwoodenness\nwoodens\nwooding\nwoodless\nwoodness\nwoods\nwool\nwoold\nwooled\nwooler\nwoolers\nwoolly\nwools\nword\nworded\nwording\nwordless\nwords\nwore\nwork\nworked\nworker\nworkerless\nworkers\nworkflow\nworkflows\nworkful\nworking\nworkings\nworkless\nworkplace\nworkplaces\nworks\nworkspace\nworkspaces\nworkstation\nworkstations\nworld\nworlded\nworldly\nworlds\nworldwide\nworn\nwornness\nworried\nworriedly\nworrier\nworries\nworry\nworrying\nworse\nworsed\nworseness\nworses\nworsing\nworst\nworsted\nworsting\nworsts\nworth\nworthed\nworthful\nworthing\nworthless\nworths\nwould\nwouldest\nwoulds\nwound\nwounded\nwoundedly\nwounder\nwounders\nwounding\nwoundless\nwounds\nwrap\nwrapped\nwrapper\nwrappers\nwrapping\nwraps\nwrite\nwriter\nwriterly\nwriters\nwrites\nwriting\nwritings\nwritten\nwrong\nwronged\nwronger\nwrongers\nwrongest\nwrongful\nwronging\nwrongly\nwrongness\nwrongs\nwrote\nyard\nyarded\nyarder\nyarders\nyarding\nyards\nyeah\nyeahs\nyear\nyeard\nyearly\nyears\nyellow\nyellowed\nyellower\nyellowest\nyellowing\nyellowly\nyellowness\nyellows\nyes\nyeses\nyesterday\nyesterdays\nyet\nyou\nyoung\nyounger\nyoungers\nyoungest\nyoungly\nyoungness\nyoungs\nyour\nyours\nyourself\nyourselves\nyous\nyouth\nyouthful\nyouthfully\nyouthless\nyouthly\nyouths\nzero\nzeroed\nzeroes\nzeroing\nzeros\nzone\nzoned\nzoneless\nzones\nzoning';
+
+/** Lite English dictionary (binary search over LITE_WORDS_RAW). */
+export const liteDictionary: SortedWordList = createSortedWordList(LITE_WORDS_RAW);
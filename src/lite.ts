@@ -0,0 +1,121 @@
+// ─── Lite Entry Point (english-validator/lite) ────────────────────────────────
+//
+// The same API as the main entry over a ~14k-word common-words dictionary
+// instead of the full 274k-word one. Every heuristic (non-English
+// screening, trigram fallback, preprocessing) is unchanged, but rarer English
+// words count as unknown — lower englishThreshold or add domain vocabulary
+// with createValidator({ addWords }) when that matters.
+
+import { createValidatorContext } from './context';
+import { liteDictionary } from './lite-dictionary';
+import { CacheConfig, CacheStatsReport, Validator, ValidatorConfig } from './types';
+import { bindValidator } from './validator';
+
+export { buildDictionaryPack, expandHunspell, loadDictionaryPack } from './dictionary-pack';
+export { parseCorpus } from './evaluation';
+export { extractIdentifiers } from './identifiers';
+export { matchesDocumentPattern } from './preprocessing';
+export { numericTokenKind, tokenize } from './tokenizer';
+export { createTrigramDetector, trigramDetector } from './trigram-detector';
+export type {
+  AnalysisResult,
+  BatchOptions,
+  CacheConfig,
+  CacheOptions,
+  CacheStats,
+  CacheStatsReport,
+  CacheStore,
+  ClassificationMetrics,
+  ClassificationOptions,
+  DecisionBranch,
+  DetectionOptions,
+  DictionaryPack,
+  DictionaryPackOptions,
+  DictionarySource,
+  DocumentSummary,
+  EnglishMiddleware,
+  EvaluationOptions,
+  EvaluationReport,
+  FieldFailure,
+  IdentifierMatch,
+  IdentifierPreset,
+  LabelledSample,
+  LanguageCandidate,
+  LanguageConfusion,
+  LanguageDetectionOptions,
+  LanguageResult,
+  MiddlewareConfig,
+  MiddlewareRequest,
+  MiddlewareResponse,
+  Misclassification,
+  NonEnglishSpan,
+  NumericTokenKind,
+  ObjectValidationConfig,
+  OptionGrid,
+  RomanizedPack,
+  ScoreSignals,
+  ScoringModel,
+  ScoringOptions,
+  ScoringPreset,
+  ScriptName,
+  ScriptProfile,
+  SecondaryDetector,
+  SpanOptions,
+  StreamChunkResult,
+  StreamOptions,
+  SweepMetric,
+  SweepOptions,
+  SweepResult,
+  TextClass,
+  TextFormat,
+  TextToken,
+  ThresholdSource,
+  TokenAnalysis,
+  TokenKind,
+  TokenReason,
+  TrigramProfiles,
+  Validator,
+  ValidatorConfig,
+  WordLookup,
+} from './types';
+
+/**
+ * Creates a validator layered over the lite dictionary. Same options as
+ * the main entry's createValidator().
+ *
+ * @param config - Dictionary layers and default detection options
+ * @returns An independent validator
+ */
+export function createValidator(config: ValidatorConfig = {}): Validator {
+  return bindValidator(createValidatorContext(liteDictionary, config), config.defaults);
+}
+
+/** The validator behind the lite top-level API. */
+const liteValidator = createValidator();
+
+export const {
+  isEnglish,
+  detectNonEnglishText,
+  analyzeText,
+  englishProbability,
+  classifyText,
+  findNonEnglishSpans,
+  detectLanguage,
+  detectBatch,
+  detectBatchAsync,
+  detectStream,
+  evaluate,
+  sweepOptions,
+  validateObject,
+  createEnglishMiddleware,
+  createEnglishRefinement,
+} = liteValidator;
+
+/** Clears the lite top-level API's word and secondary detector caches. */
+export const clearLanguageDetectorCaches = (): void => liteValidator.clearCaches();
+
+/** Changes the lite top-level API's cache limits or stores. */
+export const configureCaches = (config: CacheConfig): void => liteValidator.configureCaches(config);
+
+/** Statistics of the lite top-level API's caches. */
+export const getCacheStats = (): CacheStatsReport => liteValidator.getCacheStats();
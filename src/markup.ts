@@ -0,0 +1,128 @@
+import {
+  EMAIL_REGEX,
+  EMOJI_SHORTCODE_REGEX,
+  HASHTAG_REGEX,
+  HTML_CODE_REGEX,
+  HTML_COMMENT_REGEX,
+  HTML_ENTITY_REGEX,
+  HTML_RAW_TEXT_REGEX,
+  HTML_TAG_REGEX,
+  MARKDOWN_CODE_SPAN_REGEX,
+  MARKDOWN_FENCE_REGEX,
+  MARKDOWN_LINK_DESTINATION_REGEX,
+  MARKDOWN_REFERENCE_DEFINITION_REGEX,
+  MENTION_REGEX,
+  URL_REGEX,
+} from './constants';
+import { replaceTracked } from './tracked-text';
+import { DetectionOptions, TrackedText } from './types';
+
+// ─── HTML Entities ────────────────────────────────────────────────────────────
+
+/** Entity names of U+00C0–U+00FF (accented Latin letters), in code point order. */
+const LATIN1_ENTITY_NAMES = (
+  'Agrave Aacute Acirc Atilde Auml Aring AElig Ccedil Egrave Eacute Ecirc Euml ' +
+  'Igrave Iacute Icirc Iuml ETH Ntilde Ograve Oacute Ocirc Otilde Ouml times ' +
+  'Oslash Ugrave Uacute Ucirc Uuml Yacute THORN szlig agrave aacute acirc atilde ' +
+  'auml aring aelig ccedil egrave eacute ecirc euml igrave iacute icirc iuml ' +
+  'eth ntilde ograve oacute ocirc otilde ouml divide oslash ugrave uacute ucirc ' +
+  'uuml yacute thorn yuml'
+).split(' ');
+
+/**
+ * Named references worth decoding: markup-significant characters, quotes
+ * (so contractions survive) and accented letters (so the non-English
+ * character screen still sees them). Any other name decodes to a space.
+ */
+const NAMED_ENTITIES: ReadonlyMap<string, string> = new Map([
+  ['amp', '&'],
+  ['lt', '<'],
+  ['gt', '>'],
+  ['quot', '"'],
+  ['apos', "'"],
+  ['nbsp', ' '],
+  ['lsquo', "'"],
+  ['rsquo', "'"],
+  ['ldquo', '"'],
+  ['rdquo', '"'],
+  ['OElig', '\u0152'],
+  ['oelig', '\u0153'],
+  ...LATIN1_ENTITY_NAMES.map((name, i): [string, string] => [name, String.fromCharCode(0xc0 + i)]),
+]);
+
+/** Decodes one character reference matched by {@link HTML_ENTITY_REGEX}. */
+function decodeEntity(entity: string): string {
+  const body = entity.slice(1, -1);
+  if (!body.startsWith('#')) return NAMED_ENTITIES.get(body) ?? ' ';
+
+  const hex = body[1] === 'x' || body[1] === 'X';
+  const codePoint = parseInt(body.slice(hex ? 2 : 1), hex ? 16 : 10);
+  const valid =
+    codePoint > 0 && codePoint <= 0x10ffff && (codePoint < 0xd800 || codePoint > 0xdfff);
+  return valid ? String.fromCodePoint(codePoint) : ' ';
+}
+
+// ─── Markup Stripping ─────────────────────────────────────────────────────────
+
+/** Removes every match of each pattern, leaving a space so words stay apart. */
+function removeAll(text: TrackedText, patterns: readonly RegExp[]): TrackedText {
+  return patterns.reduce((result, pattern) => replaceTracked(result, pattern, ' '), text);
+}
+
+/**
+ * Reduces HTML to its text: comments, `<script>`/`<style>` content, code
+ * elements (when stripCode is on) and tags with their attributes are
+ * removed, then character references are decoded.
+ */
+function stripHtml(text: TrackedText, stripCode: boolean): TrackedText {
+  const elements = [HTML_COMMENT_REGEX, HTML_RAW_TEXT_REGEX];
+  if (stripCode) elements.push(HTML_CODE_REGEX);
+  const withoutTags = removeAll(text, [...elements, HTML_TAG_REGEX]);
+  return replaceTracked(withoutTags, HTML_ENTITY_REGEX, decodeEntity);
+}
+
+/**
+ * Reduces Markdown to its prose: fenced code blocks and code spans (when
+ * stripCode is on), link and image destinations and reference definitions
+ * are removed — link text and image alt text are kept. Inline HTML is then
+ * handled as in {@link stripHtml}. Emphasis markers and headings need no
+ * special handling: they are punctuation, which later stages drop.
+ */
+function stripMarkdown(text: TrackedText, stripCode: boolean): TrackedText {
+  const syntax = stripCode ? [MARKDOWN_FENCE_REGEX, MARKDOWN_CODE_SPAN_REGEX] : [];
+  syntax.push(MARKDOWN_LINK_DESTINATION_REGEX, MARKDOWN_REFERENCE_DEFINITION_REGEX);
+  return stripHtml(removeAll(text, syntax), stripCode);
+}
+
+/**
+ * First stage of preprocessing: removes markup and the token classes that
+ * are never prose in any language. The `format` option selects how the
+ * input is read — HTML and Markdown syntax is only interpreted when asked
+ * for, and stripCode only applies to those formats. URLs, emails,
+ * mentions, hashtags and emoji shortcodes are removed by default in HTML
+ * and Markdown; each has its own strip* option to turn its stage on for
+ * plain text or off for markup.
+ *
+ * Offsets are tracked like every other preprocessing stage; a decoded
+ * entity maps to the whole `&…;` reference it came from.
+ *
+ * @param text    - Tracked raw input
+ * @param options - Detection options (format and strip* toggles)
+ * @returns Tracked text with markup and non-prose tokens replaced by spaces
+ */
+export function stripMarkup(text: TrackedText, options: DetectionOptions): TrackedText {
+  const { format = 'plain', stripCode = true } = options;
+
+  let result = text;
+  if (format === 'html') result = stripHtml(result, stripCode);
+  else if (format === 'markdown') result = stripMarkdown(result, stripCode);
+
+  const markup = format !== 'plain';
+  const tokens: RegExp[] = [];
+  if (options.stripUrls ?? markup) tokens.push(URL_REGEX);
+  if (options.stripEmails ?? markup) tokens.push(EMAIL_REGEX);
+  if (options.stripMentions ?? markup) tokens.push(MENTION_REGEX);
+  if (options.stripHashtags ?? markup) tokens.push(HASHTAG_REGEX);
+  if (options.stripEmoji ?? markup) tokens.push(EMOJI_SHORTCODE_REGEX);
+  return removeAll(result, tokens);
+}
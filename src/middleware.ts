@@ -0,0 +1,54 @@
+import { parseFieldPath, validateObject } from './object-validation';
+import { EnglishMiddleware, MiddlewareConfig, ValidatorContext } from './types';
+
+// ─── Connect/Express Middleware ───────────────────────────────────────────────
+
+/**
+ * Builds a Connect/Express-compatible middleware that validates part of
+ * each request with {@link validateObject} and rejects it with a JSON
+ * error listing the non-English paths:
+ *
+ * ```json
+ * { "error": "Only English text is accepted", "paths": ["items[1].title"] }
+ * ```
+ *
+ * Requests whose fields are all English are passed on with `next()`;
+ * errors raised while validating are passed to `next(error)`. Only
+ * `res.statusCode`, `res.setHeader()` and `res.end()` are used, so it has
+ * no framework dependency.
+ *
+ * @param config  - Request part, field paths, detection options, status and message
+ * @param context - Validator whose dictionary and caches to use
+ * @returns The middleware
+ * @throws {RangeError} If `status` is not a 4xx status code or a field path is malformed
+ */
+export function createEnglishMiddleware(
+  config: MiddlewareConfig,
+  context: ValidatorContext,
+): EnglishMiddleware {
+  const { source = 'body', status = 400, message = 'Only English text is accepted' } = config;
+  if (!Number.isInteger(status) || status < 400 || status > 499) {
+    throw new RangeError(`Middleware status must be a 4xx status code, got ${status}`);
+  }
+  // Reject malformed paths at startup rather than on the first request
+  config.fields?.forEach(parseFieldPath);
+
+  return (req, res, next) => {
+    let paths: string[];
+    try {
+      const value = typeof source === 'function' ? source(req) : req[source];
+      paths = validateObject(value, config, context).map((failure) => failure.path);
+    } catch (error) {
+      next(error);
+      return;
+    }
+    if (paths.length === 0) {
+      next();
+      return;
+    }
+
+    res.statusCode = status;
+    res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    res.end(JSON.stringify({ error: message, paths }));
+  };
+}
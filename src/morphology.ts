@@ -0,0 +1,133 @@
+import { MorphologyMatch, MorphologyRule, WordLookup } from './types';
+
+// ─── English Morphology ───────────────────────────────────────────────────────
+
+/** Shortest base a suffix or prefix may be stripped down to. */
+const MIN_BASE_LENGTH = 3;
+
+/** A suffix rule: when the word ends with `suffix`, try each base it may come from. */
+interface SuffixRule {
+  rule: MorphologyRule;
+  suffix: string;
+  /** Candidate bases for the word with the suffix removed (`stem`). */
+  bases: (stem: string) => string[];
+}
+
+/** stem, stem + "e" (baked → bake) and the undoubled stem (stopped → stop). */
+const withEAndUndoubled = (stem: string): string[] => [stem, `${stem}e`, ...undoubled(stem)];
+
+/**
+ * Regular English suffixes. Overlapping suffixes are listed longest first,
+ * so "-iness" is tried before "-ness" and "-ies" before "-es" and "-s".
+ */
+const SUFFIX_RULES: readonly SuffixRule[] = [
+  { rule: 'suffix-ness', suffix: 'iness', bases: (stem) => [`${stem}y`] },
+  { rule: 'suffix-able', suffix: 'iable', bases: (stem) => [`${stem}y`] },
+  { rule: 'suffix-est', suffix: 'iest', bases: (stem) => [`${stem}y`] },
+  { rule: 'suffix-ness', suffix: 'ness', bases: (stem) => [stem] },
+  { rule: 'suffix-able', suffix: 'able', bases: withEAndUndoubled },
+  { rule: 'suffix-ing', suffix: 'ying', bases: (stem) => [`${stem}ie`, `${stem}y`] },
+  { rule: 'suffix-est', suffix: 'est', bases: withEAndUndoubled },
+  { rule: 'suffix-ies', suffix: 'ies', bases: (stem) => [`${stem}y`] },
+  { rule: 'suffix-ed', suffix: 'ied', bases: (stem) => [`${stem}y`] },
+  { rule: 'suffix-er', suffix: 'ier', bases: (stem) => [`${stem}y`] },
+  { rule: 'suffix-ly', suffix: 'ily', bases: (stem) => [`${stem}y`] },
+  { rule: 'suffix-ing', suffix: 'ing', bases: withEAndUndoubled },
+  { rule: 'suffix-ly', suffix: 'ally', bases: (stem) => [stem, `${stem}al`] },
+  {
+    rule: 'suffix-es',
+    suffix: 'es',
+    bases: (stem) => (/(?:s|x|z|ch|sh|o)$/.test(stem) ? [stem] : []),
+  },
+  { rule: 'suffix-ed', suffix: 'ed', bases: withEAndUndoubled },
+  { rule: 'suffix-er', suffix: 'er', bases: withEAndUndoubled },
+  { rule: 'suffix-ly', suffix: 'ly', bases: (stem) => [`${stem}le`, stem] },
+  { rule: 'suffix-s', suffix: 's', bases: (stem) => (/s$/.test(stem) ? [] : [stem]) },
+];
+
+/** Prefixes stripped before the suffix rules are tried on what remains. */
+const PREFIX_RULES: readonly { rule: MorphologyRule; prefix: string }[] = [
+  { rule: 'prefix-pre', prefix: 'pre' },
+  { rule: 'prefix-un', prefix: 'un' },
+  { rule: 'prefix-re', prefix: 're' },
+];
+
+/**
+ * The part of a word before its first apostrophe ("let's" → "let",
+ * "we'll" → "we") — what the contraction layer looks up.
+ *
+ * @param word - Lowercase word containing an apostrophe
+ * @returns The host word of the contraction
+ */
+export function contractionHost(word: string): string {
+  return word.split("'")[0];
+}
+
+/** The stem without its doubled final consonant (stopp → stop), if it has one. */
+function undoubled(stem: string): string[] {
+  const last = stem[stem.length - 1];
+  return stem.length > 2 && last === stem[stem.length - 2] && !/[aeiouy]/.test(last)
+    ? [stem.slice(0, -1)]
+    : [];
+}
+
+/**
+ * Tries each suffix rule against a word and returns the first rule whose
+ * candidate base is in the dictionary.
+ */
+function matchSuffix(word: string, dictionary: WordLookup): MorphologyMatch | null {
+  for (const { rule, suffix, bases } of SUFFIX_RULES) {
+    if (!word.endsWith(suffix)) continue;
+    const stem = word.slice(0, -suffix.length);
+    for (const base of bases(stem)) {
+      if (base.length >= MIN_BASE_LENGTH && dictionary.has(base)) return { base, rules: [rule] };
+    }
+  }
+  return null;
+}
+
+/**
+ * Rule-based fallback for English words missing from the dictionary.
+ * Reduces possessives of words that are not themselves in the dictionary
+ * ("walker's", "editors'"; "it's" and "editor's" are left to the
+ * contraction layer, see {@link contractionHost}), strips one regular suffix (-s/-es/-ies, -ed, -ing with consonant doubling, -er/-est, -ly,
+ * -ness, -able) and optionally one un-/re-/pre- prefix, and accepts the
+ * word when what remains is a dictionary word.
+ *
+ * Only called for words that already passed the non-English screens, so
+ * it never re-admits a word those screens rejected.
+ *
+ * @param word       - Lowercase word that missed the dictionary
+ * @param dictionary - Dictionary the base must be found in
+ * @returns The base word and the rules applied in order, or null
+ *
+ * @example
+ * findEnglishBase("stopping", new Set(["stop"]));   // { base: "stop", rules: ["suffix-ing"] }
+ * findEnglishBase("unlockable", new Set(["lock"])); // { base: "lock", rules: ["prefix-un", "suffix-able"] }
+ */
+export function findEnglishBase(word: string, dictionary: WordLookup): MorphologyMatch | null {
+  const possessive = word.match(/^(.+?)(?:'s|s')$/);
+  if (possessive) {
+    // "it's", "let's" or "editor's": `'s` on a dictionary word may be "is",
+    // "has", "us" or a possessive, so the contraction layer takes it.
+    if (dictionary.has(contractionHost(word))) return null;
+    const owner = word.endsWith("s'") ? word.slice(0, -1) : possessive[1];
+    if (dictionary.has(owner)) return { base: owner, rules: ['possessive'] };
+    const inner = matchSuffix(owner, dictionary);
+    return inner && { base: inner.base, rules: ['possessive', ...inner.rules] };
+  }
+
+  const suffixed = matchSuffix(word, dictionary);
+  if (suffixed) return suffixed;
+
+  for (const { rule, prefix } of PREFIX_RULES) {
+    if (!word.startsWith(prefix)) continue;
+    const rest = word.slice(prefix.length);
+    if (rest.length <= MIN_BASE_LENGTH) continue;
+    if (dictionary.has(rest)) return { base: rest, rules: [rule] };
+    const inner = matchSuffix(rest, dictionary);
+    if (inner) return { base: inner.base, rules: [rule, ...inner.rules] };
+  }
+
+  return null;
+}
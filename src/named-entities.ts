@@ -0,0 +1,154 @@
+import { liteDictionary } from './lite-dictionary';
+import { TextToken, TokenAnalysis } from './types';
+
+// ─── Named-Entity Tolerance ───────────────────────────────────────────────────
+
+/**
+ * Title-cased word: an initial capital, then lowercase letters, allowing
+ * inner capitals after Mc/Mac, O', De and hyphens (McDonald, O'Brien,
+ * DeShawn, Jean-Luc). All-caps words are abbreviations, not names.
+ */
+const TITLE_CASE_REGEX = /^[A-Z][a-z]*(?:['-]?[A-Z][a-z]*)*$/;
+
+/** Punctuation around a word that does not belong to it. */
+const EDGE_PUNCTUATION_REGEX = /^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu;
+
+/** A word followed by punctuation, which ends a run of name parts. */
+const TRAILING_PUNCTUATION_REGEX = /[^\p{L}\p{N}]$/u;
+
+/** A word ending a sentence: terminal punctuation, optionally closed by quotes or brackets. */
+const SENTENCE_END_REGEX = /[.!?]["')\]]*$/;
+
+/** Titles written before a name, with or without a full stop. */
+const HONORIFICS: ReadonlySet<string> = new Set([
+  'mr',
+  'mrs',
+  'ms',
+  'mx',
+  'dr',
+  'prof',
+  'sir',
+  'dame',
+  'lord',
+  'lady',
+  'rev',
+  'st',
+]);
+
+/** Lowercase particles inside names (Vincent van Gogh, Ursula von der Leyen). */
+const NAME_PARTICLES: ReadonlySet<string> = new Set([
+  'van',
+  'von',
+  'der',
+  'den',
+  'de',
+  'del',
+  'della',
+  'da',
+  'di',
+  'du',
+  'la',
+  'le',
+  'al',
+  'bin',
+  'ibn',
+]);
+
+/**
+ * Flags the words of the preprocessed text that are shaped like parts of a
+ * person, company or product name:
+ *
+ * - a title-cased word in the middle of a sentence ("met **Oyelaran** at **Zalando**")
+ * - a title-cased word after an honorific or an initial, whose full stop does
+ *   not end the sentence ("Dr. **Oyelaran**", "J. **Smith**")
+ * - a sentence-initial word followed by another title-cased word, directly or
+ *   across name particles ("**Siobhan** Nakamura", "**Vincent** van Gogh")
+ * - particles between two parts of a name ("Vincent **van** Gogh")
+ *
+ * Only the shape of the words is considered — whether they are English is
+ * decided separately, so "Bank" or "Der" may be flagged here and still be
+ * judged on their own.
+ *
+ * @param words - Whitespace-delimited words of the preprocessed text, punctuation kept
+ * @returns One flag per word
+ */
+export function findNameLikeWords(words: readonly string[]): boolean[] {
+  const cores = words.map((word) => word.replace(EDGE_PUNCTUATION_REGEX, ''));
+  const titleCased = cores.map((core) => TITLE_CASE_REGEX.test(core) && /[a-z]/.test(core));
+  const introducesName = cores.map(
+    (core) => HONORIFICS.has(core.toLowerCase()) || /^[A-Z]$/.test(core),
+  );
+  const startsSentence = words.map(
+    (_, i) => i === 0 || (SENTENCE_END_REGEX.test(words[i - 1]) && !introducesName[i - 1]),
+  );
+
+  /** Whether a title-cased word follows word i directly or across name particles. */
+  const continuesName = (i: number): boolean => {
+    if (TRAILING_PUNCTUATION_REGEX.test(words[i])) return false;
+    let next = i + 1;
+    while (next < words.length && NAME_PARTICLES.has(cores[next])) next++;
+    return next < words.length && titleCased[next] && !startsSentence[next];
+  };
+
+  const flags = words.map((_, i) => titleCased[i] && (!startsSentence[i] || continuesName(i)));
+
+  // Particles between two parts of a name belong to it
+  for (let i = 0; i < words.length; i++) {
+    if (!flags[i] || !NAME_PARTICLES.has(cores[i + 1] ?? '') || !continuesName(i)) continue;
+    for (let next = i + 1; NAME_PARTICLES.has(cores[next]); next++) flags[next] = true;
+  }
+  return flags;
+}
+
+/**
+ * {@link findNameLikeWords} for the tokens of the preprocessed text: each
+ * token takes the flag of the space-delimited word it lies in, so both
+ * parts of "McAllister-Smith" are flagged.
+ *
+ * @param text   - The preprocessed text (single spaces between words)
+ * @param tokens - Its tokens, in order
+ * @returns One flag per token
+ */
+export function findNameLikeTokens(text: string, tokens: readonly TextToken[]): boolean[] {
+  const words = text.split(' ');
+  const flags = findNameLikeWords(words);
+  let index = 0;
+  let wordEnd = words[0].length;
+  return tokens.map((token) => {
+    while (token.start >= wordEnd) wordEnd += words[++index].length + 1;
+    return flags[index];
+  });
+}
+
+/**
+ * Takes a name-like token out of the English ratio when the word checks
+ * found nothing else to say about it. Words rejected by a non-English
+ * screen — a capitalised "Der" or "Les", an accented "Müller" — keep
+ * counting as evidence.
+ *
+ * @param token - The token's verdict
+ * @returns The verdict, or an uncounted `named-entity` verdict for unknown words
+ */
+export function tolerateNamedEntity(token: TokenAnalysis): TokenAnalysis {
+  if (!token.counted || token.reason !== 'unknown') return token;
+  return { token: token.token, counted: false, isEnglish: false, reason: 'named-entity' };
+}
+
+/**
+ * Counts a lowercase common English word as English when a non-English
+ * screen caught it only because it doubles as foreign vocabulary ("met",
+ * "door", "want"). With names out of the ratio few words are left, so one
+ * such hit would decide the verdict. Capitalised words keep theirs: a
+ * sentence opening with "Die" or "Met" is more likely foreign.
+ *
+ * @param token - The verdict of a token that is not name-like
+ * @returns The verdict, or a `dictionary` verdict for common English words
+ */
+export function tolerateCommonWord(token: TokenAnalysis): TokenAnalysis {
+  const screened =
+    token.reason === 'non-english-vocabulary' || token.reason === 'non-english-function-word';
+  if (!screened || token.token !== token.token.toLowerCase() || !liteDictionary.has(token.token)) {
+    return token;
+  }
+  return { token: token.token, counted: true, isEnglish: true, reason: 'dictionary' };
+}
@@ -0,0 +1,20 @@
+// ─── Node.js Entry Point (english-validator/node) ────────────────────────────
+//
+// APIs that depend on Node.js built-ins (worker_threads, stream, fs, os, path). Kept out
+// of the main entry so browser and edge bundles never pull them in.
+
+export { createDetectionPool, detectBatchParallel } from './worker-pool';
+export { createDetectionStream } from './detection-stream';
+export { createFileCacheStore } from './file-cache-store';
+export type { DetectionStream } from './detection-stream';
+export type {
+  BatchOptions,
+  CacheStore,
+  DetectionOptions,
+  DetectionPool,
+  DocumentSummary,
+  ParallelBatchOptions,
+  PoolOptions,
+  StreamChunkResult,
+  StreamOptions,
+} from './types';
@@ -3,7 +3,9 @@ import {
   NON_ENGLISH_ENDINGS_REGEX,
   NON_ENGLISH_FUNCTION_WORDS_REGEX,
   NON_ENGLISH_WORD_PATTERNS,
+  ROMANIZED_WORD_PATTERNS,
 } from './constants';
+import { RomanizedPack } from './types';
 import { isNonEmptyString } from './utils';
 
 // ─── Non-English Indicator Checks ─────────────────────────────────────────────
@@ -48,26 +50,68 @@ export function hasNonEnglishWordPatterns(text: string): boolean {
   return NON_ENGLISH_WORD_PATTERNS.some((pattern) => pattern.test(text));
 }
 
+/**
+ * Finds the first of the given romanized indicator packs whose vocabulary
+ * or digit romanization ("ni3hao3", "3ala") matches a word.
+ *
+ * @param text  - Single word to check
+ * @param packs - Packs to check, in order
+ * @returns The matching pack, or null if none matched
+ */
+export function findRomanizedPack(
+  text: string,
+  packs: readonly RomanizedPack[],
+): RomanizedPack | null {
+  return packs.find((pack) => ROMANIZED_WORD_PATTERNS.get(pack)!.test(text)) ?? null;
+}
+
+/** Which heuristic flagged a word as non-English. */
+export type NonEnglishIndicator =
+  | 'non-english-character'
+  | 'non-english-ending'
+  | 'non-english-vocabulary'
+  | 'non-english-function-word'
+  | `romanized-${RomanizedPack}`;
+
 /**
  * Multi-heuristic check for obvious non-English indicators on a single
- * word or short phrase. Applies checks in order of ascending cost:
+ * word or short phrase, reporting which heuristic matched. Applies checks
+ * in order of ascending cost:
  *
  * 1. Character analysis (cheapest — single regex)
  * 2. Suffix analysis (single regex)
  * 3. Vocabulary matching (pattern array)
  * 4. Function-word detection (single regex)
+ * 5. Romanized indicator packs (one regex per pack)
  *
- * @param text - Word or short phrase to evaluate
- * @returns true if obvious non-English indicators are found
+ * @param text           - Word or short phrase to evaluate
+ * @param romanizedPacks - Romanized indicator packs to check. Default: none
+ * @returns The first matching indicator, or null if none matched
  */
-export function hasObviousNonEnglishIndicators(text: string | null | undefined): boolean {
-  if (!isNonEmptyString(text) || text.length < 2) return false;
+export function findNonEnglishIndicator(
+  text: string | null | undefined,
+  romanizedPacks: readonly RomanizedPack[] = [],
+): NonEnglishIndicator | null {
+  if (!isNonEmptyString(text) || text.length < 2) return null;
 
   if (!text.includes(' ')) {
-    if (hasNonEnglishCharacters(text) || hasNonEnglishEndings(text)) {
-      return true;
-    }
+    if (hasNonEnglishCharacters(text)) return 'non-english-character';
+    if (hasNonEnglishEndings(text)) return 'non-english-ending';
   }
 
-  return hasNonEnglishWordPatterns(text) || NON_ENGLISH_FUNCTION_WORDS_REGEX.test(text);
+  if (hasNonEnglishWordPatterns(text)) return 'non-english-vocabulary';
+  if (NON_ENGLISH_FUNCTION_WORDS_REGEX.test(text)) return 'non-english-function-word';
+
+  const pack = findRomanizedPack(text, romanizedPacks);
+  return pack ? `romanized-${pack}` : null;
+}
+
+/**
+ * Boolean form of {@link findNonEnglishIndicator}.
+ *
+ * @param text - Word or short phrase to evaluate
+ * @returns true if obvious non-English indicators are found
+ */
+export function hasObviousNonEnglishIndicators(text: string | null | undefined): boolean {
+  return findNonEnglishIndicator(text) !== null;
 }
@@ -0,0 +1,159 @@
+import { analyzeText } from './analysis';
+import { detectBatch } from './batch';
+import { DetectionOptions, FieldFailure, ObjectValidationConfig, ValidatorContext } from './types';
+
+// ─── Field Paths ──────────────────────────────────────────────────────────────
+
+/** One step of a compiled field path. */
+type PathSegment =
+  | { kind: 'key'; key: string }
+  | { kind: 'index'; index: number | null }
+  | { kind: 'any' }
+  | { kind: 'deep' };
+
+/** A key (after a dot, or first) or a bracketed index or `*`. */
+const PATH_SEGMENT_REGEX = /(?:^|\.)([^.[\]]+)|\[(\*|\d+)\]/y;
+
+/** Keys written after a dot in reported paths; others are bracketed and quoted. */
+const IDENTIFIER_KEY_REGEX = /^[A-Za-z_$][\w$]*$/;
+
+/**
+ * Compiles a glob-style field path: dotted keys, `[n]` or `[*]` for array
+ * items, `*` for any key or item and `**` for any number of levels.
+ *
+ * @throws {RangeError} If the path is empty or malformed
+ */
+export function parseFieldPath(pattern: string): PathSegment[] {
+  const segments: PathSegment[] = [];
+  PATH_SEGMENT_REGEX.lastIndex = 0;
+  while (PATH_SEGMENT_REGEX.lastIndex < pattern.length) {
+    const match = PATH_SEGMENT_REGEX.exec(pattern);
+    if (!match) break;
+    const [, key, index] = match;
+    if (index !== undefined) {
+      segments.push({ kind: 'index', index: index === '*' ? null : Number(index) });
+    } else if (key === '**') {
+      segments.push({ kind: 'deep' });
+    } else {
+      segments.push(key === '*' ? { kind: 'any' } : { kind: 'key', key });
+    }
+  }
+  if (segments.length === 0 || PATH_SEGMENT_REGEX.lastIndex !== pattern.length) {
+    throw new RangeError(`Invalid field path: "${pattern}"`);
+  }
+  return segments;
+}
+
+/** Whether the concrete path (keys and indexes) matches the segments from `si` and `pi` on. */
+function matchesPath(
+  segments: readonly PathSegment[],
+  path: readonly (string | number)[],
+  si = 0,
+  pi = 0,
+): boolean {
+  if (si === segments.length) return pi === path.length;
+  const segment = segments[si];
+  if (segment.kind === 'deep') {
+    for (let next = pi; next <= path.length; next++) {
+      if (matchesPath(segments, path, si + 1, next)) return true;
+    }
+    return false;
+  }
+  if (pi === path.length) return false;
+
+  const step = path[pi];
+  const matched =
+    segment.kind === 'any' ||
+    (segment.kind === 'index'
+      ? typeof step === 'number' && (segment.index === null || segment.index === step)
+      : step === segment.key);
+  return matched && matchesPath(segments, path, si + 1, pi + 1);
+}
+
+/** Renders a concrete path as `items[2].title` or `meta["x-id"]`. */
+function formatPath(path: readonly (string | number)[]): string {
+  return path
+    .map((step, i) => {
+      if (typeof step === 'number') return `[${step}]`;
+      if (!IDENTIFIER_KEY_REGEX.test(step)) return `[${JSON.stringify(step)}]`;
+      return i === 0 ? step : `.${step}`;
+    })
+    .join('');
+}
+
+/**
+ * Every string in a value with its path, walking plain objects and arrays
+ * depth first. Values reached again through a cycle are skipped.
+ */
+function collectStrings(
+  value: unknown,
+  path: (string | number)[] = [],
+  ancestors = new WeakSet<object>(),
+  found: { path: (string | number)[]; value: string }[] = [],
+): { path: (string | number)[]; value: string }[] {
+  if (typeof value === 'string') {
+    found.push({ path, value });
+  } else if (value !== null && typeof value === 'object' && !ancestors.has(value)) {
+    ancestors.add(value);
+    const entries = Array.isArray(value)
+      ? value.map((item, index) => [index, item] as const)
+      : Object.entries(value);
+    for (const [step, item] of entries) {
+      collectStrings(item, [...path, step], ancestors, found);
+    }
+    ancestors.delete(value);
+  }
+  return found;
+}
+
+// ─── Object Validation ────────────────────────────────────────────────────────
+
+/**
+ * Checks the string fields of a nested value — a parsed request body, a
+ * form, a CMS document — and lists the ones that are not English.
+ *
+ * Plain objects and arrays are walked at any depth; `fields` selects which
+ * string fields to check by glob-style path (all of them by default).
+ * Identical strings are analysed once.
+ *
+ * @param value   - Object, array or string to check
+ * @param config  - Field paths and detection options
+ * @param context - Validator whose dictionary and caches to use
+ * @returns Non-English fields in walk order (empty when all are English)
+ * @throws {RangeError} If a field path is malformed
+ */
+export function validateObject(
+  value: unknown,
+  config: ObjectValidationConfig,
+  context: ValidatorContext,
+): FieldFailure[] {
+  const patterns = config.fields?.map(parseFieldPath);
+  const fields = collectStrings(value).filter(
+    (field) => !patterns || patterns.some((segments) => matchesPath(segments, field.path)),
+  );
+  const verdicts = detectBatch(
+    fields.map((field) => field.value),
+    config.options ?? {},
+    context,
+  );
+
+  return fields
+    .filter((_, i) => !verdicts[i])
+    .map((field) => ({ path: formatPath(field.path), value: field.value, isEnglish: false }));
+}
+
+/**
+ * Builds a predicate for schema libraries' custom validators (zod
+ * `refine`, yup `test`, Joi `custom`…): English strings pass, and so does
+ * any non-string value, so type checks stay with the schema.
+ *
+ * @param options - Detection options applied to every value
+ * @param context - Validator whose dictionary and caches to use
+ * @returns true when the value is not a string or is English text
+ */
+export function createEnglishRefinement(
+  options: DetectionOptions,
+  context: ValidatorContext,
+): (value: unknown) => boolean {
+  return (value) => typeof value !== 'string' || analyzeText(value, options, context).isEnglish;
+}
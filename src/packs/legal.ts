@@ -0,0 +1,17 @@
+// Generated by scripts/build-dictionary-pack.cjs from packs/legal.txt — do not edit by hand.
+
+import { DictionaryPack } from '../types';
+
+/**
+ * Legal English: contracts, litigation, courts, property and legal Latin.
+ * 337 words the lite dictionary lacks.
+ */
+export const legalPack: DictionaryPack = {
+  format: 'english-validator/dictionary-pack',
+  version: 1,
+  name: 'legal',
+  description: 'Legal English: contracts, litigation, courts, property and legal Latin',
+  wordCount: 337,
+  words:
+    'ab\nabettor\nactionable\nactus\naddenda\naddendum\nadditur\nadjournment\nadjudicate\nadjudication\nadjudicative\nadjudicator\nadverse\naffiant\naffidavit\naforementioned\naforesaid\nalia\nallocution\namicus\nappealable\nappellant\nappellee\nappurtenance\nappurtenant\narbitrator\narguendo\narraign\narraignment\nassignability\nassignable\nassignee\nassignor\nbailee\nbailor\nbanc\nbarrister\nbeneficiary\nbequeath\nbequest\nboilerplate\nbona\nbono\nbylaws\ncapita\ncaveat\ncertiorari\nchargee\nchargor\nclaimant\nclause\nco\ncodefendant\ncodicil\ncognizable\ncomplainant\ncompliance\nconservatee\nconservator\nconsideration\ncontendere\nconveyance\nconveyancing\ncorpus\ncounterclaim\ncounterclaimant\ncounterpart\ncounterparty\ncovenant\ncovenantee\ncovenantor\ncrossclaim\nculpability\nculpable\ncuriae\ncy\nde\ndebenture\ndecedent\ndecisis\ndeclarant\ndeed\ndefamation\ndefamatory\ndefendant\ndeponent\ndeposition\ndevisee\ndevisor\ndicta\ndictum\ndire\ndisclosure\ndiscoverability\ndiscoverable\ndisgorgement\ndistributee\ndocket\ndonee\ndonor\nduces\nejusdem\nemptor\nen\nencumber\nencumbrance\nescheat\nestoppel\nex\nexculpatory\nexecutor\nexecutrix\nfacie\nfacto\nfide\nfides\nfiduciary\nforbearance\nfortiori\ngarnishee\ngarnishor\ngeneris\ngrantee\ngrantor\nguarantor\nhabeas\nhereafter\nhereby\nherein\nhereinafter\nhereinbefore\nhereof\nhereto\nheretofore\nhereunder\nherewith\nholographic\nimpleader\ninculpatory\nindemnification\nindemnify\nindemnitee\nindemnitor\nindemnity\nindenture\ninfra\ninitio\ninjunctive\ninsolvency\ninter\ninterlocutory\ninterpleader\ninterrogatories\ninterrogatory\nintervenor\nintestacy\nintestate\nipsa\nipso\njoinder\njudicata\njudice\njure\njusticiability\njusticiable\nleasehold\nlegatee\nlessee\nlessor\nliability\nlibelous\nlicensee\nlicensor\nlien\nlienholder\nlimine\nliquidated\nlis\nlitigant\nloquitur\nmajeure\nmalfeasance\nmandamus\nmens\nmerger\nmeruit\nminimis\nmisfeasance\nmisjoinder\nmistrial\nmortgagee\nmortgagor\nmovant\nmutandis\nmutatis\nnegligently\nnolle\nnolo\nnon\nnoncompete\nnoncompliance\nnondisclosure\nnonfeasance\nnonjoinder\nnonjusticiable\nnonperformance\nnonsuit\nnotwithstanding\nnovation\nnovo\nnunc\nobiter\nobligee\nobligor\nofferee\nofferor\npari\nparte\npassu\npayee\npayor\npendens\npetitioner\npleading\npledgee\npledgor\npres\npretrial\nprima\npro\nprobate\npromisee\npromisor\npromissory\nprosecutrix\nprosequi\nqua\nquantum\nquasi\nquitclaim\nquorum\nrata\nrea\nreceivership\nrecusal\nrecuse\nrelator\nremainderman\nremand\nremittitur\nres\nrescind\nrescission\nrescissory\nrespondent\nrestitution\nreus\nscienter\nse\nsequestration\nsettlor\nseverability\nseverable\nseverance\nshareholder\nsine\nslanderous\nsolicitation\nsolicitor\nsponte\nstirpes\nstockholder\nsua\nsub\nsubcontractor\nsublease\nsublessee\nsublessor\nsublicensable\nsublicense\nsublicensee\nsublicensor\nsubpoena\nsubpoenaed\nsubrogation\nsubrogee\nsubrogor\nsui\nsummons\nsupra\nsur\nsurety\nsurreply\ntecum\ntermination\ntestacy\ntestamentary\ntestator\ntestatrix\nthereafter\nthereby\ntherefor\ntherein\nthereof\nthereto\nthereunder\ntherewith\ntortfeasor\ntortious\ntortiously\ntransferee\ntransferor\ntreble\ntrustee\ntrustor\ntunc\nultra\nunconscionability\nunconscionable\nusufruct\nusurious\nusury\nvendee\nvenue\nvicarious\nvires\nvivos\nviz\nvoidable\nvoir\nwaivable\nwarrantor\nwhereby\nwherein\nwhereof\nwhistleblower\nwrit',
+};
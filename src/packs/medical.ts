@@ -0,0 +1,17 @@
+// Generated by scripts/build-dictionary-pack.cjs from packs/medical.txt — do not edit by hand.
+
+import { DictionaryPack } from '../types';
+
+/**
+ * Medical English: anatomy, conditions, procedures and pharmacology.
+ * 399 words the lite dictionary lacks.
+ */
+export const medicalPack: DictionaryPack = {
+  format: 'english-validator/dictionary-pack',
+  version: 1,
+  name: 'medical',
+  description: 'Medical English: anatomy, conditions, procedures and pharmacology',
+  wordCount: 399,
+  words:
+    'acetabulum\nacetaminophen\nadenocarcinoma\nadenoma\nadrenergic\naetiology\nafebrile\nagonist\nalveolar\nalveoli\nambulatory\nanaesthetic\nanalgesic\nanamnesis\nanaphylactic\nanaphylaxis\nanesthetic\naneurysm\nangina\nangiogram\nangiography\nangioplasty\nantagonist\nantiarrhythmic\nantibiotic\nanticoagulant\nanticoagulation\nanticonvulsant\nantiemetic\nantifungal\nantihistamine\nantihypertensive\nantipyretic\nantiviral\nanxiolytic\naorta\naortic\nappendectomy\nappendiceal\narrhythmia\narteriole\narteriosclerosis\narthritis\narthroplasty\narthroscopy\nasymptomatic\natelectasis\natherosclerosis\natrial\natrium\nauscultation\naxilla\naxillary\nbacteremia\nbenign\nbenzodiazepine\nbeta\nbilateral\nbilaterally\nbiliary\nbioavailability\nbiopsy\nbradycardia\nbronchi\nbronchial\nbronchiectasis\nbronchiole\nbronchiolitis\nbronchitis\nbronchodilator\nbronchoscopy\nbronchus\ncalcaneus\ncarcinoma\ncardiomyopathy\ncarotid\ncatheterisation\ncatheterization\ncecum\ncellulitis\ncerebellar\ncerebellum\ncervical\ncholecystectomy\ncholecystitis\ncirrhosis\nclavicle\nclinician\ncoccyx\ncochlea\ncolectomy\ncolonic\ncolonoscopy\ncolostomy\ncomorbid\ncomorbidities\ncomorbidity\ncontraindicated\ncontraindication\ncornea\ncorneal\ncortical\ncorticosteroid\ncranial\ncraniotomy\ncystoscopy\ndebridement\ndefibrillation\ndefibrillator\ndementia\ndermatitis\ndiagnosis\ndialysis\ndifferential\ndistal\ndiuretic\ndiverticulitis\ndorsal\ndosing\nduodenal\nduodenum\ndysphagia\ndysplasia\ndyspnea\ndyspnoea\ndysuria\nechocardiogram\nechocardiography\nedema\nelectrocardiogram\nelectroencephalogram\nembolism\nemphysema\nencephalitis\nencephalopathy\nendocarditis\nendocardium\nendometriosis\nendometrium\nendoscopic\nendoscopy\nepidemiology\nepidermis\nepiglottis\nepistaxis\nerythema\nesophageal\nesophagus\netiology\nexacerbation\nfascia\nfebrile\nfemoral\nfemur\nfibrillation\nfibrosis\nfibula\ngallbladder\ngastrectomy\ngastroenteritis\ngastroparesis\ngastroscopy\nglaucoma\nglial\nglioblastoma\nglioma\nglucocorticoid\nhaematoma\nhaematuria\nhaemorrhage\nhematoma\nhematuria\nhemodialysis\nhemoptysis\nhemorrhage\nhepatic\nhepatitis\nhepatomegaly\nhippocampus\nhumerus\nhyperglycemia\nhyperkalemia\nhyperlipidemia\nhypertension\nhypertensive\nhyperthyroidism\nhypoglycemia\nhypokalemia\nhyponatremia\nhypotension\nhypothalamus\nhypothyroidism\nhypoxemia\nhypoxia\nhysterectomy\nibuprofen\nidiopathic\nileum\niliac\nimmunosuppressant\nimmunosuppressive\ninguinal\ninpatient\ninsulin\nintercostal\nintramuscular\nintravenous\nintravenously\nintubate\nintubation\nischaemia\nischemia\nischemic\njejunum\nlaparoscopic\nlaparoscopy\nlaparotomy\nlateral\nleukaemia\nleukemia\nlumbar\nlumpectomy\nlymphadenopathy\nlymphatic\nlymphoma\nmalabsorption\nmalignancy\nmammogram\nmammography\nmandible\nmandibular\nmastectomy\nmaxilla\nmaxillary\nmcg\nmedial\nmedulla\nmelanoma\nmeninges\nmeningitis\nmesentery\nmesothelioma\nmetacarpal\nmetastases\nmetastasis\nmetastatic\nmetatarsal\nmorbidity\nmortality\nmultidisciplinary\nmyalgia\nmyeloma\nmyocardial\nmyocarditis\nmyocardium\nnebulizer\nneonatal\nneonate\nnephrectomy\nnephritis\nnephropathy\nneuralgia\nneuronal\nneuropathy\nneutropenia\nnosocomial\nnsaid\noccipital\noedema\noesophagus\noncologist\noncology\nopioid\nosteoarthritis\nosteomyelitis\nosteoporosis\noutpatient\npaediatric\npalliative\npalpation\npancreatic\npancreatitis\nparacentesis\nparacetamol\nparesthesia\nparietal\npatella\npathogen\npathogenesis\npathophysiology\npediatric\npediatrician\npelvic\npercutaneous\npericardial\npericarditis\npericardium\nperineum\nperioperative\nperitoneal\nperitoneum\nperitonitis\nphalanges\npharmacodynamics\npharmacokinetic\npharmacokinetics\nphlebotomy\npituitary\nplacebo\npleura\npleural\npneumonia\npneumothorax\npolyuria\npopliteal\npostoperative\npostoperatively\npostpartum\npreoperative\nprognosis\nprognostic\nprone\nprophylactic\nprophylaxis\nprostate\nproteinuria\nproximal\npruritus\npulmonary\npyelonephritis\nradial\nradiologist\nremission\nrenal\nretina\nretinal\nsacral\nsacrum\nsarcoma\nscapula\nsepsis\nseptic\nsequelae\nsigmoidoscopy\nsphincter\nspirometry\nsplenomegaly\nstatin\nstenosis\nstent\nsternum\nsubacute\nsubclavian\nsubcutaneous\nsubcutaneously\nsublingual\nsupine\nsyncope\nsynovial\ntachycardia\ntachypnea\ntarsal\ntemporal\nthoracentesis\nthoracic\nthoracotomy\nthorax\nthrombocytopenia\nthrombosis\nthrombus\nthyroid\nthyroidectomy\ntibia\ntibial\ntitrate\ntitration\ntonsillectomy\ntrachea\ntracheal\ntracheostomy\ntracheotomy\ntransdermal\ntriage\nulna\nultrasonography\nunilateral\nureter\nurethra\nurethral\nurticaria\nuterine\nvasculitis\nvasodilator\nvenipuncture\nventral\nvertebra\nvertebrae\nvertebral\nwarfarin',
+};
@@ -0,0 +1,17 @@
+// Generated by scripts/build-dictionary-pack.cjs from packs/software.txt — do not edit by hand.
+
+import { DictionaryPack } from '../types';
+
+/**
+ * Software engineering English: programming, tooling, infrastructure and APIs.
+ * 259 words the lite dictionary lacks.
+ */
+export const softwarePack: DictionaryPack = {
+  format: 'english-validator/dictionary-pack',
+  version: 1,
+  name: 'software',
+  description: 'Software engineering English: programming, tooling, infrastructure and APIs',
+  wordCount: 259,
+  words:
+    'accessor\napi\napis\nasync\nasynchronous\nasynchronously\nauth\nauthn\nauthz\nautocomplete\nautoformat\nautoscale\nautoscaling\nbackend\nbackoff\nbackport\nbackpressure\nblob\nboolean\nbooleans\nbootstrap\nbugfix\nbugfixes\nbytecode\ncacheable\nchangelog\nchangeset\nchecksum\ncherry\ncodebase\ncodec\ncodegen\ncodemod\ncodepath\ncombinator\nconfig\nconfigs\nconst\nconstructor\ncoroutine\ncoroutines\ncors\ncron\ncronjob\ncsv\ndaemon\ndatacenter\ndataframe\ndataset\ndatastore\ndedupe\ndeduplicate\ndeduplication\ndependabot\ndeprecate\ndeprecation\ndeserialization\ndeserialize\ndestructure\ndestructuring\ndevops\ndevtools\ndiff\ndiffs\ndocker\ndockerfile\ndotfile\ndotfiles\nenum\nenums\neslint\nfailover\nfalsy\nflaky\nfrontend\nfuzzing\ngeo\ngeocoding\ngitignore\ngraphql\nhardcode\nhardcoded\nhashing\nhashmap\nhostname\nhotfix\nhotfixes\nhtml\nhttp\nhttps\nhypervisor\nidempotency\nidempotent\nimmutability\ningress\ninlined\ninlining\ninstantiate\ninstantiation\ninterop\niterable\niterator\njson\njwt\nkeystore\nkubectl\nkubernetes\nlambda\nlambdas\nlatency\nlgtm\nlinter\nlinting\nloadbalancer\nlocalhost\nlocalization\nlocalstorage\nlockfile\nmakefile\nmemoization\nmemoize\nmicroservice\nmicroservices\nmiddleware\nminified\nminify\nmisconfiguration\nmisconfigured\nmixin\nmixins\nmockable\nmonad\nmonorepo\nmulti\nmultitenancy\nmultithreaded\nmutex\nnamespace\nnamespaces\nnginx\nnit\nnitpick\nnits\nnpm\nnullable\noauth\nobservability\nonboard\nonboarding\norchestrator\npaginate\npagination\npentest\npolyfill\npolyfills\npolymorphism\npostmortem\npreprocess\npreprocessor\nprerelease\nprovisioning\nqueryable\nrebase\nrebasing\nredis\nredundant\nrefactor\nrefactoring\nregex\nregexes\nregressions\nreindex\nrepo\nrepos\nrepro\nrerender\nrerendering\nroadmap\nrunbook\nruntime\nruntimes\nsandbox\nsandboxed\nschema\nschemas\nsemver\nserializable\nserialization\nserialize\nserverless\nsharding\nsidecar\nsingleton\nsql\nsquash\nstacktrace\nstash\nstderr\nstdin\nstdout\nstruct\nstructs\nstubbed\nsubclass\nsubclassing\nsubdomain\nsubnet\nsubnets\nsubprocess\nsubquery\nsubstring\nsubtype\nsynchronous\nsyntactic\ntelemetry\ntemplating\ntenant\nterraform\ntestable\nthrottling\ntimeout\ntimeouts\ntokenize\ntokenizer\ntoolchain\ntranspile\ntranspiler\ntruthy\ntuple\ntuples\ntypecheck\ntypechecker\ntypedef\nunittest\nunmarshal\nunmarshalling\nunmerged\nunserialize\nupsert\nupstream\nuptime\nuri\nurl\nurls\nutf\nuuid\nvarargs\nviewport\nvirtualization\nvtable\nwalkthrough\nwebapp\nwebhook\nwebhooks\nwebpack\nwebsocket\nwebsockets\nxml\nyaml',
+};
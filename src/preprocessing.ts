@@ -1,62 +1,97 @@
 import {
-  DOCUMENT_PATTERNS_MATCH,
-  DOCUMENT_PATTERNS_REMOVE,
-  GEO_TERM_PATTERNS,
+  DEFAULT_IDENTIFIER_PRESETS,
+  DOCUMENT_ID_PATTERNS,
   NON_LETTER_REGEX,
+  TYPOGRAPHIC_QUOTE_REGEX,
+  TYPOGRAPHIC_QUOTES,
 } from './constants';
-import { isNonEmptyString, normalizeWhitespace } from './utils';
+import { createGeoTermIndex, findGeoTermRanges, GeoTermIndex } from './geo-term-index';
+import { GEO_TERMS } from './geo-terms';
+import { removeIdentifiers } from './identifiers';
+import { stripMarkup } from './markup';
+import { splitIdentifiers, stripTechnicalContent } from './technical';
+import {
+  normalizeTrackedWhitespace,
+  removeTrackedRanges,
+  replaceTracked,
+  trackText,
+} from './tracked-text';
+import { DetectionOptions, IdentifierPreset, TrackedText } from './types';
+import { isNonEmptyString } from './utils';
 
 // ─── Document Pattern Operations ──────────────────────────────────────────────
 
 /**
  * Tests whether text contains a document ID pattern such as
- * AEM01-WI-DSU06-SD01, AURG340-SF06, or AEM01. Uses the shared
- * {@link DOCUMENT_PATTERNS_MATCH} constant (DRY with removeDocumentPatterns).
+ * AEM01-WI-DSU06-SD01, AURG340-SF06, or AEM01 (see
+ * {@link DOCUMENT_ID_PATTERNS}). Hyphenated upper-case words without a
+ * digit, such as "WI-FI", are not document IDs here, although the
+ * `document` identifier preset strips them.
  *
  * @param text - The text to check for document ID patterns
  * @returns true if at least one document ID pattern is found
  */
 export const matchesDocumentPattern = (text: string | null | undefined): boolean => {
   if (!isNonEmptyString(text)) return false;
-  return DOCUMENT_PATTERNS_MATCH.some((pattern) => pattern.test(text));
+  return DOCUMENT_ID_PATTERNS.some((pattern) => pattern.test(text));
 };
 
-/**
- * Strips document ID patterns from text so they don't interfere with
- * language detection. Uses the shared {@link DOCUMENT_PATTERNS_REMOVE}
- * constant with global flags for replacement.
- *
- * @param text - Input text potentially containing document IDs
- * @returns Text with document patterns removed and whitespace normalised
- */
-function removeDocumentPatterns(text: string): string {
-  let cleaned = text;
-  for (const pattern of DOCUMENT_PATTERNS_REMOVE) {
-    cleaned = cleaned.replace(pattern, '');
+// ─── Geographical Term Removal ────────────────────────────────────────────────
+
+/** Index of the built-in {@link GEO_TERMS}, built on first use. */
+let builtInGeoTerms: GeoTermIndex | undefined;
+
+/** Indexes of caller-supplied `geoTerms` lists, built once per array. */
+const extraGeoTerms = new WeakMap<readonly string[], GeoTermIndex>();
+
+/** The built-in term index followed by the index of `extra`, if any. */
+function geoTermIndexes(extra: readonly string[] | undefined): GeoTermIndex[] {
+  builtInGeoTerms ??= createGeoTermIndex(GEO_TERMS);
+  if (!extra || extra.length === 0) return [builtInGeoTerms];
+  let index = extraGeoTerms.get(extra);
+  if (!index) {
+    index = createGeoTermIndex(extra, true);
+    extraGeoTerms.set(extra, index);
   }
-  return normalizeWhitespace(cleaned);
+  return [builtInGeoTerms, index];
 }
 
-// ─── Geographical Term Removal ────────────────────────────────────────────────
-
 /**
- * Removes geographical terms (country names, regions, cities) that appear
- * as standalone words to prevent false positives during detection.
+ * Removes geographical terms (country names, regions, cities) and the
+ * regulatory and proper-noun terms listed with them, plus any `geoTerms`
+ * the caller adds, that appear as standalone words — to prevent false
+ * positives during detection.
  *
- * Patterns are precompiled once at module load via {@link GEO_TERM_PATTERNS}
- * rather than rebuilt on every call (optimisation).
+ * One scan over the text's words finds every term and plural (see
+ * {@link findGeoTermRanges}). Each built-in entry removes one occurrence,
+ * as the per-term regexes this replaces did; extra terms remove them all.
  *
  * @param inputText - Input text containing potential geographical terms
+ * @param extra     - Terms applied after the built-in list
  * @returns Text with geographical terms removed and whitespace normalised
+ * @throws {RangeError} If an extra term does not start and end with a letter or digit
  */
-function removeGeographicalTerms(inputText: string | null | undefined): string {
-  if (!isNonEmptyString(inputText)) return inputText as unknown as string;
+function removeGeographicalTerms(
+  inputText: TrackedText,
+  extra: readonly string[] | undefined,
+): TrackedText {
+  if (!isNonEmptyString(inputText.text)) return inputText;
 
-  let result = inputText;
-  for (const pattern of GEO_TERM_PATTERNS) {
-    result = result.replace(pattern, '');
-  }
-  return normalizeWhitespace(result);
+  const ranges = findGeoTermRanges(inputText.text, geoTermIndexes(extra));
+  return normalizeTrackedWhitespace(removeTrackedRanges(inputText, ranges));
+}
+
+// ─── Non-Letter Removal ───────────────────────────────────────────────────────
+
+/**
+ * Normalises typographic apostrophes and quotes to ASCII ("don’t" becomes
+ * "don't"), then replaces every character other than letters, combining
+ * marks, digits, currency signs, whitespace and basic punctuation with a
+ * space.
+ */
+function removeNonLetters(text: TrackedText): TrackedText {
+  const ascii = replaceTracked(text, TYPOGRAPHIC_QUOTE_REGEX, (quote) => TYPOGRAPHIC_QUOTES[quote]);
+  return replaceTracked(ascii, NON_LETTER_REGEX, ' ');
 }
 
 // ─── Text Preprocessing Pipeline ──────────────────────────────────────────────
@@ -65,32 +100,49 @@ function removeGeographicalTerms(inputText: string | null | undefined): string {
  * Preprocesses raw input text for language detection by applying
  * a multi-stage cleaning pipeline:
  *
- * 1. Remove document ID patterns (e.g. AEM01-WI-DSU06-SD01)
- * 2. Remove geographical terms that cause false positives
- * 3. Apply user-supplied custom regex patterns
- * 4. Remove user-supplied exclude words
- * 5. Strip non-letter Unicode characters and normalise whitespace
+ * 1. In technical mode, remove code blocks, stack traces and log lines
+ *    (see {@link stripTechnicalContent})
+ * 2. Strip HTML/Markdown syntax, URLs, emails, mentions, hashtags and
+ *    emoji shortcodes (see {@link stripMarkup})
+ * 3. Remove identifiers of the enabled presets (document IDs such as
+ *    AEM01-WI-DSU06-SD01 by default, plus file paths in technical mode;
+ *    see {@link removeIdentifiers})
+ * 4. Remove geographical terms that cause false positives, plus the
+ *    caller's `geoTerms` (skipped with `stripGeoTerms: false`)
+ * 5. Apply user-supplied custom regex patterns
+ * 6. Remove user-supplied exclude words
+ * 7. In technical mode, split identifiers into words (see
+ *    {@link splitIdentifiers})
+ * 8. Normalise typographic quotes, strip characters other than letters,
+ *    digits, currency signs and basic punctuation, and normalise whitespace
+ *
+ * Every stage keeps track of where each surviving character came from,
+ * so results can be reported against the caller's original string.
  *
  * Extracted as a separate module following the Single Responsibility
  * Principle — keeps cleaning logic decoupled from detection logic.
  *
- * @param text - Raw input text
- * @param customPatterns - Optional user-supplied regex patterns to strip
- * @param excludeWords - Optional user-supplied words to remove
- * @returns Cleaned, normalised text ready for word and trigram analysis
+ * @param text    - Raw input text
+ * @param options - Markup and technical options, identifiers, geo terms, customPatterns, excludeWords
+ * @returns Cleaned text with per-character offsets into the raw input
+ * @throws {RangeError} For an unknown identifier preset or a malformed geo term
  */
-export function preprocessText(
-  text: string,
-  customPatterns?: RegExp[],
-  excludeWords?: string[],
-): string {
-  let processed = removeDocumentPatterns(text);
-  processed = removeGeographicalTerms(processed);
+export function preprocessTracked(text: string, options: DetectionOptions = {}): TrackedText {
+  const { customPatterns, excludeWords, technical = false } = options;
+  const tracked = technical ? stripTechnicalContent(trackText(text), options) : trackText(text);
+  const presets: readonly IdentifierPreset[] = options.identifiers ?? DEFAULT_IDENTIFIER_PRESETS;
+  let processed = removeIdentifiers(
+    stripMarkup(tracked, options),
+    technical ? [...presets, 'file-path'] : presets,
+  );
+  if (options.stripGeoTerms !== false) {
+    processed = removeGeographicalTerms(processed, options.geoTerms);
+  }
 
   // Apply user-supplied regex patterns
   if (customPatterns && customPatterns.length > 0) {
     for (const pattern of customPatterns) {
-      processed = processed.replace(pattern, '');
+      processed = replaceTracked(processed, pattern);
     }
   }
 
@@ -98,10 +150,22 @@ export function preprocessText(
   if (excludeWords && excludeWords.length > 0) {
     for (const word of excludeWords) {
       const escaped = word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-      processed = processed.replace(new RegExp(`\\b${escaped}\\b`, 'gi'), '');
+      processed = replaceTracked(processed, new RegExp(`\\b${escaped}\\b`, 'gi'));
     }
   }
 
-  processed = processed.replace(NON_LETTER_REGEX, ' ');
-  return normalizeWhitespace(processed);
+  if (technical) processed = splitIdentifiers(processed);
+  processed = removeNonLetters(processed);
+  return normalizeTrackedWhitespace(processed);
+}
+
+/**
+ * String-only form of {@link preprocessTracked}.
+ *
+ * @param text    - Raw input text
+ * @param options - Markup and technical options, identifiers, geo terms, customPatterns, excludeWords
+ * @returns Cleaned, normalised text ready for word and trigram analysis
+ */
+export function preprocessText(text: string, options: DetectionOptions = {}): string {
+  return preprocessTracked(text, options).text;
 }
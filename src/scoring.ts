@@ -0,0 +1,108 @@
+import { SECONDARY_ENGLISH_CEILING, SECONDARY_ENGLISH_FLOOR, SCORING_PRESETS } from './constants';
+import {
+  DetectionOptions,
+  ScoreSignals,
+  ScoringModel,
+  ScoringOptions,
+  ThresholdSource,
+  TokenAnalysis,
+} from './types';
+
+// ─── Scoring Model ────────────────────────────────────────────────────────────
+
+/**
+ * Resolves the `scoring` and `englishThreshold` options to a complete
+ * model: the preset's weights, then the caller's overrides, then
+ * englishThreshold (which always wins for the threshold).
+ *
+ * @param options - Detection options
+ * @returns The model and where its threshold came from
+ * @throws {RangeError} If the preset name is not a known preset
+ */
+export function resolveScoringModel(options: DetectionOptions): {
+  model: ScoringModel;
+  thresholdSource: ThresholdSource;
+} {
+  const scoring: ScoringOptions =
+    typeof options.scoring === 'string' ? { preset: options.scoring } : (options.scoring ?? {});
+  const { preset = 'balanced', ...overrides } = scoring;
+  if (!Object.prototype.hasOwnProperty.call(SCORING_PRESETS, preset)) {
+    throw new RangeError(`Unknown scoring preset: "${preset}"`);
+  }
+
+  const model: ScoringModel = { ...SCORING_PRESETS[preset] };
+  for (const [key, value] of Object.entries(overrides) as [keyof ScoringModel, number][]) {
+    if (value !== undefined) model[key] = value;
+  }
+  if (options.englishThreshold !== undefined) model.threshold = options.englishThreshold;
+
+  const thresholdSource: ThresholdSource =
+    options.englishThreshold !== undefined || overrides.threshold !== undefined
+      ? 'option'
+      : scoring.preset !== undefined
+        ? 'preset'
+        : 'default';
+  return { model, thresholdSource };
+}
+
+/**
+ * Share of counted tokens rejected by a non-English indicator screen
+ * (characters, endings, vocabulary, function words or a romanized pack).
+ * Unknown words are not indicator hits.
+ */
+export function indicatorShare(tokens: readonly TokenAnalysis[]): number {
+  const counted = tokens.filter((token) => token.counted);
+  if (counted.length === 0) return 0;
+  const flagged = counted.filter(
+    ({ reason }) => reason.startsWith('non-english-') || reason.startsWith('romanized-'),
+  );
+  return flagged.length / counted.length;
+}
+
+/**
+ * How short a text is to the model: 1 at half of fullLengthWords or fewer,
+ * falling linearly to 0 at fullLengthWords.
+ */
+export function shortness(words: number, fullLengthWords: number): number {
+  if (fullLengthWords <= 0) return 0;
+  return clamp((fullLengthWords - words) / (fullLengthWords / 2));
+}
+
+/**
+ * The secondary detector's score for English rescaled to the model's
+ * secondaryEnglish signal (see {@link SECONDARY_ENGLISH_FLOOR} and
+ * {@link SECONDARY_ENGLISH_CEILING}).
+ */
+export function secondaryEnglishSignal(englishScore: number): number {
+  return clamp(
+    (englishScore - SECONDARY_ENGLISH_FLOOR) /
+      (SECONDARY_ENGLISH_CEILING - SECONDARY_ENGLISH_FLOOR),
+  );
+}
+
+/**
+ * English probability for the given signals under a model. A
+ * secondaryEnglish signal of null leaves the secondary detector's term out.
+ *
+ * @param englishRatio - Share of counted tokens recognised as English
+ * @param signals      - The other signals
+ * @param model        - Weights to blend them with
+ * @returns The probability, clamped to 0.0–1.0
+ */
+export function scoreSignals(
+  englishRatio: number,
+  signals: ScoreSignals,
+  model: ScoringModel,
+): number {
+  return clamp(
+    englishRatio -
+      model.heuristicWeight * signals.indicatorShare +
+      model.secondaryWeight * (signals.secondaryEnglish ?? 0) +
+      model.lengthWeight * signals.shortness,
+  );
+}
+
+/** Clamps a value to 0.0–1.0. */
+function clamp(value: number): number {
+  return Math.min(1, Math.max(0, value));
+}
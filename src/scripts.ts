@@ -0,0 +1,69 @@
+import { SCRIPT_PATTERNS, UNSEGMENTED_SCRIPT_REGEX } from './constants';
+import { ScriptName, ScriptProfile } from './types';
+
+// ─── Script Profiling ─────────────────────────────────────────────────────────
+
+/** A single letter of any script. */
+const LETTER_REGEX = /\p{L}/u;
+
+/** Unsegmented-script letters one at a time, and runs of everything else. */
+const SEGMENT_REGEX = new RegExp(
+  `${UNSEGMENTED_SCRIPT_REGEX.source}|(?:(?!${UNSEGMENTED_SCRIPT_REGEX.source})[^])+`,
+  'gu',
+);
+
+/** The named script a letter belongs to, or `Other`. */
+function scriptOf(letter: string): ScriptName {
+  if (letter < '\u0080') return 'Latin';
+  for (const [script, pattern] of SCRIPT_PATTERNS) {
+    if (pattern.test(letter)) return script;
+  }
+  return 'Other';
+}
+
+/**
+ * Counts the letters of a text per Unicode script. Marks, digits,
+ * punctuation and whitespace are ignored.
+ *
+ * @param text - Text to profile (normally the preprocessed text)
+ * @returns Letter counts per script, the dominant script and the non-Latin share
+ *
+ * @example
+ * profileScripts("Привет, hi"); // { letters: 8, counts: { Cyrillic: 6, Latin: 2 }, dominant: "Cyrillic", nonLatinRatio: 0.75 }
+ */
+export function profileScripts(text: string): ScriptProfile {
+  const counts: Partial<Record<ScriptName, number>> = {};
+  let letters = 0;
+
+  for (const char of text) {
+    if (!LETTER_REGEX.test(char)) continue;
+    const script = scriptOf(char);
+    counts[script] = (counts[script] ?? 0) + 1;
+    letters++;
+  }
+
+  let dominant: ScriptName | null = null;
+  for (const [script, count] of Object.entries(counts) as [ScriptName, number][]) {
+    if (dominant === null || count > counts[dominant]!) dominant = script;
+  }
+
+  const nonLatin = letters - (counts.Latin ?? 0);
+  return { letters, counts, dominant, nonLatinRatio: letters > 0 ? nonLatin / letters : 0 };
+}
+
+/**
+ * Splits a whitespace-delimited word into tokens, giving each letter of an
+ * unsegmented script (Chinese, Japanese, Thai…) a token of its own:
+ * "我爱你" is three tokens and "hello世界" is "hello", "世", "界". Any
+ * other word is returned whole.
+ *
+ * @param word - Word from the preprocessed text
+ * @returns The word's tokens with their offsets within the word
+ */
+export function segmentWord(word: string): { token: string; offset: number }[] {
+  if (!UNSEGMENTED_SCRIPT_REGEX.test(word)) return [{ token: word, offset: 0 }];
+  return Array.from(word.matchAll(SEGMENT_REGEX), (match) => ({
+    token: match[0],
+    offset: match.index!,
+  }));
+}
@@ -0,0 +1,33 @@
+import { SecondaryAnalysis, ValidatorContext } from './types';
+
+// ─── Secondary Language Detection ─────────────────────────────────────────────
+
+/**
+ * Asks the validator's secondary detector (the built-in trigram detector
+ * unless configured otherwise) for its best guess and the score it gave
+ * English, which the scoring model uses whether or not English came out
+ * on top.
+ *
+ * Results are memoised in the validator's LRU secondary cache so repeated
+ * lookups for the same text are O(1).
+ *
+ * @param text    - Text for the detector to read
+ * @param context - Validator whose detector and cache to use
+ * @returns Best ISO 639-3 code (`und` when undetermined), its score and English's score
+ */
+export function secondaryLanguageAnalysis(
+  text: string,
+  context: ValidatorContext,
+): SecondaryAnalysis {
+  const { secondaryCache, secondaryDetector } = context;
+  const cached = secondaryCache.get(text);
+  if (cached) return cached;
+
+  const scores = secondaryDetector(text);
+  const [language, confidence] = scores[0] ?? ['und', 1];
+  const english = scores.find(([lang]) => lang === 'eng');
+
+  const result = { language, confidence, englishScore: english ? english[1] : 0 };
+  secondaryCache.set(text, result);
+  return result;
+}
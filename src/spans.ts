@@ -0,0 +1,95 @@
+import { analyzeToken, resolveTokenOptions } from './analysis';
+import { detectLanguage } from './language-detection';
+import { findNameLikeTokens, tolerateCommonWord, tolerateNamedEntity } from './named-entities';
+import { preprocessTracked } from './preprocessing';
+import { tokenize } from './tokenizer';
+import { NonEnglishSpan, SpanOptions, ValidatorContext } from './types';
+import { isNonEmptyString } from './utils';
+
+// ─── Span Detection ───────────────────────────────────────────────────────────
+
+/** A run of non-English words being accumulated. */
+interface OpenSpan {
+  start: number;
+  end: number;
+  words: string[];
+}
+
+/**
+ * Finds contiguous runs of non-English words inside mixed-language text,
+ * e.g. a French error message pasted into an English paragraph.
+ *
+ * Words are judged exactly as {@link analyzeText} judges them (same
+ * preprocessing, same word-level checks). English words end a run;
+ * words shorter than minWordLength, numbers (including ordinals, measures
+ * and currency amounts), tolerated names (with namedEntities) and text
+ * removed by preprocessing (markup, document IDs, geographical terms,
+ * customPatterns, excludeWords) are neutral and do not. Offsets point into
+ * the original input, not the preprocessed text. Each run is labelled with
+ * the best non-English language {@link detectLanguage} finds for it, which
+ * weighs the word heuristics with the secondary detector: a few words are
+ * too little for trigrams alone.
+ *
+ * @param inputText - The text to scan
+ * @param options   - Detection configuration plus minSpanWords
+ * @param context   - Validator whose dictionary and caches to use
+ * @returns Non-English runs in input order (empty for English/empty input)
+ */
+export function findNonEnglishSpans(
+  inputText: string | null | undefined,
+  options: SpanOptions,
+  context: ValidatorContext,
+): NonEnglishSpan[] {
+  if (!isNonEmptyString(inputText) || inputText.trim().length === 0) return [];
+
+  const { minSpanWords = 1 } = options;
+  const tokenOptions = resolveTokenOptions(options);
+
+  const processed = preprocessTracked(inputText, options);
+  const spans: NonEnglishSpan[] = [];
+  let open: OpenSpan | null = null;
+
+  const close = () => {
+    if (open && open.words.length >= minSpanWords) {
+      const { start, end, words } = open;
+      const text = inputText.slice(start, end);
+      const best = detectLanguage(text, options, context).find(
+        (candidate) => candidate.language !== 'eng',
+      );
+      const language = best
+        ? { language: best.language, confidence: best.score }
+        : { language: 'und', confidence: 1 };
+      spans.push({ start, end, text, words, language });
+    }
+    open = null;
+  };
+
+  const words = tokenize(processed.text);
+  const nameLike = tokenOptions.namedEntities ? findNameLikeTokens(processed.text, words) : null;
+
+  words.forEach((word, i) => {
+    if (word.kind !== 'word') return;
+    let token = analyzeToken(word, tokenOptions, context);
+    if (token && nameLike) {
+      token = nameLike[i] ? tolerateNamedEntity(token) : tolerateCommonWord(token);
+    }
+    if (!token || !token.counted) return;
+    if (token.isEnglish) {
+      close();
+      return;
+    }
+
+    const start = processed.starts[word.start];
+    const end = processed.ends[word.end - 1];
+
+    if (open) {
+      open.end = end;
+      open.words.push(token.token);
+    } else {
+      open = { start, end, words: [token.token] };
+    }
+  });
+  close();
+
+  return spans;
+}
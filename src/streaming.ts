@@ -0,0 +1,196 @@
+import { analyzeText } from './analysis';
+import { PARAGRAPH_BOUNDARY_REGEX, SENTENCE_BOUNDARY_REGEX } from './constants';
+import {
+  DocumentSummary,
+  StreamChunkResult,
+  StreamOptions,
+  TextChunk,
+  ValidatorContext,
+} from './types';
+
+// ─── Document Chunking ────────────────────────────────────────────────────────
+
+/** Default longest chunk, in characters, before a forced cut. */
+const DEFAULT_MAX_CHUNK_LENGTH = 2000;
+
+/** Incremental splitter that turns arbitrary text pieces into whole chunks. */
+export interface TextChunker {
+  /** Appends text and returns every chunk completed by it. */
+  push(text: string): TextChunk[];
+  /** Returns whatever is left in the buffer as a final chunk. */
+  flush(): TextChunk[];
+}
+
+/**
+ * Creates an incremental paragraph or sentence splitter. Text may arrive
+ * in pieces that end mid-word or mid-sentence; a chunk is only emitted
+ * once its boundary (and the whitespace after it) has been seen, so
+ * words are never cut across pieces. Text running longer than
+ * maxChunkLength before its boundary is cut at its last whitespace.
+ *
+ * @param options - Split mode and maximum chunk length
+ * @returns A stateful chunker
+ */
+export function createTextChunker(
+  options: Pick<StreamOptions, 'split' | 'maxChunkLength'> = {},
+): TextChunker {
+  const { split = 'paragraph', maxChunkLength = DEFAULT_MAX_CHUNK_LENGTH } = options;
+  const boundary = split === 'sentence' ? SENTENCE_BOUNDARY_REGEX : PARAGRAPH_BOUNDARY_REGEX;
+  const limit = Math.max(1, Math.floor(maxChunkLength));
+
+  let buffer = '';
+  let bufferStart = 0;
+
+  /** Emits buffer[0, cut) as a trimmed chunk and drops buffer[0, next). */
+  const take = (cut: number, next: number, out: TextChunk[]) => {
+    const piece = buffer.slice(0, cut);
+    const text = piece.trim();
+    if (text.length > 0) {
+      const start = bufferStart + piece.length - piece.trimStart().length;
+      out.push({ text, start, end: start + text.length });
+    }
+    buffer = buffer.slice(next);
+    bufferStart += next;
+  };
+
+  return {
+    push(text) {
+      buffer += text;
+      const out: TextChunk[] = [];
+
+      for (;;) {
+        const match = boundary.exec(buffer);
+        const next = match ? match.index + match[0].length : buffer.length;
+        const end = match ? next - match[1].length : buffer.length;
+
+        if (end > limit) {
+          let cut = lastWhitespace(buffer, limit);
+          if (cut <= 0) cut = safeCut(buffer, limit);
+          take(cut, cut, out);
+        } else if (match) {
+          take(end, next, out);
+        } else {
+          return out;
+        }
+      }
+    },
+
+    flush() {
+      const out: TextChunk[] = [];
+      take(buffer.length, buffer.length, out);
+      return out;
+    },
+  };
+}
+
+/** Index of the last whitespace character at or before limit, or -1. */
+function lastWhitespace(text: string, limit: number): number {
+  for (let i = Math.min(limit, text.length - 1); i >= 0; i--) {
+    if (/\s/.test(text[i])) return i;
+  }
+  return -1;
+}
+
+/** Cut position at or before limit that doesn't split a surrogate pair. */
+function safeCut(text: string, limit: number): number {
+  const code = text.charCodeAt(limit - 1);
+  return code >= 0xd800 && code <= 0xdbff && limit > 1 ? limit - 1 : limit;
+}
+
+// ─── Chunk Classification ─────────────────────────────────────────────────────
+
+/** Classifies chunks one at a time while keeping document totals. */
+export interface DocumentClassifier {
+  /** Runs the detection pipeline over one chunk and updates the totals. */
+  classify(chunk: TextChunk): StreamChunkResult;
+  /** Totals over every chunk classified so far. */
+  summary(): DocumentSummary;
+}
+
+/**
+ * Creates a classifier that runs each chunk through {@link analyzeText}
+ * (same preprocessing, word analysis and trigram fallback as isEnglish) and
+ * keeps a running document summary.
+ *
+ * @param options - Detection configuration applied to every chunk
+ * @param context - Validator whose dictionary and caches to use
+ * @returns A stateful classifier
+ */
+export function createDocumentClassifier(
+  options: StreamOptions,
+  context: ValidatorContext,
+): DocumentClassifier {
+  const totals = { chunks: 0, englishChunks: 0, totalRelevantWords: 0, englishWordCount: 0 };
+
+  const summary = (): DocumentSummary => ({
+    ...totals,
+    percentEnglishByWords: percentage(totals.englishWordCount, totals.totalRelevantWords),
+    percentEnglishByChunks: percentage(totals.englishChunks, totals.chunks),
+  });
+
+  return {
+    classify(chunk) {
+      const report = analyzeText(chunk.text, options, context);
+      const index = totals.chunks;
+
+      totals.chunks++;
+      if (report.isEnglish) totals.englishChunks++;
+      totals.totalRelevantWords += report.totalRelevantWords;
+      totals.englishWordCount += report.englishWordCount;
+
+      return {
+        index,
+        text: chunk.text,
+        start: chunk.start,
+        end: chunk.end,
+        isEnglish: report.isEnglish,
+        englishRatio: report.englishRatio,
+        totalRelevantWords: report.totalRelevantWords,
+        englishWordCount: report.englishWordCount,
+        summary: summary(),
+      };
+    },
+    summary,
+  };
+}
+
+/** part / whole as a percentage, 100 when whole is 0. */
+function percentage(part: number, whole: number): number {
+  return whole > 0 ? (part / whole) * 100 : 100;
+}
+
+// ─── Async Iterator API ───────────────────────────────────────────────────────
+
+/**
+ * Classifies a large document without holding it in memory. Accepts any
+ * (async) iterable of strings or bytes — including Node.js readable
+ * streams — splits it into paragraphs or sentences, and yields one result
+ * per chunk with a running document summary.
+ *
+ * Bytes are decoded as UTF-8 in streaming mode, so multi-byte characters
+ * split across pieces are reassembled correctly.
+ *
+ * @param source  - Document pieces (strings or UTF-8 bytes)
+ * @param options - Detection configuration plus split and maxChunkLength
+ * @param context - Validator whose dictionary and caches to use
+ * @returns Async iterator of per-chunk results
+ */
+export async function* detectStream(
+  source: AsyncIterable<string | Uint8Array> | Iterable<string | Uint8Array>,
+  options: StreamOptions,
+  context: ValidatorContext,
+): AsyncGenerator<StreamChunkResult, DocumentSummary> {
+  const chunker = createTextChunker(options);
+  const classifier = createDocumentClassifier(options, context);
+  const decoder = new TextDecoder('utf-8');
+
+  for await (const piece of source) {
+    const text = typeof piece === 'string' ? piece : decoder.decode(piece, { stream: true });
+    for (const chunk of chunker.push(text)) yield classifier.classify(chunk);
+  }
+
+  for (const chunk of chunker.push(decoder.decode())) yield classifier.classify(chunk);
+  for (const chunk of chunker.flush()) yield classifier.classify(chunk);
+
+  return classifier.summary();
+}
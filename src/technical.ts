@@ -0,0 +1,63 @@
+import {
+  IDENTIFIER_PART_REGEX,
+  IDENTIFIER_REGEX,
+  INDENTED_CODE_REGEX,
+  MARKDOWN_CODE_SPAN_REGEX,
+  MARKDOWN_FENCE_REGEX,
+  TECHNICAL_LINE_PATTERNS,
+} from './constants';
+import { replaceTracked } from './tracked-text';
+import { DetectionOptions, TrackedText } from './types';
+
+// ─── Technical Text ───────────────────────────────────────────────────────────
+
+/**
+ * Removes what technical text holds besides prose: stack-trace and log
+ * lines (see {@link TECHNICAL_LINE_PATTERNS}) in every format, and fenced
+ * code blocks, indented code blocks and inline code spans unless stripCode
+ * is off. Indented blocks are left alone in HTML, where indentation is
+ * only layout.
+ *
+ * Runs before any stage that collapses whitespace: lines and blank lines
+ * are what the patterns read. A removed line leaves its line break, so
+ * the source line Python prints under each frame follows a blank line
+ * and goes as an indented block.
+ *
+ * @param text    - Tracked raw input
+ * @param options - Detection options (format and stripCode)
+ * @returns Tracked text without code, stack traces and log lines
+ */
+export function stripTechnicalContent(text: TrackedText, options: DetectionOptions): TrackedText {
+  const { format = 'plain', stripCode = true } = options;
+
+  let result = stripCode ? replaceTracked(text, MARKDOWN_FENCE_REGEX, '\n') : text;
+  for (const pattern of TECHNICAL_LINE_PATTERNS) result = replaceTracked(result, pattern);
+  if (!stripCode) return result;
+
+  if (format !== 'html') result = replaceTracked(result, INDENTED_CODE_REGEX, '\n');
+  return replaceTracked(result, MARKDOWN_CODE_SPAN_REGEX, ' ');
+}
+
+/**
+ * Lower-case words of an identifier: "parseHttpResponse" gives
+ * "parse http response", "MAX_RETRY_COUNT" "max retry count" and
+ * "os.path.join" "os path join".
+ *
+ * @param identifier - camelCase, PascalCase, snake_case, SCREAMING_CASE or dotted identifier
+ * @returns Its words, separated by spaces
+ */
+export function identifierWords(identifier: string): string {
+  return (identifier.match(IDENTIFIER_PART_REGEX) ?? []).join(' ').toLowerCase();
+}
+
+/**
+ * Replaces every identifier (see {@link IDENTIFIER_REGEX}) with its words,
+ * so each is checked against the dictionary on its own. The words map to
+ * the whole identifier in the original input.
+ *
+ * @param text - Tracked text
+ * @returns Tracked text with identifiers split into words
+ */
+export function splitIdentifiers(text: TrackedText): TrackedText {
+  return replaceTracked(text, IDENTIFIER_REGEX, identifierWords);
+}
@@ -0,0 +1,173 @@
+import {
+  CURRENCY_MAGNITUDES,
+  MEASUREMENT_UNITS,
+  TYPOGRAPHIC_QUOTE_REGEX,
+  TYPOGRAPHIC_QUOTES,
+} from './constants';
+import { segmentWord } from './scripts';
+import { NumericTokenKind, TextToken } from './types';
+
+// ─── Tokenizer ────────────────────────────────────────────────────────────────
+
+/** Digits with thousands separators or a decimal part: 42, 1,000, 3.5. */
+const NUMBER = String.raw`\d+(?:[.,]\d+)*`;
+
+/**
+ * A number with its optional parts: a leading currency sign, a second
+ * number after a slash or colon (24/7, 10:30), then a trailing currency
+ * sign, a percent sign or letters (a unit, an ordinal suffix or a
+ * magnitude), straight after it or after one space.
+ */
+const NUMERIC_SOURCE = String.raw`(\p{Sc})?(${NUMBER}(?:[/:]${NUMBER})?)(?:(\p{Sc})|(%)|( ?)(\p{L}+))?`;
+
+/** Number-like candidates inside text, not touching letters or digits. */
+const NUMERIC_CANDIDATE_REGEX = new RegExp(
+  String.raw`(?<![\p{L}\p{M}\p{N}\p{Sc}])${NUMERIC_SOURCE}(?![\p{L}\p{M}\p{N}])`,
+  'gu',
+);
+
+/** A whole token that is number-like. */
+const NUMERIC_TOKEN_REGEX = new RegExp(`^${NUMERIC_SOURCE}$`, 'u');
+
+/** Fallback word pattern where `Intl.Segmenter` is unavailable. */
+const FALLBACK_WORD_REGEX = /[\p{L}\p{M}\p{N}_]+(?:['.:][\p{L}\p{M}\p{N}_]+)*/gu;
+
+/** The parts of `Intl.Segmenter` (ES2022) used here. */
+interface WordSegmenter {
+  segment(input: string): Iterable<{ segment: string; index: number; isWordLike?: boolean }>;
+}
+
+/** The shared word segmenter: created on first use, null without `Intl.Segmenter`. */
+let wordSegmenter: WordSegmenter | null | undefined;
+
+function getWordSegmenter(): WordSegmenter | null {
+  if (wordSegmenter === undefined) {
+    const { Segmenter } = Intl as unknown as {
+      Segmenter?: new (locale: string, options: { granularity: 'word' }) => WordSegmenter;
+    };
+    wordSegmenter = Segmenter ? new Segmenter('en', { granularity: 'word' }) : null;
+  }
+  return wordSegmenter;
+}
+
+/** Whether `suffix` is the right ordinal suffix for `digits` (1st, 12th, 22nd). */
+function isOrdinal(digits: string, suffix: string): boolean {
+  if (!/^\d+$/.test(digits)) return false;
+  const n = Number(digits.slice(-2));
+  const expected = n >= 11 && n <= 13 ? 'th' : (['th', 'st', 'nd', 'rd'][n % 10] ?? 'th');
+  return suffix === expected;
+}
+
+/**
+ * Resolves a number-like match to a token kind and length. Letters after
+ * the number that are not a unit, ordinal suffix or magnitude are left
+ * out when spaced ("10 in" is "10" and "in") and make the match a word
+ * when written straight after it ("3ala").
+ */
+function resolveNumeric(
+  match: RegExpMatchArray,
+): { kind: NumericTokenKind; length: number } | null {
+  const [whole, lead, number, trail, percent, space = '', letters] = match;
+  const currency = Boolean(lead || trail);
+  if (letters) {
+    const suffix = letters.toLowerCase();
+    let kind: NumericTokenKind | null = null;
+    if (currency) {
+      kind = CURRENCY_MAGNITUDES.has(suffix) ? 'currency' : null;
+    } else if (!space && isOrdinal(number, suffix)) {
+      kind = 'ordinal';
+    } else if (
+      MEASUREMENT_UNITS.has(suffix) &&
+      (!space || (suffix.length > 1 && suffix !== 'in'))
+    ) {
+      kind = 'measure';
+    }
+    if (kind) return { kind, length: whole.length };
+    if (!space) return null;
+    return {
+      kind: currency ? 'currency' : 'number',
+      length: whole.length - space.length - letters.length,
+    };
+  }
+  return { kind: percent ? 'measure' : currency ? 'currency' : 'number', length: whole.length };
+}
+
+/**
+ * The kind of a number-like token: a number, ordinal, measure or currency
+ * amount as {@link tokenize} recognises them. Case-insensitive.
+ *
+ * @param token - A single token
+ * @returns The numeric kind, or null for anything else
+ *
+ * @example
+ * numericTokenKind('3.5gb'); // 'measure'
+ * numericTokenKind('web3');  // null
+ */
+export function numericTokenKind(token: string): NumericTokenKind | null {
+  const match = token.match(NUMERIC_TOKEN_REGEX);
+  if (!match) return null;
+  const numeric = resolveNumeric(match);
+  return numeric && numeric.length === token.length ? numeric.kind : null;
+}
+
+/**
+ * Splits text into tokens using `Intl.Segmenter` word boundaries (a
+ * letter-and-digit pattern where it is unavailable):
+ *
+ * - hyphenated compounds are split into their parts ("state-of-the-art" is
+ *   four words)
+ * - numbers, ordinals, numbers with units and currency amounts are single
+ *   tokens ("3.5GB", "100 ms", "21st", "$20", "24/7", "50%")
+ * - typographic apostrophes and quotes are normalised ("don’t" is "don't")
+ * - each letter of an unsegmented script (Chinese, Japanese, Thai…) is a
+ *   token of its own
+ * - punctuation, symbols and whitespace are dropped
+ *
+ * @param text - Text to tokenize
+ * @returns Tokens in input order, with offsets into `text`
+ *
+ * @example
+ * tokenize('Don’t pay $20 for 3.5GB').map((t) => `${t.text}:${t.kind}`);
+ * // ["Don't:word", 'pay:word', '$20:currency', 'for:word', '3.5GB:measure']
+ */
+export function tokenize(text: string): TextToken[] {
+  const normalized = text.replace(TYPOGRAPHIC_QUOTE_REGEX, (quote) => TYPOGRAPHIC_QUOTES[quote]);
+  const tokens: TextToken[] = [];
+  let cursor = 0;
+
+  for (const match of normalized.matchAll(NUMERIC_CANDIDATE_REGEX)) {
+    const numeric = resolveNumeric(match);
+    if (!numeric) continue;
+    const start = match.index!;
+    const end = start + numeric.length;
+    pushWords(normalized, cursor, start, tokens);
+    tokens.push({ text: normalized.slice(start, end), kind: numeric.kind, start, end });
+    cursor = end;
+  }
+  pushWords(normalized, cursor, normalized.length, tokens);
+
+  return tokens;
+}
+
+/** Appends the word tokens of `text` between `from` and `to`. */
+function pushWords(text: string, from: number, to: number, tokens: TextToken[]): void {
+  if (from >= to) return;
+  const slice = text.slice(from, to);
+  const segmenter = getWordSegmenter();
+  const words = segmenter
+    ? Array.from(segmenter.segment(slice))
+        .filter((segment) => segment.isWordLike)
+        .map((segment) => ({ word: segment.segment, index: segment.index }))
+    : Array.from(slice.matchAll(FALLBACK_WORD_REGEX), (match) => ({
+        word: match[0],
+        index: match.index!,
+      }));
+
+  for (const { word, index } of words) {
+    for (const { token, offset } of segmentWord(word)) {
+      const start = from + index + offset;
+      const kind = numericTokenKind(token) ?? 'word';
+      tokens.push({ text: token, kind, start, end: start + token.length });
+    }
+  }
+}
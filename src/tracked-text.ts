@@ -0,0 +1,138 @@
+import { WHITESPACE_REGEX } from './constants';
+import { TrackedText } from './types';
+
+// ─── Offset-Preserving Text Operations ────────────────────────────────────────
+
+/**
+ * Wraps a raw input string so later rewrites can be mapped back to it.
+ * Every character initially maps to its own position.
+ *
+ * @param text - Original input text
+ * @returns Tracked text whose offsets are the identity mapping
+ */
+export function trackText(text: string): TrackedText {
+  const starts = new Array<number>(text.length);
+  const ends = new Array<number>(text.length);
+  for (let i = 0; i < text.length; i++) {
+    starts[i] = i;
+    ends[i] = i + 1;
+  }
+  return { text, starts, ends };
+}
+
+/**
+ * Offset-preserving equivalent of `String.prototype.replace` with a
+ * literal replacement string or a function of the match. Produces exactly
+ * the same text as `source.text.replace(pattern, replacement)` (global and
+ * non-global patterns alike); each replacement character maps to the whole
+ * range of original input covered by the match it replaced.
+ *
+ * Returns the source unchanged (same object) when nothing matched, so the
+ * common no-match case costs no more than a plain `replace`.
+ *
+ * @param source      - Tracked text to rewrite
+ * @param pattern     - Pattern to replace (flags honoured as in `replace`)
+ * @param replacement - Literal replacement text, or a function from the
+ *                      matched text to it. Default: ''
+ * @returns Rewritten tracked text
+ */
+export function replaceTracked(
+  source: TrackedText,
+  pattern: RegExp,
+  replacement: string | ((match: string) => string) = '',
+): TrackedText {
+  const starts: number[] = [];
+  const ends: number[] = [];
+  let cursor = 0;
+  let matched = false;
+
+  const copyUntil = (index: number) => {
+    for (let i = cursor; i < index; i++) {
+      starts.push(source.starts[i]);
+      ends.push(source.ends[i]);
+    }
+  };
+
+  const text = source.text.replace(pattern, (match: string, ...args: unknown[]) => {
+    // Callback args are (...groups, offset, string[, namedGroups])
+    const hasNamedGroups = typeof args[args.length - 1] === 'object';
+    const index = args[args.length - (hasNamedGroups ? 3 : 2)] as number;
+    matched = true;
+
+    copyUntil(index);
+    const start = originalOffsetAt(source, index);
+    const end = match.length > 0 ? source.ends[index + match.length - 1] : start;
+    const inserted = typeof replacement === 'string' ? replacement : replacement(match);
+    for (let i = 0; i < inserted.length; i++) {
+      starts.push(start);
+      ends.push(end);
+    }
+    cursor = index + match.length;
+    return inserted;
+  });
+
+  if (!matched) return source;
+  copyUntil(source.text.length);
+  return { text, starts, ends };
+}
+
+/**
+ * Deletes ranges of tracked text, keeping the offsets of everything else.
+ * Produces the same text as replacing each range with '' one by one.
+ *
+ * @param source - Tracked text to cut
+ * @param ranges - Sorted, non-overlapping [start, end) ranges of `source.text`
+ * @returns Tracked text without the ranges (the source itself when there are none)
+ */
+export function removeTrackedRanges(
+  source: TrackedText,
+  ranges: readonly (readonly [number, number])[],
+): TrackedText {
+  if (ranges.length === 0) return source;
+  const pieces: string[] = [];
+  const starts: number[] = [];
+  const ends: number[] = [];
+  let cursor = 0;
+  const copyUntil = (index: number) => {
+    pieces.push(source.text.slice(cursor, index));
+    for (let i = cursor; i < index; i++) {
+      starts.push(source.starts[i]);
+      ends.push(source.ends[i]);
+    }
+  };
+  for (const [start, end] of ranges) {
+    copyUntil(start);
+    cursor = end;
+  }
+  copyUntil(source.text.length);
+  return { text: pieces.join(''), starts, ends };
+}
+
+/**
+ * Offset-preserving equivalent of `normalizeWhitespace`: collapses
+ * whitespace runs to a single space and trims both ends.
+ *
+ * @param source - Tracked text to normalise
+ * @returns Whitespace-normalised tracked text
+ */
+export function normalizeTrackedWhitespace(source: TrackedText): TrackedText {
+  const collapsed = replaceTracked(source, WHITESPACE_REGEX, ' ');
+  const { text } = collapsed;
+  const from = text.startsWith(' ') ? 1 : 0;
+  const to = text.length > from && text.endsWith(' ') ? text.length - 1 : text.length;
+  if (from === 0 && to === text.length) return collapsed;
+  return {
+    text: text.slice(from, to),
+    starts: collapsed.starts.slice(from, to),
+    ends: collapsed.ends.slice(from, to),
+  };
+}
+
+/**
+ * Original offset corresponding to a position in tracked text, including
+ * the position just past the last character.
+ */
+function originalOffsetAt(source: TrackedText, index: number): number {
+  if (index < source.starts.length) return source.starts[index];
+  return source.ends.length > 0 ? source.ends[source.ends.length - 1] : 0;
+}
@@ -0,0 +1,119 @@
+import {
+  TRIGRAM_MAX_LENGTH,
+  TRIGRAM_MIN_LATIN_SHARE,
+  TRIGRAM_MIN_LENGTH,
+  TRIGRAM_MIN_MARGIN,
+  TRIGRAM_SHORT_LENGTH,
+} from './constants';
+import { TRIGRAM_PROFILES } from './trigram-profiles';
+import { SecondaryDetector, TrigramProfiles } from './types';
+
+// ─── Built-in Trigram Detector ────────────────────────────────────────────────
+
+/** Runs of anything but letters and combining marks. */
+const NON_LETTERS_REGEX = /[^\p{L}\p{M}]+/gu;
+
+const LETTER_REGEX = /\p{L}/gu;
+const LATIN_LETTER_REGEX = /\p{Script=Latin}/gu;
+
+/**
+ * Distinct trigrams of cleaned text padded with a space at each end, with
+ * their frequency rank. Trigrams seen equally often share the rank of the
+ * first of them: in short text most are seen once, and the order they
+ * happen to appear in says nothing about the language.
+ */
+function rankedTrigrams(cleaned: string): [trigram: string, rank: number][] {
+  const counts = new Map<string, number>();
+  const padded = ` ${cleaned} `;
+  for (let i = 0; i + 3 <= padded.length; i++) {
+    const trigram = padded.slice(i, i + 3);
+    counts.set(trigram, (counts.get(trigram) ?? 0) + 1);
+  }
+
+  const sorted = [...counts].sort((a, b) => b[1] - a[1]);
+  let rank = 0;
+  return sorted.map(([trigram, count], i) => {
+    if (i > 0 && count < sorted[i - 1][1]) rank = i;
+    return [trigram, rank];
+  });
+}
+
+/**
+ * Builds a trigram language detector over the given profiles, usable as
+ * a validator's `secondaryDetector`.
+ *
+ * The text is lowercased and every run of non-letters becomes a single
+ * space. Its trigrams, ranked by frequency, are compared with each
+ * profile by how far each trigram's rank is from its rank in the profile
+ * (the profile size when the profile lacks it). Scores are relative to
+ * the closest profile, which scores 1. Text shorter than 10 letters, or
+ * mostly in a non-Latin script, is undetermined (`und`). So is short text
+ * (see {@link TRIGRAM_SHORT_LENGTH}) whose runner-up scores within
+ * {@link TRIGRAM_MIN_MARGIN} of the best: `und` then leads the list,
+ * followed by the scores, so the score for English still reaches the
+ * scoring model.
+ *
+ * @param profiles - Ranked trigrams per ISO 639-3 code. Default: the
+ *                   built-in English and contrast profiles
+ * @returns The detector
+ * @throws {RangeError} If no profile is given
+ *
+ * @example
+ * // Profiles built with `npm run build:profiles -- --out profiles.json ...`
+ * const detector = createTrigramDetector(JSON.parse(fs.readFileSync("profiles.json", "utf8")));
+ * const validator = createValidator({ secondaryDetector: detector });
+ */
+export function createTrigramDetector(
+  profiles: TrigramProfiles = TRIGRAM_PROFILES,
+): SecondaryDetector {
+  const models = Object.entries(profiles).map(([language, profile]) => ({
+    language,
+    ranks: new Map(profile.split('|').map((trigram, rank) => [trigram, rank])),
+  }));
+  if (models.length === 0) throw new RangeError('At least one trigram profile is required');
+  const maxDifference = Math.max(...models.map((model) => model.ranks.size));
+
+  return (text, options = {}) => {
+    const sample = text.slice(0, TRIGRAM_MAX_LENGTH);
+    const letters = sample.match(LETTER_REGEX)?.length ?? 0;
+    const latin = sample.match(LATIN_LETTER_REGEX)?.length ?? 0;
+    const cleaned = sample.toLowerCase().replace(NON_LETTERS_REGEX, ' ').trim();
+    const only = options.only ? new Set(options.only) : null;
+    const candidates = only ? models.filter((model) => only.has(model.language)) : models;
+    if (
+      cleaned.length < TRIGRAM_MIN_LENGTH ||
+      latin < letters * TRIGRAM_MIN_LATIN_SHARE ||
+      candidates.length === 0
+    ) {
+      return [['und', 1]];
+    }
+
+    const trigrams = rankedTrigrams(cleaned);
+    const distances = candidates
+      .map(({ language, ranks }): [string, number] => {
+        let distance = 0;
+        trigrams.forEach(([trigram, rank]) => {
+          const profileRank = ranks.get(trigram);
+          distance +=
+            profileRank === undefined
+              ? maxDifference
+              : Math.min(Math.abs(rank - profileRank), maxDifference);
+        });
+        return [language, distance];
+      })
+      .sort((a, b) => a[1] - b[1]);
+
+    const min = distances[0][1];
+    const range = trigrams.length * maxDifference - min;
+    const scores = distances.map(([language, distance]): [string, number] => [
+      language,
+      range > 0 ? 1 - (distance - min) / range : 1,
+    ]);
+
+    const closeCall = scores.length > 1 && scores[0][1] - scores[1][1] < TRIGRAM_MIN_MARGIN;
+    return cleaned.length < TRIGRAM_SHORT_LENGTH && closeCall ? [['und', 1], ...scores] : scores;
+  };
+}
+
+/** The built-in detector: English plus the languages the word heuristics target. */
+export const trigramDetector: SecondaryDetector = createTrigramDetector();
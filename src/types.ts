@@ -2,8 +2,23 @@
 
 /** Configuration options for text detection functions. */
 export interface DetectionOptions {
-  /** Minimum ratio of English words required (0.0–1.0). Default: 0.8 */
+  /**
+   * English probability at or above which the text is English (0.0–1.0),
+   * for texts of every length. Shorthand for `scoring: { threshold }`.
+   * Default: the scoring preset's threshold (0.8 for `balanced`)
+   */
   englishThreshold?: number;
+  /**
+   * Scoring model that turns the word ratio, indicator hits, the
+   * secondary detector's verdict and text length into an English
+   * probability: a preset name, or weights to override with an optional
+   * base preset. Default: `balanced`
+   *
+   * @example
+   * scoring: 'strict'
+   * scoring: { preset: 'lenient', lengthWeight: 0 }
+   */
+  scoring?: ScoringPreset | ScoringOptions;
   /** Words shorter than this are skipped during analysis. Default: 2 */
   minWordLength?: number;
   /** Whether standalone numbers count as English words. Default: true */
@@ -30,18 +45,1102 @@ export interface DetectionOptions {
    * excludeWords: ["ACME", "GmbH", "SDK"]
    */
   excludeWords?: string[];
+  /**
+   * Whether inflected and derived forms of dictionary words (walked,
+   * stopping, happiness, unlockable) count as English. Default: true
+   */
+  morphology?: boolean;
+  /**
+   * Largest edit distance (0, 1 or 2) at which a misspelt word still counts
+   * as English — "recieve", "teh", "definately". Suggestions come from
+   * the validator's whole dictionary, runtime additions and extra word
+   * lists included, preferring common words at the same distance.
+   * Typo matches count half as much as dictionary words towards the
+   * English ratio, so text made mostly of typos is still not English, and
+   * the non-English screens run first. Default: 0 (off)
+   */
+  typoTolerance?: number;
+  /**
+   * Whether unknown words shaped like person, company or product names are
+   * left out of the English ratio: title-cased words mid-sentence, after an
+   * honorific or initial, or opening a title-cased run ("Siobhan Nakamura
+   * met Oyelaran at Zalando"). Words caught by a non-English screen, such as
+   * a capitalised "Der" or "Les", still count; lowercase common English
+   * words that are also foreign vocabulary ("met", "door") count as
+   * English. Default: false
+   */
+  namedEntities?: boolean;
+  /**
+   * Whether text is read as technical writing — commit messages, bug
+   * reports, PR descriptions. Fenced and indented code blocks, code spans,
+   * stack traces and log lines are removed, file paths are stripped,
+   * camelCase, PascalCase, snake_case, SCREAMING_CASE and dotted
+   * identifiers are split into words ("parseHttpResponse" is checked as
+   * parse, http and response), and common programming terms (api, json,
+   * stdout, ctx…) count as English. Default: false
+   */
+  technical?: boolean;
+  /**
+   * Identifier presets stripped before analysis so codes don't count as
+   * unknown words: `document` (AEM-style IDs), `jira`, `uuid`, `git-sha`,
+   * `semver`, `date-time`, `file-path`, `sku`, `ip` and `currency`.
+   * Default: `['document']`; `[]` strips none
+   *
+   * @example
+   * identifiers: ['document', 'jira', 'git-sha', 'semver']
+   */
+  identifiers?: readonly IdentifierPreset[];
+  /**
+   * Whether geographical, regulatory and other proper-noun terms (country
+   * names, agencies, drug brands…) are stripped before analysis. Default: true
+   */
+  stripGeoTerms?: boolean;
+  /**
+   * Extra terms stripped with the built-in geographical terms: place names,
+   * brands or anything else that should not count as a word. Matched
+   * case-insensitively as whole words, plurals too; a multi-word term such
+   * as "Costa Rica" matches across any whitespace. Every occurrence is
+   * removed, after the built-in terms.
+   *
+   * @example
+   * geoTerms: ["Costa Rica", "Guinea-Bissau", "Bavaria"]
+   */
+  geoTerms?: readonly string[];
+  /**
+   * Romanized indicator packs to screen words against — languages commonly
+   * typed in plain ASCII, whose words would otherwise pass the character
+   * filter: `hindi` (Hinglish and romanized Urdu), `arabic` (including
+   * Arabizi digits such as "3ala", "7abibi"), `pinyin` (including
+   * tone-number syllables such as "ni3hao3"), `tagalog` and `malay`
+   * (Malay/Indonesian). Matching words are rejected with reason
+   * `romanized-<pack>`. Default: every pack; `[]` turns the screen off
+   */
+  romanizedPacks?: readonly RomanizedPack[];
+  /**
+   * How to read the input: `plain` text, or `html` / `markdown` whose
+   * syntax (tags, attributes, entities, link destinations…) is stripped
+   * before analysis. Default: "plain"
+   */
+  format?: TextFormat;
+  /** Drop HTML code elements and Markdown code blocks/spans (html and markdown only). Default: true */
+  stripCode?: boolean;
+  /** Drop URLs (`https://…`, `www.…`). Default: true for html and markdown, false for plain */
+  stripUrls?: boolean;
+  /** Drop email addresses. Default: true for html and markdown, false for plain */
+  stripEmails?: boolean;
+  /** Drop @mentions. Default: true for html and markdown, false for plain */
+  stripMentions?: boolean;
+  /** Drop #hashtags. Default: true for html and markdown, false for plain */
+  stripHashtags?: boolean;
+  /** Drop emoji shortcodes such as `:tada:`. Default: true for html and markdown, false for plain */
+  stripEmoji?: boolean;
 }
 
-// ─── Internal Interfaces ──────────────────────────────────────────────────────
+/**
+ * A named family of identifiers recognised by the preprocessing stage and
+ * `extractIdentifiers`.
+ *
+ * - `document` — AEM-style document IDs (AEM01-WI-DSU06-SD01, AURG340-SF06)
+ * - `jira` — issue keys (PROJ-1234)
+ * - `uuid` — UUIDs in 8-4-4-4-12 form
+ * - `git-sha` — 7–40 character lowercase hex hashes with a digit and a letter
+ * - `semver` — versions (1.4.2, v2.0.0-rc.1+build.5)
+ * - `date-time` — ISO 8601 dates and date-times, clock times (14:30, 9:30pm)
+ * - `file-path` — Unix, home- and dot-relative paths, relative paths to a
+ *   file with an extension, Windows drive paths
+ * - `sku` — upper-case part numbers mixing letters and digits (PN-4471-B)
+ * - `ip` — IPv4 (with port or CIDR suffix) and IPv6 addresses
+ * - `currency` — amounts with a currency symbol or ISO 4217 code ($1,299.00, 15 EUR)
+ */
+export type IdentifierPreset =
+  | 'document'
+  | 'jira'
+  | 'uuid'
+  | 'git-sha'
+  | 'semver'
+  | 'date-time'
+  | 'file-path'
+  | 'sku'
+  | 'ip'
+  | 'currency';
+
+/** An identifier found by `extractIdentifiers`. */
+export interface IdentifierMatch {
+  /** The preset that matched. */
+  preset: IdentifierPreset;
+  /** The original input between start and end. */
+  text: string;
+  /** Start offset (UTF-16 code units) into the original input, inclusive. */
+  start: number;
+  /** End offset (UTF-16 code units) into the original input, exclusive. */
+  end: number;
+}
 
-/** Internal result from franc trigram-based language analysis. */
+/** Input formats understood by the markup preprocessing stage. */
+export type TextFormat = 'plain' | 'html' | 'markdown';
+
+/**
+ * Best guess of the secondary detector. Fields and signals named
+ * `secondary` carry its results, whichever detector is configured.
+ */
 export interface LanguageResult {
+  /** ISO 639-3 language code (e.g. `eng`, `deu`; `und` when undetermined). */
   language: string;
+  /** The detector's score for that language (0.0–1.0). */
   confidence: number;
 }
 
+/**
+ * Language identifier consulted alongside the word heuristics: gets a
+ * text, and optionally the ISO 639-3 codes it may answer with, and returns
+ * ISO 639-3 codes with scores (0.0–1.0), best first. `[['und', 1]]` or an
+ * empty list means it cannot tell; `und` may also lead the scores of a
+ * close call. franc's `francAll` has this shape.
+ */
+export type SecondaryDetector = (
+  text: string,
+  options?: { only?: string[] },
+) => ReadonlyArray<readonly [language: string, score: number]>;
+
+/**
+ * Trigram profiles per ISO 639-3 code: a language's most frequent
+ * trigrams, most frequent first, separated by `|` (as written by
+ * `npm run build:profiles`).
+ */
+export type TrigramProfiles = Readonly<Record<string, string>>;
+
+/** Indicator pack for a language commonly written in romanized (ASCII) form. */
+export type RomanizedPack = 'hindi' | 'arabic' | 'pinyin' | 'tagalog' | 'malay';
+
+/**
+ * Why a token was accepted as English or rejected during word-level analysis.
+ *
+ * - `dictionary` — exact hit in the English dictionary
+ * - `morphology` — a regular inflection or derivation of a dictionary word
+ *   (see {@link TokenAnalysis.morphology})
+ * - `contraction` — base of an apostrophe contraction is in the dictionary
+ * - `typo` — within typoTolerance edits of a dictionary word
+ *   (see {@link TokenAnalysis.typo})
+ * - `abbreviation` — uppercase abbreviation (when allowAbbreviations is on)
+ * - `technical-term` — common programming term such as api or stdout (when
+ *   technical is on)
+ * - `number` — standalone number, decimal, fraction or time such as 42,
+ *   3.5, 24/7 or 10:30 (when allowNumbers is on)
+ * - `ordinal` — ordinal number such as 1st or 22nd (when allowNumbers is on)
+ * - `measure` — number with a unit or percent sign such as 10km, 3.5GB or
+ *   50% (when allowNumbers is on)
+ * - `currency` — amount with a currency sign such as $20 or €5.99 (when
+ *   allowNumbers is on)
+ * - `non-english-character` — contains characters outside the English set
+ * - `non-english-ending` — suffix typical of another language (-keit, -ción)
+ * - `non-english-vocabulary` — known non-English vocabulary word
+ * - `non-english-function-word` — non-English article or preposition
+ * - `romanized-<pack>` — word of a romanized indicator pack
+ *   (see {@link DetectionOptions.romanizedPacks})
+ * - `unknown` — passed every screen but is not in the dictionary
+ * - `named-entity` — an unknown word shaped like part of a name (when
+ *   namedEntities is on), not counted
+ * - `too-short` — shorter than minWordLength, not counted
+ */
+export type TokenReason =
+  | 'dictionary'
+  | 'morphology'
+  | 'contraction'
+  | 'typo'
+  | 'abbreviation'
+  | 'technical-term'
+  | 'number'
+  | 'ordinal'
+  | 'measure'
+  | 'currency'
+  | 'non-english-character'
+  | 'non-english-ending'
+  | 'non-english-vocabulary'
+  | 'non-english-function-word'
+  | `romanized-${RomanizedPack}`
+  | 'unknown'
+  | 'named-entity'
+  | 'too-short';
+
+/** Verdict for a single token of the preprocessed text. */
+export interface TokenAnalysis {
+  /** The token with surrounding punctuation stripped (original casing). */
+  token: string;
+  /** Whether the token counted towards the English ratio. */
+  counted: boolean;
+  /** Whether the token was recognised as English. */
+  isEnglish: boolean;
+  /** Which check produced the verdict. */
+  reason: TokenReason;
+  /** For `morphology` verdicts, the dictionary word and the rules that led to it. */
+  morphology?: MorphologyMatch;
+  /** For `typo` verdicts, the word it was taken for and how far off it was. */
+  typo?: TypoMatch;
+}
+
+/**
+ * What a token of the tokenizer is:
+ *
+ * - `word` — a run of letters (and digits), with inner apostrophes and dots
+ *   (don't, U.S.A, web3); hyphenated compounds are split into their parts
+ * - `number` — 42, 1,000, 3.5, 24/7, 10:30
+ * - `ordinal` — 1st, 2nd, 23rd, 11th
+ * - `measure` — a number with a unit or percent sign: 10km, 3.5GB, 100 ms, 9am, 50%
+ * - `currency` — an amount with a currency sign: $20, €5.99, 20€, $5k
+ */
+export type TokenKind = 'word' | NumericTokenKind;
+
+/** The {@link TokenKind}s that are numbers. */
+export type NumericTokenKind = 'number' | 'ordinal' | 'measure' | 'currency';
+
+/** A token found by `tokenize`. */
+export interface TextToken {
+  /** The token, with typographic quotes normalised to ASCII. */
+  text: string;
+  /** What the token is. */
+  kind: TokenKind;
+  /** Start offset (UTF-16 code units) into the input, inclusive. */
+  start: number;
+  /** End offset (UTF-16 code units) into the input, exclusive. */
+  end: number;
+}
+
+/** The dictionary word a misspelt token was matched to. */
+export interface TypoMatch {
+  /** The closest dictionary word. */
+  suggestion: string;
+  /** Edit distance between the token and the suggestion (1 or 2). */
+  distance: number;
+}
+
+/**
+ * A rule of the English morphology fallback.
+ *
+ * - `possessive` — editors', or `'s` on a word missing from the dictionary (the
+ *   `'s` of a dictionary word is left to the contraction layer)
+ * - `suffix-s`, `suffix-es`, `suffix-ies` — plurals and third person (cats, boxes, studies)
+ * - `suffix-ed` — past tense, including doubling and -ied (walked, stopped, studied)
+ * - `suffix-ing` — including doubling, dropped e and -ying (stopping, baking, lying)
+ * - `suffix-er`, `suffix-est` — comparatives and superlatives (bigger, happiest)
+ * - `suffix-ly` — adverbs (quickly, happily, basically, simply)
+ * - `suffix-ness` — nouns (darkness, happiness)
+ * - `suffix-able` — adjectives (readable, lovable, forgettable, reliable)
+ * - `prefix-un`, `prefix-re`, `prefix-pre` — prefixes (unlock, rebuild, preview)
+ */
+export type MorphologyRule =
+  | 'possessive'
+  | 'suffix-s'
+  | 'suffix-es'
+  | 'suffix-ies'
+  | 'suffix-ed'
+  | 'suffix-ing'
+  | 'suffix-er'
+  | 'suffix-est'
+  | 'suffix-ly'
+  | 'suffix-ness'
+  | 'suffix-able'
+  | 'prefix-un'
+  | 'prefix-re'
+  | 'prefix-pre';
+
+/** How the morphology fallback reduced a word to a dictionary word. */
+export interface MorphologyMatch {
+  /** The dictionary word the token was reduced to. */
+  base: string;
+  /** The rules applied, outermost first (e.g. `["prefix-un", "suffix-able"]`). */
+  rules: MorphologyRule[];
+}
+
+/** Named scoring models, from fewest to most texts accepted as English. */
+export type ScoringPreset = 'strict' | 'balanced' | 'lenient';
+
+/**
+ * Weights of the scoring model. The English probability is
+ *
+ * ```text
+ * englishRatio − heuristicWeight × indicatorShare
+ *              + secondaryWeight × secondaryEnglish
+ *              + lengthWeight × shortness
+ * ```
+ *
+ * clamped to 0.0–1.0 (see {@link ScoreSignals} for the signals).
+ */
+export interface ScoringModel {
+  /** Probability at or above which the text is English. */
+  threshold: number;
+  /** Penalty for tokens flagged by a non-English indicator screen. */
+  heuristicWeight: number;
+  /** Boost for the secondary detector recognising the text as English. */
+  secondaryWeight: number;
+  /** Allowance for short texts, which are often English fragments and names. */
+  lengthWeight: number;
+  /**
+   * Length in words from which a text gets no short-text allowance; texts
+   * of half this length or fewer get all of it.
+   */
+  fullLengthWords: number;
+}
+
+/** Scoring model overrides over a base preset (default `balanced`). */
+export interface ScoringOptions extends Partial<ScoringModel> {
+  preset?: ScoringPreset;
+}
+
+/** Signals the scoring model blends, each 0.0–1.0. */
+export interface ScoreSignals {
+  /** Share of counted tokens flagged by a non-English indicator screen. */
+  indicatorShare: number;
+  /**
+   * How strongly the secondary detector recognises the text as English, or
+   * null when it was not consulted (its score could not change the verdict).
+   */
+  secondaryEnglish: number | null;
+  /** 1 for short texts, falling to 0 at the model's fullLengthWords. */
+  shortness: number;
+}
+
+/**
+ * Where the effective English threshold came from.
+ *
+ * - `default` — the `balanced` preset
+ * - `preset` — the threshold of the chosen scoring preset
+ * - `option` — the caller's englishThreshold or scoring threshold
+ */
+export type ThresholdSource = 'default' | 'preset' | 'option';
+
+/**
+ * Which branch of the detection pipeline made the final decision.
+ *
+ * - `empty-input` — null, empty or whitespace-only input (treated as English)
+ * - `word-ratio` — the word-level signals alone put the probability at or
+ *   above the threshold
+ * - `secondary-override` — the secondary detector recognising the text as
+ *   English lifted the probability to the threshold
+ * - `below-threshold` — the probability stayed below the threshold
+ * - `non-latin-script` — most letters are in a non-Latin script (see
+ *   {@link AnalysisResult.scripts}); neither the ratio nor the secondary
+ *   detector decided
+ */
+export type DecisionBranch =
+  | 'empty-input'
+  | 'word-ratio'
+  | 'secondary-override'
+  | 'below-threshold'
+  | 'non-latin-script';
+
+/** Unicode scripts reported by name in a {@link ScriptProfile}. */
+export type ScriptName =
+  | 'Latin'
+  | 'Cyrillic'
+  | 'Greek'
+  | 'Armenian'
+  | 'Georgian'
+  | 'Hebrew'
+  | 'Arabic'
+  | 'Devanagari'
+  | 'Bengali'
+  | 'Tamil'
+  | 'Thai'
+  | 'Han'
+  | 'Hiragana'
+  | 'Katakana'
+  | 'Hangul'
+  | 'Other';
+
+/** Letters of the preprocessed text counted per Unicode script. */
+export interface ScriptProfile {
+  /** Total number of letters. */
+  letters: number;
+  /** Letters per script; scripts with no letters are omitted. */
+  counts: Partial<Record<ScriptName, number>>;
+  /** Script with the most letters, or null when there are none. */
+  dominant: ScriptName | null;
+  /** Share of letters not in the Latin script (0.0–1.0; 0 when there are none). */
+  nonLatinRatio: number;
+}
+
+/** Full detection report returned by `analyzeText`. */
+export interface AnalysisResult {
+  /** Final verdict — true when the text is English. */
+  isEnglish: boolean;
+  /** Text after the preprocessing pipeline (what word analysis saw). */
+  processedText: string;
+  /** Every token of the preprocessed text with its verdict. */
+  tokens: TokenAnalysis[];
+  /** Number of counted tokens recognised as English (typo matches count as 0.5). */
+  englishWordCount: number;
+  /** Number of tokens counted towards the ratio (length >= minWordLength). */
+  totalRelevantWords: number;
+  /** englishWordCount / totalRelevantWords (1.0 when nothing was counted). */
+  englishRatio: number;
+  /**
+   * Probability (0.0–1.0) that the text is English under the scoring
+   * model. The secondary detector's boost is only included when it was consulted; use
+   * `englishProbability` for a score that always includes it.
+   */
+  probability: number;
+  /** The signals behind {@link AnalysisResult.probability}. */
+  signals: ScoreSignals;
+  /** The threshold the probability was compared against. */
+  threshold: number;
+  /** Where {@link AnalysisResult.threshold} came from. */
+  thresholdSource: ThresholdSource;
+  /** Secondary detector result, or null when it was not consulted. */
+  secondary: LanguageResult | null;
+  /** Which branch made the final decision. */
+  decision: DecisionBranch;
+  /** Letters of the preprocessed text per Unicode script. */
+  scripts: ScriptProfile;
+}
+
+/**
+ * What `classifyText` makes of a text:
+ * - `english` — English text (the `isEnglish` verdict)
+ * - `non-english` — text in another language
+ * - `gibberish` — not language at all: keyboard mashes, repeated
+ *   characters, random letter strings
+ * - `empty` — no words to judge: blank input, or only numbers, punctuation
+ *   and content stripped by preprocessing (URLs, identifiers…)
+ */
+export type TextClass = 'english' | 'non-english' | 'gibberish' | 'empty';
+
+/** Options for `classifyText`. */
+export interface ClassificationOptions extends DetectionOptions {
+  /**
+   * Share (0.0–1.0) of counted words that must look like gibberish for a
+   * text that is not English to be classed `gibberish` rather than
+   * `non-english`. Default: 0.5
+   */
+  gibberishThreshold?: number;
+}
+
+/** Options for `detectLanguage`. */
+export interface LanguageDetectionOptions extends DetectionOptions {
+  /**
+   * Allowlist of languages to consider, as ISO 639-1 (`de`) or ISO 639-3
+   * (`deu`) codes. Default: every language the secondary detector or the
+   * word heuristics know
+   */
+  candidates?: string[];
+  /** Maximum number of candidates to return. Default: 3 */
+  topN?: number;
+}
+
+/** One ranked guess from `detectLanguage`. */
+export interface LanguageCandidate {
+  /** ISO 639-3 code (`deu`). */
+  language: string;
+  /** ISO 639-1 code (`de`), or null for languages without one. */
+  iso6391: string | null;
+  /** Combined score (0.0–1.0); candidates are sorted by it. */
+  score: number;
+  /** Secondary detector score (0.0–1.0; 0 when it could not judge the text). */
+  secondary: number;
+  /** Word-heuristic score (0.0–1.0): English ratio, or share of words with the language's indicators. */
+  heuristic: number;
+}
+
+/** Options for `findNonEnglishSpans`. */
+export interface SpanOptions extends DetectionOptions {
+  /** Minimum number of non-English words a run needs to be reported. Default: 1 */
+  minSpanWords?: number;
+}
+
+/** A contiguous run of non-English words inside a larger text. */
+export interface NonEnglishSpan {
+  /** Start offset (UTF-16 code units) into the original input, inclusive. */
+  start: number;
+  /** End offset (UTF-16 code units) into the original input, exclusive. */
+  end: number;
+  /** The original input between start and end. */
+  text: string;
+  /** The non-English words in the run, as seen by word analysis. */
+  words: string[];
+  /**
+   * Best non-English language detectLanguage finds for the run, with its
+   * blended score (`und` when it cannot tell).
+   */
+  language: LanguageResult;
+}
+
+/** Options for `detectBatchAsync`. */
+export interface BatchOptions extends DetectionOptions {
+  /** Number of texts analysed between yields to the event loop. Default: 500 */
+  chunkSize?: number;
+}
+
+/** Options for `createDetectionPool` (Node.js only). */
+export interface PoolOptions {
+  /** Number of worker threads. Default: available CPU parallelism */
+  size?: number;
+}
+
+/** Options for `detectBatchParallel` (Node.js only). */
+export interface ParallelBatchOptions extends BatchOptions {
+  /** Number of worker threads when no pool is given. Default: available CPU parallelism */
+  workers?: number;
+  /** Reuse an existing pool instead of starting (and stopping) a new one. */
+  pool?: DetectionPool;
+}
+
+/** A pool of worker threads that each hold one copy of the dictionary. */
+export interface DetectionPool {
+  /** Number of worker threads in the pool. */
+  readonly size: number;
+  /**
+   * Runs `isEnglish` over the texts across the pool's workers.
+   * Results are in input order. Rejects once the pool is broken — its
+   * workers crashed three times in a row, e.g. because they cannot load.
+   */
+  detect(
+    texts: ReadonlyArray<string | null | undefined>,
+    options?: BatchOptions,
+  ): Promise<boolean[]>;
+  /** Terminates every worker. Pending and later calls to detect reject. */
+  destroy(): Promise<void>;
+}
+
+/** Options for streaming detection (`detectStream`, `createDetectionStream`). */
+export interface StreamOptions extends DetectionOptions {
+  /** How the document is split into chunks. Default: 'paragraph' */
+  split?: 'paragraph' | 'sentence';
+  /**
+   * Longest chunk, in characters, before it is cut at the last whitespace
+   * regardless of boundaries. Keeps the secondary detector away from huge
+   * inputs. Default: 2000
+   */
+  maxChunkLength?: number;
+}
+
+/** Running totals over every chunk of a document seen so far. */
+export interface DocumentSummary {
+  /** Chunks classified so far. */
+  chunks: number;
+  /** Chunks classified as English. */
+  englishChunks: number;
+  /** Words counted towards the ratio across all chunks. */
+  totalRelevantWords: number;
+  /** Counted words recognised as English across all chunks. */
+  englishWordCount: number;
+  /** englishWordCount / totalRelevantWords as a percentage (100 when no words). */
+  percentEnglishByWords: number;
+  /** englishChunks / chunks as a percentage (100 when no chunks). */
+  percentEnglishByChunks: number;
+}
+
+/** Verdict for one chunk of a streamed document. */
+export interface StreamChunkResult {
+  /** Zero-based position of the chunk in the document. */
+  index: number;
+  /** The chunk text (surrounding whitespace trimmed). */
+  text: string;
+  /** Start offset (UTF-16 code units) of the chunk in the decoded document. */
+  start: number;
+  /** End offset (exclusive) of the chunk in the decoded document. */
+  end: number;
+  /** Whether the chunk is English. */
+  isEnglish: boolean;
+  /** English ratio of the chunk. */
+  englishRatio: number;
+  /** Words counted towards the chunk's ratio. */
+  totalRelevantWords: number;
+  /** Counted words recognised as English. */
+  englishWordCount: number;
+  /** Document totals including this chunk. */
+  summary: DocumentSummary;
+}
+
+/** One labelled text of an evaluation corpus. */
+export interface LabelledSample {
+  /** The text to classify. */
+  text: string;
+  /** Its language as an ISO 639-1 or 639-3 code; `en` and `eng` are the English class. */
+  language: string;
+  /** Optional domain (`support`, `chat`…) reported separately. */
+  domain?: string;
+}
+
+/** Options for `evaluate`. */
+export interface EvaluationOptions extends DetectionOptions {
+  /** Length of the worstFalsePositives and worstFalseNegatives lists. Default: 10 */
+  worst?: number;
+}
+
+/**
+ * Binary classification metrics with English as the positive class.
+ * Ratios with an empty denominator are 0.
+ */
+export interface ClassificationMetrics {
+  /** Samples evaluated. */
+  total: number;
+  /** Share of samples classified correctly. */
+  accuracy: number;
+  /** English samples classified as English. */
+  truePositives: number;
+  /** Non-English samples classified as English. */
+  falsePositives: number;
+  /** Non-English samples classified as non-English. */
+  trueNegatives: number;
+  /** English samples classified as non-English. */
+  falseNegatives: number;
+  /** Share of English verdicts that were right. */
+  precision: number;
+  /** Share of English samples found. */
+  recall: number;
+  /** Harmonic mean of precision and recall. */
+  f1: number;
+}
+
+/** Verdicts for the samples of one labelled language. */
+export interface LanguageConfusion {
+  /** Samples labelled with the language. */
+  total: number;
+  /** Of those, classified as English. */
+  predictedEnglish: number;
+  /** Of those, classified as non-English. */
+  predictedNonEnglish: number;
+}
+
+/** A sample the detector got wrong. */
+export interface Misclassification extends LabelledSample {
+  /** English probability the detector gave it. */
+  probability: number;
+  /** English ratio of the text. */
+  englishRatio: number;
+  /** Branch that made the (wrong) decision. */
+  decision: DecisionBranch;
+}
+
+/** Report returned by `evaluate`. */
+export interface EvaluationReport extends ClassificationMetrics {
+  /** Confusion counts per labelled language (lowercased code). */
+  languages: Record<string, LanguageConfusion>;
+  /** Metrics per domain, for samples that have one. */
+  domains: Record<string, ClassificationMetrics>;
+  /** Non-English samples classified as English, highest probability first. */
+  worstFalsePositives: Misclassification[];
+  /** English samples classified as non-English, lowest probability first. */
+  worstFalseNegatives: Misclassification[];
+}
+
+/** Candidate values per detection option for `sweepOptions`. */
+export type OptionGrid = {
+  [K in keyof DetectionOptions]?: ReadonlyArray<DetectionOptions[K]>;
+};
+
+/** Metric `sweepOptions` ranks settings by. */
+export type SweepMetric = 'accuracy' | 'f1' | 'precision' | 'recall';
+
+/** Options for `sweepOptions`. */
+export interface SweepOptions extends EvaluationOptions {
+  /** Metric to rank settings by. Default: 'f1' */
+  metric?: SweepMetric;
+}
+
+/** One setting tried by `sweepOptions`. */
+export interface SweepResult {
+  /** The grid values of this setting. */
+  options: DetectionOptions;
+  /** The setting's value of the ranking metric. */
+  score: number;
+  /** Full evaluation of the setting. */
+  report: EvaluationReport;
+}
+
+/**
+ * Anything that can answer whether a lowercase word is English — a
+ * `Set<string>` works, as does a bloom filter or a trie.
+ */
+export interface WordLookup {
+  has(word: string): boolean;
+}
+
+/**
+ * Where `buildDictionaryPack` takes words from:
+ *
+ * - `hunspell` — a Hunspell dictionary (`.dic`) and its affix file
+ *   (`.aff`), expanded to every word form the affix rules allow
+ * - `words` — a plain word list, one entry per line (`#` starts a comment)
+ * - `frequency` — a frequency list, one word and its count per line in
+ *   either order, optionally cut to the `top` most frequent words or to
+ *   words seen at least `minCount` times
+ */
+export type DictionarySource =
+  | { type: 'hunspell'; dic: string; aff: string }
+  | { type: 'words'; text: string | readonly string[] }
+  | { type: 'frequency'; text: string; top?: number; minCount?: number };
+
+/** Options for `buildDictionaryPack`. */
+export interface DictionaryPackOptions {
+  /** Name stored in the pack. Default: 'custom' */
+  name?: string;
+  /** One-line description stored in the pack. */
+  description?: string;
+  /** Words to leave out of the pack (case-insensitive). */
+  excludeWords?: readonly string[];
+  /**
+   * Lookup whose words the pack need not repeat — e.g. the dictionary the
+   * pack will be layered over.
+   */
+  omit?: WordLookup;
+}
+
+/**
+ * A compact, JSON-serialisable word list for `createValidator({ dictionaries })`
+ * or `loadDictionaryPack`, as written by `buildDictionaryPack`.
+ */
+export interface DictionaryPack {
+  format: 'english-validator/dictionary-pack';
+  version: 1;
+  name: string;
+  description?: string;
+  /** Number of words in the pack. */
+  wordCount: number;
+  /** Lowercase words sorted by UTF-16 code unit, joined with '\n'. */
+  words: string;
+}
+
+/**
+ * A second cache tier behind a validator's in-memory LRU cache — e.g. a
+ * file-backed or shared-memory store that several processes read. Writes
+ * go to both tiers; memory misses fall back to the store. Must be
+ * synchronous, and values must survive whatever serialisation it applies.
+ *
+ * Word verdicts depend on the dictionary: share a word store only between
+ * validators with the same dictionary layers. clearCaches(), addWords()
+ * and removeWords() do not reach into the store.
+ */
+export interface CacheStore<V = unknown> {
+  /** The stored value, or undefined when the store does not have the key. */
+  get(key: string): V | undefined;
+  /** Stores a value (the store may drop it, e.g. to respect its own limits). */
+  set(key: string, value: V): void;
+}
+
+/** Limits and store of one cache. */
+export interface CacheOptions {
+  /** Most entries held in memory (0 disables the in-memory tier). */
+  maxEntries?: number;
+  /**
+   * Most key characters held in memory across all entries. Only keys are
+   * counted, never values. For the secondary detector the keys are whole
+   * input texts and the values small, so this bounds its memory where entry
+   * counts cannot. Word keys are short and their values are full verdict
+   * objects, so for the word cache it is not a memory bound; use maxEntries
+   * there. Longer single keys are never held. Default: Infinity for words,
+   * 1,000,000 for the secondary detector
+   */
+  maxSize?: number;
+  /** Second-tier store; `undefined` removes a previously set one. */
+  store?: CacheStore;
+}
+
+/** Options for each of a validator's caches. */
+export interface CacheConfig {
+  /** Word-verdict cache, keyed by word and word options. Default: 5,000 entries */
+  word?: CacheOptions;
+  /** Secondary detector result cache, keyed by the text it read. Default: 1,000 entries */
+  secondary?: CacheOptions;
+}
+
+/** Counters and limits of one cache since it was created or last cleared. */
+export interface CacheStats {
+  /** Entries held in memory. */
+  entries: number;
+  /** Key characters held in memory. */
+  size: number;
+  /** Current entry limit. */
+  maxEntries: number;
+  /** Current key-character limit. */
+  maxSize: number;
+  /** Lookups answered from memory. */
+  hits: number;
+  /** Lookups missed in memory but answered by the store. */
+  storeHits: number;
+  /** Lookups answered by neither tier. */
+  misses: number;
+  /** Entries evicted from memory to respect the limits. */
+  evictions: number;
+  /** (hits + storeHits) / all lookups (0 before the first lookup). */
+  hitRate: number;
+}
+
+/** Statistics of each of a validator's caches. */
+export interface CacheStatsReport {
+  word: CacheStats;
+  secondary: CacheStats;
+}
+
+/** Configuration for `validateObject`. */
+export interface ObjectValidationConfig {
+  /**
+   * Glob-style paths of the string fields to check: `title`,
+   * `items[*].title`, `items[0].title`, `author.*` (any key or index) or
+   * `**.description` (at any depth). Default: every string field
+   */
+  fields?: readonly string[];
+  /** Detection options applied to every field. */
+  options?: DetectionOptions;
+}
+
+/** A string field `validateObject` found not to be English. */
+export interface FieldFailure {
+  /** Path of the field, e.g. `items[2].title` (empty for a top-level string). */
+  path: string;
+  /** The field's value. */
+  value: string;
+  /** Always false: only non-English fields are reported. */
+  isEnglish: false;
+}
+
+/** The parts of a Connect/Express request the middleware reads. */
+export interface MiddlewareRequest {
+  body?: unknown;
+  query?: unknown;
+  params?: unknown;
+}
+
+/** The parts of a Node.js `ServerResponse` the middleware writes. */
+export interface MiddlewareResponse {
+  statusCode: number;
+  setHeader(name: string, value: string): unknown;
+  end(body: string): unknown;
+}
+
+/** A Connect/Express-compatible middleware. */
+export type EnglishMiddleware = (
+  req: MiddlewareRequest,
+  res: MiddlewareResponse,
+  next: (error?: unknown) => void,
+) => void;
+
+/** Configuration for `createEnglishMiddleware`. */
+export interface MiddlewareConfig extends ObjectValidationConfig {
+  /**
+   * Request part to validate: `body` (parsed by a body parser such as
+   * `express.json()`), `query`, `params`, or a function returning the value.
+   * Default: `body`
+   */
+  source?: 'body' | 'query' | 'params' | ((req: MiddlewareRequest) => unknown);
+  /** 4xx status of the rejection. Default: 400 */
+  status?: number;
+  /** `error` message of the rejection. Default: "Only English text is accepted" */
+  message?: string;
+}
+
+/** Configuration for `createValidator`. */
+export interface ValidatorConfig {
+  /** Extra words that count as English (case-insensitive). */
+  addWords?: readonly string[];
+  /**
+   * Words that no longer count as English, even if the built-in dictionary
+   * or one of `dictionaries` contains them (case-insensitive).
+   */
+  removeWords?: readonly string[];
+  /**
+   * Extra word lists consulted before the built-in dictionary. Arrays are
+   * lowercased; lookups are queried with lowercase words as-is; dictionary
+   * packs (see `buildDictionaryPack`) are loaded as sorted word lists.
+   */
+  dictionaries?: ReadonlyArray<WordLookup | readonly string[] | DictionaryPack>;
+  /** Detection options applied to every call unless the call overrides them. */
+  defaults?: DetectionOptions;
+  /** Cache limits and stores (see {@link CacheConfig}). */
+  caches?: CacheConfig;
+  /**
+   * Language identifier consulted when the word heuristics leave the
+   * verdict open, and by `detectLanguage` and `findNonEnglishSpans`.
+   * Pass `francAll` from franc to use franc. Default: the built-in
+   * trigram detector
+   */
+  secondaryDetector?: SecondaryDetector;
+}
+
+/**
+ * A detector with its own dictionary layers and caches. Every method
+ * behaves like the top-level function of the same name.
+ */
+export interface Validator {
+  /** true when the text is English. */
+  isEnglish(inputText: string | null | undefined, options?: DetectionOptions): boolean;
+  /** true when the text is non-English (inverse of isEnglish). */
+  detectNonEnglishText(inputText: string | null | undefined, options?: DetectionOptions): boolean;
+  /** Full detection report behind the verdict. */
+  analyzeText(inputText: string | null | undefined, options?: DetectionOptions): AnalysisResult;
+  /** Probability (0.0–1.0) that the text is English, the secondary detector's boost included. */
+  englishProbability(inputText: string | null | undefined, options?: DetectionOptions): number;
+  /** Whether the text is English, another language, gibberish or empty. */
+  classifyText(inputText: string | null | undefined, options?: ClassificationOptions): TextClass;
+  /** Contiguous runs of non-English words, with offsets into the input. */
+  findNonEnglishSpans(
+    inputText: string | null | undefined,
+    options?: SpanOptions,
+  ): NonEnglishSpan[];
+  /** Most likely languages of the text, as ranked ISO 639 codes. */
+  detectLanguage(
+    inputText: string | null | undefined,
+    options?: LanguageDetectionOptions,
+  ): LanguageCandidate[];
+  /** isEnglish over many texts, in input order. */
+  detectBatch(
+    texts: ReadonlyArray<string | null | undefined>,
+    options?: DetectionOptions,
+  ): boolean[];
+  /** detectBatch that yields to the event loop every chunkSize texts. */
+  detectBatchAsync(
+    texts: ReadonlyArray<string | null | undefined>,
+    options?: BatchOptions,
+  ): Promise<boolean[]>;
+  /** Per-chunk verdicts over a streamed document, with a running summary. */
+  detectStream(
+    source: AsyncIterable<string | Uint8Array> | Iterable<string | Uint8Array>,
+    options?: StreamOptions,
+  ): AsyncGenerator<StreamChunkResult, DocumentSummary>;
+  /** Accuracy, English precision/recall/F1 and errors over a labelled corpus. */
+  evaluate(corpus: readonly LabelledSample[], options?: EvaluationOptions): EvaluationReport;
+  /** Evaluates every combination of an option grid, best setting first. */
+  sweepOptions(
+    corpus: readonly LabelledSample[],
+    grid: OptionGrid,
+    options?: SweepOptions,
+  ): SweepResult[];
+  /** The string fields of a value (at the given paths) that are not English. */
+  validateObject(value: unknown, config?: ObjectValidationConfig): FieldFailure[];
+  /** Connect/Express middleware rejecting requests with non-English fields. */
+  createEnglishMiddleware(config?: MiddlewareConfig): EnglishMiddleware;
+  /** Predicate for schema-library refinements: non-strings and English strings pass. */
+  createEnglishRefinement(options?: DetectionOptions): (value: unknown) => boolean;
+  /** Makes the words count as English for this validator (case-insensitive). */
+  addWords(words: Iterable<string>): void;
+  /** Stops the words counting as English for this validator (case-insensitive). */
+  removeWords(words: Iterable<string>): void;
+  /** Whether this validator's layered dictionary contains the word. */
+  hasWord(word: string): boolean;
+  /** Clears this validator's word and secondary detector caches and their statistics. */
+  clearCaches(): void;
+  /** Changes cache limits or stores at runtime; shrinking evicts at once. */
+  configureCaches(config: CacheConfig): void;
+  /** Hit, miss and eviction counts and current sizes of each cache. */
+  getCacheStats(): CacheStatsReport;
+}
+
+// ─── Internal Interfaces ──────────────────────────────────────────────────────
+
+/** Internal piece of a document cut by the chunker, with its position. */
+export interface TextChunk {
+  text: string;
+  start: number;
+  end: number;
+}
+
+/** Internal message sent from the pool to a batch worker. */
+export interface BatchTask {
+  id: number;
+  texts: string[];
+  options: DetectionOptions;
+}
+
+/** Internal reply sent from a batch worker back to the pool. */
+export interface BatchReply {
+  id: number;
+  results?: boolean[];
+  error?: string;
+}
+
+/**
+ * Internal text paired with, for every character, the range of the original
+ * input it came from. Lets preprocessing rewrite text while keeping
+ * offsets into the caller's string.
+ */
+export interface TrackedText {
+  text: string;
+  /** Original start offset of each character of text. */
+  starts: number[];
+  /** Original end offset (exclusive) of each character of text. */
+  ends: number[];
+}
+
+/**
+ * Heuristics for one non-English language. Lists are space-separated and
+ * matched case-insensitively against whole words (endings: word ends).
+ */
+export interface LanguageIndicators {
+  /** ISO 639-3 code. */
+  language: string;
+  /** Letters typical of the language (not used in English). */
+  characters: string;
+  endings: string;
+  vocabulary: string;
+  functionWords: string;
+}
+
+/**
+ * Words of one romanized indicator pack: a space-separated vocabulary
+ * list and, for scripts romanized with digits, a regex source for such
+ * words (matched case-insensitively against whole words).
+ */
+export interface RomanizedIndicators {
+  pack: RomanizedPack;
+  vocabulary: string;
+  numeralWord?: string;
+}
+
+/**
+ * Internal per-validator state threaded through the detection pipeline.
+ * The top-level API uses a shared default context.
+ */
+export interface ValidatorContext {
+  dictionary: LayeredDictionary;
+  wordCache: LruCache<WordVerdict>;
+  secondaryCache: LruCache<SecondaryAnalysis>;
+  secondaryDetector: SecondaryDetector;
+}
+
+/** Internal least-recently-used cache with optional second-tier store. */
+export interface LruCache<V> {
+  get(key: string): V | undefined;
+  set(key: string, value: V): void;
+  /** Drops the in-memory entries (the store is left alone). */
+  clear(): void;
+  resetStats(): void;
+  configure(options: CacheOptions): void;
+  stats(): CacheStats;
+}
+
+/** Internal secondary detector result: its best guess plus the score it gave English. */
+export interface SecondaryAnalysis extends LanguageResult {
+  /** The detector's score for `eng` (0.0–1.0; 0 when it could not judge the text). */
+  englishScore: number;
+}
+
+/** Internal dictionary with runtime additions and removals over a base lookup. */
+export interface LayeredDictionary extends WordLookup {
+  add(words: Iterable<string>): void;
+  remove(words: Iterable<string>): void;
+  /** The layers that can be enumerated: additions, extra word lists, then the base. */
+  wordLists(): Iterable<string>[];
+}
+
+/** Internal result of a single word-level English check. */
+export interface WordVerdict {
+  isEnglish: boolean;
+  reason: TokenReason;
+  morphology?: MorphologyMatch;
+  typo?: TypoMatch;
+}
+
 /** Internal options for word-level English checks. */
 export interface WordOptions {
   allowNumbers: boolean;
   allowAbbreviations: boolean;
+  morphology: boolean;
+  typoTolerance: number;
+  romanizedPacks: readonly RomanizedPack[];
+  technical: boolean;
+}
+
+/** Internal options for classifying one token of the preprocessed text. */
+export interface TokenOptions extends WordOptions {
+  minWordLength: number;
+  namedEntities: boolean;
 }
@@ -0,0 +1,262 @@
+import { TYPO_DISTANCE_2_MIN_LENGTH, TYPO_MIN_WORD_LENGTH, TYPO_PREFIX_LENGTH } from './constants';
+import { liteDictionary } from './lite-dictionary';
+import { TypoMatch, WordLookup } from './types';
+
+// ─── Typo Tolerance ───────────────────────────────────────────────────────────
+
+/** Largest edit distance the deletion index supports. */
+const MAX_INDEX_DISTANCE = 2;
+
+/**
+ * Deletion index over the words of one length: the hash of every
+ * delete-variant of a word's prefix, bucketed into slots, points back at
+ * the word. Hash collisions only add candidates, which the edit distance
+ * check then rejects.
+ */
+interface LengthBucket {
+  words: string[];
+  /** Start of each slot's run in entries (slots + 1 offsets). */
+  starts: Uint32Array;
+  /** Indices into words, grouped by slot. */
+  entries: Uint32Array;
+  mask: number;
+}
+
+/** A word list's words grouped by length, indexed one length at a time. */
+interface DeletionIndex {
+  byLength: Map<number, string[]>;
+  buckets: Map<number, LengthBucket>;
+}
+
+/** Built on the first typo lookup in each word list; shared by every validator. */
+const deletionIndexes = new WeakMap<Iterable<string>, DeletionIndex>();
+
+/**
+ * Every string reachable from text by deleting up to maxDeletes characters,
+ * including text itself.
+ */
+function deleteVariants(text: string, maxDeletes: number): Set<string> {
+  const variants = new Set([text]);
+  let frontier = [text];
+  for (let round = 0; round < maxDeletes; round++) {
+    const next: string[] = [];
+    for (const variant of frontier) {
+      for (let i = 0; i < variant.length; i++) {
+        const shorter = variant.slice(0, i) + variant.slice(i + 1);
+        if (!variants.has(shorter)) {
+          variants.add(shorter);
+          next.push(shorter);
+        }
+      }
+    }
+    frontier = next;
+  }
+  return variants;
+}
+
+/** 32-bit FNV-1a hash of a string's UTF-16 code units. */
+function hashString(text: string): number {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/** Hashes of every delete-variant of a word's indexed prefix. */
+function prefixVariantHashes(word: string): number[] {
+  const variants = deleteVariants(word.slice(0, TYPO_PREFIX_LENGTH), MAX_INDEX_DISTANCE);
+  return [...variants].map(hashString);
+}
+
+/**
+ * Builds a SymSpell-style symmetric deletion index over words of one
+ * length: every word is stored under each variant of its first
+ * {@link TYPO_PREFIX_LENGTH} characters with up to two characters deleted.
+ * A misspelling is then found by generating the same variants of its own
+ * prefix — no edit operations other than deletion are ever enumerated.
+ *
+ * Indexing only the prefix keeps the index to about 20 entries per word,
+ * and storing hashes in typed arrays keeps the full dictionary's index to
+ * a few tens of megabytes.
+ */
+function buildLengthBucket(words: string[]): LengthBucket {
+  const hashes = words.map(prefixVariantHashes);
+
+  let slots = 1;
+  while (slots < words.length * 4) slots <<= 1;
+  const mask = slots - 1;
+
+  const starts = new Uint32Array(slots + 1);
+  for (const wordHashes of hashes) {
+    for (const hash of wordHashes) starts[(hash & mask) + 1]++;
+  }
+  for (let slot = 1; slot <= slots; slot++) starts[slot] += starts[slot - 1];
+
+  const entries = new Uint32Array(starts[slots]);
+  const next = starts.slice(0, slots);
+  hashes.forEach((wordHashes, index) => {
+    for (const hash of wordHashes) entries[next[hash & mask]++] = index;
+  });
+
+  return { words, starts, entries, mask };
+}
+
+/**
+ * Words of a list within reach of the given prefix-variant hashes and of
+ * the given length, building the list's index on first use.
+ */
+function* indexedCandidates(
+  list: Iterable<string>,
+  length: number,
+  hashes: number[],
+): Generator<string> {
+  let index = deletionIndexes.get(list);
+  if (!index) {
+    const byLength = new Map<number, string[]>();
+    for (const word of list) {
+      const words = byLength.get(word.length);
+      if (words) words.push(word);
+      else byLength.set(word.length, [word]);
+    }
+    index = { byLength, buckets: new Map() };
+    deletionIndexes.set(list, index);
+  }
+
+  let bucket = index.buckets.get(length);
+  if (!bucket) {
+    const words = index.byLength.get(length);
+    if (!words) return;
+    bucket = buildLengthBucket(words);
+    index.buckets.set(length, bucket);
+  }
+
+  const { words, starts, entries, mask } = bucket;
+  const seen = new Set<number>();
+  for (const hash of hashes) {
+    const slot = hash & mask;
+    for (let i = starts[slot]; i < starts[slot + 1]; i++) {
+      if (seen.has(entries[i])) continue;
+      seen.add(entries[i]);
+      yield words[entries[i]];
+    }
+  }
+}
+
+/**
+ * Optimal string alignment distance (Levenshtein plus adjacent
+ * transpositions), giving up as soon as it must exceed max.
+ *
+ * @returns The distance, or max + 1 when it is larger than max
+ */
+export function editDistance(a: string, b: string, max: number): number {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous2: number[] = [];
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, previous2[j - 2] + 1);
+      }
+      current[j] = value;
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > max) return max + 1;
+    previous2 = previous;
+    previous = current;
+  }
+
+  return Math.min(previous[b.length], max + 1);
+}
+
+/** Sorted letters, so transpositions compare equal. */
+const letters = (word: string): string => [...word].sort().join('');
+
+/**
+ * Ranks two candidates at the same distance: common words first, then
+ * transpositions of the word (teh → the, not tea), then same-length
+ * words, then alphabetical.
+ */
+function preferCandidate(word: string, a: string, b: string): number {
+  const common = Number(liteDictionary.has(b)) - Number(liteDictionary.has(a));
+  if (common !== 0) return common;
+  const sameLetters = letters(word);
+  const anagram = Number(letters(b) === sameLetters) - Number(letters(a) === sameLetters);
+  if (anagram !== 0) return anagram;
+  const sameLength = Number(b.length === word.length) - Number(a.length === word.length);
+  return sameLength !== 0 ? sameLength : a < b ? -1 : 1;
+}
+
+/**
+ * Finds the closest dictionary word within a bounded edit distance of a
+ * misspelt word ("recieve" → "receive", "teh" → "the").
+ *
+ * Candidates come from every given word list. `Set`s (runtime additions
+ * and plain word arrays) are scanned, since they may change; other lists,
+ * such as the built-in dictionary and dictionary packs, get a deletion
+ * index built one word length at a time on first use and must not change.
+ * Words shorter than {@link TYPO_MIN_WORD_LENGTH} are never matched, and
+ * words shorter than {@link TYPO_DISTANCE_2_MIN_LENGTH} only within
+ * distance 1. A candidate must also be in the caller's dictionary, so
+ * validator removals are respected; of candidates at the same distance,
+ * common words are preferred.
+ *
+ * @param word        - Lowercase word that missed the dictionary
+ * @param maxDistance - Largest edit distance to accept (1 or 2)
+ * @param dictionary  - Dictionary the suggestion must be in
+ * @param lists       - Word lists to take suggestions from
+ * @returns The suggestion and its distance, or null
+ *
+ * @example
+ * findTypoMatch("definately", 2, englishDictionary, [englishDictionary]);
+ * // { suggestion: "definitely", distance: 1 }
+ */
+export function findTypoMatch(
+  word: string,
+  maxDistance: number,
+  dictionary: WordLookup,
+  lists: Iterable<Iterable<string>>,
+): TypoMatch | null {
+  if (word.length < TYPO_MIN_WORD_LENGTH) return null;
+
+  const limit = Math.min(
+    Math.floor(maxDistance),
+    word.length < TYPO_DISTANCE_2_MIN_LENGTH ? 1 : MAX_INDEX_DISTANCE,
+  );
+  if (limit < 1) return null;
+
+  const hashes = prefixVariantHashes(word);
+  let best: TypoMatch | null = null;
+
+  const consider = (candidate: string) => {
+    const distance = editDistance(word, candidate, limit);
+    if (distance > limit || distance === 0 || !dictionary.has(candidate)) return;
+    if (
+      !best ||
+      distance < best.distance ||
+      (distance === best.distance && preferCandidate(word, candidate, best.suggestion) < 0)
+    ) {
+      best = { suggestion: candidate, distance };
+    }
+  };
+
+  for (const list of lists) {
+    if (list instanceof Set) {
+      for (const candidate of list) consider(candidate);
+      continue;
+    }
+    const shortest = Math.max(1, word.length - limit);
+    for (let length = shortest; length <= word.length + limit; length++) {
+      for (const candidate of indexedCandidates(list, length, hashes)) consider(candidate);
+    }
+  }
+
+  return best;
+}
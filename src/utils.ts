@@ -1,29 +1,5 @@
-import { WHITESPACE_REGEX } from './constants';
-
 // ─── Utility Helpers (DRY) ───────────────────────────────────────────────────
 
-/**
- * Inserts a key-value pair into an LRU-style Map cache. When the cache
- * reaches its size limit, the oldest entry (first key) is evicted before
- * the new entry is added.
- *
- * Extracted to eliminate duplicated eviction logic across caches (DRY).
- *
- * @typeParam K - Cache key type
- * @typeParam V - Cache value type
- * @param cache - The Map to manage
- * @param limit - Maximum number of entries before eviction triggers
- * @param key   - Key for the new entry
- * @param value - Value for the new entry
- */
-export function cacheSet<K, V>(cache: Map<K, V>, limit: number, key: K, value: V): void {
-  if (cache.size >= limit) {
-    const firstKey = cache.keys().next().value;
-    if (firstKey !== undefined) cache.delete(firstKey);
-  }
-  cache.set(key, value);
-}
-
 /**
  * Type-guard that validates a value is a non-empty string.
  * Replaces repeated `!text || typeof text !== "string"` checks (DRY).
@@ -36,13 +12,15 @@ export function isNonEmptyString(value: unknown): value is string {
 }
 
 /**
- * Collapses consecutive whitespace to a single space and trims
- * leading/trailing whitespace. Centralises a pattern used by
- * multiple preprocessing functions (DRY).
+ * Resolves on a later turn of the event loop so long-running loops can let
+ * I/O and timers run between chunks of work. Uses `setImmediate` where
+ * available and falls back to `setTimeout` in browsers.
  *
- * @param text - The text to normalise
- * @returns Whitespace-normalised text
+ * @returns Promise that resolves after pending I/O callbacks have had a chance to run
  */
-export function normalizeWhitespace(text: string): string {
-  return text.replace(WHITESPACE_REGEX, ' ').trim();
+export function yieldToEventLoop(): Promise<void> {
+  return new Promise((resolve) => {
+    if (typeof setImmediate === 'function') setImmediate(resolve);
+    else setTimeout(resolve, 0);
+  });
 }
@@ -0,0 +1,81 @@
+import { analyzeText, englishProbability } from './analysis';
+import { detectBatch, detectBatchAsync } from './batch';
+import { evaluate, sweepOptions } from './evaluation';
+import { classifyText } from './gibberish';
+import { detectLanguage } from './language-detection';
+import { createEnglishMiddleware } from './middleware';
+import { createEnglishRefinement, validateObject } from './object-validation';
+import { findNonEnglishSpans } from './spans';
+import { detectStream } from './streaming';
+import { DetectionOptions, Validator, ValidatorContext } from './types';
+
+// ─── Validator Instances ──────────────────────────────────────────────────────
+
+/**
+ * Builds the public validator methods over a context. Options passed to a
+ * method are merged over `defaults`; a key given in the call replaces the
+ * default for that key.
+ *
+ * @param context  - Dictionary and caches the methods share
+ * @param defaults - Detection options applied to every call
+ * @returns The validator
+ */
+export function bindValidator(
+  context: ValidatorContext,
+  defaults: DetectionOptions = {},
+): Validator {
+  const withDefaults = <T extends DetectionOptions>(options: T = {} as T): T => ({
+    ...defaults,
+    ...options,
+  });
+
+  const validator: Validator = {
+    analyzeText: (inputText, options) => analyzeText(inputText, withDefaults(options), context),
+    englishProbability: (inputText, options) =>
+      englishProbability(inputText, withDefaults(options), context),
+    classifyText: (inputText, options) => classifyText(inputText, withDefaults(options), context),
+    isEnglish: (inputText, options) => validator.analyzeText(inputText, options).isEnglish,
+    detectNonEnglishText: (inputText, options) => !validator.isEnglish(inputText, options),
+    findNonEnglishSpans: (inputText, options) =>
+      findNonEnglishSpans(inputText, withDefaults(options), context),
+    detectLanguage: (inputText, options) =>
+      detectLanguage(inputText, withDefaults(options), context),
+    detectBatch: (texts, options) => detectBatch(texts, withDefaults(options), context),
+    detectBatchAsync: (texts, options) => detectBatchAsync(texts, withDefaults(options), context),
+    detectStream: (source, options) => detectStream(source, withDefaults(options), context),
+    evaluate: (corpus, options) => evaluate(corpus, withDefaults(options), context),
+    sweepOptions: (corpus, grid, options) =>
+      sweepOptions(corpus, grid, withDefaults(options), context),
+    validateObject: (value, config = {}) =>
+      validateObject(value, { ...config, options: withDefaults(config.options) }, context),
+    createEnglishMiddleware: (config = {}) =>
+      createEnglishMiddleware({ ...config, options: withDefaults(config.options) }, context),
+    createEnglishRefinement: (options) => createEnglishRefinement(withDefaults(options), context),
+
+    addWords(words) {
+      context.dictionary.add(words);
+      context.wordCache.clear();
+    },
+    removeWords(words) {
+      context.dictionary.remove(words);
+      context.wordCache.clear();
+    },
+    hasWord: (word) => context.dictionary.has(word.toLowerCase()),
+    clearCaches() {
+      for (const cache of [context.secondaryCache, context.wordCache]) {
+        cache.clear();
+        cache.resetStats();
+      }
+    },
+    configureCaches(config) {
+      if (config.word) context.wordCache.configure(config.word);
+      if (config.secondary) context.secondaryCache.configure(config.secondary);
+    },
+    getCacheStats: () => ({
+      word: context.wordCache.stats(),
+      secondary: context.secondaryCache.stats(),
+    }),
+  };
+
+  return validator;
+}
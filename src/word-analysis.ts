@@ -1,19 +1,17 @@
-import { englishDictionary } from './dictionary';
 import {
   ABBREVIATION_REGEX,
   ENGLISH_CHARS_REGEX,
-  NUMBERS_ONLY_REGEX,
-  WORD_CACHE_LIMIT,
+  PROGRAMMING_TERMS,
+  TRAILING_NUMBER_REGEX,
 } from './constants';
-import { WordOptions } from './types';
-import { hasObviousNonEnglishIndicators } from './non-english-checks';
-import { cacheSet } from './utils';
+import { LayeredDictionary, ValidatorContext, WordOptions, WordVerdict } from './types';
+import { contractionHost, findEnglishBase } from './morphology';
+import { findNonEnglishIndicator } from './non-english-checks';
+import { numericTokenKind } from './tokenizer';
+import { findTypoMatch } from './typo-index';
 
 // ─── Word-Level Analysis ──────────────────────────────────────────────────────
 
-/** LRU-style cache for individual word English-check results. */
-export const wordCache = new Map<string, boolean>();
-
 /**
  * Validates that a word contains only English-compatible characters:
  * ASCII letters (a-z, A-Z), digits (0-9), apostrophes, and hyphens.
@@ -28,51 +26,116 @@ function hasOnlyEnglishCharacters(word: string): boolean {
 /**
  * Determines whether a single word is English through a layered pipeline:
  *
- * 1. **Character filter** — rejects words with non-ASCII characters
- * 2. **Number detection** — standalone digits pass when allowNumbers is true
- * 3. **Non-English screening** — rejects obvious non-English indicators
- * 4. **Dictionary lookup** — checks the 270k+ English word Set
- * 5. **Contraction resolution** — splits on apostrophe and rechecks base
+ * 1. **Number detection** — numbers, ordinals, numbers with units and
+ *    currency amounts (see {@link numericTokenKind}) pass when allowNumbers
+ *    is true and are unknown otherwise
+ * 2. **Character filter** — rejects words with non-ASCII characters
+ * 3. **Programming terms** — accepts common programming terms (when the
+ *    technical option is on; see {@link PROGRAMMING_TERMS})
+ * 4. **Non-English screening** — rejects obvious non-English indicators,
+ *    including words of the enabled romanized indicator packs
+ * 5. **Dictionary lookup** — checks the validator's layered dictionary
+ *    (the entry point's built-in word list plus runtime additions and
+ *    removals); a word followed by a number (web3, covid19) is looked up,
+ *    and goes through the layers below, without the number
+ * 6. **Morphology** — reduces possessives and regular suffixes/prefixes to a
+ *    dictionary word (when the morphology option is on)
+ * 7. **Contraction resolution** — splits on apostrophe and rechecks base
+ * 8. **Typo tolerance** — accepts near-misses of dictionary words (when
+ *    typoTolerance is above 0)
  *
- * Each layer short-circuits to avoid unnecessary work (optimised).
+ * Each layer short-circuits to avoid unnecessary work (optimised) and
+ * reports which layer produced the verdict.
  *
- * @param word    - Lowercase word to evaluate
- * @param options - Controls number handling
- * @returns true if the word is recognised as English
+ * @param word       - Lowercase word to evaluate
+ * @param options    - Controls number, abbreviation, morphology, typo and programming-term handling
+ * @param dictionary - Dictionary to look the word up in
+ * @returns The verdict and the reason behind it
  */
-function isEnglishWord(word: string, options: WordOptions): boolean {
-  if (!hasOnlyEnglishCharacters(word)) return false;
-  if (options.allowNumbers && NUMBERS_ONLY_REGEX.test(word)) return true;
-  if (options.allowAbbreviations && ABBREVIATION_REGEX.test(word)) return true;
-  if (hasObviousNonEnglishIndicators(word)) return false;
-  if (englishDictionary.has(word)) return true;
+function classifyWord(
+  word: string,
+  options: WordOptions,
+  dictionary: LayeredDictionary,
+): WordVerdict {
+  const numeric = numericTokenKind(word);
+  if (numeric) {
+    return options.allowNumbers
+      ? { isEnglish: true, reason: numeric }
+      : { isEnglish: false, reason: 'unknown' };
+  }
+  if (!hasOnlyEnglishCharacters(word)) {
+    return { isEnglish: false, reason: 'non-english-character' };
+  }
+  if (options.allowAbbreviations && ABBREVIATION_REGEX.test(word)) {
+    return { isEnglish: true, reason: 'abbreviation' };
+  }
+  if (options.technical && PROGRAMMING_TERMS.has(word)) {
+    return { isEnglish: true, reason: 'technical-term' };
+  }
+
+  const indicator = findNonEnglishIndicator(word, options.romanizedPacks);
+  if (indicator) return { isEnglish: false, reason: indicator };
+
+  const base = TRAILING_NUMBER_REGEX.exec(word)?.[1] ?? word;
+  if (dictionary.has(base)) return { isEnglish: true, reason: 'dictionary' };
 
-  if (word.includes("'")) {
-    const contractionBase = word.split("'")[0];
-    if (englishDictionary.has(contractionBase)) return true;
+  const morphology = options.morphology ? findEnglishBase(base, dictionary) : null;
+  if (morphology) return { isEnglish: true, reason: 'morphology', morphology };
+
+  if (base.includes("'")) {
+    if (dictionary.has(contractionHost(base))) return { isEnglish: true, reason: 'contraction' };
   }
 
-  return false;
+  const typo =
+    options.typoTolerance > 0
+      ? findTypoMatch(base, options.typoTolerance, dictionary, dictionary.wordLists())
+      : null;
+  if (typo) return { isEnglish: true, reason: 'typo', typo };
+
+  return { isEnglish: false, reason: 'unknown' };
 }
 
 /**
- * Cached wrapper around {@link isEnglishWord}. Uses an LRU-style Map
- * cache (max {@link WORD_CACHE_LIMIT} entries) keyed on word + options
- * to avoid redundant dictionary lookups for previously checked words.
+ * Cached wrapper around {@link classifyWord}. Uses the validator's LRU
+ * word cache (5,000 entries by default) keyed on word + options to avoid
+ * redundant dictionary lookups for previously checked words.
  *
  * Follows the Single Responsibility Principle: caching logic is
  * separated from word-evaluation logic.
  *
  * @param word    - Lowercase word to check
  * @param options - Controls number and abbreviation handling
- * @returns true if the word is recognised as English
+ * @param context - Validator whose dictionary and cache to use
+ * @returns The verdict and the reason behind it
  */
-export function isEnglishWordCached(word: string, options: WordOptions): boolean {
-  const cacheKey = `${word}_${options.allowNumbers}_${options.allowAbbreviations}`;
+export function classifyWordCached(
+  word: string,
+  options: WordOptions,
+  context: ValidatorContext,
+): WordVerdict {
+  const { wordCache } = context;
+  const cacheKey = `${word}_${options.allowNumbers}_${options.allowAbbreviations}_${options.morphology}_${options.typoTolerance}_${options.technical}_${options.romanizedPacks.join(',')}`;
 
-  if (wordCache.has(cacheKey)) return wordCache.get(cacheKey)!;
+  const cached = wordCache.get(cacheKey);
+  if (cached) return cached;
 
-  const result = isEnglishWord(word, options);
-  cacheSet(wordCache, WORD_CACHE_LIMIT, cacheKey, result);
+  const result = classifyWord(word, options, context.dictionary);
+  wordCache.set(cacheKey, result);
   return result;
 }
+
+/**
+ * Boolean form of {@link classifyWordCached}.
+ *
+ * @param word    - Lowercase word to check
+ * @param options - Controls number and abbreviation handling
+ * @param context - Validator whose dictionary and cache to use
+ * @returns true if the word is recognised as English
+ */
+export function isEnglishWordCached(
+  word: string,
+  options: WordOptions,
+  context: ValidatorContext,
+): boolean {
+  return classifyWordCached(word, options, context).isEnglish;
+}
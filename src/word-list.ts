@@ -0,0 +1,85 @@
+import { WordLookup } from './types';
+
+// ─── Sorted Word Lists ────────────────────────────────────────────────────────
+
+/** A read-only word list backed by one sorted, newline-delimited string. */
+export interface SortedWordList extends WordLookup, Iterable<string> {
+  /** Number of words in the list. */
+  readonly size: number;
+}
+
+/**
+ * Wraps a sorted, newline-delimited word string in a binary-search lookup.
+ * Instead of one string object and one hash entry per word (as a `Set`
+ * needs), the only allocation is an offset table of 4 bytes per word, and
+ * it is built on the first lookup rather than at import time.
+ *
+ * The string must be sorted by UTF-16 code unit (plain `Array#sort`) with
+ * no duplicates. Lookups are exact and case-sensitive, giving the same
+ * answers as `new Set(raw.split('\n')).has(word)`.
+ *
+ * @param raw - Sorted words joined with '\n'
+ * @returns A lookup over the words
+ *
+ * @example
+ * const colours = createSortedWordList("blue\ngreen\nred");
+ * colours.has("green"); // true
+ * colours.has("Green"); // false
+ */
+export function createSortedWordList(raw: string): SortedWordList {
+  let offsets: Uint32Array | null = null;
+
+  /** Start offset of every word, plus a sentinel one past the last. */
+  const index = (): Uint32Array => {
+    if (offsets) return offsets;
+
+    let count = 1;
+    for (let i = raw.indexOf('\n'); i !== -1; i = raw.indexOf('\n', i + 1)) count++;
+
+    offsets = new Uint32Array(count + 1);
+    let word = 1;
+    for (let i = raw.indexOf('\n'); i !== -1; i = raw.indexOf('\n', i + 1)) offsets[word++] = i + 1;
+    offsets[count] = raw.length + 1;
+    return offsets;
+  };
+
+  return {
+    get size() {
+      return index().length - 1;
+    },
+
+    has(word) {
+      const starts = index();
+      let low = 0;
+      let high = starts.length - 2;
+
+      while (low <= high) {
+        const middle = (low + high) >>> 1;
+        const order = compareAt(raw, starts[middle], starts[middle + 1] - 1, word);
+        if (order === 0) return true;
+        if (order > 0) low = middle + 1;
+        else high = middle - 1;
+      }
+      return false;
+    },
+
+    *[Symbol.iterator]() {
+      const starts = index();
+      for (let i = 0; i < starts.length - 1; i++) yield raw.slice(starts[i], starts[i + 1] - 1);
+    },
+  };
+}
+
+/**
+ * Compares word with raw[start, end) by UTF-16 code unit without slicing.
+ * Negative when word sorts first, positive when it sorts after, 0 if equal.
+ */
+function compareAt(raw: string, start: number, end: number, word: string): number {
+  const length = end - start;
+  const shared = Math.min(length, word.length);
+  for (let i = 0; i < shared; i++) {
+    const difference = word.charCodeAt(i) - raw.charCodeAt(start + i);
+    if (difference !== 0) return difference;
+  }
+  return word.length - length;
+}
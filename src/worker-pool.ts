@@ -0,0 +1,232 @@
+import * as os from 'os';
+import * as path from 'path';
+import { Worker } from 'worker_threads';
+import {
+  BatchOptions,
+  BatchReply,
+  BatchTask,
+  DetectionOptions,
+  DetectionPool,
+  ParallelBatchOptions,
+  PoolOptions,
+} from './types';
+import { isNonEmptyString } from './utils';
+
+// ─── Worker Pool (Node.js only) ───────────────────────────────────────────────
+
+/** Default number of unique texts sent to a worker per task. */
+const DEFAULT_CHUNK_SIZE = 500;
+
+/**
+ * Worker crashes in a row, with no reply in between, after which the pool
+ * stops respawning: a worker that fails while loading would otherwise be
+ * restarted forever.
+ */
+const MAX_CONSECUTIVE_FAILURES = 3;
+
+/** The subset of `worker_threads.Worker` the pool relies on. */
+export interface WorkerLike {
+  postMessage(task: BatchTask): void;
+  on(event: 'message', listener: (reply: BatchReply) => void): unknown;
+  on(event: 'error', listener: (error: Error) => void): unknown;
+  on(event: 'exit', listener: (code: number) => void): unknown;
+  terminate(): Promise<number>;
+}
+
+/** Starts one worker. Replaceable so the scheduling logic can be tested in-process. */
+export type WorkerFactory = () => WorkerLike;
+
+/** A chunk of texts waiting for, or assigned to, a worker. */
+interface PendingTask {
+  id: number;
+  texts: string[];
+  options: DetectionOptions;
+  resolve: (results: boolean[]) => void;
+  reject: (error: Error) => void;
+}
+
+/** A worker and the task it is currently running, if any. */
+interface Slot {
+  worker: WorkerLike;
+  current: PendingTask | null;
+}
+
+/** Starts a worker running the bundled batch worker next to this file. */
+function spawnBatchWorker(): WorkerLike {
+  return new Worker(path.join(__dirname, 'batch-worker.cjs'));
+}
+
+/** Number of threads to use when the caller doesn't say. */
+function defaultPoolSize(): number {
+  return typeof os.availableParallelism === 'function'
+    ? os.availableParallelism()
+    : os.cpus().length;
+}
+
+/**
+ * Starts a pool of worker threads for batch detection. Each worker imports
+ * the library once — building the 274k-word dictionary a single time —
+ * and then serves every task it is given, so the pool should be created
+ * once and reused across batches.
+ *
+ * A crashed worker is replaced and its task rejected. After
+ * {@link MAX_CONSECUTIVE_FAILURES} crashes without a reply in between —
+ * typically a worker that cannot load — the pool is broken: queued and
+ * later tasks reject with the last crash's error.
+ *
+ * Call {@link DetectionPool.destroy} when done; live workers keep the
+ * process running.
+ *
+ * @param options - Pool size
+ * @param spawn   - Worker factory (internal; defaults to the bundled worker)
+ * @returns The pool
+ *
+ * @example
+ * const pool = createDetectionPool({ size: 4 });
+ * const verdicts = await pool.detect(rows, { englishThreshold: 0.7 });
+ * await pool.destroy();
+ */
+export function createDetectionPool(
+  options: PoolOptions = {},
+  spawn: WorkerFactory = spawnBatchWorker,
+): DetectionPool {
+  const size = Math.max(1, Math.floor(options.size ?? defaultPoolSize()));
+  const queue: PendingTask[] = [];
+  const slots: Slot[] = [];
+  let nextId = 0;
+  let destroyed = false;
+  let failures = 0;
+  let broken: Error | null = null;
+
+  const dispatch = () => {
+    for (const slot of slots) {
+      if (slot.current || queue.length === 0) continue;
+      const task = queue.shift()!;
+      slot.current = task;
+      slot.worker.postMessage({ id: task.id, texts: task.texts, options: task.options });
+    }
+  };
+
+  /** Stops every worker and rejects every task with the given error. */
+  const shutDown = (error: Error): Promise<number[]> => {
+    for (const task of queue.splice(0)) task.reject(error);
+    return Promise.all(
+      slots.splice(0).map((slot) => {
+        slot.current?.reject(error);
+        return slot.worker.terminate();
+      }),
+    );
+  };
+
+  const fail = (slot: Slot, error: Error) => {
+    const index = slots.indexOf(slot);
+    if (index === -1) return;
+    slot.current?.reject(error);
+    slot.current = null;
+    if (destroyed) return;
+
+    if (++failures >= MAX_CONSECUTIVE_FAILURES) {
+      broken = new Error(
+        `Detection pool is broken after ${failures} worker failures: ${error.message}`,
+      );
+      slots.splice(index, 1);
+      void shutDown(broken);
+      return;
+    }
+    slots[index] = startSlot();
+    dispatch();
+  };
+
+  const startSlot = (): Slot => {
+    const slot: Slot = { worker: spawn(), current: null };
+    slot.worker.on('message', (reply) => {
+      const task = slot.current;
+      slot.current = null;
+      failures = 0;
+      if (task && task.id !== reply.id) {
+        task.reject(
+          new Error(`Detection worker answered task ${reply.id} while running ${task.id}`),
+        );
+      } else if (task) {
+        if (reply.error !== undefined) task.reject(new Error(reply.error));
+        else task.resolve(reply.results ?? []);
+      }
+      dispatch();
+    });
+    slot.worker.on('error', (error) => fail(slot, error));
+    slot.worker.on('exit', (code) => {
+      fail(slot, new Error(`Detection worker exited unexpectedly with code ${code}`));
+    });
+    return slot;
+  };
+
+  for (let i = 0; i < size; i++) slots.push(startSlot());
+
+  const run = (texts: string[], taskOptions: DetectionOptions) =>
+    new Promise<boolean[]>((resolve, reject) => {
+      if (broken) return reject(broken);
+      queue.push({ id: nextId++, texts, options: taskOptions, resolve, reject });
+      dispatch();
+    });
+
+  return {
+    size,
+
+    async detect(texts, detectOptions: BatchOptions = {}) {
+      if (destroyed) throw new Error('Detection pool has been destroyed');
+      if (broken) throw broken;
+
+      const { chunkSize = DEFAULT_CHUNK_SIZE, ...detectionOptions } = detectOptions;
+      const step = Math.max(1, Math.floor(chunkSize));
+      const unique = [...new Set(texts.filter(isNonEmptyString))];
+
+      const chunks: Promise<boolean[]>[] = [];
+      for (let start = 0; start < unique.length; start += step) {
+        chunks.push(run(unique.slice(start, start + step), detectionOptions));
+      }
+
+      const verdicts = new Map<string, boolean>();
+      (await Promise.all(chunks)).forEach((results, chunk) => {
+        results.forEach((verdict, i) => verdicts.set(unique[chunk * step + i], verdict));
+      });
+
+      return texts.map((text) => (isNonEmptyString(text) ? verdicts.get(text)! : true));
+    },
+
+    async destroy() {
+      if (destroyed) return;
+      destroyed = true;
+      await shutDown(new Error('Detection pool has been destroyed'));
+    },
+  };
+}
+
+/**
+ * Runs `isEnglish` over many texts across worker threads and returns the
+ * verdicts in input order. Identical inputs are analysed once.
+ *
+ * Starts a pool of `workers` threads for the call and stops it afterwards;
+ * pass a long-lived `pool` from {@link createDetectionPool} instead to
+ * avoid paying the dictionary load on every call.
+ *
+ * @param texts   - Texts to check (null/undefined/empty count as English)
+ * @param options - Detection configuration plus workers, chunkSize and pool
+ * @returns Promise of one boolean per input — true when that text is English
+ *
+ * @example
+ * const verdicts = await detectBatchParallel(rows, { workers: 4 });
+ */
+export async function detectBatchParallel(
+  texts: ReadonlyArray<string | null | undefined>,
+  options: ParallelBatchOptions = {},
+): Promise<boolean[]> {
+  const { workers, pool, ...batchOptions } = options;
+  if (pool) return pool.detect(texts, batchOptions);
+
+  const ownPool = createDetectionPool({ size: workers });
+  try {
+    return await ownPool.detect(texts, batchOptions);
+  } finally {
+    await ownPool.destroy();
+  }
+}
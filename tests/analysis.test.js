@@ -0,0 +1,97 @@
+import { analyzeText, clearLanguageDetectorCaches, isEnglish } from '../src/index';
+
+afterEach(() => {
+  clearLanguageDetectorCaches();
+});
+
+describe('analyzeText', () => {
+  test('reports English text decided by word ratio', () => {
+    const report = analyzeText('The quick brown fox jumps over the lazy dog');
+    expect(report.isEnglish).toBe(true);
+    expect(report.decision).toBe('word-ratio');
+    expect(report.englishRatio).toBe(1);
+    expect(report.totalRelevantWords).toBe(9);
+    expect(report.threshold).toBe(0.8);
+    expect(report.thresholdSource).toBe('default');
+    expect(report.secondary).toBeNull();
+  });
+
+  test('reports the reason for each token', () => {
+    const report = analyzeText('XKCD le Straße 42 xyzzyq runs');
+    const reasons = Object.fromEntries(report.tokens.map((t) => [t.token, t.reason]));
+    expect(reasons).toEqual({
+      XKCD: 'abbreviation',
+      le: 'non-english-function-word',
+      Straße: 'non-english-character',
+      42: 'number',
+      xyzzyq: 'unknown',
+      runs: 'dictionary',
+    });
+  });
+
+  test('reports non-English endings and vocabulary', () => {
+    const report = analyzeText('Freundschaft nicht');
+    expect(report.tokens.map((t) => t.reason)).toEqual([
+      'non-english-ending',
+      'non-english-vocabulary',
+    ]);
+  });
+
+  test('marks tokens below minWordLength as not counted', () => {
+    const report = analyzeText('I was a big fan', { minWordLength: 3 });
+    const short = report.tokens.filter((t) => !t.counted);
+    expect(short.map((t) => t.token)).toEqual(['I', 'a']);
+    expect(short.every((t) => t.reason === 'too-short')).toBe(true);
+    expect(report.totalRelevantWords).toBe(3);
+  });
+
+  test('exposes the preprocessed text', () => {
+    const report = analyzeText('The AEM01-WI-DSU06-SD01 document is ready');
+    expect(report.processedText).toBe('The document is ready');
+  });
+
+  test('applies a caller-supplied threshold to short texts', () => {
+    const report = analyzeText('hello zxqv', { englishThreshold: 0.9 });
+    expect(report.threshold).toBe(0.9);
+    expect(report.thresholdSource).toBe('option');
+    expect(report.probability).toBeCloseTo(0.7);
+    expect(report.isEnglish).toBe(false);
+  });
+
+  test('reports a caller-supplied threshold', () => {
+    const report = analyzeText('The quick brown fox jumps over the dog', { englishThreshold: 0.9 });
+    expect(report.threshold).toBe(0.9);
+    expect(report.thresholdSource).toBe('option');
+  });
+
+  test('consults the secondary detector only when it can change the verdict', () => {
+    const german = analyzeText('Das ist ein deutscher Satz und er ist lang genug');
+    expect(german.isEnglish).toBe(false);
+    expect(german.decision).toBe('below-threshold');
+    expect(german.secondary).toBeNull();
+    expect(german.probability).toBeLessThan(german.threshold);
+
+    const report = analyzeText(
+      'Please review the attached zorbl qlarp document before the qwerk meeting',
+    );
+    expect(report.englishRatio).toBeLessThan(report.threshold);
+    expect(report.secondary.language).toBe('eng');
+    expect(report.decision).toBe('secondary-override');
+    expect(report.isEnglish).toBe(true);
+  });
+
+  test('reports empty input', () => {
+    const report = analyzeText('   ');
+    expect(report.isEnglish).toBe(true);
+    expect(report.decision).toBe('empty-input');
+    expect(report.tokens).toEqual([]);
+    expect(report.englishRatio).toBe(1);
+  });
+
+  test('agrees with isEnglish', () => {
+    const samples = ['Hello, how are you today?', 'Ceci est une phrase en français', 'a I'];
+    for (const text of samples) {
+      expect(analyzeText(text).isEnglish).toBe(isEnglish(text));
+    }
+  });
+});
@@ -0,0 +1,172 @@
+import { EventEmitter } from 'events';
+import * as path from 'path';
+import { Worker } from 'worker_threads';
+import {
+  clearLanguageDetectorCaches,
+  detectBatch,
+  detectBatchAsync,
+  isEnglish,
+} from '../src/index';
+import { handleBatchTask } from '../src/batch-worker';
+import { createDetectionPool, detectBatchParallel } from '../src/worker-pool';
+
+afterEach(() => {
+  clearLanguageDetectorCaches();
+});
+
+const ENGLISH = 'The quick brown fox jumps over the lazy dog';
+const GERMAN = 'Das ist ein deutscher Satz und er ist lang genug';
+
+/** In-process stand-in for a worker thread speaking the batch protocol. */
+class FakeWorker extends EventEmitter {
+  constructor() {
+    super();
+    this.tasks = [];
+  }
+
+  postMessage(task) {
+    this.tasks.push(task);
+    setImmediate(() => this.emit('message', handleBatchTask(task)));
+  }
+
+  terminate() {
+    setImmediate(() => this.emit('exit', 1));
+    return Promise.resolve(1);
+  }
+}
+
+describe('detectBatch', () => {
+  test('returns verdicts in input order', () => {
+    expect(detectBatch([ENGLISH, GERMAN, 'Hello world'])).toEqual([true, false, true]);
+  });
+
+  test('treats null, undefined and empty strings as English', () => {
+    expect(detectBatch([null, undefined, '', '   '])).toEqual([true, true, true, true]);
+  });
+
+  test('applies options to every text', () => {
+    const texts = ['TICKET-1 the quick brown fox jumps', 'TICKET-2 over the lazy dog today'];
+    expect(detectBatch(texts, { customPatterns: [/\bTICKET-\d+\b/g] })).toEqual([true, true]);
+  });
+
+  test('agrees with isEnglish for duplicated inputs', () => {
+    const texts = [GERMAN, ENGLISH, GERMAN, ENGLISH];
+    expect(detectBatch(texts)).toEqual(texts.map((t) => isEnglish(t)));
+  });
+});
+
+describe('detectBatchAsync', () => {
+  test('resolves to the same verdicts as detectBatch', async () => {
+    const texts = [ENGLISH, GERMAN, null, 'Hello world', GERMAN];
+    await expect(detectBatchAsync(texts, { chunkSize: 2 })).resolves.toEqual(detectBatch(texts));
+  });
+
+  test('yields to the event loop between chunks', async () => {
+    let ticks = 0;
+    const timer = setInterval(() => ticks++, 0);
+    await detectBatchAsync(
+      Array.from({ length: 40 }, (_, i) => `${ENGLISH} ${i}`),
+      {
+        chunkSize: 1,
+      },
+    );
+    clearInterval(timer);
+    expect(ticks).toBeGreaterThan(0);
+  });
+
+  test('handles an empty batch', async () => {
+    await expect(detectBatchAsync([])).resolves.toEqual([]);
+  });
+});
+
+describe('worker pool', () => {
+  test('handleBatchTask reports worker-side errors', () => {
+    const reply = handleBatchTask({ id: 7, texts: [ENGLISH], options: { excludeWords: [null] } });
+    expect(reply.id).toBe(7);
+    expect(typeof reply.error).toBe('string');
+  });
+
+  test('spreads unique texts across workers and keeps input order', async () => {
+    const workers = [];
+    const pool = createDetectionPool({ size: 2 }, () => {
+      const worker = new FakeWorker();
+      workers.push(worker);
+      return worker;
+    });
+
+    const texts = [ENGLISH, GERMAN, ENGLISH, null, 'Hello world', GERMAN];
+    await expect(pool.detect(texts, { chunkSize: 1 })).resolves.toEqual(detectBatch(texts));
+    expect(pool.size).toBe(2);
+    expect(workers.every((w) => w.tasks.length > 0)).toBe(true);
+    // Duplicates are sent once
+    expect(workers.flatMap((w) => w.tasks.flatMap((t) => t.texts))).toHaveLength(3);
+
+    await pool.destroy();
+  });
+
+  test('rejects a task whose worker crashes and replaces the worker', async () => {
+    let spawned = 0;
+    const pool = createDetectionPool({ size: 1 }, () => {
+      spawned++;
+      const worker = new FakeWorker();
+      if (spawned === 1) {
+        worker.postMessage = () => setImmediate(() => worker.emit('error', new Error('boom')));
+      }
+      return worker;
+    });
+
+    await expect(pool.detect([ENGLISH])).rejects.toThrow('boom');
+    await expect(pool.detect([GERMAN])).resolves.toEqual([false]);
+    expect(spawned).toBe(2);
+    await pool.destroy();
+  });
+
+  test('breaks instead of respawning a worker that fails to load', async () => {
+    let spawned = 0;
+    const script = path.join(__dirname, 'fixtures/throwing-worker.cjs');
+    const pool = createDetectionPool({ size: 1 }, () => {
+      spawned++;
+      return new Worker(script);
+    });
+
+    await expect(pool.detect([ENGLISH])).rejects.toThrow('worker failed to load');
+    let error;
+    for (let attempt = 0; attempt < 5 && !/broken/.test(error?.message); attempt++) {
+      error = await pool.detect([GERMAN]).catch((reason) => reason);
+    }
+    expect(error.message).toMatch(/broken after 3 worker failures: .*worker failed to load/);
+    await expect(pool.detect([ENGLISH])).rejects.toBe(error);
+    expect(spawned).toBe(3);
+    await pool.destroy();
+  });
+
+  test('rejects the running task when a worker answers another one', async () => {
+    const pool = createDetectionPool({ size: 1 }, () => {
+      const worker = new FakeWorker();
+      worker.postMessage = (task) =>
+        setImmediate(() => worker.emit('message', { ...handleBatchTask(task), id: task.id + 1 }));
+      return worker;
+    });
+    await expect(pool.detect([ENGLISH])).rejects.toThrow('answered task 1 while running 0');
+    await pool.destroy();
+  });
+
+  test('surfaces detection errors from the worker', async () => {
+    const pool = createDetectionPool({ size: 1 }, () => new FakeWorker());
+    await expect(pool.detect([ENGLISH], { excludeWords: [null] })).rejects.toThrow();
+    await pool.destroy();
+  });
+
+  test('rejects work after destroy', async () => {
+    const pool = createDetectionPool({ size: 1 }, () => new FakeWorker());
+    await pool.destroy();
+    await pool.destroy();
+    await expect(pool.detect([ENGLISH])).rejects.toThrow('destroyed');
+  });
+
+  test('detectBatchParallel reuses a given pool', async () => {
+    const pool = createDetectionPool({ size: 1 }, () => new FakeWorker());
+    await expect(detectBatchParallel([GERMAN, ENGLISH], { pool })).resolves.toEqual([false, true]);
+    await pool.destroy();
+  });
+});
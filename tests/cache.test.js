@@ -0,0 +1,187 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createLruCache } from '../src/cache';
+import {
+  analyzeText,
+  clearLanguageDetectorCaches,
+  configureCaches,
+  createValidator,
+  getCacheStats,
+} from '../src/index';
+import { createFileCacheStore } from '../src/node';
+
+afterEach(() => {
+  configureCaches({
+    word: { maxEntries: 5000, maxSize: Infinity, store: undefined },
+    secondary: { maxEntries: 1000, maxSize: 1_000_000, store: undefined },
+  });
+  clearLanguageDetectorCaches();
+});
+
+const LIMITS = { maxEntries: 3, maxSize: Infinity };
+
+/** A Map-backed store that records its traffic. */
+function memoryStore() {
+  const entries = new Map();
+  return {
+    entries,
+    get: jest.fn((key) => entries.get(key)),
+    set: jest.fn((key, value) => entries.set(key, value)),
+  };
+}
+
+describe('createLruCache', () => {
+  test('evicts the least recently used entry, counting reads as use', () => {
+    const cache = createLruCache(LIMITS);
+    cache.set('a', 1);
+    cache.set('b', 2);
+    cache.set('c', 3);
+    expect(cache.get('a')).toBe(1);
+    cache.set('d', 4);
+    expect(cache.get('b')).toBeUndefined();
+    expect(cache.get('a')).toBe(1);
+    expect(cache.get('c')).toBe(3);
+    expect(cache.stats()).toMatchObject({ entries: 3, hits: 3, misses: 1, evictions: 1 });
+  });
+
+  test('bounds the total key length', () => {
+    const cache = createLruCache({ maxEntries: 100, maxSize: 10 });
+    cache.set('aaaa', 1);
+    cache.set('bbbb', 2);
+    cache.set('cccc', 3);
+    expect(cache.stats()).toMatchObject({ entries: 2, size: 8, evictions: 1 });
+    cache.set('x'.repeat(11), 4);
+    expect(cache.get('x'.repeat(11))).toBeUndefined();
+    expect(cache.stats().entries).toBe(2);
+  });
+
+  test('replacing a key does not double-count its size', () => {
+    const cache = createLruCache(LIMITS);
+    cache.set('key', 1);
+    cache.set('key', 2);
+    expect(cache.get('key')).toBe(2);
+    expect(cache.stats()).toMatchObject({ entries: 1, size: 3 });
+  });
+
+  test('shrinking the limits evicts at once', () => {
+    const cache = createLruCache(LIMITS);
+    ['a', 'b', 'c'].forEach((key, i) => cache.set(key, i));
+    cache.configure({ maxEntries: 1 });
+    expect(cache.stats()).toMatchObject({ entries: 1, maxEntries: 1, evictions: 2 });
+    expect(cache.get('c')).toBe(2);
+    cache.configure({ maxEntries: 0 });
+    cache.set('d', 3);
+    expect(cache.stats().entries).toBe(0);
+  });
+
+  test('rejects invalid limits', () => {
+    expect(() => createLruCache(LIMITS, { maxEntries: -1 })).toThrow(RangeError);
+    expect(() => createLruCache(LIMITS, { maxSize: NaN })).toThrow('Cache maxSize');
+  });
+
+  test('writes through to a store and falls back to it on misses', () => {
+    const store = memoryStore();
+    const cache = createLruCache({ maxEntries: 1, maxSize: Infinity }, { store });
+    cache.set('a', 1);
+    cache.set('b', 2);
+    expect(store.entries.size).toBe(2);
+    expect(cache.get('a')).toBe(1);
+    expect(cache.get('z')).toBeUndefined();
+    expect(cache.stats()).toMatchObject({ hits: 0, storeHits: 1, misses: 1, hitRate: 0.5 });
+
+    cache.configure({ store: undefined });
+    expect(cache.get('b')).toBeUndefined();
+  });
+
+  test('clear drops entries and resetStats zeroes the counters', () => {
+    const cache = createLruCache(LIMITS);
+    cache.set('a', 1);
+    cache.get('a');
+    cache.clear();
+    expect(cache.stats()).toMatchObject({ entries: 0, size: 0, hits: 1 });
+    cache.resetStats();
+    expect(cache.stats()).toMatchObject({ hits: 0, hitRate: 0 });
+  });
+});
+
+describe('validator caches', () => {
+  const TEXT = 'The quick brown fox jumps over the lazy dog';
+
+  test('getCacheStats reports hits and misses of the default validator', () => {
+    analyzeText(TEXT);
+    const first = getCacheStats();
+    expect(first.word.misses).toBeGreaterThan(0);
+    expect(first.word.maxEntries).toBe(5000);
+    expect(first.secondary).toMatchObject({ maxEntries: 1000, maxSize: 1_000_000 });
+
+    analyzeText(TEXT);
+    const second = getCacheStats();
+    expect(second.word.misses).toBe(first.word.misses);
+    expect(second.word.hits).toBe(first.word.hits + 9);
+
+    clearLanguageDetectorCaches();
+    expect(getCacheStats().word).toMatchObject({ entries: 0, hits: 0, misses: 0 });
+  });
+
+  test('configureCaches changes the limits at runtime', () => {
+    analyzeText(TEXT);
+    configureCaches({ word: { maxEntries: 2 } });
+    expect(getCacheStats().word).toMatchObject({ entries: 2, maxEntries: 2 });
+  });
+
+  test('createValidator accepts cache options and shares stores', () => {
+    const store = memoryStore();
+    const first = createValidator({ caches: { secondary: { store } } });
+    const second = createValidator({ caches: { secondary: { store } } });
+    const text = 'Das ist ein deutscher Satz und er ist lang genug zum Testen';
+    first.englishProbability(text);
+    expect(store.set).toHaveBeenCalled();
+    second.englishProbability(text);
+    expect(second.getCacheStats().secondary).toMatchObject({ storeHits: 1, misses: 0 });
+  });
+
+  test('addWords keeps the statistics', () => {
+    const validator = createValidator();
+    validator.isEnglish(TEXT);
+    validator.addWords(['zorbl']);
+    expect(validator.getCacheStats().word).toMatchObject({ entries: 0 });
+    expect(validator.getCacheStats().word.misses).toBeGreaterThan(0);
+  });
+});
+
+describe('createFileCacheStore', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'ev-cache-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('persists values across store instances', () => {
+    createFileCacheStore(directory).set('some text', { language: 'deu', confidence: 1 });
+    const reopened = createFileCacheStore(directory);
+    expect(reopened.get('some text')).toEqual({ language: 'deu', confidence: 1 });
+    expect(reopened.get('other text')).toBeUndefined();
+    expect(fs.readdirSync(directory).filter((name) => name.endsWith('.tmp'))).toEqual([]);
+  });
+
+  test('creates the directory and treats broken entries as misses', () => {
+    const nested = path.join(directory, 'a', 'b');
+    const store = createFileCacheStore(nested);
+    store.set('key', 1);
+    const [file] = fs.readdirSync(nested);
+    fs.writeFileSync(path.join(nested, file), '{broken');
+    expect(store.get('key')).toBeUndefined();
+  });
+
+  test('ignores failed writes', () => {
+    const store = createFileCacheStore(directory);
+    fs.rmSync(directory, { recursive: true });
+    expect(() => store.set('key', 1)).not.toThrow();
+    expect(store.get('key')).toBeUndefined();
+  });
+});
@@ -0,0 +1,229 @@
+import { clearLanguageDetectorCaches } from '../src/index';
+import { runCli } from '../src/cli';
+
+afterEach(() => {
+  clearLanguageDetectorCaches();
+});
+
+const ENGLISH = 'The quick brown fox jumps over the lazy dog';
+const GERMAN = 'Das ist ein deutscher Satz und er ist lang genug';
+
+/** Runs the CLI against in-memory stdin and files, capturing its output. */
+async function run(argv, { stdin = [], files = {} } = {}) {
+  let stdout = '';
+  let stderr = '';
+  const code = await runCli(argv, {
+    stdin: stdin,
+    stdout: { write: (chunk) => (stdout += chunk) },
+    stderr: { write: (chunk) => (stderr += chunk) },
+    openFile: (path) => {
+      if (!(path in files)) throw new Error(`ENOENT: no such file or directory, open '${path}'`);
+      return [files[path]];
+    },
+  });
+  return { code, stdout, stderr };
+}
+
+describe('english-validator CLI', () => {
+  test('checks arguments and exits 0 when all are English', async () => {
+    const { code, stdout } = await run([ENGLISH, 'Hello world']);
+    expect(code).toBe(0);
+    expect(stdout).toBe(`english\targ:1\t${ENGLISH}\nenglish\targ:2\tHello world\n`);
+  });
+
+  test('exits 1 when any input is non-English', async () => {
+    const { code, stdout } = await run([ENGLISH, GERMAN]);
+    expect(code).toBe(1);
+    expect(stdout).toContain(`non-english\targ:2\t${GERMAN}`);
+  });
+
+  test('reads stdin line by line, skipping blank lines', async () => {
+    const stdin = [Buffer.from(`${ENGLISH}\r\n\n${GERMAN}`)];
+    const { code, stdout } = await run(['-o', 'jsonl'], { stdin });
+    const lines = stdout.trim().split('\n').map(JSON.parse);
+    expect(code).toBe(1);
+    expect(lines.map((l) => [l.source, l.line, l.isEnglish])).toEqual([
+      ['stdin', 1, true],
+      ['stdin', 3, false],
+    ]);
+  });
+
+  test('reads a field out of JSONL records', async () => {
+    const files = {
+      'tickets.jsonl': [
+        JSON.stringify({ id: 1, meta: { description: ENGLISH } }),
+        JSON.stringify({ id: 2, meta: { description: GERMAN } }),
+        JSON.stringify({ id: 3 }),
+      ].join('\n'),
+    };
+    const { code, stdout, stderr } = await run(
+      ['-f', 'tickets.jsonl', '--field', 'meta.description', '-o', 'json'],
+      { files },
+    );
+    const results = JSON.parse(stdout);
+    expect(code).toBe(1);
+    expect(results.map((r) => [r.line, r.isEnglish])).toEqual([
+      [1, true],
+      [2, false],
+    ]);
+    expect(typeof results[0].englishRatio).toBe('number');
+    expect(stderr).toContain('tickets.jsonl:3: no string field "meta.description", skipped');
+  });
+
+  test('reads JSON arrays of strings and of records', async () => {
+    const files = {
+      'strings.json': JSON.stringify([ENGLISH, 42]),
+      'records.json': JSON.stringify({ title: ENGLISH }),
+    };
+    const strings = await run(['-f', 'strings.json', '-o', 'jsonl'], { files });
+    expect(strings.stdout.trim().split('\n')).toHaveLength(1);
+    expect(strings.stderr).toContain('strings.json:2: no string value');
+    const records = await run(['-f', 'records.json', '--field', 'title'], { files });
+    expect(records.code).toBe(0);
+  });
+
+  test('reads a CSV column with quoted fields spanning lines', async () => {
+    const csv = `id,description\n1,"${ENGLISH}, really"\n2,"Das ist ""ein"" deutscher\nSatz und er ist lang genug"\n3,\n`;
+    const { code, stdout } = await run(['-f', 'data.csv', '--field', 'description'], {
+      files: { 'data.csv': csv },
+    });
+    expect(code).toBe(1);
+    expect(stdout.trim().split('\n')).toEqual([
+      `english\tdata.csv:2\t${ENGLISH}, really`,
+      'non-english\tdata.csv:3\tDas ist "ein" deutscher Satz und er ist lang genug',
+    ]);
+  });
+
+  test('passes detection options through flags', async () => {
+    const text = 'TICKET-42 Kubernetes Grafana the quick fox';
+    expect((await run([text], {})).code).toBe(1);
+    const files = { 'words.txt': '# jargon\nKubernetes\n\nGrafana' };
+    const flagged = await run(['-p', '/ticket-\\d+/i', '--exclude-file', 'words.txt', text], {
+      files,
+    });
+    expect(flagged.code).toBe(0);
+    const inline = ['-p', 'TICKET-\\d+', '-x', 'Kubernetes', '-x', 'Grafana', text];
+    expect((await run(inline)).code).toBe(0);
+  });
+
+  test('applies numeric and boolean detection flags', async () => {
+    const args = ['-t', '1', '--min-word-length', '3', '--no-numbers', '--no-abbreviations'];
+    args.push('--no-morphology');
+    expect((await run([...args, 'XYZQW ABCDE the brown fox'])).code).toBe(1);
+    expect((await run(['-t', '0.3', 'XYZQW ABCDE the brown fox'])).code).toBe(0);
+    expect((await run(['Restart Kubernetes and check Grafana'])).code).toBe(1);
+    expect((await run(['--scoring', 'lenient', 'Restart Kubernetes and check Grafana'])).code).toBe(
+      0,
+    );
+    expect((await run(['We recieve teh updated report'])).code).toBe(1);
+    expect((await run(['--typo-tolerance', '1', 'We recieve teh updated report'])).code).toBe(0);
+  });
+
+  test('strips markup with --markup, token classes with --strip and keeps them with --keep', async () => {
+    const html = '<p class="xqv-wrp" data-qzx="mnb">Your changes were saved</p>';
+    expect((await run([html])).code).toBe(1);
+    expect((await run(['--markup', 'html', html])).code).toBe(0);
+    const chat = 'ping @xqzvw @qwzrt about the release';
+    expect((await run([chat])).code).toBe(1);
+    expect((await run(['--markup', 'markdown', chat])).code).toBe(0);
+    expect((await run(['--markup', 'markdown', '--keep', 'mentions', chat])).code).toBe(1);
+    expect((await run(['--strip', 'mentions', chat])).code).toBe(0);
+    expect((await run(['--strip', 'urls', '--strip', 'mentions', chat])).code).toBe(0);
+  });
+
+  test('selects romanized indicator packs with --romanized and --no-romanized', async () => {
+    const hinglish = ['--scoring', 'strict', 'thanks for the help kya'];
+    expect((await run(hinglish)).code).toBe(1);
+    expect((await run(['--romanized', 'hindi', ...hinglish])).code).toBe(1);
+    expect((await run(['--romanized', 'arabic', '--romanized', 'pinyin', ...hinglish])).code).toBe(
+      0,
+    );
+    expect((await run(['--no-romanized', ...hinglish])).code).toBe(0);
+  });
+
+  test('strips identifier presets with --identifiers and --no-identifiers', async () => {
+    const path = 'Copied it to /xqzvw/qwzrt/zvwxq';
+    expect((await run([path])).code).toBe(1);
+    expect((await run(['--identifiers', 'file-path', path])).code).toBe(0);
+    const docs = 'The AEMXQ01-WIZQ-DSUQX06 document is ready';
+    expect((await run(['--no-abbreviations', docs])).code).toBe(0);
+    expect((await run(['--no-identifiers', '--no-abbreviations', docs])).code).toBe(1);
+  });
+
+  test('tolerates names with --named-entities', async () => {
+    const names = 'Siobhan Nakamura called Oyelaran at Zalando yesterday';
+    expect((await run([names])).code).toBe(1);
+    expect((await run(['--named-entities', names])).code).toBe(0);
+  });
+
+  test('reads commit messages and bug reports with --technical', async () => {
+    const message = 'Fix parseHttpResponse in getUserById';
+    expect((await run([message])).code).toBe(1);
+    expect((await run(['--technical', message])).code).toBe(0);
+  });
+
+  test('adds and disables geographical terms with --geo-term and --no-geo-terms', async () => {
+    const places = 'Shipped to Qzvrwk and Xylbrt';
+    expect((await run([places])).code).toBe(1);
+    expect((await run(['--geo-term', 'Qzvrwk', '--geo-term', 'Xylbrt', places])).code).toBe(0);
+    const brands = 'Xeljanz and Vyndaqel were reviewed';
+    expect((await run([brands])).code).toBe(0);
+    expect((await run(['--no-geo-terms', brands])).code).toBe(1);
+  });
+
+  test('prints nothing with --quiet', async () => {
+    const { code, stdout } = await run(['-q', GERMAN]);
+    expect(code).toBe(1);
+    expect(stdout).toBe('');
+  });
+
+  test('prints usage with --help', async () => {
+    const { code, stdout } = await run(['--help']);
+    expect(code).toBe(0);
+    expect(stdout).toContain('Usage: english-validator');
+  });
+
+  test('exits 2 on bad arguments', async () => {
+    const cases = [
+      ['--unknown'],
+      ['-o', 'xml', ENGLISH],
+      ['-t', 'high', ENGLISH],
+      ['-t', '2', ENGLISH],
+      ['--typo-tolerance', '3', ENGLISH],
+      ['--markup', 'rtf', ENGLISH],
+      ['--keep', 'links', ENGLISH],
+      ['--strip', 'links', ENGLISH],
+      ['--strip', 'emoji', '--keep', 'emoji', ENGLISH],
+      ['--scoring', 'loose', ENGLISH],
+      ['--romanized', 'latin', ENGLISH],
+      ['--identifiers', 'isbn', ENGLISH],
+      ['--geo-term', 'Île', ENGLISH],
+      ['-p', '/(/', ENGLISH],
+      ['-f', 'data.csv'],
+    ];
+    for (const argv of cases) {
+      const { code, stderr } = await run(argv, { files: { 'data.csv': 'a,b\n' } });
+      expect(code).toBe(2);
+      expect(stderr).toContain('Run with --help for usage.');
+    }
+  });
+
+  test('exits 2 on unreadable or malformed input', async () => {
+    const files = { 'bad.jsonl': '{not json', 'bad.csv': 'text\n"open', 'cols.csv': 'a\nb' };
+    expect((await run(['-f', 'missing.txt'])).stderr).toContain('ENOENT');
+    expect((await run(['-f', 'bad.jsonl'], { files })).stderr).toContain('invalid JSON');
+    const csv = await run(['-f', 'bad.csv', '--field', 'text'], { files });
+    expect(csv.stderr).toContain('unterminated quoted CSV field');
+    const cols = await run(['-f', 'cols.csv', '--field', 'text'], { files });
+    expect(cols.stderr).toContain('no CSV column named "text"');
+    expect(cols.code).toBe(2);
+  });
+
+  test('honours an explicit --input-format', async () => {
+    const files = { 'data.txt': JSON.stringify({ body: GERMAN }) };
+    const { code } = await run(['-f', 'data.txt', '--input-format', 'jsonl', '--field', 'body'], {
+      files,
+    });
+    expect(code).toBe(1);
+  });
+});
@@ -0,0 +1,198 @@
+import {
+  buildDictionaryPack,
+  createValidator,
+  expandHunspell,
+  loadDictionaryPack,
+} from '../src/index';
+import * as lite from '../src/lite';
+import { legalPack, medicalPack, softwarePack } from '../src/domain-packs';
+
+const AFF = `SET UTF-8
+# Special flags
+NEEDAFFIX X
+FORBIDDENWORD !
+ONLYINCOMPOUND C
+
+PFX R Y 1
+PFX R 0 re .
+
+SFX S Y 3
+SFX S y ies [^aeiou]y
+SFX S 0 s [^sxy]
+SFX S 0 es [sx]
+
+SFX D Y 2
+SFX D y ied [^aeiou]y
+SFX D 0 d e
+
+SFX N N 1
+SFX N 0 ness/S .
+`;
+
+const DIC = `7
+carry/SD
+create/RSD
+kind/NX
+box/S
+colour/!
+fore/C
+cat
+`;
+
+describe('expandHunspell', () => {
+  const words = expandHunspell(DIC, AFF).sort();
+
+  test('applies suffixes, prefixes and their cross product', () => {
+    expect(words).toEqual(
+      expect.arrayContaining([
+        'carries',
+        'carried',
+        'boxes',
+        'cat',
+        'creates',
+        'recreate',
+        'recreated',
+        'recreates',
+      ]),
+    );
+    expect(words).not.toContain('boxs');
+  });
+
+  test('applies suffixes of suffixes', () => {
+    expect(words).toEqual(expect.arrayContaining(['kindness', 'kindnesses']));
+  });
+
+  test('leaves out NEEDAFFIX stems, forbidden words and compound-only parts', () => {
+    expect(words).not.toContain('kind');
+    expect(words).not.toContain('colour');
+    expect(words).not.toContain('fore');
+  });
+
+  test('reads long and numeric flags and flag aliases', () => {
+    const long = expandHunspell('1\nwalk/Ed', 'FLAG long\nSFX Ed Y 1\nSFX Ed 0 ed .');
+    expect(long.sort()).toEqual(['walk', 'walked']);
+
+    const numeric = expandHunspell(
+      '2\nwalk/1\njump/101,102',
+      'FLAG num\nAF 1\nAF 101,102\nSFX 101 Y 1\nSFX 101 0 ed .\nSFX 102 Y 1\nSFX 102 0 s .',
+    );
+    expect(numeric.sort()).toEqual(['jump', 'jumped', 'jumps', 'walk', 'walked', 'walks']);
+  });
+});
+
+describe('buildDictionaryPack', () => {
+  test('merges Hunspell, word-list and frequency sources into sorted words', () => {
+    const pack = buildDictionaryPack(
+      [
+        { type: 'hunspell', dic: '1\nflumox/S', aff: 'SFX S Y 1\nSFX S 0 es .' },
+        {
+          type: 'words',
+          text: "Zorblat\n# a comment\nState-of-the-art  # inline\nO’Brien's\nO'Brien",
+        },
+        { type: 'frequency', text: 'grelp 120\n7 quonk\nvintle 3\nbadly-formed line here' },
+      ],
+      { name: 'test', description: 'Test words' },
+    );
+    expect(pack).toMatchObject({
+      format: 'english-validator/dictionary-pack',
+      version: 1,
+      name: 'test',
+      description: 'Test words',
+    });
+    expect(pack.words.split('\n')).toEqual([
+      'art',
+      'flumox',
+      'flumoxes',
+      'grelp',
+      "o'brien",
+      'of',
+      'quonk',
+      'state',
+      'the',
+      'vintle',
+      'zorblat',
+    ]);
+    expect(pack.wordCount).toBe(11);
+  });
+
+  test('cuts frequency lists by rank and count', () => {
+    const text = 'alpha 90\nbravo 50\ncharlie 10\ndelta 2';
+    const words = (source) => buildDictionaryPack([source]).words.split('\n');
+    expect(words({ type: 'frequency', text, top: 2 })).toEqual(['alpha', 'bravo']);
+    expect(words({ type: 'frequency', text, minCount: 10 })).toEqual(['alpha', 'bravo', 'charlie']);
+  });
+
+  test('leaves out excluded words and words the omitted dictionary has', () => {
+    const pack = buildDictionaryPack([{ type: 'words', text: ['the', 'zorblat', 'frimble'] }], {
+      excludeWords: ['Frimble'],
+      omit: new Set(['the']),
+    });
+    expect(pack).toMatchObject({ name: 'custom', wordCount: 1, words: 'zorblat' });
+    expect(pack).not.toHaveProperty('description');
+  });
+
+  test('rejects unknown source types', () => {
+    expect(() => buildDictionaryPack([{ type: 'aspell', text: '' }])).toThrow(RangeError);
+  });
+});
+
+describe('loadDictionaryPack', () => {
+  const pack = buildDictionaryPack([{ type: 'words', text: 'zorblat\nfrimble' }]);
+
+  test('loads packs and their JSON', () => {
+    for (const lookup of [loadDictionaryPack(pack), loadDictionaryPack(JSON.stringify(pack))]) {
+      expect(lookup.has('zorblat')).toBe(true);
+      expect(lookup.has('frimble')).toBe(true);
+      expect(lookup.has('quonk')).toBe(false);
+      expect(lookup.size).toBe(2);
+    }
+  });
+
+  test('rejects other formats, versions and unsorted words', () => {
+    expect(() => loadDictionaryPack({ ...pack, format: 'other' })).toThrow(RangeError);
+    expect(() => loadDictionaryPack({ ...pack, version: 2 })).toThrow(RangeError);
+    expect(() => loadDictionaryPack({ ...pack, words: 'zorblat\nfrimble' })).toThrow(/not sorted/);
+    expect(() => loadDictionaryPack('{"words": "a"}')).toThrow(RangeError);
+  });
+
+  test('packs are accepted as validator dictionaries', () => {
+    const text = 'The zorblat and frimble arrived';
+    expect(createValidator().hasWord('zorblat')).toBe(false);
+    const validator = createValidator({ dictionaries: [pack] });
+    expect(validator.hasWord('zorblat')).toBe(true);
+    const tokens = validator.analyzeText(text).tokens;
+    expect(tokens.find((token) => token.token === 'zorblat').reason).toBe('dictionary');
+  });
+});
+
+describe('domain packs', () => {
+  test.each([
+    [
+      'legal',
+      legalPack,
+      'The licensor shall indemnify the indemnitee against any subrogation claim notwithstanding the estoppel.',
+    ],
+    [
+      'medical',
+      medicalPack,
+      'The patient presented with dyspnea, tachycardia and bilateral pleural effusion after the cholecystectomy.',
+    ],
+    [
+      'software',
+      softwarePack,
+      'The webhook retries with exponential backoff when the kubernetes ingress times out.',
+    ],
+  ])('the %s pack makes specialist text English for the lite build', (_, pack, text) => {
+    expect(lite.isEnglish(text)).toBe(false);
+    expect(lite.createValidator({ dictionaries: [pack] }).isEnglish(text)).toBe(true);
+  });
+
+  test('are valid packs of words the lite dictionary lacks', () => {
+    const base = lite.createValidator();
+    for (const pack of [legalPack, medicalPack, softwarePack]) {
+      const words = pack.words.split('\n');
+      expect(loadDictionaryPack(pack).size).toBe(pack.wordCount);
+      expect(words.some((word) => base.hasWord(word))).toBe(false);
+    }
+  });
+});
@@ -0,0 +1,69 @@
+import { englishDictionary } from '../src/dictionary';
+import { liteDictionary } from '../src/lite-dictionary';
+import * as lite from '../src/lite';
+import { isEnglish } from '../src/index';
+import { createSortedWordList } from '../src/word-list';
+
+describe('createSortedWordList', () => {
+  const words = ['a', 'an', 'and', 'ant', 'b', 'banana', 'band'];
+  const list = createSortedWordList(words.join('\n'));
+
+  test('finds every word and only those words', () => {
+    for (const word of words) expect(list.has(word)).toBe(true);
+    for (const word of ['', 'am', 'ante', 'ba', 'bananas', 'c', 'A', '0']) {
+      expect(list.has(word)).toBe(false);
+    }
+    expect(list.size).toBe(words.length);
+  });
+
+  test('handles single-word and empty lists like a Set would', () => {
+    expect(createSortedWordList('solo').has('solo')).toBe(true);
+    expect(createSortedWordList('solo').size).toBe(1);
+    expect(createSortedWordList('').has('')).toBe(true);
+    expect(createSortedWordList('').has('a')).toBe(false);
+  });
+});
+
+describe('built-in dictionaries', () => {
+  test('the full dictionary keeps its words', () => {
+    expect(englishDictionary.size).toBe(274810);
+    for (const word of ['a', 'aah', 'zzzs', 'the', 'pharmacovigilance', 'quick', 'archive']) {
+      expect(englishDictionary.has(word)).toBe(true);
+    }
+    expect(englishDictionary.has('introuvable')).toBe(false);
+    expect(englishDictionary.has('The')).toBe(false);
+  });
+
+  test('the lite dictionary is a smaller subset of common words', () => {
+    expect(liteDictionary.size).toBeLessThan(englishDictionary.size / 10);
+    for (const word of ['the', 'review', 'attached', 'comments', 'happily', 'stopped']) {
+      expect(liteDictionary.has(word)).toBe(true);
+      expect(englishDictionary.has(word)).toBe(true);
+    }
+    expect(liteDictionary.has('aardvark')).toBe(false);
+  });
+});
+
+describe('english-validator/lite', () => {
+  afterEach(() => {
+    lite.clearLanguageDetectorCaches();
+  });
+
+  test('agrees with the main entry on everyday text', () => {
+    const texts = [
+      'Please review the attached document and send your comments',
+      'The quick brown fox jumps over the lazy dog',
+      'Das ist ein deutscher Satz und er ist lang genug',
+      'Ceci est une phrase en français',
+    ];
+    expect(texts.map((t) => lite.isEnglish(t))).toEqual(texts.map((t) => isEnglish(t)));
+    expect(lite.detectNonEnglishText(texts[2])).toBe(true);
+  });
+
+  test('counts rare words as unknown unless added', () => {
+    const text = 'The aardvark ate the termites';
+    expect(lite.analyzeText(text).tokens[1].reason).toBe('unknown');
+    const validator = lite.createValidator({ addWords: ['aardvark', 'termites'] });
+    expect(validator.analyzeText(text).tokens[1].reason).toBe('dictionary');
+  });
+});
@@ -0,0 +1,140 @@
+import fs from 'fs';
+import path from 'path';
+import {
+  clearLanguageDetectorCaches,
+  createValidator,
+  evaluate,
+  parseCorpus,
+  sweepOptions,
+} from '../src/index';
+
+afterEach(() => {
+  clearLanguageDetectorCaches();
+});
+
+const CORPUS = [
+  { text: 'The quick brown fox jumps over the lazy dog', language: 'en', domain: 'general' },
+  { text: 'Restart Kubernetes and check Grafana', language: 'eng', domain: 'technical' },
+  { text: 'Das ist ein deutscher Satz und er ist lang genug', language: 'de', domain: 'general' },
+  { text: 'Bis morgen beim Meeting', language: 'DE' },
+  { text: 'Ceci est une phrase en français', language: 'fr', domain: 'general' },
+];
+
+describe('parseCorpus', () => {
+  test('reads one sample per line and skips blank lines', () => {
+    const jsonl =
+      '{"text":"Hello there","language":"en","id":7}\n\n{"text":"Hallo","language":"de","domain":"chat"}\r\n';
+    expect(parseCorpus(jsonl)).toEqual([
+      { text: 'Hello there', language: 'en' },
+      { text: 'Hallo', language: 'de', domain: 'chat' },
+    ]);
+  });
+
+  test('reports the line of malformed records', () => {
+    expect(() => parseCorpus('{"text":"a","language":"en"}\n{oops')).toThrow(
+      /^Corpus line 2: invalid JSON/,
+    );
+    expect(() => parseCorpus('{"text":"a"}')).toThrow(TypeError);
+    expect(() => parseCorpus('null')).toThrow('Corpus line 1');
+  });
+
+  test('parses the bundled fixture corpus', () => {
+    const fixture = fs.readFileSync(path.join(__dirname, 'fixtures/corpus.jsonl'), 'utf-8');
+    const corpus = parseCorpus(fixture);
+    expect(corpus.length).toBeGreaterThan(50);
+    expect(new Set(corpus.map((sample) => sample.language)).size).toBeGreaterThan(10);
+  });
+});
+
+describe('evaluate', () => {
+  test('scores English as the positive class', () => {
+    const report = evaluate(CORPUS);
+    expect(report).toMatchObject({
+      total: 5,
+      truePositives: 1,
+      falseNegatives: 1,
+      falsePositives: 1,
+      trueNegatives: 2,
+      accuracy: 0.6,
+      precision: 0.5,
+      recall: 0.5,
+      f1: 0.5,
+    });
+  });
+
+  test('reports a confusion row per language and metrics per domain', () => {
+    const report = evaluate(CORPUS);
+    expect(report.languages).toEqual({
+      en: { total: 1, predictedEnglish: 1, predictedNonEnglish: 0 },
+      eng: { total: 1, predictedEnglish: 0, predictedNonEnglish: 1 },
+      de: { total: 2, predictedEnglish: 1, predictedNonEnglish: 1 },
+      fr: { total: 1, predictedEnglish: 0, predictedNonEnglish: 1 },
+    });
+    expect(Object.keys(report.domains)).toEqual(['general', 'technical']);
+    expect(report.domains.general).toMatchObject({ total: 3, accuracy: 1, f1: 1 });
+    expect(report.domains.technical).toMatchObject({ total: 1, recall: 0, precision: 0, f1: 0 });
+  });
+
+  test('lists the worst errors with their probability', () => {
+    const { worstFalsePositives, worstFalseNegatives } = evaluate(CORPUS);
+    expect(worstFalsePositives).toEqual([
+      expect.objectContaining({ text: 'Bis morgen beim Meeting', decision: 'word-ratio' }),
+    ]);
+    expect(worstFalseNegatives[0]).toMatchObject({
+      text: 'Restart Kubernetes and check Grafana',
+      domain: 'technical',
+      englishRatio: 0.6,
+    });
+    expect(evaluate(CORPUS, { worst: 0 }).worstFalseNegatives).toEqual([]);
+  });
+
+  test('passes detection options through', () => {
+    expect(evaluate(CORPUS, { scoring: 'lenient' }).falseNegatives).toBe(0);
+  });
+
+  test('returns zeroed metrics for an empty corpus', () => {
+    expect(evaluate([])).toMatchObject({ total: 0, accuracy: 0, f1: 0, languages: {} });
+  });
+
+  test('is available on validators', () => {
+    const ops = createValidator({ addWords: ['Kubernetes', 'Grafana'] });
+    expect(ops.evaluate(CORPUS).falseNegatives).toBe(0);
+  });
+});
+
+describe('sweepOptions', () => {
+  test('evaluates every combination, best first', () => {
+    const results = sweepOptions(CORPUS, {
+      scoring: ['strict', 'lenient'],
+      minWordLength: [2, 3],
+    });
+    expect(results).toHaveLength(4);
+    expect(results.map((result) => result.options)).toContainEqual({
+      scoring: 'strict',
+      minWordLength: 3,
+    });
+    const scores = results.map((result) => result.score);
+    expect(scores).toEqual([...scores].sort((a, b) => b - a));
+    expect(results[0].score).toBe(results[0].report.f1);
+  });
+
+  test('ranks by the chosen metric', () => {
+    const [best] = sweepOptions(CORPUS, { englishThreshold: [0.5, 0.95] }, { metric: 'recall' });
+    expect(best.options).toEqual({ englishThreshold: 0.5 });
+    expect(best.score).toBe(1);
+  });
+
+  test('an empty grid evaluates the shared options once', () => {
+    const [only, ...rest] = sweepOptions(CORPUS, {}, { scoring: 'lenient' });
+    expect(rest).toEqual([]);
+    expect(only.options).toEqual({});
+    expect(only.report.falseNegatives).toBe(0);
+  });
+
+  test('rejects unknown metrics and empty value lists', () => {
+    expect(() => sweepOptions(CORPUS, {}, { metric: 'auc' })).toThrow(RangeError);
+    expect(() => sweepOptions(CORPUS, { minWordLength: [] })).toThrow(
+      'Option grid "minWordLength" has no values',
+    );
+  });
+});
@@ -0,0 +1,2 @@
+// A batch worker that fails while loading, for the worker pool tests.
+throw new Error('worker failed to load');
@@ -0,0 +1,105 @@
+import fs from 'fs';
+import path from 'path';
+import { createGeoTermIndex, findGeoTermRanges } from '../src/geo-term-index';
+import { GEO_TERMS } from '../src/geo-terms';
+import { analyzeText, findNonEnglishSpans } from '../src/index';
+import { preprocessText } from '../src/preprocessing';
+import { normalizeTrackedWhitespace, removeTrackedRanges, trackText } from '../src/tracked-text';
+
+/** The per-term regex passes the index replaced, kept as an oracle. */
+function legacyRemove(text) {
+  let result = text;
+  for (const term of GEO_TERMS) {
+    result = result.replace(new RegExp(`\\b${term}\\b|\\b${term}s\\b`, 'i'), '');
+  }
+  return result.replace(/\s+/g, ' ').trim();
+}
+
+function indexRemove(text, indexes = [createGeoTermIndex(GEO_TERMS)]) {
+  const ranges = findGeoTermRanges(text, indexes);
+  return normalizeTrackedWhitespace(removeTrackedRanges(trackText(text), ranges)).text;
+}
+
+describe('geographical term index', () => {
+  test('matches the legacy regex passes on the fixture corpus', () => {
+    const corpus = fs.readFileSync(path.join(__dirname, 'fixtures/corpus.jsonl'), 'utf-8');
+    const texts = corpus
+      .split('\n')
+      .filter(Boolean)
+      .map((line) => JSON.parse(line).text);
+    for (const text of texts) expect(indexRemove(text)).toBe(legacyRemove(text));
+  });
+
+  test.each([
+    'Is it here or is it there? It is.',
+    'The WHO-DD coding and WHO guidance',
+    'AEs, aes, AE and ae in the SAEs',
+    'UKs and uks and the UK, USA and US',
+    'Chadé and Chad_x and Chad2 and Chad',
+    'JT-App, JT App and jt-app',
+    'Germany\nGermanys\tFrance, france; FRANCE!',
+    'Zealand Zealands zealand',
+  ])('matches the legacy regex passes on %j', (text) => {
+    expect(indexRemove(text)).toBe(legacyRemove(text));
+  });
+
+  test('matches multi-word terms across whitespace, with plurals', () => {
+    const extra = createGeoTermIndex(['Costa Rica', 'Guinea-Bissau'], true);
+    expect(indexRemove('Costa\n  Rica, costa ricas and Costa-Rica', [extra])).toBe(
+      ', and Costa-Rica',
+    );
+    expect(indexRemove('Guinea-Bissau but Guinea Bissau', [extra])).toBe('but Guinea Bissau');
+  });
+
+  test('removes one occurrence per entry unless built for every occurrence', () => {
+    expect(indexRemove('Bavaria Bavaria Bavaria', [createGeoTermIndex(['Bavaria'])])).toBe(
+      'Bavaria Bavaria',
+    );
+    expect(indexRemove('Bavaria Bavaria', [createGeoTermIndex(['bavaria', 'Bavaria'])])).toBe('');
+    expect(indexRemove('a a a', [createGeoTermIndex(['a a'], true)])).toBe('a');
+  });
+
+  test('rejects terms without word characters at both ends', () => {
+    expect(() => createGeoTermIndex(['Île'])).toThrow(RangeError);
+    expect(() => createGeoTermIndex(['Rica-'])).toThrow('must start and end');
+    expect(() => createGeoTermIndex([''])).toThrow(RangeError);
+  });
+});
+
+describe('geoTerms and stripGeoTerms options', () => {
+  test('strips extra terms everywhere, after the built-in list', () => {
+    expect(preprocessText('Munich and Bavaria, Bavarias', { geoTerms: ['Bavaria'] })).toBe(
+      'Munich and ,',
+    );
+    const report = analyzeText('Shipped to Qzvrwk and Xylbrt', { geoTerms: ['Qzvrwk', 'Xylbrt'] });
+    expect(report.processedText).toBe('Shipped to and');
+    expect(report.isEnglish).toBe(true);
+  });
+
+  test('the built-in list strips multi-word country names', () => {
+    expect(preprocessText('Shipped to New Zealand and Costa Rica today')).toBe(
+      'Shipped to and today',
+    );
+    expect(preprocessText('Flights from New\nZealand, then Costa  Ricas')).toBe(
+      'Flights from , then',
+    );
+    expect(preprocessText('New Zealand', { stripGeoTerms: false })).toBe('New Zealand');
+  });
+
+  test('stripGeoTerms: false keeps every term', () => {
+    const text = 'Xeljanz and Vyndaqel were reviewed';
+    expect(preprocessText(text)).toBe('and were reviewed');
+    expect(preprocessText(text, { stripGeoTerms: false, geoTerms: ['Xeljanz'] })).toBe(text);
+  });
+
+  test('offsets still point into the original text', () => {
+    const text = 'Shipped to Costa Rica: die Lieferung ist angekommen und wurde geprüft';
+    const [span] = findNonEnglishSpans(text, { geoTerms: ['Costa Rica'] });
+    expect(text.slice(span.start, span.end)).toBe(span.text);
+    expect(span.text.startsWith('die')).toBe(true);
+  });
+
+  test('rejects malformed extra terms', () => {
+    expect(() => preprocessText('text', { geoTerms: ['-Rica'] })).toThrow(RangeError);
+  });
+});
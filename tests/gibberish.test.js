@@ -0,0 +1,86 @@
+import { classifyText, clearLanguageDetectorCaches, createValidator } from '../src/index';
+import * as lite from '../src/lite';
+import { looksLikeGibberish } from '../src/gibberish';
+import { TRIGRAM_PROFILES } from '../src/trigram-profiles';
+
+afterEach(() => {
+  clearLanguageDetectorCaches();
+});
+
+describe('classifyText', () => {
+  test.each([
+    'asdfghjkl qwerty zxcvb',
+    'aaaaaaa',
+    'hjkhjk hjkhjk lolol',
+    'xkcd qpzm vbnrt ghjk',
+    'jfkdls fjdksla fjdk',
+    'gfhdjs kdlsowp bvncmx',
+    'hello asdfasdf',
+  ])('keyboard mashes and random letters are gibberish: %s', (text) => {
+    expect(classifyText(text)).toBe('gibberish');
+  });
+
+  test.each([
+    'Die Katze schläft auf dem Sofa',
+    'Dziękuję bardzo za pomoc w tej sprawie',
+    'Strč prst skrz krk',
+    'Szia, hogy vagy ma?',
+    'Labas rytas, kaip sekasi?',
+    'Ndiyo, ninakuja kesho asubuhi',
+    'Merhaba nasılsın bugün',
+    'Köszönöm szépen',
+    'Þetta er mjög gott',
+    'Привет, как у тебя дела?',
+  ])('foreign sentences are never gibberish: %s', (text) => {
+    expect(classifyText(text)).toBe('non-english');
+  });
+
+  test('English keeps the isEnglish verdict', () => {
+    expect(classifyText('Please review the attached document')).toBe('english');
+    expect(classifyText('Please review the attached document', { englishThreshold: 1.1 })).toBe(
+      'non-english',
+    );
+  });
+
+  test.each([null, undefined, '', '   ', '12345 !!!'])(
+    'text without words is empty: %p',
+    (text) => {
+      expect(classifyText(text)).toBe('empty');
+    },
+  );
+
+  test('text left without words by stripping is empty', () => {
+    expect(classifyText('https://example.com/a/b', { stripUrls: true })).toBe('empty');
+  });
+
+  test('gibberishThreshold sets the share of gibberish words needed', () => {
+    const text = 'Das Haus asdfgh zxcvb qpzm';
+    expect(classifyText(text)).toBe('gibberish');
+    expect(classifyText(text, { gibberishThreshold: 0.9 })).toBe('non-english');
+  });
+
+  test('is a validator method that applies its defaults', () => {
+    const validator = createValidator({ defaults: { gibberishThreshold: 1 } });
+    expect(validator.classifyText('asdfgh zzqx lorem')).toBe('non-english');
+    expect(validator.classifyText('asdfgh zzqx lorem', { gibberishThreshold: 0.5 })).toBe(
+      'gibberish',
+    );
+    expect(lite.classifyText('asdfghjkl qwerty zxcvb')).toBe('gibberish');
+  });
+});
+
+describe('looksLikeGibberish', () => {
+  test.each(['asdf', 'lkjh', 'aaa', 'ababab', 'xkcd', 'aeiou', 'zmxncb'])('%s', (word) => {
+    expect(looksLikeGibberish(word, null)).toBe(true);
+  });
+
+  test.each(['bardzo', 'prst', 'kako', 'hyvää', 'were', 'ninakuja'])('not %s', (word) => {
+    expect(looksLikeGibberish(word, null)).toBe(false);
+  });
+
+  test("accepts letter combinations of the secondary detector's language", () => {
+    const german = new Set(TRIGRAM_PROFILES.deu.split('|'));
+    expect(looksLikeGibberish('ngspflicht', null)).toBe(true);
+    expect(looksLikeGibberish('ngspflicht', german)).toBe(false);
+  });
+});
@@ -0,0 +1,114 @@
+import { IDENTIFIER_PATTERNS, IDENTIFIER_PRESETS } from '../src/constants';
+import {
+  analyzeText,
+  clearLanguageDetectorCaches,
+  extractIdentifiers,
+  matchesDocumentPattern,
+} from '../src/index';
+import { preprocessText } from '../src/preprocessing';
+
+afterEach(() => {
+  clearLanguageDetectorCaches();
+});
+
+describe('identifier presets', () => {
+  test.each([
+    ['document', 'AEM01-WI-DSU06-SD01', ['AEM01-WI-DSU06-SD01']],
+    ['jira', 'Fixed PROJ-1234 and AB2-7', ['PROJ-1234', 'AB2-7']],
+    [
+      'uuid',
+      'id 550E8400-e29b-41d4-a716-446655440000 ok',
+      ['550E8400-e29b-41d4-a716-446655440000'],
+    ],
+    ['git-sha', 'commit 3f9a2c1 not defaced or 1234567', ['3f9a2c1']],
+    ['semver', 'v2.0.0-rc.1+build.5 replaces 1.4.2.', ['v2.0.0-rc.1+build.5', '1.4.2']],
+    [
+      'date-time',
+      'on 2024-03-05T14:30:00+01:00, 2024-03-06 and 9:30pm',
+      ['2024-03-05T14:30:00+01:00', '2024-03-06', '9:30pm'],
+    ],
+    [
+      'file-path',
+      'see ./src/index.ts, ~/notes, /var/log/syslog and C:\\Users\\me\\a.txt but not and/or or km/h',
+      ['./src/index.ts', '~/notes', '/var/log/syslog', 'C:\\Users\\me\\a.txt'],
+    ],
+    ['sku', 'order PN-4471-B and WX1000BLK, not MP3', ['PN-4471-B', 'WX1000BLK']],
+    [
+      'ip',
+      'hosts 192.168.0.1:8080, 10.0.0.0/8, fe80::1 but not 999.1.1.1',
+      ['192.168.0.1:8080', '10.0.0.0/8', 'fe80::1'],
+    ],
+    [
+      'currency',
+      'costs $1,299.00, €20, 15 EUR or USD 3.50',
+      ['$1,299.00', '€20', '15 EUR', 'USD 3.50'],
+    ],
+  ])('%s', (preset, text, expected) => {
+    const found = extractIdentifiers(text, { identifiers: [preset] });
+    expect(found.map((match) => match.text)).toEqual(expected);
+    expect(found.every((match) => match.preset === preset)).toBe(true);
+  });
+
+  test('every preset has patterns and a place in the order', () => {
+    expect([...IDENTIFIER_PRESETS].sort()).toEqual(Object.keys(IDENTIFIER_PATTERNS).sort());
+  });
+});
+
+describe('extractIdentifiers', () => {
+  test('reports presets and offsets in input order, using every preset by default', () => {
+    const text = 'Deploy 3f9a2c1 (PROJ-42) to 10.0.0.5 on 2024-03-05';
+    const found = extractIdentifiers(text);
+    expect(found.map(({ preset, text: match }) => [preset, match])).toEqual([
+      ['git-sha', '3f9a2c1'],
+      ['jira', 'PROJ-42'],
+      ['ip', '10.0.0.5'],
+      ['date-time', '2024-03-05'],
+    ]);
+    for (const { start, end, text: match } of found) expect(text.slice(start, end)).toBe(match);
+  });
+
+  test('applies specific presets first so matches never overlap', () => {
+    const found = extractIdentifiers('id 550e8400-e29b-41d4-a716-446655440000');
+    expect(found).toEqual([
+      { preset: 'uuid', text: '550e8400-e29b-41d4-a716-446655440000', start: 3, end: 39 },
+    ]);
+  });
+
+  test('maps offsets through markup', () => {
+    const html = '<p>Fixed in <code>x</code> <b>PROJ-7</b> &amp; v1.2.3</p>';
+    const found = extractIdentifiers(html, { format: 'html' });
+    expect(found.map((match) => match.text)).toEqual(['PROJ-7', 'v1.2.3']);
+    expect(html.slice(found[0].start, found[0].end)).toBe('PROJ-7');
+  });
+
+  test('handles empty input and rejects unknown presets', () => {
+    expect(extractIdentifiers('')).toEqual([]);
+    expect(extractIdentifiers(null)).toEqual([]);
+    expect(() => extractIdentifiers('x', { identifiers: ['isbn'] })).toThrow(RangeError);
+  });
+});
+
+describe('identifiers option', () => {
+  test('strips document IDs only by default', () => {
+    expect(preprocessText('See AEM01-WI-DSU06-SD01 and PROJ-12')).toBe('See and PROJ-12');
+    expect(preprocessText('See AEM01-WI-DSU06-SD01', { identifiers: [] })).toBe(
+      'See AEM01--DSU06-SD01',
+    );
+  });
+
+  test('strips the selected presets before analysis', () => {
+    const text = 'Copied it to /xqzvw/qwzrt/zvwxq';
+    expect(analyzeText(text).isEnglish).toBe(false);
+    const report = analyzeText(text, { identifiers: ['document', 'file-path'] });
+    expect(report.processedText).toBe('Copied to');
+    expect(report.isEnglish).toBe(true);
+  });
+
+  test('matchesDocumentPattern keeps its own document ID patterns', () => {
+    expect(matchesDocumentPattern('ref AURG340-SF06')).toBe(true);
+    expect(matchesDocumentPattern('see AB-CD12')).toBe(true);
+    expect(matchesDocumentPattern('lowercase abc12')).toBe(false);
+    expect(matchesDocumentPattern('Connect to WI-FI')).toBe(false);
+    expect(matchesDocumentPattern('ref WI-DSU')).toBe(false);
+  });
+});
@@ -0,0 +1,96 @@
+import { clearLanguageDetectorCaches, createValidator, detectLanguage } from '../src/index';
+import { toIso6391, toIso6393Codes } from '../src/language-codes';
+
+afterEach(() => {
+  clearLanguageDetectorCaches();
+});
+
+const GERMAN = 'Die Katze schläft auf dem Sofa und der Hund spielt im Garten mit einem Ball';
+const FRENCH = 'Le chat dort sur le canapé pendant que le chien joue dans le jardin avec une balle';
+const SPANISH = 'El gato duerme en el sofá mientras el perro juega en el jardín con una pelota';
+const ENGLISH = 'The cat sleeps on the sofa while the dog plays in the garden with a ball';
+
+describe('detectLanguage', () => {
+  test.each([
+    [GERMAN, 'deu', 'de'],
+    [FRENCH, 'fra', 'fr'],
+    [SPANISH, 'spa', 'es'],
+    [ENGLISH, 'eng', 'en'],
+  ])('ranks the right language first: %s', (text, language, iso6391) => {
+    const [best] = detectLanguage(text);
+    expect(best).toMatchObject({ language, iso6391 });
+    expect(best.secondary).toBeGreaterThan(0.9);
+    expect(best.heuristic).toBeGreaterThan(0);
+  });
+
+  test.each([
+    ['le fichier est introuvable', 'fra'],
+    ['No se encontró el archivo', 'spa'],
+    ['el archivo no existe', 'spa'],
+    ['Plik nie został znaleziony', 'pol'],
+    ['Nie można otworzyć pliku', 'pol'],
+  ])('ranks the right language first in short text: %s', (text, language) => {
+    expect(detectLanguage(text)[0].language).toBe(language);
+  });
+
+  test('returns up to three candidates sorted by score', () => {
+    const ranked = detectLanguage(GERMAN);
+    expect(ranked).toHaveLength(3);
+    const scores = ranked.map((candidate) => candidate.score);
+    expect(scores).toEqual([...scores].sort((a, b) => b - a));
+    expect(scores.every((score) => score > 0 && score <= 1)).toBe(true);
+  });
+
+  test('blends secondary detector and heuristic scores equally', () => {
+    for (const { score, secondary, heuristic } of detectLanguage(FRENCH)) {
+      expect(score).toBeCloseTo((secondary + heuristic) / 2);
+    }
+  });
+
+  test('topN limits the number of candidates', () => {
+    expect(detectLanguage(ENGLISH, { topN: 1 })).toHaveLength(1);
+    expect(detectLanguage(ENGLISH, { topN: 0 })).toEqual([]);
+  });
+
+  test('candidates restrict the result to an allowlist', () => {
+    const ranked = detectLanguage(SPANISH, { candidates: ['pt', 'it', 'es'] });
+    expect(ranked[0].iso6391).toBe('es');
+    expect(ranked.map((candidate) => candidate.iso6391).sort()).toEqual(['es', 'it', 'pt']);
+    const mixed = detectLanguage(GERMAN, { candidates: ['deu', 'EN'] });
+    expect(mixed.map((candidate) => candidate.language)).toEqual(['deu', 'eng']);
+  });
+
+  test('rejects unknown two-letter candidates', () => {
+    expect(() => detectLanguage(GERMAN, { candidates: ['xx'] })).toThrow(RangeError);
+  });
+
+  test('falls back to the word heuristics for text too short for the secondary detector', () => {
+    const [best] = detectLanguage('the dog');
+    expect(best).toMatchObject({ language: 'eng', secondary: 0, heuristic: 1, score: 1 });
+  });
+
+  test('returns no candidates for empty or unmatched input', () => {
+    expect(detectLanguage('')).toEqual([]);
+    expect(detectLanguage('   ')).toEqual([]);
+    expect(detectLanguage(null)).toEqual([]);
+    expect(detectLanguage('Katze')).toEqual([]);
+  });
+
+  test('is available on validators', () => {
+    const [best] = createValidator().detectLanguage(FRENCH);
+    expect(best.iso6391).toBe('fr');
+  });
+});
+
+describe('language codes', () => {
+  test('maps ISO 639-3 to ISO 639-1', () => {
+    expect(toIso6391('deu')).toBe('de');
+    expect(toIso6391('cmn')).toBe('zh');
+    expect(toIso6391('sco')).toBeNull();
+  });
+
+  test('expands two-letter codes and keeps three-letter codes', () => {
+    expect(toIso6393Codes(['DE', 'fra', ' nds '])).toEqual(['deu', 'fra', 'nds']);
+    expect(toIso6393Codes(['fa', 'pes'])).toEqual(['pes', 'prs']);
+  });
+});
@@ -0,0 +1,124 @@
+import { analyzeText, clearLanguageDetectorCaches, findNonEnglishSpans } from '../src/index';
+import { preprocessText } from '../src/preprocessing';
+import { replaceTracked, trackText } from '../src/tracked-text';
+
+afterEach(() => {
+  clearLanguageDetectorCaches();
+});
+
+describe('format: html', () => {
+  const html = (text, options = {}) => preprocessText(text, { format: 'html', ...options });
+
+  test('drops tags and attribute values', () => {
+    expect(html('<p class="intro-text" data-x=\'a>b\'>Hello <b>world</b></p>')).toBe('Hello world');
+    expect(html('<!DOCTYPE html><br/>line<br>break')).toBe('line break');
+  });
+
+  test('drops script, style and comment content', () => {
+    const page = '<style>.x{color:red}</style><script>var x = "<b>";</script>Hi<!-- note -->';
+    expect(html(page)).toBe('Hi');
+    expect(html('Before<script>never closed')).toBe('Before');
+  });
+
+  test('decodes named and numeric entities', () => {
+    expect(html('Caf&eacute; &amp; cr&#232;me &#xE9;t&Eacute;')).toBe('Café crème étÉ');
+    expect(html('don&rsquo;t &ldquo;quote&rdquo; &unknown; &#0;x')).toBe(`don't "quote" x`);
+  });
+
+  test('drops code elements unless stripCode is off', () => {
+    const text = 'Run <code>npm install</code> then <pre><code>npm test</code></pre> done';
+    expect(html(text)).toBe('Run then done');
+    expect(html(text, { stripCode: false })).toBe('Run npm install then npm test done');
+  });
+
+  test('leaves markup alone in plain format', () => {
+    expect(preprocessText('<b>bold</b> &amp;')).toBe('b bold /b amp;');
+  });
+});
+
+describe('format: markdown', () => {
+  const md = (text, options = {}) => preprocessText(text, { format: 'markdown', ...options });
+
+  test('keeps link text and image alt text but drops destinations', () => {
+    expect(md('Read [the guide](https://x.io/a_(b) "Title") and ![a photo](img.png)')).toBe(
+      'Read the guide and ! a photo',
+    );
+    expect(md('Intro\n\n[guide]: https://x.io/guide "Guide"\nOutro')).toBe('Intro Outro');
+  });
+
+  test('drops fenced code blocks and code spans', () => {
+    expect(md('Before\n```js\nconst x = 1;\n```\nAfter')).toBe('Before After');
+    expect(md('Before\n~~~\nnever closed')).toBe('Before');
+    expect(md('Use ``a ` b`` and `npm test` now')).toBe('Use and now');
+    expect(md('Use `npm test` now', { stripCode: false })).toBe('Use npm test now');
+  });
+
+  test('handles inline HTML and entities', () => {
+    expect(md('Some <kbd>Ctrl</kbd> and <em>emphasis</em> &amp; more')).toBe(
+      'Some and emphasis more',
+    );
+  });
+});
+
+describe('token stages', () => {
+  test.each([
+    [
+      'stripUrls',
+      'Visit https://example.com/path?q=1 and www.example.org today',
+      'Visit and today',
+    ],
+    ['stripEmails', 'Mail jane.doe+x@example.co.uk and mailto:a@b.io now', 'Mail and now'],
+    ['stripMentions', 'Thanks @alice_b and @bob.smith!', 'Thanks and !'],
+    ['stripHashtags', 'Shipping #release today, see #42 and C#', 'Shipping today, see 42 and C'],
+    ['stripEmoji', 'Great job :tada: :+1: at 10:30:00', 'Great job at 10:30:00'],
+  ])('%s removes its tokens from markup and can be switched', (option, text, expected) => {
+    expect(preprocessText(text, { format: 'html' })).toBe(expected);
+    expect(preprocessText(text, { format: 'markdown' })).toBe(expected);
+    expect(preprocessText(text, { format: 'markdown', [option]: false })).not.toBe(expected);
+    expect(preprocessText(text)).not.toBe(expected);
+    expect(preprocessText(text, { [option]: true })).toBe(expected);
+  });
+
+  test('keeps the address of an email out of the mention stage', () => {
+    expect(
+      preprocessText('Mail jane@example.com', { stripEmails: false, stripMentions: true }),
+    ).toBe('Mail jane example.com');
+  });
+});
+
+describe('detection on markup', () => {
+  const PAGE =
+    '<div class="article-wrapper" data-analytics-id="hero"><p>The quick brown fox ' +
+    'jumps over the lazy dog</p><script>trackPageView()</script></div>';
+
+  test('classifies HTML by its text', () => {
+    expect(analyzeText(PAGE).processedText).toContain('analytics');
+    const report = analyzeText(PAGE, { format: 'html' });
+    expect(report.isEnglish).toBe(true);
+    expect(report.processedText).toBe('The quick brown fox jumps over the lazy dog');
+  });
+
+  test('reports span offsets into the original markup', () => {
+    const text = '<p>Hello world. Das ist ein deutscher Satz &amp; gut.</p>';
+    const [span] = findNonEnglishSpans(text, { format: 'html' });
+    expect(span.text).toBe('Das ist ein deutscher Satz');
+    expect(text.slice(span.start, span.end)).toBe(span.text);
+  });
+
+  test('ignores chat tokens in markup, and in plain text when asked', () => {
+    const chat = '@sam :wave: the deploy for #payments is done, logs at https://ci.example.com/42';
+    const tokens = { stripUrls: true, stripMentions: true, stripHashtags: true, stripEmoji: true };
+    expect(analyzeText(chat).englishRatio).toBeLessThan(1);
+    expect(analyzeText(chat, { format: 'markdown' }).englishRatio).toBe(1);
+    expect(analyzeText(chat, tokens).englishRatio).toBe(1);
+  });
+});
+
+describe('replaceTracked with a replacement function', () => {
+  test('maps each inserted character to the whole match', () => {
+    const result = replaceTracked(trackText('a&amp;b'), /&amp;/g, () => '&');
+    expect(result.text).toBe('a&b');
+    expect(result.starts).toEqual([0, 1, 6]);
+    expect(result.ends).toEqual([1, 6, 7]);
+  });
+});
@@ -0,0 +1,137 @@
+import { clearLanguageDetectorCaches, createValidator } from '../src/index';
+import { findEnglishBase } from '../src/morphology';
+
+afterEach(() => {
+  clearLanguageDetectorCaches();
+});
+
+const DICTIONARY = new Set([
+  'stop',
+  'walk',
+  'bake',
+  'study',
+  'box',
+  'potato',
+  'big',
+  'happy',
+  'quick',
+  'basic',
+  'simple',
+  'dark',
+  'read',
+  'love',
+  'forget',
+  'rely',
+  'lie',
+  'lock',
+  'build',
+  'view',
+  'editor',
+  'cat',
+]);
+
+describe('findEnglishBase', () => {
+  test.each([
+    ['cats', 'cat', ['suffix-s']],
+    ['boxes', 'box', ['suffix-es']],
+    ['potatoes', 'potato', ['suffix-es']],
+    ['studies', 'study', ['suffix-ies']],
+    ['walked', 'walk', ['suffix-ed']],
+    ['baked', 'bake', ['suffix-ed']],
+    ['stopped', 'stop', ['suffix-ed']],
+    ['studied', 'study', ['suffix-ed']],
+    ['walking', 'walk', ['suffix-ing']],
+    ['baking', 'bake', ['suffix-ing']],
+    ['stopping', 'stop', ['suffix-ing']],
+    ['lying', 'lie', ['suffix-ing']],
+    ['bigger', 'big', ['suffix-er']],
+    ['biggest', 'big', ['suffix-est']],
+    ['happier', 'happy', ['suffix-er']],
+    ['happiest', 'happy', ['suffix-est']],
+    ['quickly', 'quick', ['suffix-ly']],
+    ['happily', 'happy', ['suffix-ly']],
+    ['basically', 'basic', ['suffix-ly']],
+    ['simply', 'simple', ['suffix-ly']],
+    ['darkness', 'dark', ['suffix-ness']],
+    ['happiness', 'happy', ['suffix-ness']],
+    ['readable', 'read', ['suffix-able']],
+    ['lovable', 'love', ['suffix-able']],
+    ['forgettable', 'forget', ['suffix-able']],
+    ['reliable', 'rely', ['suffix-able']],
+    ['unlock', 'lock', ['prefix-un']],
+    ['rebuild', 'build', ['prefix-re']],
+    ['preview', 'view', ['prefix-pre']],
+    ['unlockable', 'lock', ['prefix-un', 'suffix-able']],
+    ['rebuilding', 'build', ['prefix-re', 'suffix-ing']],
+    ["walker's", 'walk', ['possessive', 'suffix-er']],
+    ["editors'", 'editor', ['possessive', 'suffix-s']],
+  ])('%s reduces to %s', (word, base, rules) => {
+    expect(findEnglishBase(word, DICTIONARY)).toEqual({ base, rules });
+  });
+
+  test("leaves 's contractions to the contraction layer", () => {
+    expect(findEnglishBase("let's", new Set(['let']))).toBeNull();
+    expect(findEnglishBase("it's", new Set(['it']))).toBeNull();
+  });
+
+  test.each(["everyone's", "somebody's", "this's", "one's", "they're", "we've", "should've"])(
+    'leaves %s to the contraction layer when its host is a dictionary word',
+    (word) => {
+      const host = word.split("'")[0];
+      expect(findEnglishBase(word, new Set([host]))).toBeNull();
+    },
+  );
+
+  test('returns null when no rule leads to a dictionary word', () => {
+    for (const word of ['glorp', 'glorps', 'unglorp', 'bos', 'ing', 'ed', 'uncat']) {
+      expect(findEnglishBase(word, DICTIONARY)).toBeNull();
+    }
+  });
+});
+
+describe('morphology in analyzeText', () => {
+  test('accepts inflected forms missing from the dictionary and reports the rule', () => {
+    const validator = createValidator({ removeWords: ['walked', 'dogs'] });
+    const report = validator.analyzeText('We walked the dogs home');
+    const walked = report.tokens.find((t) => t.token === 'walked');
+    expect(walked).toMatchObject({
+      isEnglish: true,
+      reason: 'morphology',
+      morphology: { base: 'walk', rules: ['suffix-ed'] },
+    });
+    expect(report.englishRatio).toBe(1);
+  });
+
+  test('can be turned off', () => {
+    const validator = createValidator({ removeWords: ['walked'] });
+    const report = validator.analyzeText('We walked home', { morphology: false });
+    expect(report.tokens[1]).toMatchObject({ reason: 'unknown', isEnglish: false });
+    expect(report.tokens[1].morphology).toBeUndefined();
+  });
+
+  test("reports 's contractions as contractions, not possessives", () => {
+    const validator = createValidator({ removeWords: ['walker'] });
+    const tokens = validator.analyzeText("Let's hope that's the walker's map").tokens;
+    const reason = (token) => tokens.find((t) => t.token === token).reason;
+    expect(reason("Let's")).toBe('contraction');
+    expect(reason("that's")).toBe('contraction');
+    expect(tokens.find((t) => t.token === "walker's")).toMatchObject({
+      reason: 'morphology',
+      morphology: { base: 'walk', rules: ['possessive', 'suffix-er'] },
+    });
+  });
+
+  test.each(["Everyone's", "Somebody's", "This's", "They're", "We've", "Should've"])(
+    'reports %s as a contraction',
+    (word) => {
+      const [token] = createValidator().analyzeText(`${word} here`).tokens;
+      expect(token).toMatchObject({ token: word, isEnglish: true, reason: 'contraction' });
+    },
+  );
+
+  test('never re-admits words rejected by the non-English screens', () => {
+    const validator = createValidator({ addWords: ['fahr'] });
+    const report = validator.analyzeText('fahrkeit');
+    expect(report.tokens[0].reason).toBe('non-english-ending');
+  });
+});
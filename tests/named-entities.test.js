@@ -0,0 +1,106 @@
+import {
+  analyzeText,
+  clearLanguageDetectorCaches,
+  findNonEnglishSpans,
+  isEnglish,
+} from '../src/index';
+import { findNameLikeWords } from '../src/named-entities';
+
+afterEach(() => {
+  clearLanguageDetectorCaches();
+});
+
+const flagged = (text) => {
+  const words = text.split(' ');
+  const flags = findNameLikeWords(words);
+  return words.filter((_, i) => flags[i]);
+};
+
+describe('findNameLikeWords', () => {
+  test('flags title-cased words mid-sentence', () => {
+    expect(flagged('Thanks, Oyelaran and Okonkwo are joining from Zalando')).toEqual([
+      'Oyelaran',
+      'Okonkwo',
+      'Zalando',
+    ]);
+  });
+
+  test('flags sentence-initial words only when a name continues', () => {
+    expect(flagged('Siobhan Nakamura called. Oyelaran arrived today.')).toEqual([
+      'Siobhan',
+      'Nakamura',
+    ]);
+    expect(flagged('Vincent van Gogh painted it')).toEqual(['Vincent', 'van', 'Gogh']);
+  });
+
+  test('does not end sentences at honorifics and initials', () => {
+    expect(flagged('Dr. Oyelaran and J. McAllister-Smith met')).toEqual([
+      'Oyelaran',
+      'McAllister-Smith',
+    ]);
+  });
+
+  test('ignores all-caps and lowercase words', () => {
+    expect(flagged('the NATO summit in brussels')).toEqual([]);
+  });
+});
+
+describe('namedEntities option', () => {
+  const TEXT = 'Siobhan Nakamura met Oyelaran at Zalando yesterday';
+
+  test('leaves names out of the English ratio', () => {
+    expect(analyzeText(TEXT).isEnglish).toBe(false);
+
+    const report = analyzeText(TEXT, { namedEntities: true });
+    expect(report.isEnglish).toBe(true);
+    expect(report.totalRelevantWords).toBe(3);
+    expect(report.tokens.filter((t) => t.reason === 'named-entity').map((t) => t.token)).toEqual([
+      'Siobhan',
+      'Nakamura',
+      'Oyelaran',
+      'Zalando',
+    ]);
+    expect(report.tokens.find((t) => t.token === 'Zalando')).toEqual({
+      token: 'Zalando',
+      counted: false,
+      isEnglish: false,
+      reason: 'named-entity',
+    });
+  });
+
+  test('counts lowercase common words that double as foreign vocabulary as English', () => {
+    const text = 'Siobhan Nakamura met Oyelaran at Zalando';
+    expect(isEnglish(text)).toBe(false);
+    expect(isEnglish(text, { namedEntities: true })).toBe(true);
+    const tokens = analyzeText('Open the door. Met de auto', { namedEntities: true }).tokens;
+    expect(tokens.find((t) => t.token === 'door').reason).toBe('dictionary');
+    expect(tokens.find((t) => t.token === 'Met').reason).toBe('non-english-function-word');
+    expect(analyzeText(text).tokens[2].reason).toBe('non-english-function-word');
+  });
+
+  test('is off by default and leaves a lone sentence-initial word counted', () => {
+    expect(analyzeText(TEXT).tokens.some((t) => t.reason === 'named-entity')).toBe(false);
+    const report = analyzeText('Oyelaran arrived today.', { namedEntities: true });
+    expect(report.tokens[0]).toMatchObject({ token: 'Oyelaran', counted: true, reason: 'unknown' });
+  });
+
+  test('still counts capitalised foreign function words as evidence', () => {
+    const report = analyzeText('Der Hund bellt laut. Les Enfants jouent', { namedEntities: true });
+    expect(report.isEnglish).toBe(false);
+    expect(report.tokens.find((t) => t.token === 'Der').reason).toBe('non-english-function-word');
+    expect(report.tokens.find((t) => t.token === 'Les')).toMatchObject({
+      counted: true,
+      reason: 'non-english-function-word',
+    });
+  });
+
+  test('names are neutral in findNonEnglishSpans', () => {
+    const text = 'Ask Oyelaran Okonkwo. Die Lieferung ist angekommen und wurde geprüft';
+    expect(findNonEnglishSpans(text).map((span) => span.text)).toEqual([
+      'Oyelaran Okonkwo. Die Lieferung ist angekommen und wurde geprüft',
+    ]);
+    expect(findNonEnglishSpans(text, { namedEntities: true }).map((span) => span.text)).toEqual([
+      'Die Lieferung ist angekommen und wurde geprüft',
+    ]);
+  });
+});
@@ -0,0 +1,154 @@
+import {
+  clearLanguageDetectorCaches,
+  createEnglishMiddleware,
+  createEnglishRefinement,
+  createValidator,
+  validateObject,
+} from '../src/index';
+
+afterEach(() => {
+  clearLanguageDetectorCaches();
+});
+
+const ENGLISH = 'The quick brown fox jumps over the lazy dog';
+const GERMAN = 'Das ist ein deutscher Satz und er ist lang genug';
+
+const ORDER = {
+  note: ENGLISH,
+  customer: { age: 42, bio: GERMAN },
+  items: [{ title: ENGLISH }, { title: GERMAN, tags: [GERMAN, ENGLISH] }],
+};
+
+const paths = (value, config) => validateObject(value, config).map((failure) => failure.path);
+
+describe('validateObject', () => {
+  test('checks every string field by default', () => {
+    expect(validateObject(ORDER)).toEqual([
+      { path: 'customer.bio', value: GERMAN, isEnglish: false },
+      { path: 'items[1].title', value: GERMAN, isEnglish: false },
+      { path: 'items[1].tags[0]', value: GERMAN, isEnglish: false },
+    ]);
+  });
+
+  test('selects fields by glob-style path', () => {
+    expect(paths(ORDER, { fields: ['note', 'items[*].title'] })).toEqual(['items[1].title']);
+    expect(paths(ORDER, { fields: ['items[0].title'] })).toEqual([]);
+    expect(paths(ORDER, { fields: ['customer.*'] })).toEqual(['customer.bio']);
+    expect(paths(ORDER, { fields: ['items.*.tags[*]'] })).toEqual(['items[1].tags[0]']);
+    expect(paths(ORDER, { fields: ['**.title'] })).toEqual(['items[1].title']);
+    expect(paths(ORDER, { fields: ['**'] })).toHaveLength(3);
+  });
+
+  test('handles top-level strings and arrays, odd keys and cycles', () => {
+    expect(paths(GERMAN)).toEqual(['']);
+    expect(paths([ENGLISH, GERMAN])).toEqual(['[1]']);
+
+    const value = { 'x-note': GERMAN, count: 3, when: new Date(0) };
+    value.self = value;
+    expect(paths(value)).toEqual(['["x-note"]']);
+    expect(paths(null)).toEqual([]);
+  });
+
+  test('passes detection options through', () => {
+    const config = { fields: ['customer.bio'], options: { englishThreshold: 0 } };
+    expect(paths(ORDER, config)).toEqual([]);
+  });
+
+  test.each(['', 'items..title', 'items[x]', 'items.[0]', 'a]'])(
+    'rejects the malformed path %p',
+    (field) => {
+      expect(() => validateObject(ORDER, { fields: [field] })).toThrow(RangeError);
+    },
+  );
+});
+
+describe('createEnglishMiddleware', () => {
+  const response = () => {
+    const res = { statusCode: 200, headers: {}, body: undefined };
+    res.setHeader = (name, value) => {
+      res.headers[name] = value;
+    };
+    res.end = (body) => {
+      res.body = body;
+    };
+    return res;
+  };
+
+  const call = (middleware, req) => {
+    const res = response();
+    const next = jest.fn();
+    middleware(req, res, next);
+    return { res, next };
+  };
+
+  test('passes English requests on', () => {
+    const { res, next } = call(createEnglishMiddleware(), { body: { text: ENGLISH } });
+    expect(next).toHaveBeenCalledWith();
+    expect(res.body).toBeUndefined();
+  });
+
+  test('rejects non-English fields with a JSON error listing their paths', () => {
+    const middleware = createEnglishMiddleware({ fields: ['items[*].title'], status: 422 });
+    const { res, next } = call(middleware, { body: ORDER });
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(422);
+    expect(res.headers['Content-Type']).toBe('application/json; charset=utf-8');
+    expect(JSON.parse(res.body)).toEqual({
+      error: 'Only English text is accepted',
+      paths: ['items[1].title'],
+    });
+  });
+
+  test('reads query, params or a custom source and uses the message', () => {
+    const fromQuery = createEnglishMiddleware({ source: 'query', message: 'English only' });
+    const { res } = call(fromQuery, { body: {}, query: { q: GERMAN } });
+    expect(res.statusCode).toBe(400);
+    expect(JSON.parse(res.body)).toEqual({ error: 'English only', paths: ['q'] });
+
+    const custom = createEnglishMiddleware({ source: (req) => req.headers });
+    expect(call(custom, { headers: { subject: GERMAN } }).res.statusCode).toBe(400);
+  });
+
+  test('passes validation errors to next', () => {
+    const error = new Error('boom');
+    const middleware = createEnglishMiddleware({
+      source: () => {
+        throw error;
+      },
+    });
+    expect(call(middleware, {}).next).toHaveBeenCalledWith(error);
+  });
+
+  test('rejects statuses outside 4xx and malformed paths up front', () => {
+    expect(() => createEnglishMiddleware({ status: 500 })).toThrow(RangeError);
+    expect(() => createEnglishMiddleware({ status: 404.5 })).toThrow(RangeError);
+    expect(() => createEnglishMiddleware({ fields: ['a..b'] })).toThrow(RangeError);
+  });
+});
+
+describe('createEnglishRefinement', () => {
+  test('passes English strings and non-strings', () => {
+    const english = createEnglishRefinement();
+    expect(english(ENGLISH)).toBe(true);
+    expect(english(GERMAN)).toBe(false);
+    expect(english(42)).toBe(true);
+    expect(english(undefined)).toBe(true);
+    expect(createEnglishRefinement({ englishThreshold: 0 })(GERMAN)).toBe(true);
+  });
+});
+
+describe('validator instances', () => {
+  test('apply their dictionary and defaults', () => {
+    const validator = createValidator({
+      addWords: ['qzvrwk'],
+      defaults: { englishThreshold: 0.9 },
+    });
+    const body = { a: 'qzvrwk qzvrwk qzvrwk', b: 'Hello qzvrwk world xyzzyq' };
+    expect(validator.validateObject(body).map((failure) => failure.path)).toEqual(['b']);
+    expect(validator.createEnglishRefinement()('qzvrwk qzvrwk')).toBe(true);
+
+    const res = { statusCode: 200, setHeader: jest.fn(), end: jest.fn() };
+    validator.createEnglishMiddleware({ fields: ['b'] })({ body }, res, jest.fn());
+    expect(res.statusCode).toBe(400);
+  });
+});
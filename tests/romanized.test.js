@@ -0,0 +1,114 @@
+import {
+  analyzeText,
+  clearLanguageDetectorCaches,
+  findNonEnglishSpans,
+  isEnglish,
+} from '../src/index';
+import { ROMANIZED_INDICATORS } from '../src/constants';
+import { englishDictionary } from '../src/dictionary';
+import { findNonEnglishIndicator, findRomanizedPack } from '../src/non-english-checks';
+import { preprocessText } from '../src/preprocessing';
+
+afterEach(() => {
+  clearLanguageDetectorCaches();
+});
+
+const reasons = (text, options) => analyzeText(text, options).tokens.map((t) => t.reason);
+
+describe('romanized indicator packs', () => {
+  test.each([
+    ['kya haal hai, kal milte nahi', 'hindi'],
+    ['habibi nkhalas lyoum', 'arabic'],
+    ['xiexie, zaijian pengyou', 'pinyin'],
+    ['kumusta ka na, salamat', 'tagalog'],
+    ['apa khabar, terima kasih banyak', 'malay'],
+  ])('%s → romanized-%s', (text, pack) => {
+    const report = analyzeText(text);
+    expect(report.isEnglish).toBe(false);
+    expect(new Set(reasons(text))).toEqual(new Set([`romanized-${pack}`]));
+  });
+
+  test('never flags English dictionary words', () => {
+    const text = 'Our sama team meets later';
+    expect(isEnglish(text)).toBe(true);
+    expect(reasons(text)).toEqual(Array(5).fill('dictionary'));
+  });
+
+  test('romanizedPacks selects the packs to screen', () => {
+    const text = 'kya nahi habibi';
+    expect(reasons(text, { romanizedPacks: ['arabic'] })).toEqual([
+      'unknown',
+      'unknown',
+      'romanized-arabic',
+    ]);
+    expect(reasons(text, { romanizedPacks: [] })).not.toContain('romanized-arabic');
+  });
+
+  test('leaves English text alone', () => {
+    for (const text of [
+      'I will meet you at the cafe tomorrow morning',
+      'Taxi drivers hate the new pricing model',
+      'The yin and yang of modern software development',
+      'Keep the main branch green and hum along',
+    ]) {
+      expect(analyzeText(text).tokens.map((t) => t.reason)).not.toContainEqual(
+        expect.stringMatching(/^romanized-/),
+      );
+    }
+  });
+
+  test('keeps pack vocabulary clear of English dictionary words and of other packs', () => {
+    const seen = new Set();
+    for (const { vocabulary } of ROMANIZED_INDICATORS) {
+      for (const word of vocabulary.split(' ')) {
+        expect(englishDictionary.has(word)).toBe(false);
+        expect(seen.has(word)).toBe(false);
+        seen.add(word);
+      }
+    }
+  });
+});
+
+describe('romanization with digits', () => {
+  test.each([
+    ['ni3', 'pinyin'],
+    ['ni3hao3', 'pinyin'],
+    ['Xie4xie', 'pinyin'],
+    ['zhong1guo2', 'pinyin'],
+    ['3ala', 'arabic'],
+    ['ma3a', 'arabic'],
+    ['7abibi', 'arabic'],
+    ['el7amdulillah', 'arabic'],
+  ])('%s → %s', (word, pack) => {
+    expect(findRomanizedPack(word, ['hindi', 'arabic', 'pinyin'])).toBe(pack);
+  });
+
+  test.each(['mp3', 'web3', 'h2o', 'b2b', 'no1', 'go2', '5th', '9am', '3days', 'a1', 'k8s'])(
+    'ignores %s',
+    (word) => {
+      expect(findRomanizedPack(word, ['arabic', 'pinyin'])).toBeNull();
+    },
+  );
+
+  test('keeps the digits of romanized words through preprocessing', () => {
+    expect(preprocessText('ni3 hao3! yalla 3ala mp3 5th')).toBe('ni3 hao3! yalla 3ala mp3 5th');
+    const tokens = analyzeText('yalla 3ala mp3 5th', { romanizedPacks: ['hindi'] }).tokens;
+    expect(tokens.map((t) => t.reason)).toEqual(['unknown', 'unknown', 'unknown', 'ordinal']);
+    const report = analyzeText('wo3 jiao4 xiao3 ming2');
+    expect(report.tokens.every((t) => t.reason === 'romanized-pinyin')).toBe(true);
+  });
+
+  test('reports span offsets around romanized words', () => {
+    const text = 'Thanks for the update, ni3hao3 and xie4xie to everyone';
+    const [span] = findNonEnglishSpans(text);
+    expect(span.words).toEqual(['ni3hao3']);
+    expect(text.slice(span.start, span.end)).toBe('ni3hao3');
+  });
+});
+
+describe('findNonEnglishIndicator', () => {
+  test('checks romanized packs only when asked', () => {
+    expect(findNonEnglishIndicator('habibi')).toBeNull();
+    expect(findNonEnglishIndicator('habibi', ['arabic'])).toBe('romanized-arabic');
+  });
+});
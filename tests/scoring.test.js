@@ -0,0 +1,126 @@
+import {
+  analyzeText,
+  clearLanguageDetectorCaches,
+  createValidator,
+  englishProbability,
+  isEnglish,
+} from '../src/index';
+import { SCORING_PRESETS } from '../src/constants';
+import {
+  indicatorShare,
+  resolveScoringModel,
+  secondaryEnglishSignal,
+  shortness,
+} from '../src/scoring';
+
+afterEach(() => {
+  clearLanguageDetectorCaches();
+});
+
+const ENGLISH = 'The quick brown fox jumps over the lazy dog';
+const GERMAN = 'Das ist ein deutscher Satz und er ist lang genug';
+const JARGON = 'Deploy the cluster with kubectl and helm tonight';
+const BORDERLINE = 'Please review the attached zorbl qlarp document before the qwerk meeting';
+
+describe('resolveScoringModel', () => {
+  test('defaults to the balanced preset', () => {
+    expect(resolveScoringModel({})).toEqual({
+      model: SCORING_PRESETS.balanced,
+      thresholdSource: 'default',
+    });
+  });
+
+  test('accepts a preset name or overrides over a preset', () => {
+    expect(resolveScoringModel({ scoring: 'strict' })).toEqual({
+      model: SCORING_PRESETS.strict,
+      thresholdSource: 'preset',
+    });
+    const { model } = resolveScoringModel({
+      scoring: { preset: 'lenient', lengthWeight: 0, secondaryWeight: undefined },
+    });
+    expect(model).toEqual({ ...SCORING_PRESETS.lenient, lengthWeight: 0 });
+  });
+
+  test('lets englishThreshold win over the scoring threshold', () => {
+    const resolved = resolveScoringModel({ englishThreshold: 0.6, scoring: { threshold: 0.9 } });
+    expect(resolved.model.threshold).toBe(0.6);
+    expect(resolved.thresholdSource).toBe('option');
+    expect(resolveScoringModel({ scoring: { threshold: 0.9 } }).thresholdSource).toBe('option');
+  });
+
+  test('rejects unknown presets', () => {
+    expect(() => resolveScoringModel({ scoring: 'paranoid' })).toThrow(RangeError);
+  });
+});
+
+describe('signals', () => {
+  test('shortness fades from half of fullLengthWords to fullLengthWords', () => {
+    expect([1, 2, 3, 4, 5, 9].map((words) => shortness(words, 5))).toEqual([1, 1, 0.8, 0.4, 0, 0]);
+    expect(shortness(1, 0)).toBe(0);
+  });
+
+  test('indicatorShare counts screened tokens but not unknown words', () => {
+    const { tokens } = analyzeText('Straße und xyzzyq the');
+    expect(indicatorShare(tokens)).toBe(0.5);
+    expect(indicatorShare([])).toBe(0);
+  });
+
+  test('secondaryEnglishSignal rescales secondary detector scores from 0.6–0.9', () => {
+    expect([0.3, 0.6, 0.75, 0.9, 1].map(secondaryEnglishSignal)).toEqual([0, 0, 0.5, 1, 1]);
+  });
+});
+
+describe('englishProbability', () => {
+  test('scores English high and other languages low', () => {
+    expect(englishProbability(ENGLISH)).toBe(1);
+    expect(englishProbability(GERMAN)).toBe(0);
+    expect(englishProbability('')).toBe(1);
+    expect(englishProbability('Привет, как дела? Всё хорошо')).toBe(0);
+  });
+
+  test('always includes the secondary detector, unlike analyzeText', () => {
+    const report = analyzeText(JARGON);
+    expect(report.secondary).toBeNull();
+    expect(report.probability).toBeCloseTo(0.875);
+    expect(englishProbability(JARGON)).toBeCloseTo(0.975);
+  });
+
+  test('blends the signals with the model weights', () => {
+    const report = analyzeText(BORDERLINE);
+    const { secondaryEnglish } = report.signals;
+    expect(report.probability).toBeCloseTo(report.englishRatio + 0.1 * secondaryEnglish);
+    expect(englishProbability(BORDERLINE, { scoring: { secondaryWeight: 0 } })).toBeCloseTo(
+      report.englishRatio,
+    );
+  });
+
+  test('is available on validators with their defaults', () => {
+    const validator = createValidator({ defaults: { scoring: { lengthWeight: 0 } } });
+    expect(validator.englishProbability('hello zxqv')).toBeCloseTo(0.5);
+    expect(englishProbability('hello zxqv', { scoring: { secondaryWeight: 0 } })).toBeCloseTo(0.7);
+  });
+});
+
+describe('presets', () => {
+  test('order the verdicts from strict to lenient', () => {
+    const text = 'Restart Kubernetes and check Grafana';
+    expect(isEnglish(text, { scoring: 'strict' })).toBe(false);
+    expect(isEnglish(text)).toBe(false);
+    expect(isEnglish(text, { scoring: 'lenient' })).toBe(true);
+  });
+
+  test('strict penalises non-English indicators harder', () => {
+    const text = 'The meeting is at noon und the report is ready';
+    const balanced = analyzeText(text);
+    const strict = analyzeText(text, { scoring: 'strict' });
+    expect(balanced.signals.indicatorShare).toBeCloseTo(0.1);
+    expect(balanced.probability).toBeCloseTo(0.9 - 0.1 * 0.1);
+    expect(strict.probability).toBeCloseTo(0.9 - 0.25 * 0.1);
+  });
+
+  test('short texts get an allowance that the caller can turn off', () => {
+    expect(isEnglish('hello bonjoura')).toBe(false);
+    expect(isEnglish('hello world xzq')).toBe(true);
+    expect(isEnglish('hello world xzq', { scoring: { lengthWeight: 0 } })).toBe(false);
+  });
+});
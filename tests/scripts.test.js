@@ -0,0 +1,95 @@
+import { analyzeText, clearLanguageDetectorCaches, findNonEnglishSpans } from '../src/index';
+import { profileScripts, segmentWord } from '../src/scripts';
+
+afterEach(() => {
+  clearLanguageDetectorCaches();
+});
+
+describe('profileScripts', () => {
+  test('counts letters per script, ignoring everything else', () => {
+    expect(profileScripts('Привет, hi! 42')).toEqual({
+      letters: 8,
+      counts: { Cyrillic: 6, Latin: 2 },
+      dominant: 'Cyrillic',
+      nonLatinRatio: 0.75,
+    });
+  });
+
+  test.each([
+    ['Café crème', 'Latin'],
+    ['Καλημέρα', 'Greek'],
+    ['שלום', 'Hebrew'],
+    ['مرحبا', 'Arabic'],
+    ['नमस्ते', 'Devanagari'],
+    ['你好', 'Han'],
+    ['ありがとう', 'Hiragana'],
+    ['안녕하세요', 'Hangul'],
+    ['สวัสดี', 'Thai'],
+    ['ሰላም', 'Other'],
+  ])('%s is %s', (text, script) => {
+    expect(profileScripts(text).dominant).toBe(script);
+  });
+
+  test('reports an empty profile for text without letters', () => {
+    expect(profileScripts('123 !?')).toEqual({
+      letters: 0,
+      counts: {},
+      dominant: null,
+      nonLatinRatio: 0,
+    });
+  });
+});
+
+describe('segmentWord', () => {
+  test('splits unsegmented scripts into characters', () => {
+    expect(segmentWord('我爱你')).toEqual([
+      { token: '我', offset: 0 },
+      { token: '爱', offset: 1 },
+      { token: '你', offset: 2 },
+    ]);
+    expect(segmentWord('hello世界').map((s) => s.token)).toEqual(['hello', '世', '界']);
+  });
+
+  test('leaves other words whole', () => {
+    expect(segmentWord('Москва')).toEqual([{ token: 'Москва', offset: 0 }]);
+  });
+});
+
+describe('script-aware detection', () => {
+  test.each([
+    'Привет мир, как дела',
+    'こんにちは世界',
+    'مرحبا بالعالم',
+    'नमस्ते दुनिया',
+    'สวัสดีครับ',
+  ])('rejects %s on its script profile', (text) => {
+    const report = analyzeText(text);
+    expect(report.isEnglish).toBe(false);
+    expect(report.decision).toBe('non-latin-script');
+    expect(report.secondary).toBeNull();
+  });
+
+  test('counts a CJK run by characters, not as one word', () => {
+    const report = analyzeText('我爱你 hello world test');
+    expect(report.tokens.map((t) => t.token)).toEqual(['我', '爱', '你', 'hello', 'world', 'test']);
+    expect(report.englishRatio).toBe(0.5);
+    expect(report.isEnglish).toBe(false);
+  });
+
+  test('keeps Indic words whole', () => {
+    expect(analyzeText('नमस्ते दुनिया').tokens.map((t) => t.token)).toEqual(['नमस्ते', 'दुनिया']);
+  });
+
+  test('tolerates a few non-Latin words in English text', () => {
+    const report = analyzeText('We shipped the Москва office release today');
+    expect(report.isEnglish).toBe(true);
+    expect(report.scripts.counts).toEqual({ Latin: 30, Cyrillic: 6 });
+  });
+
+  test('reports CJK spans by character with original offsets', () => {
+    const text = 'The meeting notes 会议记录 are attached';
+    const [span] = findNonEnglishSpans(text);
+    expect(span.words).toEqual(['会', '议', '记', '录']);
+    expect(text.slice(span.start, span.end)).toBe('会议记录');
+  });
+});
@@ -0,0 +1,118 @@
+import { francAll } from 'franc';
+import {
+  analyzeText,
+  clearLanguageDetectorCaches,
+  createTrigramDetector,
+  createValidator,
+  trigramDetector,
+} from '../src/index';
+import { TRIGRAM_PROFILES } from '../src/trigram-profiles';
+
+afterEach(() => {
+  clearLanguageDetectorCaches();
+});
+
+const GERMAN = 'Die Katze schläft auf dem Sofa und der Hund spielt im Garten mit einem Ball';
+const SWEDISH = 'Jag har inte tid att träffa dig i morgon eftersom jag måste arbeta';
+const ENGLISH = 'The cat sleeps on the sofa while the dog plays in the garden with a ball';
+
+describe('trigramDetector', () => {
+  test.each([
+    [GERMAN, 'deu'],
+    [SWEDISH, 'swe'],
+    [ENGLISH, 'eng'],
+  ])('ranks the right language first: %s', (text, language) => {
+    const scores = trigramDetector(text);
+    expect(scores[0]).toEqual([language, 1]);
+    expect(scores).toHaveLength(Object.keys(TRIGRAM_PROFILES).length);
+    expect(scores.every(([, score], i) => i === 0 || score <= scores[i - 1][1])).toBe(true);
+  });
+
+  test('ranks Polish', () => {
+    expect(trigramDetector('Nie można otworzyć pliku')[0]).toEqual(['pol', 1]);
+  });
+
+  test('puts und first when short text is a close call, keeping the scores', () => {
+    const scores = trigramDetector('le fichier est introuvable');
+    expect(scores[0]).toEqual(['und', 1]);
+    expect(scores.slice(1, 3).map(([lang]) => lang)).toEqual(['deu', 'fra']);
+    expect(scores.some(([lang, score]) => lang === 'eng' && score > 0)).toBe(true);
+  });
+
+  test('cannot tell short or non-Latin text', () => {
+    expect(trigramDetector('the dog')).toEqual([['und', 1]]);
+    expect(trigramDetector('Привет, как у тебя дела сегодня?')).toEqual([['und', 1]]);
+  });
+
+  test('only restricts the languages it answers with', () => {
+    expect(trigramDetector(GERMAN, { only: ['eng', 'nld'] }).map(([lang]) => lang)).toEqual([
+      'nld',
+      'eng',
+    ]);
+    expect(trigramDetector(GERMAN, { only: ['ces'] })).toEqual([['und', 1]]);
+  });
+
+  test('builds detectors over custom profiles', () => {
+    const detector = createTrigramDetector({
+      eng: TRIGRAM_PROFILES.eng,
+      deu: TRIGRAM_PROFILES.deu,
+    });
+    expect(detector(GERMAN).map(([lang]) => lang)).toEqual(['deu', 'eng']);
+    expect(() => createTrigramDetector({})).toThrow(RangeError);
+  });
+});
+
+describe('secondaryDetector', () => {
+  const BORDERLINE = 'Please review the attached zorblat and the frimble';
+
+  test('is consulted when it can change the verdict', () => {
+    const secondaryDetector = jest.fn(() => [['eng', 1]]);
+    const report = createValidator({ secondaryDetector }).analyzeText(BORDERLINE);
+    expect(secondaryDetector).toHaveBeenCalledWith(BORDERLINE);
+    expect(report.secondary).toEqual({ language: 'eng', confidence: 1 });
+    expect(report.decision).toBe('secondary-override');
+  });
+
+  test('an undetermined or empty answer gives no boost', () => {
+    for (const answer of [[['und', 1]], []]) {
+      const validator = createValidator({ secondaryDetector: () => answer });
+      const report = validator.analyzeText(BORDERLINE);
+      expect(report.secondary).toEqual({ language: 'und', confidence: 1 });
+      expect(report.signals.secondaryEnglish).toBe(0);
+    }
+  });
+
+  test('is per validator', () => {
+    const secondaryDetector = jest.fn(() => [['deu', 1]]);
+    createValidator({ secondaryDetector }).analyzeText(BORDERLINE);
+    analyzeText(BORDERLINE);
+    expect(secondaryDetector).toHaveBeenCalledTimes(1);
+  });
+
+  test('answers outside the detectLanguage allowlist are dropped', () => {
+    const validator = createValidator({
+      secondaryDetector: () => [
+        ['pol', 1],
+        ['deu', 0.8],
+      ],
+    });
+    const ranked = validator.detectLanguage(GERMAN, { candidates: ['de', 'en'] });
+    expect(ranked.map((candidate) => candidate.language)).not.toContain('pol');
+    expect(ranked[0]).toMatchObject({ language: 'deu', secondary: 0.8 });
+  });
+
+  test('names the language of non-English spans', () => {
+    const validator = createValidator({ secondaryDetector: () => [['ita', 0.9]] });
+    const [span] = validator.findNonEnglishSpans('The report says: la casa è molto bella oggi');
+    const [best] = validator.detectLanguage(span.text);
+    expect(best.secondary).toBe(0.9);
+    expect(span.language).toEqual({ language: 'ita', confidence: best.score });
+  });
+
+  test('accepts francAll from franc', () => {
+    const validator = createValidator({ secondaryDetector: francAll });
+    const [best] = validator.detectLanguage(GERMAN);
+    expect(best).toMatchObject({ language: 'deu', iso6391: 'de' });
+    expect(validator.analyzeText(BORDERLINE).secondary).not.toBeNull();
+  });
+});
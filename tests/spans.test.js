@@ -0,0 +1,85 @@
+import {
+  clearLanguageDetectorCaches,
+  detectLanguage,
+  findNonEnglishSpans,
+  trigramDetector,
+} from '../src/index';
+
+afterEach(() => {
+  clearLanguageDetectorCaches();
+});
+
+describe('findNonEnglishSpans', () => {
+  test('returns no spans for English or empty input', () => {
+    expect(findNonEnglishSpans('The quick brown fox jumps over the lazy dog')).toEqual([]);
+    expect(findNonEnglishSpans('')).toEqual([]);
+    expect(findNonEnglishSpans(null)).toEqual([]);
+    expect(findNonEnglishSpans('   ')).toEqual([]);
+  });
+
+  test('locates a foreign run inside an English paragraph', () => {
+    const text = 'The export failed with le fichier est introuvable again';
+    const [span, ...rest] = findNonEnglishSpans(text);
+    expect(rest).toEqual([]);
+    expect(span.start).toBe(23);
+    expect(span.end).toBe(49);
+    expect(span.text).toBe('le fichier est introuvable');
+    expect(text.slice(span.start, span.end)).toBe(span.text);
+    expect(span.words).toEqual(['le', 'fichier', 'est', 'introuvable']);
+    expect(span.language.language).toBe('fra');
+  });
+
+  test.each([
+    ['le fichier est introuvable', 'fra'],
+    ['No se encontró el archivo', 'spa'],
+    ['Nie można otworzyć pliku', 'pol'],
+  ])('names the language of a short run: %s', (run, language) => {
+    const [span] = findNonEnglishSpans(`The export failed with ${run} again`);
+    expect(span.language.language).toBe(language);
+    expect(span.language.confidence).toBeLessThan(1);
+  });
+
+  test('labels a run with detectLanguage rather than the trigram detector alone', () => {
+    const run = 'le fichier est introuvable';
+    expect(trigramDetector(run)[0]).toEqual(['und', 1]);
+    const [span] = findNonEnglishSpans(`The export failed with ${run} again`);
+    const best = detectLanguage(run).find((candidate) => candidate.language !== 'eng');
+    expect(span.language).toEqual({ language: best.language, confidence: best.score });
+  });
+
+  test('reports offsets into the original input across removed document IDs', () => {
+    const text = 'AEM01-WI-DSU06   report: Die Datei wurde nicht gefunden. Thanks!';
+    const [span] = findNonEnglishSpans(text);
+    expect(span.text).toBe('Die Datei wurde nicht gefunden');
+    expect(span.start).toBe(text.indexOf('Die'));
+    expect(span.language.language).toBe('deu');
+  });
+
+  test('keeps offsets correct after customPatterns and excludeWords', () => {
+    const text = 'TICKET-42 ACME says: der Hund ist mit dem Mann and that is all';
+    const [span] = findNonEnglishSpans(text, {
+      customPatterns: [/\bTICKET-\d+\b/g],
+      excludeWords: ['ACME'],
+    });
+    expect(span.text).toBe('der Hund ist mit dem Mann');
+    expect(span.start).toBe(text.indexOf('der'));
+  });
+
+  test('trims punctuation and non-letter characters from span edges', () => {
+    const text = 'Hello (Straße) friend';
+    const [span] = findNonEnglishSpans(text);
+    expect(span.text).toBe('Straße');
+    expect(span.start).toBe(7);
+  });
+
+  test('splits runs separated by English words', () => {
+    const spans = findNonEnglishSpans('über kühl and then größe straße');
+    expect(spans.map((s) => s.text)).toEqual(['über kühl', 'größe straße']);
+  });
+
+  test('honours minSpanWords', () => {
+    const text = 'We saw über friends and then größe straße kühl happened';
+    const spans = findNonEnglishSpans(text, { minSpanWords: 2 });
+    expect(spans.map((s) => s.words)).toEqual([['größe', 'straße', 'kühl']]);
+  });
+});
@@ -0,0 +1,154 @@
+import { Readable } from 'stream';
+import { clearLanguageDetectorCaches, detectStream, isEnglish } from '../src/index';
+import { createDetectionStream } from '../src/detection-stream';
+import { createTextChunker } from '../src/streaming';
+
+afterEach(() => {
+  clearLanguageDetectorCaches();
+});
+
+const ENGLISH = 'The quick brown fox jumps over the lazy dog.';
+const GERMAN = 'Das ist ein deutscher Satz und er ist lang genug.';
+const DOCUMENT = `${ENGLISH}\n\n${GERMAN}\n\nHello, how are you today?\n`;
+
+/** Collects every value of an async iterator. */
+async function collect(iterator) {
+  const values = [];
+  for await (const value of iterator) values.push(value);
+  return values;
+}
+
+/** Splits a string into fixed-size pieces (cutting mid-word on purpose). */
+function pieces(text, size) {
+  const out = [];
+  for (let i = 0; i < text.length; i += size) out.push(text.slice(i, i + size));
+  return out;
+}
+
+describe('createTextChunker', () => {
+  test('splits paragraphs on blank lines with offsets', () => {
+    const chunker = createTextChunker();
+    const chunks = [...chunker.push(DOCUMENT), ...chunker.flush()];
+    expect(chunks.map((c) => c.text)).toEqual([ENGLISH, GERMAN, 'Hello, how are you today?']);
+    for (const chunk of chunks) {
+      expect(DOCUMENT.slice(chunk.start, chunk.end)).toBe(chunk.text);
+    }
+  });
+
+  test('splits sentences and keeps terminal punctuation', () => {
+    const chunker = createTextChunker({ split: 'sentence' });
+    const text = 'First one. Second one! Is this third? "Quoted." Done';
+    const chunks = [...chunker.push(text), ...chunker.flush()];
+    expect(chunks.map((c) => c.text)).toEqual([
+      'First one.',
+      'Second one!',
+      'Is this third?',
+      '"Quoted."',
+      'Done',
+    ]);
+  });
+
+  test('never cuts words across pieces', () => {
+    const chunker = createTextChunker({ split: 'sentence' });
+    const chunks = pieces('Version 3.14 is out. Upgrade today.', 3).flatMap((p) => chunker.push(p));
+    chunks.push(...chunker.flush());
+    expect(chunks.map((c) => c.text)).toEqual(['Version 3.14 is out.', 'Upgrade today.']);
+  });
+
+  test('cuts chunks longer than maxChunkLength at whitespace', () => {
+    const chunker = createTextChunker({ maxChunkLength: 20 });
+    const text = 'alpha beta gamma delta epsilon zeta eta theta';
+    const chunks = [...chunker.push(text), ...chunker.flush()];
+    expect(chunks.every((c) => c.text.length <= 20)).toBe(true);
+    expect(chunks.map((c) => c.text).join(' ')).toBe(text);
+  });
+
+  test('cuts a long paragraph pushed together with its boundary', () => {
+    const chunker = createTextChunker({ maxChunkLength: 2000 });
+    const paragraph = 'word '.repeat(3000).trim();
+    const chunks = [...chunker.push(`${paragraph}\n\nNext paragraph`), ...chunker.flush()];
+    expect(chunks.every((c) => c.text.length <= 2000)).toBe(true);
+    expect(chunks.at(-1).text).toBe('Next paragraph');
+    expect(
+      chunks
+        .slice(0, -1)
+        .map((c) => c.text)
+        .join(' '),
+    ).toBe(paragraph);
+  });
+
+  test('hard-cuts without splitting surrogate pairs when there is no whitespace', () => {
+    const chunker = createTextChunker({ maxChunkLength: 3 });
+    const chunks = [...chunker.push('ab😀cd'), ...chunker.flush()];
+    expect(chunks.map((c) => c.text)).toEqual(['ab', '😀c', 'd']);
+  });
+});
+
+describe('detectStream', () => {
+  test('classifies each paragraph and keeps a running summary', async () => {
+    const results = await collect(detectStream([DOCUMENT]));
+    expect(results.map((r) => r.isEnglish)).toEqual([true, false, true]);
+    expect(results.map((r) => r.index)).toEqual([0, 1, 2]);
+    expect(results[0].isEnglish).toBe(isEnglish(ENGLISH));
+
+    const { summary } = results[2];
+    expect(summary.chunks).toBe(3);
+    expect(summary.englishChunks).toBe(2);
+    expect(summary.percentEnglishByChunks).toBeCloseTo(66.67, 1);
+    expect(summary.percentEnglishByWords).toBeGreaterThan(0);
+    expect(summary.percentEnglishByWords).toBeLessThan(100);
+  });
+
+  test('reassembles UTF-8 sequences split across byte pieces', async () => {
+    const bytes = Buffer.from(`${ENGLISH}\n\nStraße über größe kühl\n`, 'utf-8');
+    const byteIndex = bytes.indexOf(Buffer.from('ß')) + 1; // inside the two-byte ß
+    const source = [bytes.subarray(0, byteIndex), bytes.subarray(byteIndex)];
+    const results = await collect(detectStream(source));
+    expect(results[1].text).toBe('Straße über größe kühl');
+    expect(results[1].isEnglish).toBe(false);
+  });
+
+  test('returns the final summary and handles empty documents', async () => {
+    const iterator = detectStream(['   \n\n  ']);
+    const { value, done } = await iterator.next();
+    expect(done).toBe(true);
+    expect(value).toEqual({
+      chunks: 0,
+      englishChunks: 0,
+      totalRelevantWords: 0,
+      englishWordCount: 0,
+      percentEnglishByWords: 100,
+      percentEnglishByChunks: 100,
+    });
+  });
+
+  test('reads Node.js readable streams', async () => {
+    const results = await collect(detectStream(Readable.from(pieces(DOCUMENT, 7))));
+    expect(results.map((r) => r.text)).toEqual([ENGLISH, GERMAN, 'Hello, how are you today?']);
+  });
+});
+
+describe('createDetectionStream', () => {
+  test('emits one result object per chunk and exposes the summary', async () => {
+    const stream = createDetectionStream({ split: 'sentence' });
+    const source = Readable.from(pieces(Buffer.from(`${ENGLISH} ${GERMAN}`), 5));
+    const results = await collect(source.pipe(stream));
+    expect(results.map((r) => r.isEnglish)).toEqual([true, false]);
+    expect(stream.summary.chunks).toBe(2);
+    expect(stream.summary.englishChunks).toBe(1);
+  });
+
+  test('accepts strings and reports errors from the pipeline', async () => {
+    const stream = createDetectionStream({ excludeWords: [null] });
+    const failure = new Promise((resolve) => stream.on('error', resolve));
+    stream.write('Some text\n\nMore text');
+    await expect(failure).resolves.toBeInstanceOf(Error);
+  });
+
+  test('reports errors raised while flushing', async () => {
+    const stream = createDetectionStream({ excludeWords: [null] });
+    const failure = new Promise((resolve) => stream.on('error', resolve));
+    stream.end('Trailing text without a boundary');
+    await expect(failure).resolves.toBeInstanceOf(Error);
+  });
+});
@@ -0,0 +1,155 @@
+import { analyzeText, createValidator, findNonEnglishSpans, isEnglish } from '../src/index';
+import { preprocessText } from '../src/preprocessing';
+import { identifierWords } from '../src/technical';
+
+const technical = { technical: true };
+
+describe('technical mode', () => {
+  test.each([
+    'Fix parseHttpResponse in getUserById',
+    'Rename maxRetries to retryLimit in HttpClient',
+    'Update src/utils/httpClient.ts so the JsonParser handles XMLHttpRequest bodies',
+    'Bump the req ctx timeout and pipe stderr to stdout in the cli config',
+  ])('commit messages with identifiers are English: %s', (text) => {
+    expect(isEnglish(text)).toBe(false);
+    expect(isEnglish(text, technical)).toBe(true);
+  });
+
+  test('foreign text stays non-English', () => {
+    const text = 'Der Fehler tritt auf, wenn parseHttpResponse aufgerufen wird';
+    expect(isEnglish(text, technical)).toBe(false);
+  });
+
+  test('splits identifiers into dictionary words', () => {
+    const tokens = analyzeText('Call parseHttpResponse now', technical).tokens;
+    expect(tokens.map((token) => [token.token, token.reason])).toEqual([
+      ['Call', 'dictionary'],
+      ['parse', 'dictionary'],
+      ['http', 'technical-term'],
+      ['response', 'dictionary'],
+      ['now', 'dictionary'],
+    ]);
+  });
+
+  test('programming terms only count as English in technical mode', () => {
+    const report = (options) => analyzeText('the ctx', options).tokens[1];
+    expect(report({})).toMatchObject({ isEnglish: false, reason: 'unknown' });
+    expect(report(technical)).toMatchObject({ isEnglish: true, reason: 'technical-term' });
+    expect(createValidator().analyzeText('the ctx', technical).tokens[1].isEnglish).toBe(true);
+  });
+
+  test('removes fenced and indented code blocks and code spans', () => {
+    const text = [
+      'Run the following:',
+      '```bash',
+      'npm ci && npm run build -- --prod',
+      '```',
+      'Then reproduce with:',
+      '',
+      '    const res = await fetch(url);',
+      '    res.json().then(cb);',
+      '',
+      'The promise from `fetchJson(url)` never resolves.',
+    ].join('\n');
+    expect(preprocessText(text, technical)).toBe(
+      'Run the following: Then reproduce with: The promise from never resolves.',
+    );
+  });
+
+  test('stripCode: false keeps code', () => {
+    const text = 'The promise from `fetch(body)` never resolves.';
+    expect(preprocessText(text, { ...technical, stripCode: false })).toBe(
+      'The promise from fetch(body) never resolves.',
+    );
+  });
+
+  test.each([
+    [
+      'JavaScript',
+      [
+        "TypeError: Cannot read properties of undefined (reading 'map')",
+        '    at renderList (/app/src/List.jsx:12:18)',
+        '    at async Promise.all (index 0)',
+        '    at /app/server.js:42:7',
+      ],
+    ],
+    [
+      'Java',
+      [
+        'Exception in thread "main" java.lang.IllegalStateException: Queue full',
+        '\tat com.acme.queue.Worker.offer(Worker.java:87)',
+        '\tat java.base/java.lang.Thread.run(Unknown Source)',
+        'Caused by: java.io.IOException: Broken pipe',
+        '\t... 12 more',
+      ],
+    ],
+    [
+      'Python',
+      [
+        'Traceback (most recent call last):',
+        '  File "/srv/app/main.py", line 42, in <module>',
+        '    run_server(cfg)',
+        'OSError: [Errno 98] Address already in use',
+      ],
+    ],
+    ['.NET', ['   at Acme.Billing.Invoice.Post() in C:\\src\\Invoice.cs:line 311']],
+    ['Go', ['panic: runtime error: index out of range', 'goroutine 1 [running]:']],
+    [
+      'log',
+      [
+        '2024-03-01 12:00:03 ERROR db.pool connexion refusée',
+        '[2024-03-01T12:00:04Z] retrying',
+        'Mar  1 12:00:05 web01 sshd[311]: Accepted publickey',
+        'WARN: pool exhausted',
+        '[INFO] retrying in 5s',
+        '$ kubectl rollout restart deploy/api',
+      ],
+    ],
+  ])('removes %s stack traces and log lines', (_, lines) => {
+    const text = ['The service crashed on startup:', '', ...lines, '', 'A fix is pending.'];
+    expect(preprocessText(text.join('\n'), technical)).toBe(
+      'The service crashed on startup: A fix is pending.',
+    );
+  });
+
+  test('keeps prose lines that only look like frames or logs', () => {
+    const text = 'We met\nat 10:30 to discuss the plan\nInfo about the release follows';
+    expect(preprocessText(text, technical)).toBe(
+      'We met at 10:30 to discuss the plan Info about the release follows',
+    );
+  });
+
+  test('strips file paths whatever the identifier presets', () => {
+    const text = 'Edit lib/config/loader.js and /etc/hosts';
+    expect(preprocessText(text, { ...technical, identifiers: [] })).toBe('Edit and');
+  });
+
+  test('reports spans against the whole identifier', () => {
+    const text = 'Call parseHttpResponse and das Wort';
+    expect(findNonEnglishSpans(text, technical).map((span) => span.text)).toEqual(['das']);
+    const [span] = findNonEnglishSpans('Call zorblatFrimble now', technical);
+    expect(span).toMatchObject({ text: 'zorblatFrimble', words: ['zorblat', 'frimble'] });
+  });
+
+  test('is off by default', () => {
+    expect(preprocessText('See `fooBar` in MAX_SIZE')).toBe('See fooBar in MAX SIZE');
+    expect(preprocessText('See `fooBar` in MAX_SIZE', technical)).toBe('See in max size');
+  });
+});
+
+describe('identifierWords', () => {
+  test.each([
+    ['parseHttpResponse', 'parse http response'],
+    ['XMLHttpRequest', 'xml http request'],
+    ['MAX_RETRY_COUNT', 'max retry count'],
+    ['user_session_store', 'user session store'],
+    ['os.path.join', 'os path join'],
+    ['utf8Decode', 'utf 8 decode'],
+  ])('%s', (identifier, words) => {
+    expect(identifierWords(identifier)).toBe(words);
+  });
+
+  test.each(['e.g', 'Ph.D', 'v1.2', 'hello'])('leaves %s alone', (text) => {
+    expect(preprocessText(text, technical)).toBe(text);
+  });
+});
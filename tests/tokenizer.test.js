@@ -0,0 +1,151 @@
+import {
+  analyzeText,
+  clearLanguageDetectorCaches,
+  createValidator,
+  findNonEnglishSpans,
+  isEnglish,
+  numericTokenKind,
+  tokenize,
+} from '../src/index';
+
+afterEach(() => {
+  clearLanguageDetectorCaches();
+});
+
+const kinds = (text) => tokenize(text).map((t) => `${t.text}:${t.kind}`);
+
+describe('tokenize', () => {
+  test('splits hyphenated compounds into their parts', () => {
+    expect(tokenize('state-of-the-art').map((t) => t.text)).toEqual(['state', 'of', 'the', 'art']);
+  });
+
+  test('recognises numbers, ordinals, measures and currency amounts', () => {
+    expect(kinds('1,000 3.5 24/7 10:30 21st 12th 10km 3.5GB 50% 9am $20 €5.99 20€ $5k')).toEqual([
+      '1,000:number',
+      '3.5:number',
+      '24/7:number',
+      '10:30:number',
+      '21st:ordinal',
+      '12th:ordinal',
+      '10km:measure',
+      '3.5GB:measure',
+      '50%:measure',
+      '9am:measure',
+      '$20:currency',
+      '€5.99:currency',
+      '20€:currency',
+      '$5k:currency',
+    ]);
+  });
+
+  test('joins spaced units and magnitudes but not ordinary words', () => {
+    expect(kinds('100 ms, £3 million and 10 in the box')).toEqual([
+      '100 ms:measure',
+      '£3 million:currency',
+      'and:word',
+      '10:number',
+      'in:word',
+      'the:word',
+      'box:word',
+    ]);
+  });
+
+  test('leaves words with digits and wrong ordinal suffixes as words', () => {
+    expect(kinds('3ala web3 2th')).toEqual(['3ala:word', 'web3:word', '2th:word']);
+  });
+
+  test('normalises typographic quotes and keeps offsets', () => {
+    expect(tokenize('“Don’t” go')).toEqual([
+      { text: "Don't", kind: 'word', start: 1, end: 6 },
+      { text: 'go', kind: 'word', start: 8, end: 10 },
+    ]);
+  });
+
+  test('gives each letter of an unsegmented script a token', () => {
+    expect(tokenize('hello世界').map((t) => t.text)).toEqual(['hello', '世', '界']);
+  });
+
+  test('falls back to a letter-and-digit pattern without Intl.Segmenter', () => {
+    const { Segmenter } = Intl;
+    delete Intl.Segmenter;
+    try {
+      jest.isolateModules(() => {
+        const fallback = require('../src/tokenizer').tokenize;
+        expect(fallback('Don’t re-enter U.S.A data, 3.5GB').map((t) => t.text)).toEqual([
+          "Don't",
+          're',
+          'enter',
+          'U.S.A',
+          'data',
+          '3.5GB',
+        ]);
+      });
+    } finally {
+      Intl.Segmenter = Segmenter;
+    }
+  });
+});
+
+describe('numericTokenKind', () => {
+  test('classifies whole tokens only', () => {
+    expect(numericTokenKind('3.5gb')).toBe('measure');
+    expect(numericTokenKind('22nd')).toBe('ordinal');
+    expect(numericTokenKind('10 in')).toBeNull();
+    expect(numericTokenKind('web3')).toBeNull();
+  });
+});
+
+describe('token kinds in detection', () => {
+  test('numbers, units, ordinals and amounts count as English', () => {
+    const report = analyzeText('Ship the 3.5GB build on the 21st for $20');
+    expect(report.englishRatio).toBe(1);
+    expect(report.tokens.map((t) => t.reason)).toEqual([
+      'dictionary',
+      'dictionary',
+      'measure',
+      'dictionary',
+      'dictionary',
+      'dictionary',
+      'ordinal',
+      'dictionary',
+      'currency',
+    ]);
+  });
+
+  test('words followed by a number go through the word layers without it', () => {
+    const validator = createValidator({ removeWords: ['apps'] });
+    const tokens = validator.analyzeText('web3 apps2 2web x9y ala3b', {
+      romanizedPacks: [],
+    }).tokens;
+    expect(tokens.map((t) => [t.token, t.reason])).toEqual([
+      ['web3', 'dictionary'],
+      ['apps2', 'morphology'],
+      ['2web', 'unknown'],
+      ['x9y', 'unknown'],
+      ['ala3b', 'unknown'],
+    ]);
+  });
+
+  test('typographic contractions and compounds are English words', () => {
+    expect(isEnglish('We’ll review the well-known state-of-the-art report')).toBe(true);
+    const tokens = analyzeText('We’ll review it').tokens;
+    expect(tokens[0]).toMatchObject({ token: "We'll", reason: 'contraction' });
+  });
+
+  test('allowNumbers: false leaves numeric tokens unknown', () => {
+    const report = analyzeText('Ship 10km for $20', { allowNumbers: false });
+    expect(report.tokens.map((t) => t.reason)).toEqual([
+      'dictionary',
+      'unknown',
+      'dictionary',
+      'unknown',
+    ]);
+  });
+
+  test('numbers neither start nor end non-English spans', () => {
+    const text = 'Order 42 shipped. Die Lieferung kostet 20€ und ist angekommen';
+    expect(findNonEnglishSpans(text).map((span) => span.text)).toEqual([
+      'Die Lieferung kostet 20€ und ist angekommen',
+    ]);
+  });
+});
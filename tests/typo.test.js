@@ -0,0 +1,124 @@
+import { analyzeText, clearLanguageDetectorCaches, createValidator, isEnglish } from '../src/index';
+import { editDistance, findTypoMatch } from '../src/typo-index';
+import { englishDictionary } from '../src/dictionary';
+
+afterEach(() => {
+  clearLanguageDetectorCaches();
+});
+
+describe('editDistance', () => {
+  test.each([
+    ['receive', 'receive', 0],
+    ['recieve', 'receive', 1],
+    ['teh', 'the', 1],
+    ['colour', 'color', 1],
+    ['wrold', 'world', 1],
+    ['definately', 'definitely', 1],
+    ['accomodate', 'accommodate', 1],
+    ['abcdef', 'badcfe', 3],
+  ])('%s → %s = %i', (a, b, distance) => {
+    expect(editDistance(a, b, 3)).toBe(distance);
+  });
+
+  test('stops at the bound', () => {
+    expect(editDistance('kitten', 'sitting', 1)).toBe(2);
+    expect(editDistance('a', 'abcdef', 2)).toBe(3);
+  });
+});
+
+describe('findTypoMatch', () => {
+  /** Looks a word up against one list that is also the dictionary. */
+  const match = (word, distance, list = englishDictionary) =>
+    findTypoMatch(word, distance, list, [list]);
+
+  test.each([
+    ['recieve', 'receive'],
+    ['teh', 'the'],
+    ['definately', 'definitely'],
+    ['seperate', 'separate'],
+    ['goverment', 'government'],
+    ['begining', 'beginning'],
+  ])('%s → %s', (word, suggestion) => {
+    expect(match(word, 2)).toEqual({ suggestion, distance: 1 });
+  });
+
+  test('allows two edits only for longer words', () => {
+    expect(match('tommorow', 2)).toEqual({
+      suggestion: 'tomorrow',
+      distance: 2,
+    });
+    expect(match('tommorow', 1)).toBeNull();
+    expect(match('hxlpx', 2)).toBeNull();
+  });
+
+  test('never matches very short words or a zero tolerance', () => {
+    expect(match('th', 2)).toBeNull();
+    expect(match('recieve', 0)).toBeNull();
+  });
+
+  test('only suggests words in the given dictionary', () => {
+    expect(match('recieve', 1, new Set(['the']))).toBeNull();
+  });
+});
+
+describe('typoTolerance option', () => {
+  const TEXT = 'Please recieve teh definately updated report';
+
+  test('is off by default', () => {
+    const tokens = analyzeText(TEXT).tokens;
+    expect(tokens.filter((t) => t.reason === 'typo')).toEqual([]);
+  });
+
+  test('reports typo tokens with their suggestion', () => {
+    const report = analyzeText(TEXT, { typoTolerance: 2 });
+    const typo = report.tokens.find((t) => t.token === 'recieve');
+    expect(typo).toMatchObject({
+      isEnglish: true,
+      reason: 'typo',
+      typo: { suggestion: 'receive', distance: 1 },
+    });
+  });
+
+  test('counts typo matches at half weight', () => {
+    const report = analyzeText(TEXT, { typoTolerance: 2 });
+    expect(report.englishWordCount).toBe(4.5);
+    expect(report.englishRatio).toBeCloseTo(4.5 / 6);
+    expect(isEnglish('We recieve teh updated report')).toBe(false);
+    expect(isEnglish('We recieve teh updated report', { typoTolerance: 1 })).toBe(true);
+  });
+
+  test('flips the verdict for a sentence with several typos', () => {
+    const text = 'Please recieve teh pakage at the office tomorow';
+    expect(isEnglish(text)).toBe(false);
+    expect(isEnglish(text, { typoTolerance: 2 })).toBe(true);
+  });
+
+  test('suggests words beyond the common ones', () => {
+    expect(analyzeText('albatros', { typoTolerance: 2 }).tokens[0].typo).toEqual({
+      suggestion: 'albatross',
+      distance: 1,
+    });
+  });
+
+  test('suggests words added to a validator and from extra word lists', () => {
+    const validator = createValidator({ addWords: ['kubernetes'], dictionaries: [['grafana']] });
+    const tokens = validator.analyzeText('kubernets grafanna', { typoTolerance: 1 }).tokens;
+    expect(tokens.map((token) => token.typo?.suggestion)).toEqual(['kubernetes', 'grafana']);
+  });
+
+  test('keeps the non-English screens ahead of typo matching', () => {
+    const report = analyzeText('Die Katze schläft', { typoTolerance: 2 });
+    expect(report.tokens.map((t) => t.reason)).not.toContain('typo');
+  });
+
+  test('respects words removed from a validator', () => {
+    const validator = createValidator({ removeWords: ['receive', 'relieve'] });
+    const token = validator.analyzeText('recieve', { typoTolerance: 1 }).tokens[0];
+    expect(token.reason).not.toBe('typo');
+  });
+
+  test('is applied through validator defaults', () => {
+    const validator = createValidator({ defaults: { typoTolerance: 1 } });
+    expect(validator.analyzeText('recieve').tokens[0].reason).toBe('typo');
+  });
+});
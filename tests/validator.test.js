@@ -0,0 +1,74 @@
+import { clearLanguageDetectorCaches, createValidator, isEnglish } from '../src/index';
+
+afterEach(() => {
+  clearLanguageDetectorCaches();
+});
+
+const JARGON = 'Restart Kubernetes and check Grafana';
+
+/** Collects every value of an async iterator. */
+async function collect(iterator) {
+  const values = [];
+  for await (const value of iterator) values.push(value);
+  return values;
+}
+
+describe('createValidator', () => {
+  test('added words count as English only for that validator', () => {
+    const validator = createValidator({ addWords: ['Kubernetes', 'GRAFANA'] });
+    expect(validator.isEnglish(JARGON)).toBe(true);
+    expect(validator.detectNonEnglishText(JARGON)).toBe(false);
+    expect(isEnglish(JARGON)).toBe(false);
+    expect(createValidator().isEnglish(JARGON)).toBe(false);
+  });
+
+  test('removed words stop counting as English', () => {
+    const validator = createValidator({ removeWords: ['Quick'] });
+    const report = validator.analyzeText('the quick brown fox');
+    expect(report.tokens.find((t) => t.token === 'quick').reason).toBe('unknown');
+    expect(validator.hasWord('quick')).toBe(false);
+    expect(validator.hasWord('brown')).toBe(true);
+  });
+
+  test('extra dictionaries accept arrays and lookups', () => {
+    const validator = createValidator({
+      dictionaries: [['Kubernetes'], { has: (word) => word === 'grafana' }],
+    });
+    expect(validator.isEnglish(JARGON)).toBe(true);
+  });
+
+  test('runtime changes take effect despite cached verdicts', () => {
+    const validator = createValidator();
+    expect(validator.isEnglish(JARGON)).toBe(false);
+    validator.addWords(['kubernetes', 'grafana']);
+    expect(validator.isEnglish(JARGON)).toBe(true);
+    validator.removeWords(['Grafana']);
+    expect(validator.hasWord('grafana')).toBe(false);
+    expect(validator.analyzeText(JARGON).englishWordCount).toBe(4);
+  });
+
+  test('applies defaults unless the call overrides them', () => {
+    const validator = createValidator({ defaults: { englishThreshold: 0.5 } });
+    expect(validator.isEnglish(JARGON)).toBe(true);
+    expect(validator.analyzeText(JARGON).thresholdSource).toBe('option');
+    expect(validator.isEnglish(JARGON, { englishThreshold: 0.9 })).toBe(false);
+  });
+
+  test('exposes the batch, span and stream APIs over its dictionary', async () => {
+    const validator = createValidator({ addWords: ['Kubernetes', 'Grafana'] });
+    expect(validator.detectBatch([JARGON, 'Das ist ein deutscher Satz'])).toEqual([true, false]);
+    await expect(validator.detectBatchAsync([JARGON])).resolves.toEqual([true]);
+    expect(validator.findNonEnglishSpans(JARGON)).toEqual([]);
+    const results = await collect(validator.detectStream([JARGON]));
+    expect(results.map((r) => r.isEnglish)).toEqual([true]);
+  });
+
+  test('keeps caches separate between validators', () => {
+    const first = createValidator({ addWords: ['Kubernetes', 'Grafana'] });
+    const second = createValidator();
+    expect(first.isEnglish(JARGON)).toBe(true);
+    expect(second.isEnglish(JARGON)).toBe(false);
+    first.clearCaches();
+    expect(first.isEnglish(JARGON)).toBe(true);
+  });
+});